@@ -0,0 +1,319 @@
+/**
+ * In-memory stand-in for the Prisma client, picked up by
+ * `vi.mock("../db.server")` in service tests
+ *
+ * Supports the part of the query API the services use: findMany,
+ * findFirst, findUnique, count, create, createMany(AndReturn), update,
+ * updateMany, upsert and deleteMany with where filters (equality,
+ * in/notIn, lt/lte/gt/gte, not, AND/OR/NOT, compound unique keys and
+ * some/none/every on relations), orderBy, take, select, include and
+ * distinct, nested create on relations, plus interactive $transaction.
+ * Column defaults and unique constraints are applied on create, and the
+ * few raw statements the services issue are run against the same tables.
+ *
+ * Like Prisma, a filter whose value is undefined is ignored, so a query
+ * that forgets its shop really does read every shop's rows.
+ */
+
+import { randomUUID } from "node:crypto";
+
+// Relation fields: model → field → related model and its foreign key
+const RELATIONS = {
+  webhookEvent: {
+    pimDeliveries: { model: "pimOutbox", foreignKey: "webhookEventId" },
+    adjustments: { model: "inventoryAdjustment", foreignKey: "webhookEventId" },
+  },
+};
+
+// Column defaults of the models tests create rows in
+const DEFAULTS = {
+  job: () => ({ status: "queued", attempts: 0, maxAttempts: 5, runAt: new Date(), lockedAt: null, lockedBy: null }),
+  lowStockAlert: () => ({ status: "open", deliveryStatus: null, deliveryAttempts: 0, resolvedAt: null }),
+  pimOutbox: () => ({ status: "pending", attempts: 0, nextAttemptAt: new Date() }),
+};
+
+// Unique constraints (NULLs never collide, as in Postgres)
+const UNIQUE_KEYS = {
+  webhookEvent: [["webhookId"]],
+  job: [["dedupeKey"]],
+  lowStockAlert: [["activeKey"]],
+  lowStockThreshold: [["shop", "inventoryItemId", "locationId"]],
+  inventoryLevelState: [["shop", "inventoryItemId", "locationId"]],
+  proxyRateLimit: [["key", "windowStart"]],
+};
+
+const tables = new Map();
+
+/**
+ * Replace every table's rows
+ *
+ * @param {Object} [seed] - Model name → rows
+ */
+export function resetDatabase(seed = {}) {
+  tables.clear();
+  for (const [model, rows] of Object.entries(seed)) {
+    tables.set(model, rows.map(row => ({ ...row })));
+  }
+}
+
+/**
+ * Read a table's rows, e.g. to assert on what a service wrote
+ *
+ * @param {string} model - Model name as used on the client (e.g. "pimOutbox")
+ * @returns {Array<Object>} Rows
+ */
+export function getRows(model) {
+  if (!tables.has(model)) tables.set(model, []);
+  return tables.get(model);
+}
+
+function matches(model, row, where = {}) {
+  return Object.entries(where).every(([field, condition]) => {
+    if (condition === undefined) return true;
+    if (field === "AND") return [].concat(condition).every(part => matches(model, row, part));
+    if (field === "OR") return condition.some(part => matches(model, row, part));
+    if (field === "NOT") return ![].concat(condition).some(part => matches(model, row, part));
+
+    const relation = RELATIONS[model]?.[field];
+    if (relation) {
+      const related = getRows(relation.model).filter(other => other[relation.foreignKey] === row.id);
+      if (condition.some) return related.some(other => matches(relation.model, other, condition.some));
+      if (condition.none) return !related.some(other => matches(relation.model, other, condition.none));
+      if (condition.every) return related.every(other => matches(relation.model, other, condition.every));
+      return true;
+    }
+
+    // Compound unique key, e.g. shop_inventoryItemId_locationId: { shop, … }
+    if (field.includes("_") && !(field in row) && isPlainObject(condition)) {
+      return Object.entries(condition).every(([part, value]) => same(row[part], value));
+    }
+
+    return matchesValue(row[field], condition);
+  });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !(value instanceof Date) && !Array.isArray(value);
+}
+
+function matchesValue(value, condition) {
+  if (condition === null || typeof condition !== "object" || condition instanceof Date) {
+    return same(value, condition);
+  }
+
+  return Object.entries(condition).every(([op, operand]) => {
+    if (operand === undefined) return true;
+    switch (op) {
+      case "equals": return same(value, operand);
+      case "in": return operand.some(candidate => same(value, candidate));
+      case "notIn": return !operand.some(candidate => same(value, candidate));
+      case "not": return !matchesValue(value, operand);
+      case "lt": return value !== null && value !== undefined && value < operand;
+      case "lte": return value !== null && value !== undefined && value <= operand;
+      case "gt": return value !== null && value !== undefined && value > operand;
+      case "gte": return value !== null && value !== undefined && value >= operand;
+      default: throw new Error(`Unsupported filter operator "${op}"`);
+    }
+  });
+}
+
+function same(a, b) {
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  return (a ?? null) === (b ?? null);
+}
+
+function sortRows(rows, orderBy) {
+  const orders = [].concat(orderBy || []).flatMap(order => Object.entries(order));
+  return [...rows].sort((a, b) => {
+    for (const [field, direction] of orders) {
+      if (a[field] === b[field]) continue;
+      const result = a[field] < b[field] ? -1 : 1;
+      return direction === "desc" ? -result : result;
+    }
+    return 0;
+  });
+}
+
+function shape(model, row, { select, include } = {}) {
+  const shaped = select
+    ? Object.fromEntries(Object.keys(select).filter(field => select[field]).map(field => [field, row[field]]))
+    : { ...row };
+
+  for (const [field, options] of Object.entries({ ...include, ...selectedRelations(model, select) })) {
+    const relation = RELATIONS[model]?.[field];
+    if (!relation || !options) continue;
+    const query = options === true ? {} : options;
+    shaped[field] = findMany(relation.model, {
+      ...query,
+      where: { ...query.where, [relation.foreignKey]: row.id },
+    });
+  }
+
+  return shaped;
+}
+
+function selectedRelations(model, select = {}) {
+  return Object.fromEntries(Object.entries(select).filter(([field]) => RELATIONS[model]?.[field]));
+}
+
+function findMany(model, { where, orderBy, take, select, include, distinct } = {}) {
+  let rows = sortRows(getRows(model).filter(row => matches(model, row, where)), orderBy);
+
+  if (distinct) {
+    const seen = new Set();
+    rows = rows.filter(row => {
+      const key = JSON.stringify(distinct.map(field => row[field]));
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  if (take !== undefined) {
+    rows = take < 0 ? rows.slice(take) : rows.slice(0, take);
+  }
+
+  return rows.map(row => shape(model, row, { select, include }));
+}
+
+function applyData(row, data) {
+  for (const [field, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+    row[field] = value !== null && typeof value === "object" && "increment" in value
+      ? (row[field] || 0) + value.increment
+      : value;
+  }
+  if ("updatedAt" in row) row.updatedAt = new Date();
+  return row;
+}
+
+function insert(model, data) {
+  const now = new Date();
+  const relations = RELATIONS[model] || {};
+  const columns = Object.fromEntries(Object.entries(data).filter(([field]) => !relations[field]));
+  const row = { id: randomUUID(), createdAt: now, updatedAt: now, ...DEFAULTS[model]?.(), ...columns };
+  assertUnique(model, row);
+  getRows(model).push(row);
+
+  // Nested create on relations, e.g. pimDeliveries: { create: { … } }
+  for (const [field, { create }] of Object.entries(data).filter(([field]) => relations[field])) {
+    const { model: related, foreignKey } = relations[field];
+    [].concat(create || []).forEach(child => insert(related, { ...child, [foreignKey]: row.id }));
+  }
+
+  return row;
+}
+
+function assertUnique(model, row) {
+  for (const fields of UNIQUE_KEYS[model] || []) {
+    if (fields.some(field => row[field] === null || row[field] === undefined)) continue;
+    const taken = getRows(model).some(other =>
+      other !== row && fields.every(field => same(other[field], row[field]))
+    );
+    if (taken) {
+      throw Object.assign(new Error(`Unique constraint failed on the fields: (${fields.join(", ")})`), { code: "P2002" });
+    }
+  }
+}
+
+function notFound(model) {
+  return Object.assign(new Error(`No ${model} record was found for an update`), { code: "P2025" });
+}
+
+// Raw statements the services issue, recognised by their text and given the
+// same effect on the in-memory tables
+const RAW_STATEMENTS = [
+  {
+    // consumeRateLimit: INSERT … ON CONFLICT DO UPDATE count + 1 RETURNING count
+    pattern: /^\s*INSERT INTO "ProxyRateLimit"/,
+    run: ([key, windowStart, shop]) => {
+      const row = getRows("proxyRateLimit").find(other => other.key === key && same(other.windowStart, windowStart));
+      if (row) {
+        row.count++;
+        return [{ count: row.count }];
+      }
+      getRows("proxyRateLimit").push({ key, windowStart, shop, count: 1 });
+      return [{ count: 1 }];
+    },
+  },
+  {
+    // claimJobs: due queued jobs and expired leases, oldest runAt first
+    pattern: /^\s*UPDATE "Job"\s+SET "status"/,
+    run: ([running, lockedAt, workerId, updatedAt, queued, dueBy, leased, leaseExpiredBefore, limit]) =>
+      sortRows(getRows("job").filter(job =>
+        (job.status === queued && job.runAt <= dueBy) ||
+        (job.status === leased && job.lockedAt < leaseExpiredBefore)
+      ), { runAt: "asc" })
+        .slice(0, limit)
+        .map(job => ({ ...Object.assign(job, { status: running, lockedAt, lockedBy: workerId, attempts: job.attempts + 1, updatedAt }) })),
+  },
+  {
+    // purgeFinishedJobs: one batch of expired completed and failed jobs
+    pattern: /^\s*DELETE FROM "Job"/,
+    run: ([completed, completedBefore, failed, failedBefore, limit]) => {
+      const expired = getRows("job").filter(job =>
+        (job.status === completed && job.updatedAt < completedBefore) ||
+        (job.status === failed && job.updatedAt < failedBefore)
+      ).slice(0, limit);
+      tables.set("job", getRows("job").filter(job => !expired.includes(job)));
+      return expired.length;
+    },
+  },
+];
+
+function runRaw(strings, values) {
+  const sql = strings.join("?");
+  const statement = RAW_STATEMENTS.find(({ pattern }) => pattern.test(sql));
+  if (!statement) {
+    throw new Error(`Unsupported raw statement: ${sql.trim().split("\n")[0]}`);
+  }
+  return statement.run(values);
+}
+
+function modelClient(model) {
+  return {
+    findMany: async (args) => findMany(model, args),
+    findFirst: async (args = {}) => findMany(model, { ...args, take: 1 })[0] || null,
+    findUnique: async (args = {}) => findMany(model, { ...args, take: 1 })[0] || null,
+    count: async ({ where } = {}) => findMany(model, { where }).length,
+    create: async ({ data, select, include }) => shape(model, insert(model, data), { select, include }),
+    createMany: async ({ data }) => ({ count: data.map(row => insert(model, row)).length }),
+    createManyAndReturn: async ({ data, select }) => data.map(row => shape(model, insert(model, row), { select })),
+    update: async ({ where, data, select, include }) => {
+      const row = getRows(model).find(candidate => matches(model, candidate, where));
+      if (!row) throw notFound(model);
+      applyData(row, data);
+      assertUnique(model, row);
+      return shape(model, row, { select, include });
+    },
+    upsert: async ({ where, create, update, select, include }) => {
+      const row = getRows(model).find(candidate => matches(model, candidate, where));
+      return shape(model, row ? applyData(row, update) : insert(model, create), { select, include });
+    },
+    updateMany: async ({ where, data }) => {
+      const rows = getRows(model).filter(row => matches(model, row, where));
+      rows.forEach(row => applyData(row, data));
+      return { count: rows.length };
+    },
+    deleteMany: async ({ where } = {}) => {
+      const rows = getRows(model);
+      const kept = rows.filter(row => !matches(model, row, where));
+      tables.set(model, kept);
+      return { count: rows.length - kept.length };
+    },
+  };
+}
+
+const prisma = new Proxy({
+  $transaction: async (work) => (typeof work === "function" ? work(prisma) : Promise.all(work)),
+  $queryRaw: async (strings, ...values) => runRaw(strings, values),
+  $executeRaw: async (strings, ...values) => runRaw(strings, values),
+}, {
+  get(target, property) {
+    if (property in target) return target[property];
+    if (typeof property !== "string" || property.startsWith("$") || property === "then") return undefined;
+    return modelClient(property);
+  },
+});
+
+export default prisma;
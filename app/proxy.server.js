@@ -0,0 +1,81 @@
+/**
+ * App Proxy helpers
+ *
+ * Shared by the storefront app proxy routes (api.proxy*). Failures are
+ * answered with an HTTP error status and the envelope
+ * `{ error: { code, message, field, retryable } }`; `code` is one of
+ * INVENTORY_ERROR_CODES, a PROXY_* code from the proxy guard,
+ * UNAUTHORIZED or INTERNAL_ERROR.
+ */
+
+import { authenticate } from "./shopify.server";
+import { InventoryError } from "./services/inventory.service";
+import { ProxyAccessError } from "./services/proxy-guard.service";
+
+/**
+ * Verify the proxy signature and that the shop has the app installed
+ *
+ * @param {Request} request - App proxy request
+ * @returns {Promise<Object>} Admin API client and session of the shop
+ * @throws {Response} 401 error envelope when either check fails
+ */
+export async function authenticateProxy(request) {
+  let context;
+  try {
+    context = await authenticate.public.appProxy(request);
+  } catch (error) {
+    // The library throws a Response for a missing or invalid signature
+    if (error instanceof Response) {
+      throw errorResponse(401, { code: "UNAUTHORIZED", message: "Request is not signed by Shopify" });
+    }
+    throw error;
+  }
+
+  if (!context.session) {
+    throw errorResponse(401, { code: "UNAUTHORIZED", message: "The app is not installed on this shop" });
+  }
+
+  return context;
+}
+
+/**
+ * Answer with the JSON error envelope
+ *
+ * @param {number} status - HTTP status
+ * @param {Object} error - code, message, optional field and retryable, plus extra details
+ * @param {Object} [headers] - Extra response headers
+ * @returns {Response}
+ */
+export function errorResponse(status, { code, message, field = null, retryable = false, ...details }, headers) {
+  return Response.json({ error: { code, message, field, retryable, ...details } }, { status, headers });
+}
+
+/**
+ * Map a thrown error to the error envelope
+ * Typed errors carry their own status; anything else is an unexpected 500.
+ *
+ * @param {Error|Response} error
+ * @returns {Response}
+ */
+export function toErrorResponse(error) {
+  if (error instanceof Response) {
+    return error;
+  }
+
+  if (error instanceof InventoryError || error instanceof ProxyAccessError) {
+    return errorResponse(error.status, {
+      code: error.code,
+      message: error.message,
+      field: error.field,
+      retryable: error.retryable,
+      ...(error.retryAfterSeconds ? { retryAfterSeconds: error.retryAfterSeconds } : {}),
+    }, error.retryAfterSeconds ? { "Retry-After": String(error.retryAfterSeconds) } : undefined);
+  }
+
+  console.error("App proxy error:", error);
+  return errorResponse(500, {
+    code: "INTERNAL_ERROR",
+    message: "Something went wrong",
+    retryable: true,
+  });
+}
@@ -1,69 +1,119 @@
-import { authenticate } from "../shopify.server";
+/**
+ * App Proxy Route: Storefront stock updates
+ *
+ * Accessible at: /apps/inventory-manager (proxied by Shopify to /api/proxy)
+ *
+ * Failures are answered with an HTTP error status and the error envelope
+ * described in proxy.server.js.
+ */
+
+import { authenticateProxy, errorResponse, toErrorResponse } from "../proxy.server";
 import {
+  INVENTORY_ERROR_CODES,
+  InventoryError,
+  applyInventoryDelta,
   getProductInventoryData,
-  updateInventory,
+  resolveInventoryTarget,
   validateInventoryInput
 } from "../services/inventory.service";
+import {
+  ADJUSTMENT_SOURCES,
+  getStorefrontActor,
+  recordInventoryAdjustments
+} from "../services/inventory-audit.service";
+import { authorizeProxyRequest } from "../services/proxy-guard.service";
 
 export async function action({ request }) {
   try {
-    // Authenticate the app proxy request
-    const { admin } = await authenticate.public.appProxy(request);
+    const { admin, session } = await authenticateProxy(request);
+
+    const body = await request.json().catch(() => {
+      throw new InventoryError(INVENTORY_ERROR_CODES.INVALID_INPUT, "Request body must be JSON");
+    });
+    const { productId, quantityChange, variantId, sku, locationId, reason, quantityName } = body;
 
-    const body = await request.json();
-    const { productId, quantityChange } = body;
+    // Logged-in, allow-listed customers only, within the delta cap and
+    // rate limits
+    await authorizeProxyRequest({ admin, shop: session.shop, request }, { productId, quantityChange });
 
     // Validate input using service
-    const validation = validateInventoryInput(productId, quantityChange);
+    const validation = validateInventoryInput(productId, quantityChange, { reason, quantityName });
     if (!validation.isValid) {
-      return { error: validation.error };
+      throw new InventoryError(validation.code, validation.error, { field: validation.field });
     }
 
-    const quantityDelta = validation.quantityDelta;
+    const { quantityDelta } = validation;
 
     const productData = await getProductInventoryData(admin, productId);
 
     if (!productData) {
-      return { error: "Product not found" };
+      throw new InventoryError(INVENTORY_ERROR_CODES.NOT_FOUND, "Product not found", { field: "productId" });
     }
 
-    if (!productData.inventoryItemId) {
-      return { error: "Product inventory is not tracked" };
+    const resolution = resolveInventoryTarget(productData, { variantId, sku, locationId });
+    if (!resolution.isValid) {
+      return errorResponse(resolution.code === INVENTORY_ERROR_CODES.NOT_FOUND ? 404 : 400, {
+        code: resolution.code,
+        message: resolution.error,
+        field: resolution.field,
+        ...(resolution.ambiguous ? { candidates: resolution.candidates } : {}),
+      });
     }
 
-    const { inventoryItemId, locationId, currentQuantity } = productData;
+    const { target } = resolution;
 
-    const newQuantity = Math.max(0, currentQuantity + quantityDelta);
-
-    const result = await updateInventory(admin, {
-      inventoryItemId,
-      locationId,
-      newQuantity,
-      currentQuantity,
+    const result = await applyInventoryDelta(admin, {
+      productId,
+      target,
+      quantityDelta,
+      name: validation.quantityName,
+      reason: validation.reason,
     });
 
+    await recordInventoryAdjustments({
+      shop: session.shop,
+      actor: getStorefrontActor(request),
+      sourceChannel: ADJUSTMENT_SOURCES.STOREFRONT_PROXY,
+    }, [{
+      productId: productData.productId,
+      productTitle: productData.productTitle,
+      variantId: target.variantId,
+      variantTitle: target.variantTitle,
+      inventoryItemId: target.inventoryItemId,
+      locationId: target.locationId,
+      locationName: target.locationName,
+      quantityName: validation.quantityName,
+      oldQuantity: result.oldQuantity,
+      newQuantity: result.newQuantity,
+      reason: validation.reason,
+      adjustmentGroupId: result.adjustmentGroupId,
+    }]);
+
     return {
       success: true,
       productId,
-      oldQuantity: currentQuantity,
+      variantId: target.variantId,
+      locationId: target.locationId,
+      quantityName: validation.quantityName,
+      reason: validation.reason,
+      oldQuantity: result.oldQuantity,
       newQuantity: result.newQuantity,
       delta: result.delta,
     };
 
   } catch (error) {
-    console.error("Inventory update error:", error);
-    return { error: error.message || "Failed to update inventory" };
+    return toErrorResponse(error);
   }
 }
 
 export async function loader({ request }) {
   try {
-    await authenticate.public.appProxy(request);
+    await authenticateProxy(request);
     return {
       status: "ok",
       message: "Inventory Manager App Proxy is running"
     };
   } catch (error) {
-    return { error: "Authentication failed" };
+    return toErrorResponse(error);
   }
 }
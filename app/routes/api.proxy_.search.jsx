@@ -0,0 +1,57 @@
+/**
+ * App Proxy Route: Storefront variant search
+ *
+ * Accessible at: /apps/inventory-manager/search?q= (proxied by Shopify to
+ * /api/proxy/search)
+ *
+ * Typeahead for the inventory widget: matches variants by product title,
+ * SKU or barcode and returns their available stock per location. Guarded
+ * like stock updates, with its own rate limit. Failures use the error
+ * envelope described in proxy.server.js.
+ */
+
+import { authenticateProxy, toErrorResponse } from "../proxy.server";
+import { searchVariants } from "../services/inventory.service";
+import { PROXY_REQUEST_KINDS, authorizeProxyRequest } from "../services/proxy-guard.service";
+
+export async function loader({ request }) {
+  try {
+    const { admin, session } = await authenticateProxy(request);
+
+    await authorizeProxyRequest(
+      { admin, shop: session.shop, request },
+      {},
+      { kind: PROXY_REQUEST_KINDS.SEARCH }
+    );
+
+    const term = new URL(request.url).searchParams.get("q");
+    const variants = await searchVariants(admin, term);
+
+    // Numeric IDs, as typed into the widget form
+    return {
+      success: true,
+      variants: variants.map(variant => ({
+        productId: extractId(variant.productId),
+        productTitle: variant.productTitle,
+        variantId: extractId(variant.variantId),
+        variantTitle: variant.variantTitle,
+        sku: variant.sku,
+        barcode: variant.barcode,
+        tracked: variant.tracked,
+        levels: variant.levels.map(level => ({
+          locationId: extractId(level.locationId),
+          locationName: level.locationName,
+          available: level.available,
+        })),
+      })),
+    };
+  } catch (error) {
+    return toErrorResponse(error);
+  }
+}
+
+// Helper to extract the numeric ID from a GID
+function extractId(value) {
+  if (!value) return "";
+  return String(value).split("/").pop();
+}
@@ -0,0 +1,54 @@
+/**
+ * Admin API Route: Stock history
+ *
+ * Accessible at: /api/stock-history (embedded app requests, authenticated
+ * with the session token)
+ *
+ *   ?item=&location=&at=          quantity at a point in time
+ *   ?item=&location=&from=&to=    daily min/max/close and net change
+ *                                 (YYYY-MM-DD, default the last 30 days)
+ *
+ * `item` and `location` are inventory item and location IDs, numeric or
+ * GID. See inventory-history.service.js for how history is rebuilt.
+ */
+
+import { authenticate } from "../shopify.server";
+import {
+  getInventoryHistory,
+  getQuantityAt,
+  parseHistoryRange,
+} from "../services/inventory-history.service";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const searchParams = new URL(request.url).searchParams;
+  const inventoryItemId = searchParams.get("item")?.trim();
+  const locationId = searchParams.get("location")?.trim();
+
+  if (!inventoryItemId || !locationId) {
+    return Response.json({ error: "item and location are required" }, { status: 400 });
+  }
+
+  if (searchParams.has("at")) {
+    const at = new Date(searchParams.get("at"));
+    if (isNaN(at.getTime())) {
+      return Response.json({ error: "at must be an ISO timestamp" }, { status: 400 });
+    }
+
+    const known = await getQuantityAt({ shop: session.shop, inventoryItemId, locationId, at });
+    return {
+      inventoryItemId,
+      locationId,
+      at: at.toISOString(),
+      quantity: known?.quantity ?? null,
+      // When that quantity was recorded, and whether by webhook or snapshot
+      recordedAt: known?.at ?? null,
+      source: known?.source ?? null,
+    };
+  }
+
+  const { from, to } = parseHistoryRange(searchParams);
+
+  return getInventoryHistory({ shop: session.shop, inventoryItemId, locationId, from, to });
+};
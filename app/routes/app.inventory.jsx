@@ -3,10 +3,31 @@ import { useFetcher } from "react-router";
 import { useAppBridge } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
 import {
+  INVENTORY_ADJUSTMENT_REASONS,
+  INVENTORY_QUANTITY_NAMES,
+  InventoryConflictError,
+  InventoryError,
+  TRANSFER_REASON,
+  applyInventoryDelta,
   getProductInventoryData,
-  updateInventory,
-  validateInventoryInput
+  resolveInventoryTarget,
+  transferInventory,
+  validateInventoryInput,
+  validateTransferInput
 } from "../services/inventory.service";
+import {
+  applyImport,
+  buildImportPreview,
+  buildImportReportCsv,
+  parseInventoryCsv,
+  readPreviewRows
+} from "../services/inventory-import.service";
+import {
+  ADJUSTMENT_SOURCES,
+  getStaffActor,
+  recordInventoryAdjustments
+} from "../services/inventory-audit.service";
+import { getStaffMember } from "../services/staff.service";
 
 /**
  * Admin Route: Inventory Manager
@@ -15,6 +36,13 @@ import {
  *
  * This route provides a simple UI in the Shopify Admin to update product inventory.
  * Users can enter a product ID and quantity change (+/-) to update stock levels.
+ * Products with several variants or locations also need a variant (ID or SKU)
+ * and a location; otherwise the candidates are listed to choose from.
+ *
+ * Stock can be transferred between two locations in a single change.
+ *
+ * A CSV of many rows can also be uploaded: it is previewed as a dry run
+ * first, then applied in batches with a downloadable per-row report.
  */
 
 export const loader = async ({ request }) => {
@@ -23,65 +51,289 @@ export const loader = async ({ request }) => {
 };
 
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const context = await authenticate.admin(request);
+  const { admin, session } = context;
+  const actor = getStaffActor(getStaffMember(context));
 
   try {
     const formData = await request.formData();
+    const intent = formData.get("intent");
+
+    if (intent === "importPreview" || intent === "importApply") {
+      return await handleImport(admin, intent, formData, { shop: session.shop, actor });
+    }
+
+    if (intent === "transfer") {
+      return await handleTransfer(admin, formData, { shop: session.shop, actor });
+    }
+
     const productId = formData.get("productId");
     const quantityChange = formData.get("quantityChange");
+    const variantId = formData.get("variantId");
+    const sku = formData.get("sku");
+    const locationId = formData.get("locationId");
+    const reason = formData.get("reason");
+    const quantityName = formData.get("quantityName");
 
     // Validate input using service
-    const validation = validateInventoryInput(productId, quantityChange);
+    const validation = validateInventoryInput(productId, quantityChange, { reason, quantityName });
     if (!validation.isValid) {
       return { error: validation.error };
     }
 
-    const quantityDelta = validation.quantityDelta;
+    const { quantityDelta } = validation;
 
-    // Step 1: Get product variant and inventory data
+    // Step 1: Get product variants and their inventory levels
     const productData = await getProductInventoryData(admin, productId);
 
     if (!productData) {
       return { error: "Product not found or has no variants" };
     }
 
-    if (!productData.inventoryItemId) {
-      return { error: "Product inventory is not tracked" };
+    // Step 2: Resolve the variant and location to adjust
+    const resolution = resolveInventoryTarget(productData, { variantId, sku, locationId });
+    if (!resolution.isValid) {
+      return {
+        error: resolution.error,
+        ambiguous: resolution.ambiguous || false,
+        candidates: resolution.candidates || [],
+      };
     }
 
-    const { inventoryItemId, locationId, currentQuantity, productTitle } = productData;
-
-    // Step 2: Calculate new quantity (prevent negative inventory)
-    const newQuantity = Math.max(0, currentQuantity + quantityDelta);
+    const { target } = resolution;
+    const { productTitle } = productData;
 
-    // Step 3: Update inventory via GraphQL mutation
-    const result = await updateInventory(admin, {
-      inventoryItemId,
-      locationId,
-      newQuantity,
-      currentQuantity,
+    // Step 3: Apply the change (never below 0), re-reading the level and
+    // retrying when someone else changed it in the meantime
+    const result = await applyInventoryDelta(admin, {
+      productId,
+      target,
+      quantityDelta,
+      name: validation.quantityName,
+      reason: validation.reason,
     });
 
+    // Step 4: Record who made the change, for the adjustment history
+    await recordInventoryAdjustments({
+      shop: session.shop,
+      actor,
+      sourceChannel: ADJUSTMENT_SOURCES.ADMIN_FORM,
+    }, [{
+      productId: productData.productId,
+      productTitle,
+      variantId: target.variantId,
+      variantTitle: target.variantTitle,
+      inventoryItemId: target.inventoryItemId,
+      locationId: target.locationId,
+      locationName: target.locationName,
+      quantityName: validation.quantityName,
+      oldQuantity: result.oldQuantity,
+      newQuantity: result.newQuantity,
+      reason: validation.reason,
+      adjustmentGroupId: result.adjustmentGroupId,
+    }]);
+
     return {
       success: true,
       productTitle,
       productId,
-      oldQuantity: currentQuantity,
+      variantTitle: target.variantTitle,
+      locationName: target.locationName,
+      quantityName: validation.quantityName,
+      reason: validation.reason,
+      oldQuantity: result.oldQuantity,
       newQuantity: result.newQuantity,
       delta: result.delta,
     };
 
   } catch (error) {
+    if (error instanceof InventoryConflictError) {
+      return { error: error.message, code: error.code };
+    }
+
     console.error("Inventory update error:", error);
     return { error: error.message || "Failed to update inventory" };
   }
 };
 
+/**
+ * Handle the bulk CSV import intents
+ * - importPreview: parse the uploaded file and return a dry-run preview
+ * - importApply: apply the previewed rows as shown (each compared against
+ *   the quantity in the preview) and record the applied rows in the
+ *   adjustment history
+ */
+async function handleImport(admin, intent, formData, audit) {
+  if (intent === "importPreview") {
+    const csv = formData.get("csv");
+    const csvText = typeof csv === "string" ? csv : await csv?.text();
+
+    const parsed = parseInventoryCsv(csvText);
+    if (!parsed.isValid) {
+      return { intent, error: parsed.error };
+    }
+
+    return { intent, rows: await buildImportPreview(admin, parsed.rows) };
+  }
+
+  const previewed = readPreviewRows(formData.get("rows"));
+  if (!previewed.isValid) {
+    return { intent, error: previewed.error };
+  }
+
+  const reportRows = await applyImport(admin, previewed.rows);
+
+  await recordInventoryAdjustments({
+    ...audit,
+    sourceChannel: ADJUSTMENT_SOURCES.CSV_IMPORT,
+  }, reportRows.filter(row => row.status === "applied").map(row => ({
+    productId: row.productId,
+    productTitle: row.productTitle,
+    variantId: row.resolvedVariantId,
+    variantTitle: row.variantTitle,
+    inventoryItemId: row.inventoryItemId,
+    locationId: row.locationId,
+    locationName: row.locationName,
+    oldQuantity: row.currentQuantity,
+    newQuantity: row.proposedQuantity,
+    reason: "correction",
+    adjustmentGroupId: row.adjustmentGroupId,
+  })));
+
+  return {
+    intent,
+    rows: reportRows,
+    reportCsv: buildImportReportCsv(reportRows),
+    summary: {
+      applied: reportRows.filter(row => row.status === "applied").length,
+      failed: reportRows.filter(row => row.status === "failed").length,
+      skipped: reportRows.filter(row => row.status === "skipped").length,
+    },
+  };
+}
+
+/**
+ * Handle the transfer intent: move available stock of one variant between
+ * two locations and record both sides in the adjustment history
+ */
+async function handleTransfer(admin, formData, audit) {
+  const productId = formData.get("productId");
+  const variantId = formData.get("variantId");
+  const sku = formData.get("sku");
+  const fromLocationId = formData.get("fromLocationId");
+  const toLocationId = formData.get("toLocationId");
+
+  const validation = validateTransferInput({
+    productId,
+    fromLocationId,
+    toLocationId,
+    quantity: formData.get("quantity"),
+  });
+  if (!validation.isValid) {
+    return transferFailure(validation);
+  }
+
+  const productData = await getProductInventoryData(admin, productId);
+  if (!productData) {
+    return transferFailure({ error: "Product not found or has no variants", field: "productId" });
+  }
+
+  const source = resolveInventoryTarget(productData, { variantId, sku, locationId: fromLocationId });
+  if (!source.isValid) {
+    return transferFailure(source, "fromLocationId");
+  }
+
+  const destination = resolveInventoryTarget(productData, {
+    variantId: source.target.variantId,
+    locationId: toLocationId,
+  });
+  if (!destination.isValid) {
+    return transferFailure(destination, "toLocationId");
+  }
+
+  let result;
+  try {
+    // One paired adjustment, compared on both locations, retried when either changed
+    result = await transferInventory(admin, {
+      productId,
+      source: source.target,
+      destination: destination.target,
+      quantity: validation.quantity,
+    });
+  } catch (error) {
+    if (error instanceof InventoryError) {
+      return transferFailure({ error: error.message, code: error.code, field: error.field }, "fromLocationId");
+    }
+    throw error;
+  }
+
+  const { target } = source;
+  await recordInventoryAdjustments({
+    ...audit,
+    sourceChannel: ADJUSTMENT_SOURCES.TRANSFER,
+  }, [result.from, result.to].map(side => ({
+    productId: productData.productId,
+    productTitle: productData.productTitle,
+    variantId: target.variantId,
+    variantTitle: target.variantTitle,
+    inventoryItemId: target.inventoryItemId,
+    locationId: side.locationId,
+    locationName: side.locationName,
+    oldQuantity: side.oldQuantity,
+    newQuantity: side.newQuantity,
+    reason: TRANSFER_REASON,
+    adjustmentGroupId: result.adjustmentGroupId,
+  })));
+
+  return {
+    intent: "transfer",
+    success: true,
+    productTitle: productData.productTitle,
+    variantTitle: target.variantTitle,
+    quantity: validation.quantity,
+    from: result.from,
+    to: result.to,
+  };
+}
+
+// Transfer form inputs, by the service's field names
+const TRANSFER_FIELDS = {
+  productId: "productId",
+  variantId: "variant",
+  sku: "variant",
+  fromLocationId: "fromLocationId",
+  toLocationId: "toLocationId",
+  quantity: "quantity",
+};
+
+/**
+ * Build the transfer response for a failed validation, resolution or
+ * transfer, naming the form input it belongs to (if any)
+ *
+ * @param {Object} failure - Failure with error and optional code and field
+ * @param {string} [locationField] - Input a "locationId" failure belongs to
+ * @returns {Object} Action data with intent, error, code and field
+ */
+function transferFailure({ error, code = null, field = null }, locationField = null) {
+  return {
+    intent: "transfer",
+    error,
+    code,
+    field: field === "locationId" ? locationField : TRANSFER_FIELDS[field] ?? null,
+  };
+}
+
 export default function InventoryManager() {
   const fetcher = useFetcher();
   const shopify = useAppBridge();
   const [productId, setProductId] = useState("");
   const [quantityChange, setQuantityChange] = useState("");
+  const [variantId, setVariantId] = useState("");
+  const [sku, setSku] = useState("");
+  const [locationId, setLocationId] = useState("");
+  const [reason, setReason] = useState("correction");
+  const [quantityName, setQuantityName] = useState("available");
+  const [pickedTitle, setPickedTitle] = useState("");
 
   const isLoading =
     ["loading", "submitting"].includes(fetcher.state) &&
@@ -98,6 +350,23 @@ export default function InventoryManager() {
     }
   }, [fetcher.data?.success, shopify, fetcher.data?.productTitle, fetcher.data?.oldQuantity, fetcher.data?.newQuantity]);
 
+  // Pick a variant/location from the ambiguous target candidates
+  const selectTarget = (candidateVariantId, candidateLocationId) => {
+    setVariantId(extractId(candidateVariantId));
+    setSku("");
+    setLocationId(extractId(candidateLocationId));
+  };
+
+  const handlePickProduct = async () => {
+    const picked = await pickProductVariant(shopify);
+    if (!picked) return;
+
+    setProductId(picked.productId);
+    setVariantId(picked.variantId);
+    setSku("");
+    setPickedTitle(picked.title);
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!productId || !quantityChange) return;
@@ -105,6 +374,11 @@ export default function InventoryManager() {
     const formData = new FormData();
     formData.append("productId", productId);
     formData.append("quantityChange", quantityChange);
+    if (variantId) formData.append("variantId", variantId);
+    if (sku) formData.append("sku", sku);
+    if (locationId) formData.append("locationId", locationId);
+    formData.append("reason", reason);
+    formData.append("quantityName", quantityName);
 
     fetcher.submit(formData, { method: "POST" });
   };
@@ -113,22 +387,59 @@ export default function InventoryManager() {
     <s-page heading="Inventory Manager">
       <s-section heading="Update Product Inventory">
         <s-paragraph>
-          Enter a Product ID and the quantity change (positive to add, negative to subtract).
-          The inventory will be updated at the first available location.
+          Choose a product (or enter its ID) and the quantity change (positive to add,
+          negative to subtract). If the product has several variants or is stocked at
+          several locations, also choose the variant and enter the location to update.
         </s-paragraph>
 
         <form onSubmit={handleSubmit}>
           <s-stack direction="block" gap="base">
+            {/* Product Picker */}
+            <s-stack direction="inline" gap="base" alignItems="center">
+              <s-button onClick={handlePickProduct}>Choose product</s-button>
+              {pickedTitle && <s-text>{pickedTitle}</s-text>}
+            </s-stack>
+
             {/* Product ID Input */}
             <s-text-field
               label="Product ID"
               value={productId}
-              onInput={(e) => setProductId(e.target.value)}
+              onInput={(e) => {
+                setProductId(e.target.value);
+                setPickedTitle("");
+              }}
               placeholder="e.g., 1234567890"
-              helpText="Find this in the product URL: /admin/products/[ID]"
+              helpText="Filled in by Choose product, or find it in the product URL: /admin/products/[ID]"
               required
             />
 
+            {/* Variant Input */}
+            <s-text-field
+              label="Variant ID"
+              value={variantId}
+              onInput={(e) => setVariantId(e.target.value)}
+              placeholder="e.g., 9876543210"
+              helpText="Required when the product has more than one variant (or enter a SKU)"
+            />
+
+            {/* SKU Input */}
+            <s-text-field
+              label="SKU"
+              value={sku}
+              onInput={(e) => setSku(e.target.value)}
+              placeholder="e.g., TSHIRT-M-BLUE"
+              helpText="Alternative to the variant ID"
+            />
+
+            {/* Location Input */}
+            <s-text-field
+              label="Location ID"
+              value={locationId}
+              onInput={(e) => setLocationId(e.target.value)}
+              placeholder="e.g., 1122334455"
+              helpText="Required when the variant is stocked at more than one location"
+            />
+
             {/* Quantity Change Input */}
             <s-text-field
               label="Quantity Change"
@@ -140,6 +451,29 @@ export default function InventoryManager() {
               required
             />
 
+            {/* Quantity Name Select */}
+            <s-select
+              label="Quantity"
+              value={quantityName}
+              onChange={(e) => setQuantityName(e.target.value)}
+              details="Changing anything other than Available moves units between it and Available"
+            >
+              {QUANTITY_NAME_OPTIONS.map(({ value, label }) => (
+                <s-option key={value} value={value}>{label}</s-option>
+              ))}
+            </s-select>
+
+            {/* Reason Select */}
+            <s-select
+              label="Reason"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+            >
+              {REASON_OPTIONS.map(({ value, label }) => (
+                <s-option key={value} value={value}>{label}</s-option>
+              ))}
+            </s-select>
+
             {/* Submit Button */}
             <s-button
               type="submit"
@@ -151,20 +485,60 @@ export default function InventoryManager() {
             </s-button>
 
             {/* Error Message */}
-            {fetcher.data?.error && (
+            {fetcher.data?.error && fetcher.data.code === "INVENTORY_CONFLICT" ? (
+              <s-banner tone="warning" heading="Stock changed by someone else">
+                <s-text>{fetcher.data.error}</s-text>
+              </s-banner>
+            ) : fetcher.data?.error && (
               <s-banner tone="critical">
                 <s-text>{fetcher.data.error}</s-text>
               </s-banner>
             )}
 
+            {/* Ambiguous Target Candidates */}
+            {fetcher.data?.ambiguous && fetcher.data.candidates.length > 0 && (
+              <s-table>
+                <s-table-header-row>
+                  <s-table-header>Variant</s-table-header>
+                  <s-table-header>SKU</s-table-header>
+                  <s-table-header>Location</s-table-header>
+                  <s-table-header>Available</s-table-header>
+                  <s-table-header></s-table-header>
+                </s-table-header-row>
+                <s-table-body>
+                  {fetcher.data.candidates.flatMap((candidate) =>
+                    candidate.levels.map((level) => (
+                      <s-table-row key={`${candidate.variantId}-${level.locationId}`}>
+                        <s-table-cell>{candidate.variantTitle}</s-table-cell>
+                        <s-table-cell>{candidate.sku || "—"}</s-table-cell>
+                        <s-table-cell>{level.locationName}</s-table-cell>
+                        <s-table-cell>{level.available}</s-table-cell>
+                        <s-table-cell>
+                          <s-button
+                            variant="tertiary"
+                            onClick={() => selectTarget(candidate.variantId, level.locationId)}
+                          >
+                            Select
+                          </s-button>
+                        </s-table-cell>
+                      </s-table-row>
+                    ))
+                  )}
+                </s-table-body>
+              </s-table>
+            )}
+
             {/* Success Message */}
             {fetcher.data?.success && (
               <s-banner tone="success">
                 <s-stack direction="block" gap="tight">
                   <s-text fontWeight="bold">{fetcher.data.productTitle}</s-text>
                   <s-text>
-                    Inventory updated: {fetcher.data.oldQuantity} → {fetcher.data.newQuantity}
-                    {" "}({fetcher.data.delta > 0 ? "+" : ""}{fetcher.data.delta})
+                    {fetcher.data.variantTitle} at {fetcher.data.locationName}
+                  </s-text>
+                  <s-text>
+                    {QUANTITY_NAME_LABELS[fetcher.data.quantityName] ?? fetcher.data.quantityName} updated: {fetcher.data.oldQuantity} → {fetcher.data.newQuantity}
+                    {" "}({fetcher.data.delta > 0 ? "+" : ""}{fetcher.data.delta}, {fetcher.data.reason})
                   </s-text>
                 </s-stack>
               </s-banner>
@@ -173,11 +547,16 @@ export default function InventoryManager() {
         </form>
       </s-section>
 
+      <TransferSection />
+
+      <BulkImportSection />
+
       {/* Instructions Section */}
       <s-section slot="aside" heading="How to use">
         <s-stack direction="block" gap="base">
           <s-paragraph>
-             Enter product id and qty to change stock
+             Enter product id and qty to change stock. For products with
+             several variants or locations, pick the variant and location too.
           </s-paragraph>
         </s-stack>
       </s-section>
@@ -194,8 +573,396 @@ export default function InventoryManager() {
           <s-list-item>
             <s-text>Inventory cannot go below 0</s-text>
           </s-list-item>
+          <s-list-item>
+            <s-text>+2 Damaged = Move 2 units from Available to Damaged</s-text>
+          </s-list-item>
         </s-unordered-list>
       </s-section>
+
+      {/* CSV Format Section */}
+      <s-section slot="aside" heading="CSV format">
+        <s-paragraph>
+          Header row with <code>sku</code> or <code>variant_id</code>,
+          {" "}<code>location</code> (ID or name), and <code>delta</code> or
+          {" "}<code>quantity</code>:
+        </s-paragraph>
+        <pre>{"sku,location,delta\nTSHIRT-M,Main Warehouse,-3\nTSHIRT-L,East DC,12"}</pre>
+      </s-section>
     </s-page>
   );
 }
+
+/**
+ * Transfer stock of one variant between two locations in one change
+ */
+function TransferSection() {
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [productId, setProductId] = useState("");
+  const [variant, setVariant] = useState("");
+  const [fromLocationId, setFromLocationId] = useState("");
+  const [toLocationId, setToLocationId] = useState("");
+  const [quantity, setQuantity] = useState("");
+  const [pickedTitle, setPickedTitle] = useState("");
+
+  const isLoading = ["loading", "submitting"].includes(fetcher.state);
+  const result = fetcher.data?.success ? fetcher.data : null;
+  const fieldError = (field) => fetcher.data?.field === field ? fetcher.data.error : undefined;
+
+  useEffect(() => {
+    if (result) {
+      shopify.toast.show(
+        `Moved ${result.quantity} from ${result.from.locationName} to ${result.to.locationName}`
+      );
+      setQuantity("");
+    }
+  }, [result, shopify]);
+
+  const handlePickProduct = async () => {
+    const picked = await pickProductVariant(shopify);
+    if (!picked) return;
+
+    setProductId(picked.productId);
+    setVariant(picked.variantId);
+    setPickedTitle(picked.title);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const formData = new FormData();
+    formData.append("intent", "transfer");
+    formData.append("productId", productId);
+    // Numeric values are variant IDs, anything else is a SKU
+    if (/^\d+$/.test(variant)) formData.append("variantId", variant);
+    else if (variant) formData.append("sku", variant);
+    formData.append("fromLocationId", fromLocationId);
+    formData.append("toLocationId", toLocationId);
+    formData.append("quantity", quantity);
+
+    fetcher.submit(formData, { method: "POST" });
+  };
+
+  return (
+    <s-section heading="Transfer Between Locations">
+      <form onSubmit={handleSubmit}>
+        <s-stack direction="block" gap="base">
+          <s-paragraph>
+            Moves available units from one location to another. Both locations
+            change together, and the source cannot go below 0.
+          </s-paragraph>
+
+          <s-stack direction="inline" gap="base" alignItems="center">
+            <s-button onClick={handlePickProduct}>Choose product</s-button>
+            {pickedTitle && <s-text>{pickedTitle}</s-text>}
+          </s-stack>
+
+          <s-grid gridTemplateColumns="repeat(2, 1fr)" gap="base">
+            <s-text-field
+              label="Product ID"
+              error={fieldError("productId")}
+              value={productId}
+              onInput={(e) => {
+                setProductId(e.target.value);
+                setPickedTitle("");
+              }}
+              required
+            />
+            <s-text-field
+              label="Variant ID or SKU"
+              error={fieldError("variant")}
+              value={variant}
+              onInput={(e) => {
+                setVariant(e.target.value);
+                setPickedTitle("");
+              }}
+              helpText="Required when the product has more than one variant"
+            />
+            <s-text-field
+              label="From location ID"
+              error={fieldError("fromLocationId")}
+              value={fromLocationId}
+              onInput={(e) => setFromLocationId(e.target.value)}
+              required
+            />
+            <s-text-field
+              label="To location ID"
+              error={fieldError("toLocationId")}
+              value={toLocationId}
+              onInput={(e) => setToLocationId(e.target.value)}
+              required
+            />
+            <s-number-field
+              label="Quantity"
+              error={fieldError("quantity")}
+              value={quantity}
+              onInput={(e) => setQuantity(e.target.value)}
+              min={1}
+              required
+            />
+          </s-grid>
+
+          <s-button
+            type="submit"
+            variant="primary"
+            {...(isLoading ? { loading: true } : {})}
+            disabled={!productId || !fromLocationId || !toLocationId || !quantity}
+          >
+            Transfer
+          </s-button>
+
+          {fetcher.data?.error && !fetcher.data.field && (
+            <s-banner tone="critical">
+              <s-text>{fetcher.data.error}</s-text>
+            </s-banner>
+          )}
+
+          {result && (
+            <s-banner tone="success">
+              <s-stack direction="block" gap="tight">
+                <s-text fontWeight="bold">{result.productTitle} – {result.variantTitle}</s-text>
+                <s-text>
+                  {result.from.locationName}: {result.from.oldQuantity} → {result.from.newQuantity}
+                </s-text>
+                <s-text>
+                  {result.to.locationName}: {result.to.oldQuantity} → {result.to.newQuantity}
+                </s-text>
+              </s-stack>
+            </s-banner>
+          )}
+        </s-stack>
+      </form>
+    </s-section>
+  );
+}
+
+/**
+ * Bulk CSV import: upload → dry-run preview → apply → downloadable report
+ */
+function BulkImportSection() {
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [file, setFile] = useState(null);
+
+  const isLoading = ["loading", "submitting"].includes(fetcher.state);
+  const data = fetcher.data;
+  const preview = data?.intent === "importPreview" && !data.error ? data : null;
+  const report = data?.intent === "importApply" && !data.error ? data : null;
+
+  useEffect(() => {
+    if (report) {
+      shopify.toast.show(
+        `Import finished: ${report.summary.applied} applied, ${report.summary.failed} failed`
+      );
+    }
+  }, [report, shopify]);
+
+  const handlePreview = () => {
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append("intent", "importPreview");
+    formData.append("csv", file);
+
+    fetcher.submit(formData, { method: "POST", encType: "multipart/form-data" });
+  };
+
+  const handleApply = () => {
+    const formData = new FormData();
+    formData.append("intent", "importApply");
+    formData.append("rows", JSON.stringify(preview.rows));
+
+    fetcher.submit(formData, { method: "POST", encType: "multipart/form-data" });
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([report.reportCsv], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `inventory-import-report-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const rows = report?.rows || preview?.rows || [];
+  const applicableCount = preview
+    ? preview.rows.filter(row => !row.error && row.proposedQuantity !== row.currentQuantity).length
+    : 0;
+
+  return (
+    <s-section heading="Bulk Import (CSV)">
+      <s-stack direction="block" gap="base">
+        <s-paragraph>
+          Upload a cycle-count CSV to preview the changes before applying them.
+          Nothing is changed until you apply the preview.
+        </s-paragraph>
+
+        <label>
+          <s-text>CSV file</s-text>
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={(e) => setFile(e.target.files?.[0] || null)}
+          />
+        </label>
+
+        <s-stack direction="inline" gap="base">
+          <s-button
+            onClick={handlePreview}
+            disabled={!file}
+            {...(isLoading && !preview ? { loading: true } : {})}
+          >
+            Preview (dry run)
+          </s-button>
+
+          {preview && (
+            <s-button
+              variant="primary"
+              onClick={handleApply}
+              disabled={applicableCount === 0}
+              {...(isLoading ? { loading: true } : {})}
+            >
+              Apply {applicableCount} change{applicableCount === 1 ? "" : "s"}
+            </s-button>
+          )}
+
+          {report && (
+            <s-button onClick={handleDownload}>Download report</s-button>
+          )}
+        </s-stack>
+
+        {data?.error && (
+          <s-banner tone="critical">
+            <s-text>{data.error}</s-text>
+          </s-banner>
+        )}
+
+        {report && (
+          <s-banner tone={report.summary.failed > 0 ? "warning" : "success"}>
+            <s-text>
+              {report.summary.applied} applied, {report.summary.failed} failed,
+              {" "}{report.summary.skipped} skipped
+            </s-text>
+          </s-banner>
+        )}
+
+        {rows.length > 0 && (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Line</s-table-header>
+              <s-table-header>Variant</s-table-header>
+              <s-table-header>Location</s-table-header>
+              <s-table-header>Current</s-table-header>
+              <s-table-header>Proposed</s-table-header>
+              <s-table-header>{report ? "Result" : "Warnings"}</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {rows.map((row) => (
+                <s-table-row key={row.line}>
+                  <s-table-cell>{row.line}</s-table-cell>
+                  <s-table-cell>
+                    {row.productTitle
+                      ? `${row.productTitle} – ${row.variantTitle}`
+                      : row.sku || row.variantId}
+                  </s-table-cell>
+                  <s-table-cell>{row.locationName || row.location}</s-table-cell>
+                  <s-table-cell>{row.currentQuantity ?? "—"}</s-table-cell>
+                  <s-table-cell>{row.proposedQuantity ?? "—"}</s-table-cell>
+                  <s-table-cell>
+                    {report ? (
+                      <s-badge tone={IMPORT_STATUS_TONES[row.status]}>
+                        {row.status}{row.message ? `: ${row.message}` : ""}
+                      </s-badge>
+                    ) : row.error ? (
+                      <s-badge tone="critical">{row.error}</s-badge>
+                    ) : (
+                      row.warnings.map((warning) => (
+                        <s-badge key={warning} tone="warning">{warning}</s-badge>
+                      ))
+                    )}
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-stack>
+    </s-section>
+  );
+}
+
+const QUANTITY_NAME_LABELS = {
+  available: "Available",
+  damaged: "Damaged",
+  safety_stock: "Safety stock",
+  quality_control: "Quality control",
+};
+
+const REASON_LABELS = {
+  correction: "Correction",
+  cycle_count_available: "Cycle count",
+  damaged: "Damaged",
+  quality_control: "Quality control",
+  received: "Received",
+  restock: "Restock",
+  safety_stock: "Safety stock",
+  shrinkage: "Shrinkage",
+  promotion: "Promotion",
+  other: "Other",
+};
+
+// The service lists are the source of truth; a value without a label shows as-is
+const QUANTITY_NAME_OPTIONS = INVENTORY_QUANTITY_NAMES.map(value => ({
+  value,
+  label: QUANTITY_NAME_LABELS[value] ?? value,
+}));
+
+const REASON_OPTIONS = INVENTORY_ADJUSTMENT_REASONS.map(value => ({
+  value,
+  label: REASON_LABELS[value] ?? value,
+}));
+
+const IMPORT_STATUS_TONES = {
+  applied: "success",
+  failed: "critical",
+  skipped: "neutral",
+};
+
+/**
+ * Choose a product, and optionally one of its variants, with the App
+ * Bridge resource picker
+ *
+ * @param {Object} shopify - App Bridge instance
+ * @returns {Promise<Object|null>} Numeric productId, variantId ("" unless
+ *   exactly one variant was chosen) and a display title; null if cancelled
+ */
+async function pickProductVariant(shopify) {
+  const selection = await shopify.resourcePicker({
+    type: "product",
+    action: "select",
+    multiple: false,
+    filter: { variants: true },
+  });
+
+  const product = selection?.[0];
+  if (!product) return null;
+
+  // Only the chosen variants are returned; several means the merchant
+  // still has to pick one, so leave the variant empty
+  const variant = product.variants?.length === 1 ? product.variants[0] : null;
+
+  return {
+    productId: extractId(product.id),
+    variantId: variant ? extractId(variant.id) : "",
+    title: variant && variant.title !== "Default Title"
+      ? `${product.title} – ${variant.title}`
+      : product.title,
+  };
+}
+
+// Helper to extract the numeric ID from a GID
+function extractId(value) {
+  if (!value) return "";
+  return String(value).split("/").pop();
+}
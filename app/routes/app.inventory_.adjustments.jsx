@@ -0,0 +1,136 @@
+/**
+ * Admin Route: Inventory Adjustment History
+ *
+ * Accessible at: /app/inventory/adjustments
+ *
+ * Lists the stock changes made through the app (admin form, CSV import,
+ * transfers, storefront proxy): who made them, why, and the inventory_levels/update
+ * webhook event each one correlates with. Filters live in the URL search
+ * params.
+ */
+
+import { useLoaderData, useSearchParams } from "react-router";
+import { authenticate } from "../shopify.server";
+import {
+  getInventoryAdjustments,
+  parseInventoryAdjustmentFilters,
+} from "../services/inventory-audit.service";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const filters = parseInventoryAdjustmentFilters(new URL(request.url).searchParams);
+  const adjustments = await getInventoryAdjustments({ shop: session.shop, filters });
+
+  return { adjustments, filters };
+};
+
+export default function InventoryAdjustments() {
+  const { adjustments, filters } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const setFilter = (param) => (e) => {
+    const params = new URLSearchParams(searchParams);
+    if (e.target.value) {
+      params.set(param, e.target.value);
+    } else {
+      params.delete(param);
+    }
+    setSearchParams(params);
+  };
+
+  return (
+    <s-page heading="Inventory adjustments">
+      <s-link slot="breadcrumb-actions" href="/app/inventory">
+        Inventory
+      </s-link>
+
+      <s-section>
+        <s-grid gridTemplateColumns="repeat(3, 1fr)" gap="base">
+          <s-select label="Source" value={filters.sourceChannel || ""} onChange={setFilter("source")}>
+            <s-option value="">Any</s-option>
+            {Object.entries(SOURCE_LABELS).map(([source, label]) => (
+              <s-option key={source} value={source}>{label}</s-option>
+            ))}
+          </s-select>
+          <s-select label="Actor" value={filters.actorType || ""} onChange={setFilter("actor")}>
+            <s-option value="">Any</s-option>
+            <s-option value="staff">Staff</s-option>
+            <s-option value="storefront_proxy">Storefront proxy</s-option>
+          </s-select>
+        </s-grid>
+      </s-section>
+
+      <s-section>
+        {adjustments.length === 0 ? (
+          <s-paragraph>
+            No adjustments yet. Stock changes made from the Inventory page,
+            the stock grid, CSV imports and the storefront will appear here.
+          </s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Date</s-table-header>
+              <s-table-header>Product</s-table-header>
+              <s-table-header>Location</s-table-header>
+              <s-table-header>Change</s-table-header>
+              <s-table-header>Reason</s-table-header>
+              <s-table-header>Made by</s-table-header>
+              <s-table-header>Source</s-table-header>
+              <s-table-header>Webhook</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {adjustments.map((adjustment) => (
+                <s-table-row key={adjustment.id}>
+                  <s-table-cell>{new Date(adjustment.createdAt).toLocaleString()}</s-table-cell>
+                  <s-table-cell>
+                    {adjustment.productTitle || extractId(adjustment.productId) || "—"}
+                    {adjustment.variantTitle ? ` – ${adjustment.variantTitle}` : ""}
+                  </s-table-cell>
+                  <s-table-cell>{adjustment.locationName || extractId(adjustment.locationId)}</s-table-cell>
+                  <s-table-cell>
+                    {adjustment.oldQuantity} → {adjustment.newQuantity}
+                    {" "}({adjustment.delta > 0 ? "+" : ""}{adjustment.delta})
+                    {adjustment.quantityName !== "available" ? ` ${adjustment.quantityName}` : ""}
+                  </s-table-cell>
+                  <s-table-cell>{adjustment.reason}</s-table-cell>
+                  <s-table-cell>
+                    {adjustment.actorName}
+                    {adjustment.actorType === "storefront_proxy"
+                      ? ` (${adjustment.actorId ? `customer ${extractId(adjustment.actorId)}` : "guest"})`
+                      : ""}
+                  </s-table-cell>
+                  <s-table-cell>{SOURCE_LABELS[adjustment.sourceChannel] || adjustment.sourceChannel}</s-table-cell>
+                  <s-table-cell>
+                    {adjustment.webhookEvent ? (
+                      <s-link href={`/app/webhook-logs/${adjustment.webhookEvent.id}`}>
+                        {new Date(adjustment.webhookEvent.receivedAt).toLocaleTimeString()}
+                      </s-link>
+                    ) : (
+                      <s-text subdued>Not received</s-text>
+                    )}
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+// Keyed by ADJUSTMENT_SOURCES (the service is server-only)
+const SOURCE_LABELS = {
+  admin_form: "Inventory page",
+  admin_grid: "Stock grid",
+  csv_import: "CSV import",
+  transfer: "Transfer",
+  storefront_proxy: "Storefront",
+};
+
+// Helper to extract the numeric ID from a GID
+function extractId(value) {
+  if (!value) return "";
+  return String(value).split("/").pop();
+}
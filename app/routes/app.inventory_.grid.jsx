@@ -0,0 +1,400 @@
+/**
+ * Admin Route: Stock Grid
+ *
+ * Accessible at: /app/inventory/grid
+ *
+ * Lists every variant at every location with its available, committed,
+ * on-hand and incoming quantities, a page of variants at a time. Available
+ * is edited inline and saved with compare-and-set against the value shown,
+ * so a change made elsewhere in the meantime is reported instead of
+ * overwritten. The search and page cursor live in the URL search params.
+ *
+ * While the page is open it polls /app/inventory/grid/changes and reloads
+ * the rows when an inventory_levels/update webhook for a visible item has
+ * been recorded since they were loaded.
+ */
+
+import { useState, useEffect } from "react";
+import { useFetcher, useLoaderData, useRevalidator, useSearchParams } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  InventoryConflictError,
+  getInventoryGrid,
+  updateInventory,
+} from "../services/inventory.service";
+import {
+  ADJUSTMENT_SOURCES,
+  getStaffActor,
+  recordInventoryAdjustments
+} from "../services/inventory-audit.service";
+import { getStaffMember } from "../services/staff.service";
+
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+
+  // Taken before reading Shopify, so no webhook recorded while the page
+  // is built is missed by the change polling
+  const loadedAt = new Date().toISOString();
+
+  const searchParams = new URL(request.url).searchParams;
+  const query = searchParams.get("q")?.trim() || "";
+
+  const { rows, pageInfo } = await getInventoryGrid(admin, {
+    query,
+    after: searchParams.get("after") || undefined,
+    before: searchParams.get("before") || undefined,
+  });
+
+  return { rows, pageInfo, query, loadedAt };
+};
+
+export const action = async ({ request }) => {
+  const context = await authenticate.admin(request);
+  const { admin, session } = context;
+  let key = "";
+
+  try {
+    const formData = await request.formData();
+    key = String(formData.get("key") || "");
+
+    if (formData.get("intent") !== "setAvailable") {
+      return { error: "Unknown action" };
+    }
+
+    const currentQuantity = Number(formData.get("currentQuantity"));
+    const newQuantity = Number(formData.get("newQuantity"));
+
+    if (!Number.isInteger(newQuantity) || newQuantity < 0) {
+      return { key, error: "Available must be a whole number of 0 or more" };
+    }
+    if (!Number.isInteger(currentQuantity)) {
+      return { key, error: "Reload the page and try again" };
+    }
+
+    const row = {
+      productId: String(formData.get("productId") || ""),
+      productTitle: String(formData.get("productTitle") || ""),
+      variantId: String(formData.get("variantId") || ""),
+      variantTitle: String(formData.get("variantTitle") || ""),
+      inventoryItemId: String(formData.get("inventoryItemId") || ""),
+      locationId: String(formData.get("locationId") || ""),
+      locationName: String(formData.get("locationName") || ""),
+    };
+
+    const result = await updateInventory(admin, {
+      inventoryItemId: row.inventoryItemId,
+      locationId: row.locationId,
+      newQuantity,
+      currentQuantity,
+      reason: GRID_REASON,
+    });
+
+    await recordInventoryAdjustments({
+      shop: session.shop,
+      actor: getStaffActor(getStaffMember(context)),
+      sourceChannel: ADJUSTMENT_SOURCES.ADMIN_GRID,
+    }, [{
+      ...row,
+      quantityName: "available",
+      oldQuantity: currentQuantity,
+      newQuantity: result.newQuantity,
+      reason: GRID_REASON,
+      adjustmentGroupId: result.adjustmentGroupId,
+    }]);
+
+    return {
+      success: true,
+      key,
+      message: `${row.variantTitle} at ${row.locationName}: ${currentQuantity} → ${result.newQuantity}`,
+      newQuantity: result.newQuantity,
+    };
+  } catch (error) {
+    if (error instanceof InventoryConflictError) {
+      return {
+        key,
+        error: "This stock changed since the grid was loaded. The row has been refreshed; enter the new quantity again.",
+        code: error.code,
+      };
+    }
+
+    console.error("Stock grid update error:", error);
+    return { key, error: error.message || "Failed to update inventory" };
+  }
+};
+
+export default function StockGrid() {
+  const { rows, pageInfo, query, loadedAt } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const revalidator = useRevalidator();
+  const changes = useFetcher();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const [search, setSearch] = useState(query);
+  const [changedKeys, setChangedKeys] = useState([]);
+
+  // Edits by row key. Each keeps the quantity it started from, which is
+  // sent as the compare-and-set value even if the rows reload meanwhile.
+  const [edits, setEdits] = useState({});
+
+  const savingKey = ["loading", "submitting"].includes(fetcher.state)
+    ? fetcher.formData?.get("key")
+    : null;
+
+  // A saved or conflicting edit is dropped; the reloaded row shows the
+  // current quantity
+  useEffect(() => {
+    const result = fetcher.data;
+    if (!result?.success && result?.code !== "INVENTORY_CONFLICT") return;
+
+    if (result.success) {
+      shopify.toast.show(result.message);
+    }
+    setEdits(current => withoutKey(current, result.key));
+  }, [fetcher.data, shopify]);
+
+  // Numeric inventory item IDs, as recorded from webhook payloads
+  const itemIds = [...new Set(rows.map(row => extractId(row.inventoryItemId)))].join(",");
+  const { load: loadChanges } = changes;
+
+  // Poll for webhooks recorded since the rows were loaded
+  useEffect(() => {
+    if (!itemIds) return undefined;
+
+    const timer = setInterval(() => {
+      if (document.visibilityState !== "visible") return;
+      loadChanges(`/app/inventory/grid/changes?since=${encodeURIComponent(loadedAt)}&items=${itemIds}`);
+    }, CHANGES_POLL_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [loadChanges, loadedAt, itemIds]);
+
+  // Reload when a change recorded after these rows were loaded isn't
+  // reflected in them (the webhook of an edit made here already is)
+  useEffect(() => {
+    if (revalidator.state !== "idle") return;
+
+    const stale = (changes.data?.updates || []).filter(update => update.recordedAt > loadedAt && rows.some(row =>
+      extractId(row.inventoryItemId) === update.inventoryItemId
+      && extractId(row.locationId) === update.locationId
+      && row.quantities?.available !== update.available
+    ));
+    if (stale.length === 0) return;
+
+    setChangedKeys(stale.map(update => `${update.inventoryItemId}|${update.locationId}`));
+    shopify.toast.show("Stock changed in Shopify; rows refreshed");
+    revalidator.revalidate();
+  }, [changes.data, rows, loadedAt, revalidator, shopify]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+
+    const params = new URLSearchParams();
+    if (search.trim()) {
+      params.set("q", search.trim());
+    }
+    setSearchParams(params);
+  };
+
+  const setEdit = (row, value) => {
+    const key = rowKey(row);
+    setEdits(current => ({
+      ...current,
+      [key]: { from: current[key]?.from ?? row.quantities.available, value },
+    }));
+  };
+
+  const cancelEdit = (row) => {
+    setEdits(current => withoutKey(current, rowKey(row)));
+  };
+
+  const handleSave = (row) => {
+    const edit = edits[rowKey(row)];
+
+    fetcher.submit({
+      intent: "setAvailable",
+      key: rowKey(row),
+      productId: row.productId,
+      productTitle: row.productTitle,
+      variantId: row.variantId,
+      variantTitle: row.variantTitle,
+      inventoryItemId: row.inventoryItemId,
+      locationId: row.locationId,
+      locationName: row.locationName,
+      currentQuantity: String(edit.from),
+      newQuantity: edit.value,
+    }, { method: "POST" });
+  };
+
+  const goToPage = (param, cursor) => {
+    const params = new URLSearchParams(searchParams);
+    params.delete("after");
+    params.delete("before");
+    params.set(param, cursor);
+    setSearchParams(params);
+  };
+
+  return (
+    <s-page heading="Stock grid">
+      <s-link slot="breadcrumb-actions" href="/app/inventory">
+        Inventory
+      </s-link>
+
+      <s-section>
+        <form onSubmit={handleSearch}>
+          <s-stack direction="inline" gap="base" alignItems="end">
+            <s-search-field
+              label="Search"
+              labelAccessibilityVisibility="exclusive"
+              placeholder="Product title, SKU or barcode"
+              value={search}
+              onInput={(e) => setSearch(e.target.value)}
+            />
+            <s-button type="submit">Search</s-button>
+          </s-stack>
+        </form>
+      </s-section>
+
+      <s-section>
+        {rows.length === 0 ? (
+          <s-paragraph>
+            {query ? `No variants match "${query}".` : "No variants yet."}
+          </s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Product</s-table-header>
+              <s-table-header>Location</s-table-header>
+              <s-table-header>Available</s-table-header>
+              <s-table-header>Committed</s-table-header>
+              <s-table-header>On hand</s-table-header>
+              <s-table-header>Incoming</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {rows.map((row) => {
+                const key = rowKey(row);
+                const edit = edits[key];
+                const isDirty = edit && edit.value !== "" && Number(edit.value) !== edit.from;
+                const error = fetcher.data?.key === key ? fetcher.data.error : null;
+
+                return (
+                  <s-table-row key={key}>
+                    <s-table-cell>
+                      <s-stack direction="block" gap="small-200">
+                        <s-text fontWeight="bold">{row.productTitle}</s-text>
+                        <s-text subdued>
+                          {row.variantTitle}
+                          {row.sku ? ` (${row.sku})` : ""}
+                        </s-text>
+                        <s-link href={`/app/stock-history?item=${extractId(row.inventoryItemId)}`}>
+                          History
+                        </s-link>
+                      </s-stack>
+                    </s-table-cell>
+                    <s-table-cell>
+                      {row.locationName || <s-text subdued>Not stocked</s-text>}
+                      {changedKeys.includes(key) && <s-badge tone="info">Updated</s-badge>}
+                    </s-table-cell>
+                    <s-table-cell>
+                      {!row.quantities ? "—" : !row.tracked ? (
+                        <s-text subdued>Not tracked</s-text>
+                      ) : (
+                        <s-stack direction="block" gap="small-200">
+                          <s-stack direction="inline" gap="small-200" alignItems="center">
+                            <s-number-field
+                              label="Available"
+                              labelAccessibilityVisibility="exclusive"
+                              value={edit ? edit.value : String(row.quantities.available)}
+                              onInput={(e) => setEdit(row, e.target.value)}
+                              min={0}
+                            />
+                            {isDirty && (
+                              <s-button
+                                variant="primary"
+                                onClick={() => handleSave(row)}
+                                {...(savingKey === key ? { loading: true } : {})}
+                                {...(savingKey && savingKey !== key ? { disabled: true } : {})}
+                              >
+                                Save
+                              </s-button>
+                            )}
+                            {edit && (
+                              <s-button variant="tertiary" onClick={() => cancelEdit(row)}>
+                                Cancel
+                              </s-button>
+                            )}
+                          </s-stack>
+                          {error && <s-text tone="critical">{error}</s-text>}
+                        </s-stack>
+                      )}
+                    </s-table-cell>
+                    <s-table-cell>{row.quantities?.committed ?? "—"}</s-table-cell>
+                    <s-table-cell>{row.quantities?.on_hand ?? "—"}</s-table-cell>
+                    <s-table-cell>{row.quantities?.incoming ?? "—"}</s-table-cell>
+                  </s-table-row>
+                );
+              })}
+            </s-table-body>
+          </s-table>
+        )}
+
+        {(pageInfo.hasPreviousPage || pageInfo.hasNextPage) && (
+          <s-stack direction="inline" gap="base" justifyContent="center">
+            <s-button
+              disabled={!pageInfo.hasPreviousPage}
+              onClick={() => goToPage("before", pageInfo.startCursor)}
+            >
+              Previous
+            </s-button>
+            <s-button
+              disabled={!pageInfo.hasNextPage}
+              onClick={() => goToPage("after", pageInfo.endCursor)}
+            >
+              Next
+            </s-button>
+          </s-stack>
+        )}
+      </s-section>
+
+      <s-section slot="aside" heading="Editing stock">
+        <s-unordered-list>
+          <s-list-item>
+            Change Available and save the row; it is set only if nobody
+            changed it since the grid was loaded
+          </s-list-item>
+          <s-list-item>
+            Committed, on hand and incoming are maintained by Shopify from
+            orders, transfers and purchase orders
+          </s-list-item>
+          <s-list-item>
+            Rows reload when Shopify reports a stock change for them
+          </s-list-item>
+          <s-list-item>
+            Edits are recorded as corrections in the adjustment history
+          </s-list-item>
+        </s-unordered-list>
+      </s-section>
+    </s-page>
+  );
+}
+
+// Grid edits are stock counts corrected by staff
+const GRID_REASON = "correction";
+
+const CHANGES_POLL_INTERVAL_MS = 10000;
+
+// Rows are keyed by numeric inventory item and location IDs, as in webhooks
+function rowKey(row) {
+  return `${extractId(row.inventoryItemId)}|${extractId(row.locationId)}`;
+}
+
+function withoutKey(object, key) {
+  return Object.fromEntries(Object.entries(object).filter(([k]) => k !== key));
+}
+
+// Helper to extract the numeric ID from a GID
+function extractId(value) {
+  if (!value) return "";
+  return String(value).split("/").pop();
+}
@@ -0,0 +1,38 @@
+/**
+ * Admin Route: Stock Grid changes
+ *
+ * Accessible at: /app/inventory/grid/changes?since=&items=
+ *
+ * Polled by the stock grid: the inventory_levels/update webhooks recorded
+ * after `since` (ISO timestamp) for the given comma-separated numeric
+ * inventory item IDs.
+ */
+
+import { authenticate } from "../shopify.server";
+import { findInventoryLevelUpdatesSince } from "../services/webhook-logger.service";
+
+// One grid page of variants, with room to spare
+const MAX_ITEMS = 100;
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const searchParams = new URL(request.url).searchParams;
+  const since = new Date(searchParams.get("since") || "");
+  const inventoryItemIds = String(searchParams.get("items") || "")
+    .split(",")
+    .filter(id => /^\d+$/.test(id))
+    .slice(0, MAX_ITEMS);
+
+  if (isNaN(since.getTime())) {
+    return Response.json({ error: "since must be an ISO timestamp" }, { status: 400 });
+  }
+
+  const updates = await findInventoryLevelUpdatesSince({
+    shop: session.shop,
+    since,
+    inventoryItemIds,
+  });
+
+  return { updates };
+};
@@ -18,7 +18,14 @@ export default function App() {
       <s-app-nav>
         <s-link href="/app">Home</s-link>
         <s-link href="/app/inventory">Inventory</s-link>
+        <s-link href="/app/inventory/grid">Stock Grid</s-link>
+        <s-link href="/app/inventory/adjustments">Adjustments</s-link>
+        <s-link href="/app/stock-history">Stock History</s-link>
+        <s-link href="/app/low-stock">Low Stock</s-link>
         <s-link href="/app/webhook-logs">Events</s-link>
+        <s-link href="/app/pim-settings">PIM Delivery</s-link>
+        <s-link href="/app/proxy-settings">Storefront Access</s-link>
+        <s-link href="/app/payment-customizations">Payment Rules</s-link>
       </s-app-nav>
       <Outlet />
     </AppProvider>
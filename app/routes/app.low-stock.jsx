@@ -0,0 +1,249 @@
+/**
+ * Admin Route: Low Stock Alerts
+ *
+ * Accessible at: /app/low-stock
+ *
+ * Lists the alerts raised when a webhook drops available stock below its
+ * threshold, with acknowledge and snooze actions. The status filter lives
+ * in the URL search params.
+ */
+
+import { useEffect } from "react";
+import { useFetcher, useLoaderData, useSearchParams } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getStaffMember } from "../services/staff.service";
+import {
+  acknowledgeLowStockAlert,
+  getLowStockAlerts,
+  labelLowStockAlerts,
+  parseLowStockAlertFilters,
+  snoozeLowStockAlert,
+} from "../services/low-stock.service";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const filters = parseLowStockAlertFilters(new URL(request.url).searchParams);
+  const alerts = await getLowStockAlerts({ shop: session.shop, filters });
+
+  return { alerts: await labelLowStockAlerts(admin, alerts), filters };
+};
+
+export const action = async ({ request }) => {
+  const { session, sessionToken } = await authenticate.admin(request);
+
+  try {
+    const formData = await request.formData();
+    const intent = formData.get("intent");
+    const alertId = String(formData.get("alertId") || "");
+
+    if (intent === "acknowledge") {
+      const acknowledged = await acknowledgeLowStockAlert(
+        session.shop,
+        alertId,
+        getStaffMember({ session, sessionToken })
+      );
+      if (!acknowledged) {
+        return { error: "Alert not found or already resolved" };
+      }
+      return { success: true, message: "Alert acknowledged" };
+    }
+
+    if (intent === "snooze") {
+      const hours = parseInt(formData.get("hours"));
+      const result = await snoozeLowStockAlert(session.shop, alertId, hours);
+      if (!result.success) {
+        return { error: result.error };
+      }
+      return { success: true, message: `Alert snoozed until ${new Date(result.snoozedUntil).toLocaleString()}` };
+    }
+
+    return { error: "Unknown action" };
+  } catch (error) {
+    console.error("Low stock alert error:", error);
+    return { error: error.message || "Failed to update alert" };
+  }
+};
+
+export default function LowStockAlerts() {
+  const { alerts, filters } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const isLoading = ["loading", "submitting"].includes(fetcher.state);
+
+  useEffect(() => {
+    if (fetcher.data?.success) {
+      shopify.toast.show(fetcher.data.message);
+    }
+  }, [fetcher.data, shopify]);
+
+  const handleStatusChange = (e) => {
+    const params = new URLSearchParams(searchParams);
+    if (e.target.value && e.target.value !== "active") {
+      params.set("status", e.target.value);
+    } else {
+      params.delete("status");
+    }
+    setSearchParams(params);
+  };
+
+  const handleAcknowledge = (alertId) => {
+    fetcher.submit({ intent: "acknowledge", alertId }, { method: "POST" });
+  };
+
+  const handleSnooze = (alertId, hours) => {
+    fetcher.submit({ intent: "snooze", alertId, hours: String(hours) }, { method: "POST" });
+  };
+
+  return (
+    <s-page heading="Low stock alerts">
+      <s-button slot="primary-action" href="/app/low-stock/settings">
+        Settings
+      </s-button>
+
+      <s-section>
+        <s-grid gridTemplateColumns="repeat(3, 1fr)" gap="base">
+          <s-select label="Status" value={filters.status} onChange={handleStatusChange}>
+            <s-option value="active">Unresolved</s-option>
+            <s-option value="open">Open</s-option>
+            <s-option value="acknowledged">Acknowledged</s-option>
+            <s-option value="snoozed">Snoozed</s-option>
+            <s-option value="resolved">Resolved</s-option>
+          </s-select>
+        </s-grid>
+      </s-section>
+
+      {fetcher.data?.error && (
+        <s-banner tone="critical">
+          <s-text>{fetcher.data.error}</s-text>
+        </s-banner>
+      )}
+
+      <s-section>
+        {alerts.length === 0 ? (
+          <s-paragraph>
+            No alerts. An alert is raised when an inventory webhook drops
+            available stock below its threshold.
+          </s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Raised</s-table-header>
+              <s-table-header>Variant</s-table-header>
+              <s-table-header>Location</s-table-header>
+              <s-table-header>Available</s-table-header>
+              <s-table-header>Status</s-table-header>
+              <s-table-header>Delivery</s-table-header>
+              <s-table-header>Actions</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {alerts.map((alert) => (
+                <s-table-row key={alert.id}>
+                  <s-table-cell>{new Date(alert.createdAt).toLocaleString()}</s-table-cell>
+                  <s-table-cell>
+                    {alert.variantTitle || `Item ${extractId(alert.inventoryItemId)}`}
+                    {alert.sku ? ` (${alert.sku})` : ""}
+                  </s-table-cell>
+                  <s-table-cell>{alert.locationName || extractId(alert.locationId)}</s-table-cell>
+                  <s-table-cell>{alert.available} / {alert.threshold}</s-table-cell>
+                  <s-table-cell>
+                    <s-badge tone={ALERT_STATUS_TONES[alert.status]}>{alert.status}</s-badge>
+                    {alert.status === "acknowledged" && alert.acknowledgedBy && (
+                      <s-text subdued> by {alert.acknowledgedBy}</s-text>
+                    )}
+                    {alert.status === "snoozed" && (
+                      <s-text subdued> until {new Date(alert.snoozedUntil).toLocaleString()}</s-text>
+                    )}
+                    {alert.resolvedAt && (
+                      <s-text subdued> {new Date(alert.resolvedAt).toLocaleString()}</s-text>
+                    )}
+                  </s-table-cell>
+                  <s-table-cell>
+                    {alert.deliveryStatus ? (
+                      <s-badge tone={DELIVERY_STATUS_TONES[alert.deliveryStatus]}>
+                        {alert.deliveryStatus}
+                      </s-badge>
+                    ) : (
+                      <s-text subdued>Not sent</s-text>
+                    )}
+                  </s-table-cell>
+                  <s-table-cell>
+                    {!alert.resolvedAt && (
+                      <s-stack direction="inline" gap="small-200">
+                        {alert.status !== "acknowledged" && (
+                          <s-button
+                            onClick={() => handleAcknowledge(alert.id)}
+                            {...(isLoading ? { disabled: true } : {})}
+                          >
+                            Acknowledge
+                          </s-button>
+                        )}
+                        {SNOOZE_OPTIONS.map(({ hours, label }) => (
+                          <s-button
+                            key={hours}
+                            variant="tertiary"
+                            onClick={() => handleSnooze(alert.id, hours)}
+                            {...(isLoading ? { disabled: true } : {})}
+                          >
+                            Snooze {label}
+                          </s-button>
+                        ))}
+                      </s-stack>
+                    )}
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      <s-section slot="aside" heading="How alerts work">
+        <s-unordered-list>
+          <s-list-item>
+            An alert is raised when available stock drops below the
+            variant&apos;s threshold at a location, or the shop default
+          </s-list-item>
+          <s-list-item>
+            No new alert fires for that variant and location until stock
+            rises above the threshold, which resolves the alert
+          </s-list-item>
+          <s-list-item>
+            Acknowledging or snoozing hides an alert from the open list but
+            keeps it unresolved
+          </s-list-item>
+        </s-unordered-list>
+      </s-section>
+    </s-page>
+  );
+}
+
+const SNOOZE_OPTIONS = [
+  { hours: 4, label: "4h" },
+  { hours: 24, label: "1d" },
+  { hours: 168, label: "7d" },
+];
+
+const ALERT_STATUS_TONES = {
+  open: "critical",
+  acknowledged: "warning",
+  snoozed: "info",
+  resolved: "success",
+};
+
+const DELIVERY_STATUS_TONES = {
+  pending: "info",
+  delivering: "info",
+  delivered: "success",
+  failed: "warning",
+  dead_lettered: "critical",
+};
+
+// Helper to extract the numeric ID from a GID
+function extractId(value) {
+  if (!value) return "";
+  return String(value).split("/").pop();
+}
@@ -0,0 +1,344 @@
+/**
+ * Admin Route: Low Stock Settings
+ *
+ * Accessible at: /app/low-stock/settings
+ *
+ * Configures the shop-wide default threshold, per-variant/location
+ * thresholds that override it, and the outbound webhook URL alerts are
+ * POSTed to.
+ */
+
+import { useState, useEffect } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getVariantsInventory, toGid } from "../services/inventory.service";
+import {
+  deleteLowStockThreshold,
+  getLowStockSettings,
+  getLowStockThresholds,
+  saveLowStockSettings,
+  saveLowStockThreshold,
+  validateLowStockSettings,
+  validateThreshold,
+} from "../services/low-stock.service";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const [settings, thresholds] = await Promise.all([
+    getLowStockSettings(session.shop),
+    getLowStockThresholds(session.shop),
+  ]);
+
+  return {
+    settings: {
+      defaultThreshold: settings.defaultThreshold,
+      webhookUrl: settings.webhookUrl,
+      hasAuthToken: Boolean(settings.webhookAuthToken),
+      enabled: settings.enabled,
+    },
+    thresholds: thresholds.map(threshold => ({
+      ...threshold,
+      createdAt: threshold.createdAt.toISOString(),
+      updatedAt: threshold.updatedAt.toISOString(),
+    })),
+  };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  try {
+    const formData = await request.formData();
+    const intent = formData.get("intent");
+
+    if (intent === "saveThreshold") {
+      return await handleSaveThreshold(admin, session.shop, formData);
+    }
+
+    if (intent === "deleteThreshold") {
+      const deleted = await deleteLowStockThreshold(session.shop, String(formData.get("thresholdId") || ""));
+      if (!deleted) {
+        return { error: "Threshold not found" };
+      }
+      return { success: true, message: "Threshold removed" };
+    }
+
+    const rawDefault = String(formData.get("defaultThreshold") || "").trim();
+    const settings = {
+      defaultThreshold: rawDefault ? Number(rawDefault) : null,
+      webhookUrl: String(formData.get("webhookUrl") || "").trim(),
+      webhookAuthToken: String(formData.get("webhookAuthToken") || "").trim(),
+      enabled: formData.get("enabled") === "true",
+    };
+
+    const validation = await validateLowStockSettings(settings);
+    if (!validation.isValid) {
+      return { error: validation.error };
+    }
+
+    // An empty token field keeps the stored token
+    if (!settings.webhookAuthToken && settings.webhookUrl) {
+      const existing = await getLowStockSettings(session.shop);
+      settings.webhookAuthToken = existing.webhookAuthToken;
+    }
+
+    await saveLowStockSettings(session.shop, settings);
+
+    return { success: true, message: "Low stock settings saved" };
+  } catch (error) {
+    console.error("Low stock settings error:", error);
+    return { error: error.message || "Failed to save low stock settings" };
+  }
+};
+
+/**
+ * Resolve the variant and location of a submitted threshold and save it
+ */
+async function handleSaveThreshold(admin, shop, formData) {
+  const variantRef = String(formData.get("variant") || "").trim();
+  const locationId = String(formData.get("locationId") || "").trim();
+  const threshold = Number(formData.get("threshold"));
+
+  if (!variantRef) {
+    return { error: "Enter a variant ID or SKU" };
+  }
+
+  const validation = validateThreshold(threshold);
+  if (!validation.isValid) {
+    return { error: validation.error };
+  }
+
+  const isId = /^(\d+|gid:\/\/shopify\/ProductVariant\/\d+)$/.test(variantRef);
+  const variants = await getVariantsInventory(admin, isId
+    ? { variantIds: [variantRef] }
+    : { skus: [variantRef] });
+
+  if (variants.length === 0) {
+    return { error: `No variant found for ${variantRef}` };
+  }
+  if (variants.length > 1) {
+    return { error: `SKU ${variantRef} matches ${variants.length} variants; use the variant ID instead` };
+  }
+
+  const [variant] = variants;
+  let level;
+
+  if (locationId) {
+    level = variant.levels.find(l => l.locationId === toGid("Location", locationId));
+    if (!level) {
+      return { error: `${variantRef} is not stocked at location ${locationId}` };
+    }
+  } else if (variant.levels.length === 1) {
+    [level] = variant.levels;
+  } else {
+    return { error: `${variantRef} is stocked at ${variant.levels.length} locations; enter a location ID` };
+  }
+
+  await saveLowStockThreshold(shop, variant, level, threshold);
+
+  return { success: true, message: `Threshold saved for ${variant.variantTitle} at ${level.locationName}` };
+}
+
+export default function LowStockSettings() {
+  const { settings, thresholds } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const [defaultThreshold, setDefaultThreshold] = useState(
+    settings.defaultThreshold === null ? "" : String(settings.defaultThreshold)
+  );
+  const [webhookUrl, setWebhookUrl] = useState(settings.webhookUrl || "");
+  const [webhookAuthToken, setWebhookAuthToken] = useState("");
+  const [enabled, setEnabled] = useState(settings.enabled);
+
+  const [variant, setVariant] = useState("");
+  const [locationId, setLocationId] = useState("");
+  const [threshold, setThreshold] = useState("");
+
+  const isLoading = ["loading", "submitting"].includes(fetcher.state);
+
+  useEffect(() => {
+    if (fetcher.data?.success) {
+      shopify.toast.show(fetcher.data.message);
+    }
+  }, [fetcher.data, shopify]);
+
+  const handleSaveSettings = (e) => {
+    e.preventDefault();
+
+    const formData = new FormData();
+    formData.append("defaultThreshold", defaultThreshold);
+    formData.append("webhookUrl", webhookUrl);
+    formData.append("webhookAuthToken", webhookAuthToken);
+    formData.append("enabled", String(enabled));
+
+    fetcher.submit(formData, { method: "POST" });
+  };
+
+  const handleSaveThreshold = (e) => {
+    e.preventDefault();
+
+    fetcher.submit({ intent: "saveThreshold", variant, locationId, threshold }, { method: "POST" });
+  };
+
+  const handleDeleteThreshold = (thresholdId) => {
+    fetcher.submit({ intent: "deleteThreshold", thresholdId }, { method: "POST" });
+  };
+
+  return (
+    <s-page heading="Low stock settings">
+      <s-link slot="breadcrumb-actions" href="/app/low-stock">
+        Low stock alerts
+      </s-link>
+
+      {fetcher.data?.error && (
+        <s-banner tone="critical">
+          <s-text>{fetcher.data.error}</s-text>
+        </s-banner>
+      )}
+
+      <s-section heading="Alerts">
+        <form onSubmit={handleSaveSettings}>
+          <s-stack direction="block" gap="base">
+            <s-number-field
+              label="Default threshold"
+              value={defaultThreshold}
+              onInput={(e) => setDefaultThreshold(e.target.value)}
+              min={1}
+              helpText="Alert when available stock drops below this at any location. Leave empty to only use the thresholds below."
+            />
+
+            <s-text-field
+              label="Alert webhook URL"
+              value={webhookUrl}
+              onInput={(e) => setWebhookUrl(e.target.value)}
+              placeholder="https://alerts.example.com/low-stock"
+              helpText="Optional. New alerts are POSTed here as JSON; must be https on a public host"
+            />
+
+            <s-password-field
+              label="Bearer token"
+              value={webhookAuthToken}
+              onInput={(e) => setWebhookAuthToken(e.target.value)}
+              helpText={settings.hasAuthToken
+                ? "A token is saved. Leave empty to keep it."
+                : "Optional. Sent as Authorization: Bearer <token>"}
+            />
+
+            <s-checkbox
+              label="Raise low stock alerts"
+              checked={enabled}
+              onChange={(e) => setEnabled(e.target.checked)}
+            />
+
+            <s-button
+              type="submit"
+              variant="primary"
+              {...(isLoading ? { loading: true } : {})}
+            >
+              Save
+            </s-button>
+          </s-stack>
+        </form>
+      </s-section>
+
+      <s-section heading="Variant thresholds">
+        <s-stack direction="block" gap="base">
+          <form onSubmit={handleSaveThreshold}>
+            <s-grid gridTemplateColumns="repeat(3, 1fr)" gap="base">
+              <s-text-field
+                label="Variant ID or SKU"
+                value={variant}
+                onInput={(e) => setVariant(e.target.value)}
+                required
+              />
+              <s-text-field
+                label="Location ID"
+                value={locationId}
+                onInput={(e) => setLocationId(e.target.value)}
+                helpText="Optional if the variant is stocked at one location"
+              />
+              <s-number-field
+                label="Threshold"
+                value={threshold}
+                onInput={(e) => setThreshold(e.target.value)}
+                min={1}
+                required
+              />
+            </s-grid>
+            <s-button
+              type="submit"
+              {...(isLoading ? { loading: true } : {})}
+              disabled={!variant || !threshold}
+            >
+              Save threshold
+            </s-button>
+          </form>
+
+          {thresholds.length === 0 ? (
+            <s-paragraph>
+              No variant thresholds. Every variant uses the default threshold.
+            </s-paragraph>
+          ) : (
+            <s-table>
+              <s-table-header-row>
+                <s-table-header>Variant</s-table-header>
+                <s-table-header>Location</s-table-header>
+                <s-table-header>Threshold</s-table-header>
+                <s-table-header>Actions</s-table-header>
+              </s-table-header-row>
+              <s-table-body>
+                {thresholds.map((row) => (
+                  <s-table-row key={row.id}>
+                    <s-table-cell>
+                      {row.variantTitle || extractId(row.variantId)}
+                      {row.sku ? ` (${row.sku})` : ""}
+                    </s-table-cell>
+                    <s-table-cell>{row.locationName || extractId(row.locationId)}</s-table-cell>
+                    <s-table-cell>{row.threshold}</s-table-cell>
+                    <s-table-cell>
+                      <s-button
+                        variant="tertiary"
+                        tone="critical"
+                        onClick={() => handleDeleteThreshold(row.id)}
+                        {...(isLoading ? { disabled: true } : {})}
+                      >
+                        Remove
+                      </s-button>
+                    </s-table-cell>
+                  </s-table-row>
+                ))}
+              </s-table-body>
+            </s-table>
+          )}
+        </s-stack>
+      </s-section>
+
+      <s-section slot="aside" heading="Thresholds">
+        <s-unordered-list>
+          <s-list-item>
+            A variant threshold overrides the default at its location
+          </s-list-item>
+          <s-list-item>
+            Alerts are checked when Shopify sends an inventory webhook, so
+            a new threshold applies from the next stock change
+          </s-list-item>
+          <s-list-item>
+            Failed webhook deliveries are retried with exponential backoff
+          </s-list-item>
+          <s-list-item>
+            For local testing run <code>npm run pim:stub</code> and use http://localhost:4010/low-stock
+          </s-list-item>
+        </s-unordered-list>
+      </s-section>
+    </s-page>
+  );
+}
+
+// Helper to extract the numeric ID from a GID
+function extractId(value) {
+  if (!value) return "";
+  return String(value).split("/").pop();
+}
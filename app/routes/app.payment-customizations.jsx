@@ -0,0 +1,109 @@
+/**
+ * Admin Route: CC Payment Customizations
+ *
+ * Accessible at: /app/payment-customizations
+ *
+ * Lists the payment customizations that run the cc-payment-eligibility
+ * function, with links to create new ones and edit their rules.
+ */
+
+import { useLoaderData } from "react-router";
+import { authenticate } from "../shopify.server";
+import {
+  getPaymentFunction,
+  listPaymentCustomizations,
+} from "../services/payment-customization.service";
+
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+
+  const paymentFunction = await getPaymentFunction(admin);
+
+  const customizations = paymentFunction
+    ? await listPaymentCustomizations(admin, paymentFunction.id)
+    : [];
+
+  return { paymentFunction, customizations };
+};
+
+export default function PaymentCustomizations() {
+  const { paymentFunction, customizations } = useLoaderData();
+
+  const basePath = `/app/payment-customizations/${paymentFunction?.id}`;
+
+  return (
+    <s-page heading="CC Payment Eligibility">
+      {paymentFunction && (
+        <s-button slot="primary-action" href={`${basePath}/new`}>
+          Create customization
+        </s-button>
+      )}
+
+      {!paymentFunction ? (
+        <s-banner tone="warning" heading="Function not deployed">
+          <s-paragraph>
+            The cc-payment-eligibility function was not found. Deploy the app
+            with <code>npm run deploy</code> and reload this page.
+          </s-paragraph>
+        </s-banner>
+      ) : (
+        <s-section>
+          {customizations.length === 0 ? (
+            <s-paragraph>
+              No payment customization runs this function yet. Create one to
+              start hiding credit card payment for ineligible carts.
+            </s-paragraph>
+          ) : (
+            <s-table>
+              <s-table-header-row>
+                <s-table-header>Title</s-table-header>
+                <s-table-header>Status</s-table-header>
+                <s-table-header>Weight threshold</s-table-header>
+                <s-table-header>Allowed shipping methods</s-table-header>
+              </s-table-header-row>
+              <s-table-body>
+                {customizations.map((customization) => (
+                  <s-table-row key={customization.id}>
+                    <s-table-cell>
+                      <s-link href={`${basePath}/${extractId(customization.id)}`}>
+                        {customization.title}
+                      </s-link>
+                    </s-table-cell>
+                    <s-table-cell>
+                      <s-badge tone={customization.enabled ? "success" : "neutral"}>
+                        {customization.enabled ? "Active" : "Inactive"}
+                      </s-badge>
+                    </s-table-cell>
+                    <s-table-cell>
+                      {customization.configuration.weightThreshold}
+                      {" "}{customization.configuration.weightUnit.toLowerCase()}
+                    </s-table-cell>
+                    <s-table-cell>
+                      {customization.configuration.allowedDeliveryMethods.join(", ")}
+                    </s-table-cell>
+                  </s-table-row>
+                ))}
+              </s-table-body>
+            </s-table>
+          )}
+        </s-section>
+      )}
+
+      <s-section slot="aside" heading="How it works">
+        <s-unordered-list>
+          <s-list-item>
+            Credit card payment is hidden at checkout unless every enabled rule passes
+          </s-list-item>
+          <s-list-item>
+            Rules are stored on the customization, so changes apply without redeploying the function
+          </s-list-item>
+        </s-unordered-list>
+      </s-section>
+    </s-page>
+  );
+}
+
+// Helper to extract ID from GID or return as-is
+function extractId(value) {
+  return String(value).split("/").pop();
+}
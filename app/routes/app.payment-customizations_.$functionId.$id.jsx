@@ -0,0 +1,276 @@
+/**
+ * Admin Route: Create/Edit CC Payment Customization
+ *
+ * Accessible at: /app/payment-customizations/:functionId/:id
+ * (`:id` is "new" to create a customization)
+ *
+ * Also the create/details page Shopify admin links to from Settings →
+ * Payments (see ui.paths in the function's shopify.extension.toml).
+ */
+
+import { useState, useEffect } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { toGid } from "../services/inventory.service";
+import {
+  getNewPaymentCustomization,
+  getPaymentCustomization,
+  savePaymentCustomization,
+  validatePaymentCustomizationForm,
+} from "../services/payment-customization.service";
+
+export const loader = async ({ request, params }) => {
+  const { admin } = await authenticate.admin(request);
+
+  if (params.id === "new") {
+    return { customization: getNewPaymentCustomization() };
+  }
+
+  const customization = await getPaymentCustomization(admin, toGid("PaymentCustomization", params.id));
+
+  if (!customization) {
+    throw new Response("Payment customization not found", { status: 404 });
+  }
+
+  return { customization };
+};
+
+export const action = async ({ request, params }) => {
+  const { admin, redirect } = await authenticate.admin(request);
+
+  try {
+    const formData = await request.formData();
+
+    const validation = validatePaymentCustomizationForm(formData);
+    if (!validation.isValid) {
+      return { error: validation.error };
+    }
+
+    const isNew = params.id === "new";
+
+    const customization = await savePaymentCustomization(admin, {
+      ...validation.customization,
+      id: isNew ? null : toGid("PaymentCustomization", params.id),
+      functionId: params.functionId,
+    });
+
+    if (isNew) {
+      const id = customization.id.split("/").pop();
+      return redirect(`/app/payment-customizations/${params.functionId}/${id}`);
+    }
+
+    return { success: true, message: "Payment customization saved" };
+  } catch (error) {
+    console.error("Payment customization error:", error);
+    return { error: error.message || "Failed to save payment customization" };
+  }
+};
+
+export default function PaymentCustomizationForm() {
+  const { customization } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const { configuration } = customization;
+
+  const [title, setTitle] = useState(customization.title);
+  const [enabled, setEnabled] = useState(customization.enabled);
+  const [weightThreshold, setWeightThreshold] = useState(String(configuration.weightThreshold));
+  const [weightUnit, setWeightUnit] = useState(configuration.weightUnit);
+  const [allowedDeliveryMethods, setAllowedDeliveryMethods] = useState(configuration.allowedDeliveryMethods.join("\n"));
+  const [gatewayPatterns, setGatewayPatterns] = useState(configuration.gatewayPatterns.join("\n"));
+  const [gatewayExcludePatterns, setGatewayExcludePatterns] = useState(configuration.gatewayExcludePatterns.join("\n"));
+  const [rules, setRules] = useState(configuration.rules);
+  const [operations, setOperations] = useState(configuration.operations);
+  const [verboseLogging, setVerboseLogging] = useState(configuration.verboseLogging);
+
+  const isLoading = ["loading", "submitting"].includes(fetcher.state);
+
+  useEffect(() => {
+    if (fetcher.data?.success) {
+      shopify.toast.show(fetcher.data.message);
+    }
+  }, [fetcher.data, shopify]);
+
+  const setOperation = (rule, name, value) => {
+    setOperations((current) => ({
+      ...current,
+      [rule]: { ...current[rule], [name]: value },
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const formData = new FormData();
+    formData.append("title", title);
+    formData.append("enabled", String(enabled));
+    formData.append("weightThreshold", weightThreshold);
+    formData.append("weightUnit", weightUnit);
+    formData.append("allowedDeliveryMethods", allowedDeliveryMethods);
+    formData.append("gatewayPatterns", gatewayPatterns);
+    formData.append("gatewayExcludePatterns", gatewayExcludePatterns);
+    RULE_OPTIONS.forEach(({ rule }) => {
+      formData.append(`rules.${rule}`, String(rules[rule]));
+    });
+    formData.append("operations", JSON.stringify(operations));
+    formData.append("verboseLogging", String(verboseLogging));
+
+    fetcher.submit(formData, { method: "POST" });
+  };
+
+  return (
+    <s-page heading={customization.id ? customization.title : "Create payment customization"}>
+      <s-link slot="breadcrumb-actions" href="/app/payment-customizations">
+        Payment customizations
+      </s-link>
+
+      <form onSubmit={handleSubmit}>
+        <s-section heading="Customization">
+          <s-stack direction="block" gap="base">
+            <s-text-field
+              label="Title"
+              value={title}
+              onInput={(e) => setTitle(e.target.value)}
+              required
+            />
+
+            <s-checkbox
+              label="Active"
+              checked={enabled}
+              onChange={(e) => setEnabled(e.target.checked)}
+            />
+          </s-stack>
+        </s-section>
+
+        <s-section heading="Rules">
+          <s-stack direction="block" gap="base">
+            {RULE_OPTIONS.map(({ rule, label }) => (
+              <s-stack key={rule} direction="inline" gap="base">
+                <s-checkbox
+                  label={label}
+                  checked={rules[rule]}
+                  onChange={(e) => setRules((current) => ({ ...current, [rule]: e.target.checked }))}
+                />
+                <s-select
+                  label="When this rule fails"
+                  labelAccessibilityVisibility="exclusive"
+                  value={operations[rule].hide}
+                  onChange={(e) => setOperation(rule, "hide", e.target.value)}
+                  disabled={!rules[rule]}
+                >
+                  <s-option value="all">Hide all credit card gateways</s-option>
+                  <s-option value="first">Hide the first credit card gateway only</s-option>
+                </s-select>
+              </s-stack>
+            ))}
+
+            <s-stack direction="inline" gap="base">
+              <s-number-field
+                label="Parcel weight threshold"
+                value={weightThreshold}
+                onInput={(e) => setWeightThreshold(e.target.value)}
+                min={0}
+                helpText="Shipments heavier than this (item weight × quantity, per delivery group) are not parcel eligible"
+              />
+              <s-select
+                label="Unit"
+                value={weightUnit}
+                onChange={(e) => setWeightUnit(e.target.value)}
+              >
+                {WEIGHT_UNIT_OPTIONS.map(({ value, label }) => (
+                  <s-option key={value} value={value}>{label}</s-option>
+                ))}
+              </s-select>
+            </s-stack>
+
+            <s-text-area
+              label="Allowed shipping methods"
+              value={allowedDeliveryMethods}
+              onInput={(e) => setAllowedDeliveryMethods(e.target.value)}
+              rows={3}
+              helpText="One per line. Matched against the delivery option title or handle, ignoring case."
+            />
+          </s-stack>
+        </s-section>
+
+        <s-section heading="Payment gateways">
+          <s-stack direction="block" gap="base">
+            <s-text-area
+              label="Credit card gateway patterns"
+              value={gatewayPatterns}
+              onInput={(e) => setGatewayPatterns(e.target.value)}
+              rows={3}
+              helpText="One per line. Payment methods whose name contains one of these are treated as credit card."
+            />
+            <s-text-area
+              label="Excluded gateway patterns"
+              value={gatewayExcludePatterns}
+              onInput={(e) => setGatewayExcludePatterns(e.target.value)}
+              rows={2}
+              helpText="Payment methods whose name contains one of these are never hidden (e.g. gift cards)."
+            />
+          </s-stack>
+        </s-section>
+
+        <s-section heading="Pilot customers">
+          <s-stack direction="block" gap="base">
+            <s-paragraph>
+              When credit card is shown to a customer in the CC pilot.
+            </s-paragraph>
+            <s-checkbox
+              label="Move credit card to the top of the payment methods"
+              checked={operations.customerPilot.moveToIndex === 0}
+              onChange={(e) => setOperation("customerPilot", "moveToIndex", e.target.checked ? 0 : null)}
+            />
+            <s-text-field
+              label="Rename credit card to"
+              value={operations.customerPilot.rename || ""}
+              onInput={(e) => setOperation("customerPilot", "rename", e.target.value || null)}
+              placeholder="Credit Card (Pilot)"
+              helpText="Leave empty to keep the gateway's name"
+            />
+          </s-stack>
+        </s-section>
+
+        <s-section heading="Troubleshooting">
+          <s-checkbox
+            label="Verbose function logs"
+            checked={verboseLogging}
+            onChange={(e) => setVerboseLogging(e.target.checked)}
+            details="Adds every rule evaluated and the full cart input to each run's decision log. Leave off in production: large carts exceed the log size limit."
+          />
+        </s-section>
+
+        <s-section>
+          <s-stack direction="block" gap="base">
+            {fetcher.data?.error && (
+              <s-banner tone="critical">
+                <s-text>{fetcher.data.error}</s-text>
+              </s-banner>
+            )}
+
+            <s-button type="submit" variant="primary" {...(isLoading ? { loading: true } : {})}>
+              Save
+            </s-button>
+          </s-stack>
+        </s-section>
+      </form>
+    </s-page>
+  );
+}
+
+const RULE_OPTIONS = [
+  { rule: "customerPilot", label: "Customer must be in the CC pilot (cc_pilot_eligible)" },
+  { rule: "companyLocation", label: "B2B company location must be CC eligible (cc_location_eligible)" },
+  { rule: "parcelWeight", label: "Cart must be parcel eligible" },
+  { rule: "deliveryMethod", label: "Selected shipping method must be allowed" },
+];
+
+const WEIGHT_UNIT_OPTIONS = [
+  { value: "POUNDS", label: "lb" },
+  { value: "OUNCES", label: "oz" },
+  { value: "KILOGRAMS", label: "kg" },
+  { value: "GRAMS", label: "g" },
+];
@@ -0,0 +1,224 @@
+/**
+ * Admin Route: PIM/ERP Delivery Settings
+ *
+ * Accessible at: /app/pim-settings
+ *
+ * Configures the HTTP endpoint this shop's inventory changes are delivered
+ * to, and shows the state of the delivery outbox.
+ */
+
+import { useState, useEffect } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  getPimEndpoint,
+  getPimOutboxCounts,
+  processDuePimDeliveries,
+  savePimEndpoint,
+  validatePimEndpoint,
+} from "../services/pim-delivery.service";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const endpoint = await getPimEndpoint(session.shop);
+
+  const outboxCounts = await getPimOutboxCounts(session.shop);
+
+  return {
+    endpoint: endpoint && {
+      url: endpoint.url,
+      hasAuthToken: Boolean(endpoint.authToken),
+      enabled: endpoint.enabled,
+      maxAttempts: endpoint.maxAttempts,
+      timeoutMs: endpoint.timeoutMs,
+    },
+    outboxCounts,
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  try {
+    const formData = await request.formData();
+    const intent = formData.get("intent");
+
+    if (intent === "processDue") {
+      const counts = await processDuePimDeliveries({ shop: session.shop });
+      return { success: true, message: `Processed ${counts.processed} due deliveries` };
+    }
+
+    const settings = {
+      url: String(formData.get("url") || "").trim(),
+      authToken: String(formData.get("authToken") || "").trim(),
+      enabled: formData.get("enabled") === "true",
+      maxAttempts: parseInt(formData.get("maxAttempts")),
+      timeoutMs: parseInt(formData.get("timeoutMs")),
+    };
+
+    const validation = await validatePimEndpoint(settings);
+    if (!validation.isValid) {
+      return { error: validation.error };
+    }
+
+    // An empty token field keeps the stored token
+    if (!settings.authToken) {
+      const existing = await getPimEndpoint(session.shop);
+      settings.authToken = existing?.authToken || null;
+    }
+
+    await savePimEndpoint(session.shop, settings);
+
+    return { success: true, message: "PIM endpoint saved" };
+  } catch (error) {
+    console.error("PIM settings error:", error);
+    return { error: error.message || "Failed to save PIM settings" };
+  }
+};
+
+export default function PimSettings() {
+  const { endpoint, outboxCounts } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const [url, setUrl] = useState(endpoint?.url || "");
+  const [authToken, setAuthToken] = useState("");
+  const [enabled, setEnabled] = useState(endpoint?.enabled ?? true);
+  const [maxAttempts, setMaxAttempts] = useState(String(endpoint?.maxAttempts || 8));
+  const [timeoutMs, setTimeoutMs] = useState(String(endpoint?.timeoutMs || 10000));
+
+  const isLoading = ["loading", "submitting"].includes(fetcher.state);
+
+  useEffect(() => {
+    if (fetcher.data?.success) {
+      shopify.toast.show(fetcher.data.message);
+    }
+  }, [fetcher.data, shopify]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const formData = new FormData();
+    formData.append("url", url);
+    formData.append("authToken", authToken);
+    formData.append("enabled", String(enabled));
+    formData.append("maxAttempts", maxAttempts);
+    formData.append("timeoutMs", timeoutMs);
+
+    fetcher.submit(formData, { method: "POST" });
+  };
+
+  const handleProcessDue = () => {
+    fetcher.submit({ intent: "processDue" }, { method: "POST" });
+  };
+
+  return (
+    <s-page heading="PIM/ERP Delivery">
+      <s-section heading="Endpoint">
+        <form onSubmit={handleSubmit}>
+          <s-stack direction="block" gap="base">
+            <s-text-field
+              label="Endpoint URL"
+              value={url}
+              onInput={(e) => setUrl(e.target.value)}
+              placeholder="https://pim.example.com/api/inventory/sync"
+              helpText="Inventory changes are POSTed here as JSON; must be https on a public host"
+              required
+            />
+
+            <s-password-field
+              label="Bearer token"
+              value={authToken}
+              onInput={(e) => setAuthToken(e.target.value)}
+              helpText={endpoint?.hasAuthToken
+                ? "A token is saved. Leave empty to keep it."
+                : "Optional. Sent as Authorization: Bearer <token>"}
+            />
+
+            <s-number-field
+              label="Max attempts"
+              value={maxAttempts}
+              onInput={(e) => setMaxAttempts(e.target.value)}
+              min={1}
+              max={20}
+              helpText="Deliveries are dead-lettered after this many failed attempts"
+            />
+
+            <s-number-field
+              label="Timeout (ms)"
+              value={timeoutMs}
+              onInput={(e) => setTimeoutMs(e.target.value)}
+              min={1000}
+              max={60000}
+            />
+
+            <s-checkbox
+              label="Deliver inventory changes to this endpoint"
+              checked={enabled}
+              onChange={(e) => setEnabled(e.target.checked)}
+            />
+
+            <s-button
+              type="submit"
+              variant="primary"
+              {...(isLoading ? { loading: true } : {})}
+              disabled={!url}
+            >
+              Save
+            </s-button>
+
+            {fetcher.data?.error && (
+              <s-banner tone="critical">
+                <s-text>{fetcher.data.error}</s-text>
+              </s-banner>
+            )}
+          </s-stack>
+        </form>
+      </s-section>
+
+      <s-section heading="Outbox">
+        <s-stack direction="block" gap="base">
+          <s-stack direction="inline" gap="base">
+            {Object.entries(outboxCounts).map(([status, count]) => (
+              <s-badge key={status} tone={PIM_STATUS_TONES[status]}>
+                {status}: {count}
+              </s-badge>
+            ))}
+          </s-stack>
+
+          <s-button onClick={handleProcessDue} {...(isLoading ? { loading: true } : {})}>
+            Deliver due messages now
+          </s-button>
+        </s-stack>
+      </s-section>
+
+      <s-section slot="aside" heading="How delivery works">
+        <s-unordered-list>
+          <s-list-item>
+            Every inventory webhook is stored with a pending outbox message
+          </s-list-item>
+          <s-list-item>
+            Failed deliveries are retried with exponential backoff
+          </s-list-item>
+          <s-list-item>
+            After the max attempts a message is dead-lettered
+          </s-list-item>
+          <s-list-item>
+            For local testing run <code>npm run pim:stub</code>, start the app
+            with ALLOW_PRIVATE_OUTBOUND_URLS=true and use http://localhost:4010/
+          </s-list-item>
+        </s-unordered-list>
+      </s-section>
+    </s-page>
+  );
+}
+
+const PIM_STATUS_TONES = {
+  pending: "info",
+  delivering: "info",
+  delivered: "success",
+  failed: "warning",
+  dead_lettered: "critical",
+};
@@ -0,0 +1,301 @@
+/**
+ * Admin Route: Storefront Access
+ *
+ * Accessible at: /app/proxy-settings
+ *
+ * Configures who may update stock through the storefront app proxy (the
+ * inventory widget), the per-request delta cap and the rate limits, and
+ * lists rejected attempts. The reason filter lives in the URL search params.
+ */
+
+import { useState, useEffect } from "react";
+import { useFetcher, useLoaderData, useSearchParams } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  getProxyRejections,
+  getProxySettings,
+  saveProxySettings,
+  validateProxySettings,
+} from "../services/proxy-guard.service";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const reason = new URL(request.url).searchParams.get("reason");
+
+  const [settings, rejections] = await Promise.all([
+    getProxySettings(session.shop),
+    getProxyRejections({ shop: session.shop, reason }),
+  ]);
+
+  return {
+    settings: {
+      allowedCustomerIds: settings.allowedCustomerIds,
+      allowedCustomerTag: settings.allowedCustomerTag,
+      allowedMetafield: settings.allowedMetafield,
+      maxDeltaPerRequest: settings.maxDeltaPerRequest,
+      customerRateLimit: settings.customerRateLimit,
+      ipRateLimit: settings.ipRateLimit,
+      searchRateLimit: settings.searchRateLimit,
+      rateLimitWindowSeconds: settings.rateLimitWindowSeconds,
+    },
+    rejections,
+    reason: reason || "",
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  try {
+    const formData = await request.formData();
+
+    const settings = {
+      allowedCustomerIds: String(formData.get("allowedCustomerIds") || "")
+        .split(/[\s,]+/)
+        .filter(Boolean),
+      allowedCustomerTag: String(formData.get("allowedCustomerTag") || "").trim(),
+      allowedMetafield: String(formData.get("allowedMetafield") || "").trim(),
+      maxDeltaPerRequest: parseInt(formData.get("maxDeltaPerRequest")),
+      customerRateLimit: parseInt(formData.get("customerRateLimit")),
+      ipRateLimit: parseInt(formData.get("ipRateLimit")),
+      searchRateLimit: parseInt(formData.get("searchRateLimit")),
+      rateLimitWindowSeconds: parseInt(formData.get("rateLimitWindowSeconds")),
+    };
+
+    const validation = validateProxySettings(settings);
+    if (!validation.isValid) {
+      return { error: validation.error };
+    }
+
+    await saveProxySettings(session.shop, settings);
+
+    return { success: true, message: "Storefront access saved" };
+  } catch (error) {
+    console.error("Proxy settings error:", error);
+    return { error: error.message || "Failed to save storefront access" };
+  }
+};
+
+export default function ProxySettings() {
+  const { settings, rejections, reason } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const [allowedCustomerIds, setAllowedCustomerIds] = useState(
+    settings.allowedCustomerIds.map(extractId).join("\n")
+  );
+  const [allowedCustomerTag, setAllowedCustomerTag] = useState(settings.allowedCustomerTag || "");
+  const [allowedMetafield, setAllowedMetafield] = useState(settings.allowedMetafield || "");
+  const [maxDeltaPerRequest, setMaxDeltaPerRequest] = useState(String(settings.maxDeltaPerRequest));
+  const [customerRateLimit, setCustomerRateLimit] = useState(String(settings.customerRateLimit));
+  const [ipRateLimit, setIpRateLimit] = useState(String(settings.ipRateLimit));
+  const [searchRateLimit, setSearchRateLimit] = useState(String(settings.searchRateLimit));
+  const [rateLimitWindowSeconds, setRateLimitWindowSeconds] = useState(String(settings.rateLimitWindowSeconds));
+
+  const isLoading = ["loading", "submitting"].includes(fetcher.state);
+  const nobodyAllowed = settings.allowedCustomerIds.length === 0
+    && !settings.allowedCustomerTag
+    && !settings.allowedMetafield;
+
+  useEffect(() => {
+    if (fetcher.data?.success) {
+      shopify.toast.show(fetcher.data.message);
+    }
+  }, [fetcher.data, shopify]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const formData = new FormData();
+    formData.append("allowedCustomerIds", allowedCustomerIds);
+    formData.append("allowedCustomerTag", allowedCustomerTag);
+    formData.append("allowedMetafield", allowedMetafield);
+    formData.append("maxDeltaPerRequest", maxDeltaPerRequest);
+    formData.append("customerRateLimit", customerRateLimit);
+    formData.append("ipRateLimit", ipRateLimit);
+    formData.append("searchRateLimit", searchRateLimit);
+    formData.append("rateLimitWindowSeconds", rateLimitWindowSeconds);
+
+    fetcher.submit(formData, { method: "POST" });
+  };
+
+  const handleReasonChange = (e) => {
+    const params = new URLSearchParams(searchParams);
+    if (e.target.value) {
+      params.set("reason", e.target.value);
+    } else {
+      params.delete("reason");
+    }
+    setSearchParams(params);
+  };
+
+  return (
+    <s-page heading="Storefront access">
+      {nobodyAllowed && (
+        <s-banner tone="warning">
+          <s-text>
+            No customers are allowed yet, so the storefront widget rejects
+            every stock update. Add customer IDs, a tag or a metafield below.
+          </s-text>
+        </s-banner>
+      )}
+
+      <s-section heading="Allowed customers">
+        <form onSubmit={handleSubmit}>
+          <s-stack direction="block" gap="base">
+            <s-text-area
+              label="Customer IDs"
+              value={allowedCustomerIds}
+              onInput={(e) => setAllowedCustomerIds(e.target.value)}
+              rows={3}
+              helpText="One per line or comma-separated"
+            />
+
+            <s-text-field
+              label="Customer tag"
+              value={allowedCustomerTag}
+              onInput={(e) => setAllowedCustomerTag(e.target.value)}
+              placeholder="stock-manager"
+              helpText="Customers with this tag are allowed"
+            />
+
+            <s-text-field
+              label="Customer metafield"
+              value={allowedMetafield}
+              onInput={(e) => setAllowedMetafield(e.target.value)}
+              placeholder="custom.can_update_stock"
+              helpText='namespace.key of a metafield; customers where it is "true" are allowed'
+            />
+
+            <s-number-field
+              label="Max quantity change per request"
+              value={maxDeltaPerRequest}
+              onInput={(e) => setMaxDeltaPerRequest(e.target.value)}
+              min={1}
+            />
+
+            <s-grid gridTemplateColumns="repeat(4, 1fr)" gap="base">
+              <s-number-field
+                label="Requests per customer"
+                value={customerRateLimit}
+                onInput={(e) => setCustomerRateLimit(e.target.value)}
+                min={1}
+              />
+              <s-number-field
+                label="Requests per IP"
+                value={ipRateLimit}
+                onInput={(e) => setIpRateLimit(e.target.value)}
+                min={1}
+              />
+              <s-number-field
+                label="Searches per customer and IP"
+                value={searchRateLimit}
+                onInput={(e) => setSearchRateLimit(e.target.value)}
+                min={1}
+              />
+              <s-number-field
+                label="Window (seconds)"
+                value={rateLimitWindowSeconds}
+                onInput={(e) => setRateLimitWindowSeconds(e.target.value)}
+                min={1}
+              />
+            </s-grid>
+
+            <s-button
+              type="submit"
+              variant="primary"
+              {...(isLoading ? { loading: true } : {})}
+            >
+              Save
+            </s-button>
+
+            {fetcher.data?.error && (
+              <s-banner tone="critical">
+                <s-text>{fetcher.data.error}</s-text>
+              </s-banner>
+            )}
+          </s-stack>
+        </form>
+      </s-section>
+
+      <s-section heading="Rejected requests">
+        <s-stack direction="block" gap="base">
+          <s-grid gridTemplateColumns="repeat(3, 1fr)" gap="base">
+            <s-select label="Reason" value={reason} onChange={handleReasonChange}>
+              <s-option value="">Any</s-option>
+              {Object.entries(REJECTION_LABELS).map(([value, label]) => (
+                <s-option key={value} value={value}>{label}</s-option>
+              ))}
+            </s-select>
+          </s-grid>
+
+          {rejections.length === 0 ? (
+            <s-paragraph>No rejected requests.</s-paragraph>
+          ) : (
+            <s-table>
+              <s-table-header-row>
+                <s-table-header>Date</s-table-header>
+                <s-table-header>Request</s-table-header>
+                <s-table-header>Reason</s-table-header>
+                <s-table-header>Customer</s-table-header>
+                <s-table-header>IP</s-table-header>
+                <s-table-header>Product</s-table-header>
+                <s-table-header>Change</s-table-header>
+              </s-table-header-row>
+              <s-table-body>
+                {rejections.map((rejection) => (
+                  <s-table-row key={rejection.id}>
+                    <s-table-cell>{new Date(rejection.createdAt).toLocaleString()}</s-table-cell>
+                    <s-table-cell>{rejection.kind === "search" ? "Search" : "Stock update"}</s-table-cell>
+                    <s-table-cell>{REJECTION_LABELS[rejection.reason] || rejection.reason}</s-table-cell>
+                    <s-table-cell>{rejection.customerId ? extractId(rejection.customerId) : "Guest"}</s-table-cell>
+                    <s-table-cell>{rejection.ip || "—"}</s-table-cell>
+                    <s-table-cell>{rejection.productId || "—"}</s-table-cell>
+                    <s-table-cell>{rejection.quantityChange ?? "—"}</s-table-cell>
+                  </s-table-row>
+                ))}
+              </s-table-body>
+            </s-table>
+          )}
+        </s-stack>
+      </s-section>
+
+      <s-section slot="aside" heading="How access works">
+        <s-unordered-list>
+          <s-list-item>
+            Only logged-in customers can update stock; guests see a login prompt
+          </s-list-item>
+          <s-list-item>
+            A customer is allowed when listed by ID, tagged, or when the
+            metafield is &quot;true&quot;
+          </s-list-item>
+          <s-list-item>
+            Requests over the rate limits are rejected until the window ends;
+            widget searches have their own, higher limit
+          </s-list-item>
+          <s-list-item>
+            Tag and metafield checks need the read_customers scope
+          </s-list-item>
+        </s-unordered-list>
+      </s-section>
+    </s-page>
+  );
+}
+
+// Keyed by PROXY_REJECTION_REASONS (the service is server-only)
+const REJECTION_LABELS = {
+  login_required: "Not logged in",
+  not_allowed: "Customer not allowed",
+  delta_too_large: "Change too large",
+  customer_rate_limited: "Customer rate limit",
+  ip_rate_limited: "IP rate limit",
+};
+
+// Helper to extract the numeric ID from a GID
+function extractId(value) {
+  if (!value) return "";
+  return String(value).split("/").pop();
+}
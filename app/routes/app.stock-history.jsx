@@ -0,0 +1,272 @@
+/**
+ * Admin Route: Stock History
+ *
+ * Accessible at: /app/stock-history?item=&from=&to=
+ *
+ * Charts the available quantity of one inventory item at each of its
+ * locations over a date range, rebuilt from inventory_levels/update
+ * webhooks and nightly snapshots (see inventory-history.service.js).
+ * Unlike the adjustment history, which lists the changes made through
+ * this app, it covers every change Shopify reported. The same data is
+ * served as JSON by /api/stock-history.
+ */
+
+import { useState } from "react";
+import { useLoaderData, useSearchParams } from "react-router";
+import { authenticate } from "../shopify.server";
+import { getInventoryItemLevels } from "../services/inventory.service";
+import {
+  getHistoryLocationIds,
+  getInventoryHistory,
+  parseHistoryRange,
+} from "../services/inventory-history.service";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const searchParams = new URL(request.url).searchParams;
+  const inventoryItemId = searchParams.get("item")?.trim() || "";
+  const { from, to } = parseHistoryRange(searchParams);
+  const range = { from: from.toISOString().slice(0, 10), to: to.toISOString().slice(0, 10) };
+
+  if (!/^\d+$/.test(inventoryItemId)) {
+    return { item: null, locations: [], range, inventoryItemId };
+  }
+
+  const [item, historyLocationIds] = await Promise.all([
+    getInventoryItemLevels(admin, inventoryItemId),
+    getHistoryLocationIds({ shop: session.shop, inventoryItemId }),
+  ]);
+
+  // Current locations first, then those only known from history
+  const locations = (item?.levels || []).map(level => ({
+    locationId: extractId(level.locationId),
+    locationName: level.locationName,
+    available: level.available,
+  }));
+  for (const locationId of historyLocationIds) {
+    if (!locations.some(location => location.locationId === locationId)) {
+      locations.push({ locationId, locationName: null, available: null });
+    }
+  }
+
+  const histories = await Promise.all(locations.map(location => getInventoryHistory({
+    shop: session.shop,
+    inventoryItemId,
+    locationId: location.locationId,
+    from,
+    to,
+  })));
+
+  return {
+    item,
+    locations: locations.map((location, i) => ({ ...location, history: histories[i] })),
+    range,
+    inventoryItemId,
+  };
+};
+
+export default function StockHistory() {
+  const { item, locations, range, inventoryItemId } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [itemInput, setItemInput] = useState(inventoryItemId);
+
+  const setParam = (param, value) => {
+    const params = new URLSearchParams(searchParams);
+    if (value) {
+      params.set(param, value);
+    } else {
+      params.delete(param);
+    }
+    setSearchParams(params);
+  };
+
+  const handleShow = (e) => {
+    e.preventDefault();
+    setParam("item", itemInput.trim());
+  };
+
+  return (
+    <s-page heading="Stock history">
+      <s-section>
+        <form onSubmit={handleShow}>
+          <s-grid gridTemplateColumns="repeat(4, 1fr)" gap="base" alignItems="end">
+            <s-text-field
+              label="Inventory item ID"
+              value={itemInput}
+              onInput={(e) => setItemInput(e.target.value)}
+            />
+            <s-date-field
+              label="From"
+              value={range.from}
+              onChange={(e) => setParam("from", e.target.value)}
+            />
+            <s-date-field
+              label="To"
+              value={range.to}
+              onChange={(e) => setParam("to", e.target.value)}
+            />
+            <s-button type="submit">Show</s-button>
+          </s-grid>
+        </form>
+      </s-section>
+
+      {!inventoryItemId ? (
+        <s-section>
+          <s-paragraph>
+            Enter an inventory item ID, or open History from a row of the
+            <s-link href="/app/inventory/grid"> stock grid</s-link>.
+          </s-paragraph>
+        </s-section>
+      ) : (
+        <>
+          {item ? (
+            <s-section heading={item.productTitle
+              ? `${item.productTitle}${item.variantTitle && item.variantTitle !== "Default Title" ? ` – ${item.variantTitle}` : ""}`
+              : `Item ${inventoryItemId}`}
+            >
+              <s-text subdued>
+                {item.sku ? `SKU ${item.sku} · ` : ""}Inventory item {inventoryItemId}
+                {!item.tracked ? " · Not tracked" : ""}
+              </s-text>
+            </s-section>
+          ) : (
+            <s-banner tone="warning">
+              <s-text>
+                Inventory item {inventoryItemId} was not found in Shopify; showing recorded history only.
+              </s-text>
+            </s-banner>
+          )}
+
+          {locations.length === 0 && (
+            <s-section>
+              <s-paragraph>No history recorded for this item yet.</s-paragraph>
+            </s-section>
+          )}
+
+          {locations.map(({ locationId, locationName, available, history }) => {
+            const changedDays = history.days.filter(day => day.changes > 0);
+            const points = sparklinePoints(history.days);
+
+            return (
+              <s-section key={locationId} heading={locationName || `Location ${locationId}`}>
+                <s-stack direction="block" gap="base">
+                  <s-stack direction="inline" gap="large">
+                    <s-text>Now: {available ?? "—"}</s-text>
+                    <s-text>
+                      {range.from}: {history.openingQuantity ?? "—"}
+                    </s-text>
+                    <s-text>
+                      {range.to}: {history.closingQuantity ?? "—"}
+                    </s-text>
+                    <s-text>
+                      Net change:{" "}
+                      {history.netChange === null ? "—" : `${history.netChange > 0 ? "+" : ""}${history.netChange}`}
+                    </s-text>
+                  </s-stack>
+
+                  {points ? (
+                    <svg
+                      viewBox={`0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`}
+                      width="100%"
+                      height={SPARKLINE_HEIGHT}
+                      preserveAspectRatio="none"
+                      role="img"
+                      aria-label={`Daily closing stock from ${range.from} to ${range.to}`}
+                    >
+                      <polyline
+                        points={points}
+                        fill="none"
+                        stroke="#008060"
+                        strokeWidth="2"
+                        vectorEffect="non-scaling-stroke"
+                      />
+                    </svg>
+                  ) : (
+                    <s-text subdued>No quantity known in this range.</s-text>
+                  )}
+
+                  {changedDays.length > 0 && (
+                    <s-table>
+                      <s-table-header-row>
+                        <s-table-header>Date</s-table-header>
+                        <s-table-header>Open</s-table-header>
+                        <s-table-header>Min</s-table-header>
+                        <s-table-header>Max</s-table-header>
+                        <s-table-header>Close</s-table-header>
+                        <s-table-header>Changes</s-table-header>
+                      </s-table-header-row>
+                      <s-table-body>
+                        {changedDays.map((day) => (
+                          <s-table-row key={day.date}>
+                            <s-table-cell>{day.date}</s-table-cell>
+                            <s-table-cell>{day.open ?? "—"}</s-table-cell>
+                            <s-table-cell>{day.min}</s-table-cell>
+                            <s-table-cell>{day.max}</s-table-cell>
+                            <s-table-cell>{day.close}</s-table-cell>
+                            <s-table-cell>{day.changes}</s-table-cell>
+                          </s-table-row>
+                        ))}
+                      </s-table-body>
+                    </s-table>
+                  )}
+                </s-stack>
+              </s-section>
+            );
+          })}
+        </>
+      )}
+
+      <s-section slot="aside" heading="Where history comes from">
+        <s-unordered-list>
+          <s-list-item>
+            Every inventory webhook Shopify sends records the available
+            quantity at that time
+          </s-list-item>
+          <s-list-item>
+            A nightly snapshot reads current stock and fills in changes
+            whose webhooks never arrived
+          </s-list-item>
+          <s-list-item>
+            Days are in UTC; days without changes keep the previous close
+          </s-list-item>
+          <s-list-item>
+            Changes made through this app, with who made them, are listed
+            under <s-link href="/app/inventory/adjustments">Adjustments</s-link>
+          </s-list-item>
+        </s-unordered-list>
+      </s-section>
+    </s-page>
+  );
+}
+
+const SPARKLINE_WIDTH = 600;
+const SPARKLINE_HEIGHT = 60;
+
+// SVG polyline points of the daily closes (days before anything is known are skipped)
+function sparklinePoints(days) {
+  const known = days
+    .map((day, i) => ({ i, value: day.close }))
+    .filter(point => point.value !== null);
+
+  if (known.length === 0) return null;
+
+  const values = known.map(point => point.value);
+  const min = Math.min(...values);
+  const span = Math.max(...values) - min || 1;
+  const step = days.length > 1 ? SPARKLINE_WIDTH / (days.length - 1) : 0;
+  const y = (value) => SPARKLINE_HEIGHT - 2 - ((value - min) / span) * (SPARKLINE_HEIGHT - 4);
+
+  // A single known day is drawn as a flat line
+  const points = known.length === 1
+    ? [{ x: 0, value: known[0].value }, { x: SPARKLINE_WIDTH, value: known[0].value }]
+    : known.map(point => ({ x: point.i * step, value: point.value }));
+
+  return points.map(point => `${point.x.toFixed(1)},${y(point.value).toFixed(1)}`).join(" ");
+}
+
+// Helper to extract the numeric ID from a GID
+function extractId(value) {
+  if (!value) return "";
+  return String(value).split("/").pop();
+}
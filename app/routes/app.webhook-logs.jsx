@@ -1,52 +1,167 @@
 /**
  * Admin Route: Webhook Logs Viewer
  *
- * Displays recent inventory webhook events and PIM/ERP notifications.
+ * Displays inventory webhook events and PIM/ERP notifications, with filters
+ * and cursor-based pagination. Filter state lives in the URL search params
+ * so filtered views can be shared as links.
+ *
+ * Failed events, or all events in the filtered date range, can be replayed
+ * to the PIM/ERP.
  */
 
 import { useState, useEffect } from "react";
-import { useFetcher } from "react-router";
+import { useFetcher, useLoaderData, useSearchParams } from "react-router";
 import { useAppBridge } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
-import { getRecentWebhookEvents, createWebhookSummary } from "../services/webhook-logger.service";
+import {
+  findWebhookEvents,
+  parseWebhookEventFilters,
+  createWebhookSummary,
+} from "../services/webhook-logger.service";
+import {
+  REPLAY_SCOPES,
+  getRecentReplays,
+  replayWebhookEvents,
+} from "../services/pim-replay.service";
+import { getStaffMember } from "../services/staff.service";
+
+const FILTER_FIELDS = ["topic", "inventoryItemId", "locationId", "pimStatus", "from", "to"];
+
+const PIM_STATUS_OPTIONS = [
+  "pending",
+  "delivering",
+  "delivered",
+  "failed",
+  "dead_lettered",
+  "skipped",
+];
 
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
+
+  const { searchParams } = new URL(request.url);
+  const filters = parseWebhookEventFilters(searchParams);
 
-  // Get recent webhook events
-  const recentEvents = await getRecentWebhookEvents(50);
+  const { events, pageInfo } = await findWebhookEvents({
+    shop: session.shop,
+    filters,
+    after: searchParams.get("after") || undefined,
+    before: searchParams.get("before") || undefined,
+  });
 
   // Get summary for last 24 hours
   const endDate = new Date();
   const startDate = new Date(endDate.getTime() - 24 * 60 * 60 * 1000);
-  const summary = await createWebhookSummary(startDate, endDate);
+  const summary = await createWebhookSummary(session.shop, startDate, endDate);
+
+  const recentReplays = await getRecentReplays({ shop: session.shop, limit: 10 });
 
   return {
-    events: recentEvents,
+    events,
+    pageInfo,
     summary,
+    recentReplays,
   };
 };
 
+export const action = async ({ request }) => {
+  const { session, sessionToken } = await authenticate.admin(request);
+
+  try {
+    const formData = await request.formData();
+    const intent = formData.get("intent");
+    const staff = getStaffMember({ session, sessionToken });
+
+    if (intent === "replayFailed") {
+      const result = await replayWebhookEvents({
+        scope: REPLAY_SCOPES.FAILED,
+        shop: session.shop,
+      }, staff);
+      return result.success
+        ? { success: true, message: replayMessage(result, "failed events") }
+        : { error: result.error };
+    }
+
+    if (intent === "replayRange") {
+      const { from, to } = parseWebhookEventFilters(formData);
+      const result = await replayWebhookEvents({
+        scope: REPLAY_SCOPES.RANGE,
+        shop: session.shop,
+        from,
+        to,
+      }, staff);
+      return result.success
+        ? { success: true, message: replayMessage(result, "events") }
+        : { error: result.error };
+    }
+
+    return { error: `Unknown action "${intent}"` };
+  } catch (error) {
+    console.error("Webhook replay error:", error);
+    return { error: error.message || "Failed to replay events" };
+  }
+};
+
 export default function WebhookLogs() {
+  const { events, pageInfo, summary, recentReplays } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
   const fetcher = useFetcher();
   const shopify = useAppBridge();
 
+  const isReplaying = ["loading", "submitting"].includes(fetcher.state);
+  const rangeFrom = searchParams.get("from");
+  const rangeTo = searchParams.get("to");
+
   useEffect(() => {
-    if (fetcher.state === "idle" && !fetcher.data) {
-      fetcher.load("/app/webhook-logs");
+    if (fetcher.data?.success) {
+      shopify.toast.show(fetcher.data.message);
     }
-  }, [fetcher]);
+  }, [fetcher.data, shopify]);
+
+  const replayFailed = () => {
+    fetcher.submit({ intent: "replayFailed" }, { method: "POST" });
+  };
 
-  const events = fetcher.data?.events || [];
-  const summary = fetcher.data?.summary || { totalEvents: 0, uniqueShops: 0, uniqueItems: 0 };
+  // Replays the date range of the applied filters, whole days in UTC
+  const replayRange = () => {
+    fetcher.submit({ intent: "replayRange", from: rangeFrom, to: rangeTo }, { method: "POST" });
+  };
 
-  // Helper to extract ID from GID or return as-is
-  const extractId = (value) => {
-    if (!value) return 'N/A';
-    if (typeof value === 'string' && value.includes('/')) {
-      return value.split('/').pop();
-    }
-    return String(value);
+  const [filters, setFilters] = useState(() =>
+    Object.fromEntries(FILTER_FIELDS.map((field) => [field, searchParams.get(field) || ""]))
+  );
+
+  const setFilter = (field) => (e) => {
+    setFilters((current) => ({ ...current, [field]: e.target.value }));
+  };
+
+  // Applying filters starts again from the newest page
+  const applyFilters = (e) => {
+    e.preventDefault();
+    const params = new URLSearchParams();
+    FILTER_FIELDS.forEach((field) => {
+      if (filters[field]) params.set(field, filters[field]);
+    });
+    setSearchParams(params);
+  };
+
+  const clearFilters = () => {
+    setFilters(Object.fromEntries(FILTER_FIELDS.map((field) => [field, ""])));
+    setSearchParams(new URLSearchParams());
+  };
+
+  const goToPage = (cursorParam, cursor) => {
+    const params = new URLSearchParams(searchParams);
+    params.delete("after");
+    params.delete("before");
+    params.set(cursorParam, cursor);
+    setSearchParams(params);
+  };
+
+  // Detail links carry the filters so "back" returns to the same view
+  const detailHref = (eventId) => {
+    const query = searchParams.toString();
+    return `/app/webhook-logs/${eventId}${query ? `?${query}` : ""}`;
   };
 
   return (
@@ -70,30 +185,58 @@ export default function WebhookLogs() {
           </s-card>
           <s-card>
             <s-card-section>
-              <s-display-text size="large">{summary.uniqueShops}</s-display-text>
-              <s-text subdued>Unique Shops</s-text>
+              <s-display-text size="large">{summary.uniqueItems}</s-display-text>
+              <s-text subdued>Unique Items</s-text>
             </s-card-section>
           </s-card>
           <s-card>
             <s-card-section>
-              <s-display-text size="large">{summary.uniqueItems}</s-display-text>
-              <s-text subdued>Unique Items</s-text>
+              <s-display-text size="large">{summary.uniqueLocations}</s-display-text>
+              <s-text subdued>Unique Locations</s-text>
             </s-card-section>
           </s-card>
         </s-grid>
       </s-section>
 
-      {/* Recent Events Table */}
+      {/* Filters */}
+      <s-section>
+        <s-heading level="2">Filters</s-heading>
+        <form onSubmit={applyFilters}>
+          <s-stack direction="block" gap="base">
+            <s-grid gridTemplateColumns="repeat(3, 1fr)" gap="base">
+              <s-text-field label="Topic" value={filters.topic} onInput={setFilter("topic")} placeholder="INVENTORY_LEVELS_UPDATE" />
+              <s-select label="PIM status" value={filters.pimStatus} onChange={setFilter("pimStatus")}>
+                <s-option value="">Any</s-option>
+                {PIM_STATUS_OPTIONS.map((status) => (
+                  <s-option key={status} value={status}>{status}</s-option>
+                ))}
+              </s-select>
+              <s-text-field label="Inventory item ID" value={filters.inventoryItemId} onInput={setFilter("inventoryItemId")} />
+              <s-text-field label="Location ID" value={filters.locationId} onInput={setFilter("locationId")} />
+              <s-stack direction="inline" gap="base">
+                <s-date-field label="From" value={filters.from} onChange={setFilter("from")} />
+                <s-date-field label="To" value={filters.to} onChange={setFilter("to")} />
+              </s-stack>
+            </s-grid>
+            <s-stack direction="inline" gap="base">
+              <s-button type="submit" variant="primary">Apply filters</s-button>
+              <s-button onClick={clearFilters}>Clear</s-button>
+            </s-stack>
+          </s-stack>
+        </form>
+      </s-section>
+
+      {/* Events Table */}
       <s-section>
-        <s-heading level="2">Recent Events (Last 50)</s-heading>
+        <s-heading level="2">Events</s-heading>
 
         {events.length === 0 ? (
           <s-empty-state
-            heading="No webhook events yet"
+            heading="No webhook events found"
             content="Inventory webhooks will appear here when inventory levels change in Shopify."
           >
             <s-text subdued>
-              Try updating product inventory to trigger a webhook event.
+              Try updating product inventory to trigger a webhook event, or clear the filters.
             </s-text>
           </s-empty-state>
         ) : (
@@ -102,24 +245,21 @@ export default function WebhookLogs() {
               <thead>
                 <tr>
                   <th>Timestamp</th>
-                  <th>Shop</th>
                   <th>Inventory Item ID</th>
                   <th>Location</th>
                   <th>Available Qty</th>
                   <th>PIM Status</th>
+                  <th></th>
                 </tr>
               </thead>
               <tbody>
-                {events.map((event, idx) => (
-                  <tr key={idx}>
+                {events.map((event) => (
+                  <tr key={event.id}>
                     <td>
                       <s-text>
                         {new Date(event.timestamp).toLocaleString()}
                       </s-text>
                     </td>
-                    <td>
-                      <s-text>{event.shop}</s-text>
-                    </td>
                     <td>
                       <s-text variant="bodyMd" as="span" fontWeight="semibold">
                         {extractId(event.inventoryChange.inventoryItemId)}
@@ -132,13 +272,22 @@ export default function WebhookLogs() {
                     </td>
                     <td>
                       <s-badge tone="info">
-                        {event.inventoryChange.available}
+                        {event.inventoryChange.available ?? "—"}
                       </s-badge>
                     </td>
                     <td>
-                      <s-badge tone="success">
+                      <s-badge tone={PIM_STATUS_TONES[event.pimNotification?.status] || 'info'}>
                         {event.pimNotification?.status || 'pending'}
                       </s-badge>
+                      {event.pimNotification?.attempts > 1 && (
+                        <s-text subdued> ({event.pimNotification.attempts} attempts)</s-text>
+                      )}
+                      {event.duplicateCount > 0 && (
+                        <s-text subdued> ({event.duplicateCount} duplicate deliveries dropped)</s-text>
+                      )}
+                    </td>
+                    <td>
+                      <s-link href={detailHref(event.id)}>Details</s-link>
                     </td>
                   </tr>
                 ))}
@@ -146,6 +295,84 @@ export default function WebhookLogs() {
             </table>
           </s-data-table>
         )}
+
+        <s-stack direction="inline" gap="base">
+          <s-button
+            disabled={!pageInfo.hasPreviousPage}
+            onClick={() => goToPage("before", pageInfo.startCursor)}
+          >
+            Newer
+          </s-button>
+          <s-button
+            disabled={!pageInfo.hasNextPage}
+            onClick={() => goToPage("after", pageInfo.endCursor)}
+          >
+            Older
+          </s-button>
+        </s-stack>
+      </s-section>
+
+      {/* Replay */}
+      <s-section>
+        <s-heading level="2">Replay to PIM/ERP</s-heading>
+        <s-stack direction="block" gap="base">
+          <s-paragraph>
+            Re-send events after the PIM/ERP was unavailable. Only the latest
+            stock level of each item and location is sent, and events still
+            queued for delivery are left to the retries. Events skipped as
+            duplicates or stale are never replayed.
+          </s-paragraph>
+
+          <s-stack direction="inline" gap="base">
+            <s-button onClick={replayFailed} {...(isReplaying ? { loading: true } : {})}>
+              Replay failed events
+            </s-button>
+            <s-button
+              onClick={replayRange}
+              disabled={!rangeFrom || !rangeTo}
+              {...(isReplaying ? { loading: true } : {})}
+            >
+              {rangeFrom && rangeTo
+                ? `Replay events from ${rangeFrom} to ${rangeTo}`
+                : "Replay date range (set From and To filters)"}
+            </s-button>
+          </s-stack>
+
+          {fetcher.data?.error && (
+            <s-banner tone="critical">
+              <s-text>{fetcher.data.error}</s-text>
+            </s-banner>
+          )}
+
+          {recentReplays.length > 0 && (
+            <s-table>
+              <s-table-header-row>
+                <s-table-header>Replayed</s-table-header>
+                <s-table-header>By</s-table-header>
+                <s-table-header>Event</s-table-header>
+                <s-table-header>Status</s-table-header>
+              </s-table-header-row>
+              <s-table-body>
+                {recentReplays.map((replay) => (
+                  <s-table-row key={replay.id}>
+                    <s-table-cell>{new Date(replay.createdAt).toLocaleString()}</s-table-cell>
+                    <s-table-cell>{replay.replayedBy}</s-table-cell>
+                    <s-table-cell>
+                      {replay.webhookEventId
+                        ? <s-link href={detailHref(replay.webhookEventId)}>{replay.webhookEventId}</s-link>
+                        : "—"}
+                    </s-table-cell>
+                    <s-table-cell>
+                      <s-badge tone={PIM_STATUS_TONES[replay.status] || 'info'}>
+                        {replay.status}
+                      </s-badge>
+                    </s-table-cell>
+                  </s-table-row>
+                ))}
+              </s-table-body>
+            </s-table>
+          )}
+        </s-stack>
       </s-section>
 
       {/* Instructions */}
@@ -156,16 +383,45 @@ export default function WebhookLogs() {
             Webhook events are stored in PostgreSQL database
           </s-list-item>
           <s-list-item>
-            Each event includes a simulated PIM/ERP notification
+            Each event is delivered to the PIM/ERP endpoint configured under PIM Delivery
           </s-list-item>
           <s-list-item>
-            In production, replace the logger with actual HTTP requests to your PIM/ERP system
+            Failed deliveries are retried with backoff and dead-lettered after the max attempts
           </s-list-item>
           <s-list-item>
             Events are triggered automatically when inventory changes in Shopify
           </s-list-item>
+          <s-list-item>
+            Repeat deliveries are dropped, and events older than the last known stock level are recorded as skipped
+          </s-list-item>
         </s-unordered-list>
       </s-section>
     </s-page>
   );
 }
+
+const PIM_STATUS_TONES = {
+  pending: 'info',
+  delivering: 'info',
+  delivered: 'success',
+  failed: 'warning',
+  dead_lettered: 'critical',
+  skipped: 'neutral',
+};
+
+// Summary of a bulk replay, mentioning events replaced by a newer one
+function replayMessage({ replayed, superseded }, label) {
+  const message = `Queued ${replayed} ${label} for replay`;
+  return superseded > 0
+    ? `${message} (${superseded} older events were replaced by the latest stock level)`
+    : message;
+}
+
+// Helper to extract ID from GID or return as-is
+function extractId(value) {
+  if (!value) return 'N/A';
+  if (typeof value === 'string' && value.includes('/')) {
+    return value.split('/').pop();
+  }
+  return String(value);
+}
@@ -0,0 +1,217 @@
+/**
+ * Admin Route: Webhook Event Detail
+ *
+ * Accessible at: /app/webhook-logs/:eventId
+ *
+ * Shows one webhook event's raw payload and its PIM/ERP delivery history.
+ * The search params of the events list are kept so "Back" returns to the
+ * same filtered view. The event can be replayed to the PIM/ERP from here.
+ */
+
+import { useEffect } from "react";
+import { useFetcher, useLoaderData, useLocation } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getWebhookEventDetail } from "../services/webhook-logger.service";
+import { REPLAY_SCOPES, replayWebhookEvents } from "../services/pim-replay.service";
+import { getStaffMember } from "../services/staff.service";
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  // Events of other shops are reported as not found
+  const event = await getWebhookEventDetail(params.eventId, session.shop);
+
+  if (!event) {
+    throw new Response("Webhook event not found", { status: 404 });
+  }
+
+  return { event };
+};
+
+export const action = async ({ request, params }) => {
+  const { session, sessionToken } = await authenticate.admin(request);
+
+  try {
+    const result = await replayWebhookEvents({
+      scope: REPLAY_SCOPES.EVENT,
+      eventId: params.eventId,
+      shop: session.shop,
+    }, getStaffMember({ session, sessionToken }));
+
+    if (!result.success) {
+      return { error: result.error };
+    }
+
+    // A newer event of the same item and location was sent instead
+    return result.replayedEventId !== params.eventId
+      ? {
+        success: true,
+        message: `Replayed newer event ${result.replayedEventId} instead (${result.deliveryStatus})`,
+        replayedEventId: result.replayedEventId,
+      }
+      : { success: true, message: `Event replayed (${result.deliveryStatus})` };
+  } catch (error) {
+    console.error("Webhook replay error:", error);
+    return { error: error.message || "Failed to replay event" };
+  }
+};
+
+export default function WebhookEventDetail() {
+  const { event } = useLoaderData();
+  const { search } = useLocation();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const isReplaying = ["loading", "submitting"].includes(fetcher.state);
+
+  useEffect(() => {
+    if (fetcher.data?.success) {
+      shopify.toast.show(fetcher.data.message);
+    }
+  }, [fetcher.data, shopify]);
+
+  const handleReplay = () => {
+    fetcher.submit({}, { method: "POST" });
+  };
+
+  return (
+    <s-page heading={`Webhook event ${event.id}`}>
+      <s-link slot="breadcrumb-actions" href={`/app/webhook-logs${search}`}>
+        Events
+      </s-link>
+
+      {!event.skipReason && (
+        <s-button
+          slot="primary-action"
+          onClick={handleReplay}
+          {...(isReplaying ? { loading: true } : {})}
+        >
+          Replay to PIM/ERP
+        </s-button>
+      )}
+
+      {fetcher.data?.error && (
+        <s-banner tone="critical">
+          <s-text>{fetcher.data.error}</s-text>
+        </s-banner>
+      )}
+
+      {fetcher.data?.replayedEventId && (
+        <s-banner tone="info">
+          <s-text>
+            This event is older than the last known stock level of its item and location,
+            so the PIM/ERP was sent the newer event
+            {" "}<s-link href={`/app/webhook-logs/${fetcher.data.replayedEventId}${search}`}>{fetcher.data.replayedEventId}</s-link>{" "}
+            instead. Replaying this one would overwrite the newer quantity.
+          </s-text>
+        </s-banner>
+      )}
+
+      <s-section heading="Event">
+        <s-stack direction="block" gap="small-200">
+          <s-text>Received: {new Date(event.timestamp).toLocaleString()}</s-text>
+          <s-text>Topic: {event.topic}</s-text>
+          <s-text>Webhook ID: {event.webhookId || "—"}</s-text>
+          <s-text>
+            Shopify updated_at: {event.sourceUpdatedAt
+              ? new Date(event.sourceUpdatedAt).toLocaleString()
+              : "—"}
+          </s-text>
+          <s-text>Inventory item: {event.inventoryChange.inventoryItemId}</s-text>
+          <s-text>Location: {event.inventoryChange.locationId}</s-text>
+          <s-text>Available: {event.inventoryChange.available ?? "—"}</s-text>
+          <s-stack direction="inline" gap="small-200">
+            <s-text>PIM status:</s-text>
+            <s-badge tone={PIM_STATUS_TONES[event.pimNotification.status] || "info"}>
+              {event.pimNotification.status || "pending"}
+            </s-badge>
+          </s-stack>
+          {event.skipReason && (
+            <s-banner tone="info">
+              <s-text>Not forwarded to the PIM/ERP: {event.skipReason}</s-text>
+            </s-banner>
+          )}
+          {event.duplicateCount > 0 && (
+            <s-text subdued>
+              {event.duplicateCount} duplicate deliveries dropped, last at
+              {" "}{new Date(event.lastDuplicateAt).toLocaleString()}
+            </s-text>
+          )}
+        </s-stack>
+      </s-section>
+
+      {event.adjustments.length > 0 && (
+        <s-section heading="Caused by">
+          {event.adjustments.map((adjustment) => (
+            <s-paragraph key={adjustment.id}>
+              {adjustment.actorName}
+              {adjustment.actorId ? ` (${adjustment.actorId})` : ""}
+              {" "}changed stock {adjustment.oldQuantity} → {adjustment.newQuantity}
+              {" "}({adjustment.reason}, {adjustment.sourceChannel.replace(/_/g, " ")}) at
+              {" "}{new Date(adjustment.createdAt).toLocaleString()}.
+              {" "}<s-link href="/app/inventory/adjustments">All adjustments</s-link>
+            </s-paragraph>
+          ))}
+        </s-section>
+      )}
+
+      <s-section heading="Delivery history">
+        {event.deliveries.length === 0 ? (
+          <s-paragraph>This event has no PIM/ERP deliveries.</s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Created</s-table-header>
+              <s-table-header>Status</s-table-header>
+              <s-table-header>Attempts</s-table-header>
+              <s-table-header>Last response</s-table-header>
+              <s-table-header>Delivered / next attempt</s-table-header>
+              <s-table-header>Replayed by</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {event.deliveries.map((delivery) => (
+                <s-table-row key={delivery.id}>
+                  <s-table-cell>{new Date(delivery.createdAt).toLocaleString()}</s-table-cell>
+                  <s-table-cell>
+                    <s-badge tone={PIM_STATUS_TONES[delivery.status] || "info"}>
+                      {delivery.status}
+                    </s-badge>
+                  </s-table-cell>
+                  <s-table-cell>{delivery.attempts}</s-table-cell>
+                  <s-table-cell>
+                    {delivery.lastStatusCode ? `HTTP ${delivery.lastStatusCode}` : ""}
+                    {delivery.lastError ? ` ${delivery.lastError}` : ""}
+                  </s-table-cell>
+                  <s-table-cell>
+                    {delivery.deliveredAt
+                      ? new Date(delivery.deliveredAt).toLocaleString()
+                      : delivery.nextAttemptAt
+                        ? `Next: ${new Date(delivery.nextAttemptAt).toLocaleString()}`
+                        : "—"}
+                  </s-table-cell>
+                  <s-table-cell>{delivery.replayedBy || "—"}</s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      <s-section heading="Raw payload">
+        <pre style={{ whiteSpace: "pre-wrap", wordBreak: "break-all" }}>
+          {JSON.stringify(event.payload, null, 2)}
+        </pre>
+      </s-section>
+    </s-page>
+  );
+}
+
+const PIM_STATUS_TONES = {
+  pending: "info",
+  delivering: "info",
+  delivered: "success",
+  failed: "warning",
+  dead_lettered: "critical",
+  skipped: "neutral",
+};
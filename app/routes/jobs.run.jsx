@@ -0,0 +1,28 @@
+/**
+ * Cron Route: run due jobs
+ *
+ * Accessible at: /jobs/run
+ *
+ * Serverless deployments (Vercel) have no long-running worker, so a cron
+ * job calls this route to drain the persisted job queue and the PIM/ERP
+ * outbox. Requires `Authorization: Bearer <CRON_SECRET>`.
+ */
+
+import { drainJobs } from "../services/job-queue.service";
+
+// Keep each invocation well inside the serverless function time limit
+const MAX_JOBS_PER_RUN = 100;
+
+export const loader = async ({ request }) => {
+  // eslint-disable-next-line no-undef
+  const secret = process.env.CRON_SECRET;
+
+  if (!secret || request.headers.get("Authorization") !== `Bearer ${secret}`) {
+    return new Response("Unauthorized", { status: 401 });
+  }
+
+  const counts = await drainJobs({ maxJobs: MAX_JOBS_PER_RUN });
+  console.log("🛠️ Cron drained jobs:", counts);
+
+  return Response.json(counts);
+};
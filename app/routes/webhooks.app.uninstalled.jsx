@@ -1,5 +1,8 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { replaceJob } from "../services/job-queue.service";
+import { JOB_TYPES } from "../services/job-handlers.service";
+import { getShopDataPurgeDate } from "../services/shop-data.service";
 
 export const action = async ({ request }) => {
   const { shop, session, topic } = await authenticate.webhook(request);
@@ -12,5 +15,23 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // Logged events and PIM/ERP deliveries are kept for the retention period,
+  // then purged by the job worker unless the shop reinstalls in the meantime.
+  // One purge per shop, moved to the latest uninstall: a purge scheduled by
+  // an earlier uninstall must not run early after a reinstall and a second
+  // uninstall.
+  const uninstalledAt = new Date();
+  const purgeAt = getShopDataPurgeDate(uninstalledAt);
+
+  await replaceJob({
+    type: JOB_TYPES.PURGE_SHOP_DATA,
+    shop,
+    dedupeKey: `purge:${shop}`,
+    payload: { shop, uninstalledAt: uninstalledAt.toISOString() },
+    runAt: purgeAt,
+  });
+
+  console.log(`🗓️ Scheduled data purge for ${shop} at ${purgeAt.toISOString()}`);
+
   return new Response();
 };
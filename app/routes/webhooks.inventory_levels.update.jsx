@@ -2,83 +2,56 @@
  * Webhook Handler: inventory_levels/update
  *
  * Triggered when inventory levels change in Shopify.
- * Logs events and notifies external PIM/ERP systems.
+ * Only persists the raw event as a job and responds; the job worker then
+ * logs the event and delivers it to the external PIM/ERP system (see
+ * job-handlers.service.js). Nothing is lost if the process stops right
+ * after responding.
+ *
+ * Every delivery gets its own job, repeats included: the logger drops
+ * repeat deliveries of a webhook ID and records them on the original event.
  */
 
 import { authenticate } from "../shopify.server";
-import { logInventoryWebhook, notifyExternalPIM } from "../services/webhook-logger.service";
+import { enqueueJob } from "../services/job-queue.service";
+import { JOB_TYPES } from "../services/job-handlers.service";
 
 export const action = async ({ request }) => {
+  let webhook;
+
   try {
     // Authenticate and parse webhook
-    const { topic, shop, payload } = await authenticate.webhook(request);
-
-    console.log(`📥 Received ${topic} webhook for ${shop}`);
-    console.log('Payload:', JSON.stringify(payload, null, 2));
-
-    // CRITICAL: Respond immediately (within 5 seconds)
-    // Process webhook asynchronously after response
-    const receivedAt = new Date().toISOString();
-
-    // Process webhook in background (non-blocking)
-    processWebhookAsync(topic, shop, payload, receivedAt)
-      .catch(error => {
-        console.error('❌ Webhook processing error:', error);
-      });
-
-    // Respond to Shopify immediately
-    return new Response('OK', { status: 200 });
-
+    webhook = await authenticate.webhook(request);
   } catch (error) {
     console.error('❌ Webhook authentication failed:', error);
     // Still return 200 to prevent retries for auth failures
     return new Response('OK', { status: 200 });
   }
-};
 
-/**
- * Process webhook asynchronously after responding to Shopify
- */
-async function processWebhookAsync(topic, shop, payload, receivedAt) {
-  try {
-    // 1. Extract inventory change details
-    const inventoryChange = {
-      inventoryItemId: payload.inventory_item_id,
-      locationId: payload.location_id,
-      available: payload.available,
-      updatedAt: payload.updated_at,
-    };
-
-    console.log('📦 Inventory Change:', inventoryChange);
+  const { topic, shop, payload, webhookId } = webhook;
+  console.log(`📥 Received ${topic} webhook for ${shop}`);
 
-    // 2. Log webhook event to file (emulates audit trail)
-    await logInventoryWebhook({
-      shop,
-      topic,
-      payload,
-      receivedAt,
-    });
-
-    // 3. Notify external PIM/ERP system (emulated)
-    const pimResponse = await notifyExternalPIM({
+  try {
+    // Persist the raw event
+    const { jobId } = await enqueueJob({
+      type: JOB_TYPES.INVENTORY_LEVELS_UPDATE,
       shop,
-      inventoryItemId: inventoryChange.inventoryItemId,
-      locationId: inventoryChange.locationId,
-      newQuantity: inventoryChange.available,
-      updatedAt: inventoryChange.updatedAt,
-      source: 'shopify_webhook',
+      payload: {
+        topic,
+        shop,
+        payload,
+        webhookId,
+        receivedAt: new Date().toISOString(),
+      },
     });
 
-    console.log('✅ PIM/ERP notified:', pimResponse);
+    console.log(`🗂️ Queued job ${jobId}`);
 
-    // 4. Optional: Store in database for historical tracking
-    // await storeWebhookEvent(shop, topic, payload, pimResponse);
+    // Respond to Shopify immediately (within 5 seconds)
+    return new Response('OK', { status: 200 });
 
   } catch (error) {
-    console.error('❌ Failed to process webhook:', error);
-    // In production, you might want to:
-    // - Queue for retry
-    // - Send alert to monitoring system
-    // - Log to error tracking service
+    // Not persisted: let Shopify retry the delivery
+    console.error('❌ Failed to queue webhook:', error);
+    return new Response('Failed to queue webhook', { status: 500 });
   }
-}
+};
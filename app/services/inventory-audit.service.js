@@ -0,0 +1,237 @@
+/**
+ * Inventory Audit Service
+ *
+ * Records every stock change the app makes (admin form, CSV import,
+ * transfers, storefront proxy) with who made it and why, and ties the
+ * inventory_levels/update webhook Shopify sends afterwards back to it.
+ */
+
+import prisma from "../db.server";
+import { toGid } from "./inventory.service";
+
+export const ACTOR_TYPES = {
+  STAFF: "staff",
+  STOREFRONT_PROXY: "storefront_proxy",
+};
+
+export const ADJUSTMENT_SOURCES = {
+  ADMIN_FORM: "admin_form",
+  ADMIN_GRID: "admin_grid",
+  CSV_IMPORT: "csv_import",
+  TRANSFER: "transfer",
+  STOREFRONT_PROXY: "storefront_proxy",
+};
+
+// How far apart an adjustment and its webhook's updated_at may be
+// (clock skew, and the time between the mutation and recording it)
+const CORRELATION_WINDOW_MS = 5 * 60 * 1000;
+
+// Two candidates closer to a webhook than this apart are indistinguishable
+// (updated_at has whole-second precision)
+const CORRELATION_TIE_MS = 2 * 1000;
+
+const DEFAULT_HISTORY_LIMIT = 100;
+const MAX_HISTORY_LIMIT = 500;
+
+/**
+ * Build the actor of an adjustment made by a staff member in the admin
+ *
+ * @param {Object} staff - Result of getStaffMember
+ * @returns {Object} Actor with type, id and name
+ */
+export function getStaffActor(staff) {
+  return { type: ACTOR_TYPES.STAFF, id: staff.userId, name: staff.name };
+}
+
+/**
+ * Build the actor of an adjustment made through the storefront app proxy
+ * Shopify adds the signed `logged_in_customer_id` parameter to proxied
+ * requests; it is empty for guests.
+ *
+ * @param {Request} request - App proxy request
+ * @returns {Object} Actor with type, id (customer ID or null) and name
+ */
+export function getStorefrontActor(request) {
+  const customerId = new URL(request.url).searchParams.get("logged_in_customer_id");
+
+  return {
+    type: ACTOR_TYPES.STOREFRONT_PROXY,
+    id: customerId ? toGid("Customer", customerId) : null,
+    name: "storefront proxy",
+  };
+}
+
+/**
+ * Record stock changes the app made
+ * Called after Shopify accepted the change, so a failure here is logged
+ * rather than reported as a failed update.
+ *
+ * @param {Object} context
+ * @param {string} context.shop - Shop domain
+ * @param {Object} context.actor - From getStaffActor or getStorefrontActor
+ * @param {string} context.sourceChannel - One of ADJUSTMENT_SOURCES
+ * @param {Array<Object>} adjustments - Applied changes
+ * @param {string} [adjustments[].productId] - Product GID
+ * @param {string} [adjustments[].productTitle]
+ * @param {string} adjustments[].variantId - Variant GID
+ * @param {string} [adjustments[].variantTitle]
+ * @param {string} adjustments[].inventoryItemId - Inventory item GID
+ * @param {string} adjustments[].locationId - Location GID
+ * @param {string} [adjustments[].locationName]
+ * @param {string} [adjustments[].quantityName] - Quantity that changed (default "available")
+ * @param {number} adjustments[].oldQuantity
+ * @param {number} adjustments[].newQuantity
+ * @param {string} adjustments[].reason - Reason sent with the Shopify mutation
+ * @param {string} [adjustments[].adjustmentGroupId] - inventoryAdjustmentGroup.id returned by Shopify
+ * @returns {Promise<number>} Number of adjustments recorded
+ */
+export async function recordInventoryAdjustments({ shop, actor, sourceChannel }, adjustments) {
+  if (adjustments.length === 0) {
+    return 0;
+  }
+
+  try {
+    const { count } = await prisma.inventoryAdjustment.createMany({
+      data: adjustments.map(adjustment => ({
+        shop,
+        actorType: actor.type,
+        actorId: actor.id,
+        actorName: actor.name,
+        productId: adjustment.productId || null,
+        productTitle: adjustment.productTitle || null,
+        variantId: adjustment.variantId,
+        variantTitle: adjustment.variantTitle || null,
+        inventoryItemId: adjustment.inventoryItemId,
+        locationId: adjustment.locationId,
+        locationName: adjustment.locationName || null,
+        quantityName: adjustment.quantityName || "available",
+        oldQuantity: adjustment.oldQuantity,
+        newQuantity: adjustment.newQuantity,
+        delta: adjustment.newQuantity - adjustment.oldQuantity,
+        reason: adjustment.reason,
+        sourceChannel,
+        adjustmentGroupId: adjustment.adjustmentGroupId || null,
+      })),
+    });
+
+    return count;
+  } catch (error) {
+    console.error("❌ Failed to record inventory adjustments:", error);
+    return 0;
+  }
+}
+
+/**
+ * Link a logged inventory_levels/update webhook to the adjustment that
+ * caused it
+ * The webhook carries no adjustment group ID, so it is matched on the
+ * item, location and resulting available quantity: of the unlinked
+ * adjustments within a short time window, the one recorded closest to the
+ * webhook's updated_at wins. When two are about equally close (e.g. two
+ * changes that landed on the same quantity), the event is left
+ * uncorrelated rather than attributed to a guess. Moves between other
+ * quantities are not matched.
+ *
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} event
+ * @param {string} event.id - WebhookEvent ID
+ * @param {string} event.shop - Shop domain
+ * @param {string} event.inventoryItemId - Numeric inventory item ID from the payload
+ * @param {string} event.locationId - Numeric location ID from the payload
+ * @param {number|null} event.available - Quantity after the change
+ * @param {Date} event.changedAt - updated_at of the payload (or when it was received)
+ * @returns {Promise<string|null>} ID of the linked adjustment, or null
+ */
+export async function correlateWebhookEvent(client, { id, shop, inventoryItemId, locationId, available, changedAt }) {
+  if (!inventoryItemId || !locationId || available === null || available === undefined) {
+    return null;
+  }
+
+  const candidates = await client.inventoryAdjustment.findMany({
+    where: {
+      shop,
+      inventoryItemId: toGid("InventoryItem", inventoryItemId),
+      locationId: toGid("Location", locationId),
+      quantityName: "available",
+      newQuantity: available,
+      webhookEventId: null,
+      createdAt: {
+        gte: new Date(changedAt.getTime() - CORRELATION_WINDOW_MS),
+        lte: new Date(changedAt.getTime() + CORRELATION_WINDOW_MS),
+      },
+    },
+    select: { id: true, createdAt: true },
+  });
+
+  const ranked = candidates
+    .map(candidate => ({ id: candidate.id, distance: Math.abs(candidate.createdAt - changedAt) }))
+    .sort((a, b) => a.distance - b.distance);
+
+  if (ranked.length === 0) {
+    return null;
+  }
+
+  if (ranked.length > 1 && ranked[1].distance - ranked[0].distance < CORRELATION_TIE_MS) {
+    return null;
+  }
+
+  // Another event may have claimed it in the meantime
+  const { count } = await client.inventoryAdjustment.updateMany({
+    where: { id: ranked[0].id, webhookEventId: null },
+    data: { webhookEventId: id },
+  });
+
+  return count > 0 ? ranked[0].id : null;
+}
+
+/**
+ * Parse inventory adjustment history filters from URL search params
+ *
+ * @param {URLSearchParams} searchParams
+ * @returns {Object} Filters with sourceChannel and actorType (null when unset)
+ */
+export function parseInventoryAdjustmentFilters(searchParams) {
+  const sourceChannel = searchParams.get("source");
+  const actorType = searchParams.get("actor");
+
+  return {
+    sourceChannel: Object.values(ADJUSTMENT_SOURCES).includes(sourceChannel) ? sourceChannel : null,
+    actorType: Object.values(ACTOR_TYPES).includes(actorType) ? actorType : null,
+  };
+}
+
+/**
+ * Get the most recent adjustments of a shop, newest first
+ *
+ * @param {Object} options
+ * @param {string} options.shop - Shop domain
+ * @param {Object} [options.filters] - From parseInventoryAdjustmentFilters
+ * @param {number} [options.limit] - Maximum adjustments to return
+ * @returns {Promise<Array<Object>>} Adjustments with their correlated webhook event
+ */
+export async function getInventoryAdjustments({ shop, filters = {}, limit = DEFAULT_HISTORY_LIMIT }) {
+  if (!shop) {
+    throw new Error("A shop is required to read inventory adjustments");
+  }
+
+  const adjustments = await prisma.inventoryAdjustment.findMany({
+    where: {
+      shop,
+      ...(filters.sourceChannel ? { sourceChannel: filters.sourceChannel } : {}),
+      ...(filters.actorType ? { actorType: filters.actorType } : {}),
+    },
+    orderBy: { createdAt: "desc" },
+    take: Math.min(limit, MAX_HISTORY_LIMIT),
+    include: {
+      webhookEvent: { select: { id: true, timestamp: true } },
+    },
+  });
+
+  return adjustments.map(adjustment => ({
+    ...adjustment,
+    createdAt: adjustment.createdAt.toISOString(),
+    webhookEvent: adjustment.webhookEvent
+      ? { id: adjustment.webhookEvent.id, receivedAt: adjustment.webhookEvent.timestamp.toISOString() }
+      : null,
+  }));
+}
@@ -0,0 +1,75 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import prisma, { getRows, resetDatabase } from "../db.server";
+import { correlateWebhookEvent } from "./inventory-audit.service";
+
+vi.mock("../db.server");
+
+const SHOP = "shop-a.myshopify.com";
+
+const at = (seconds) => new Date(Date.UTC(2026, 9, 1, 12, 0, seconds));
+
+const buildAdjustment = (id, newQuantity, createdAt) => ({
+  id,
+  shop: SHOP,
+  inventoryItemId: "gid://shopify/InventoryItem/111",
+  locationId: "gid://shopify/Location/222",
+  quantityName: "available",
+  newQuantity,
+  webhookEventId: null,
+  createdAt,
+});
+
+const correlate = (eventId, available, changedAt) => correlateWebhookEvent(prisma, {
+  id: eventId,
+  shop: SHOP,
+  inventoryItemId: "111",
+  locationId: "222",
+  available,
+  changedAt,
+});
+
+const linkedEvent = (adjustmentId) =>
+  getRows("inventoryAdjustment").find(adjustment => adjustment.id === adjustmentId).webhookEventId;
+
+describe("correlateWebhookEvent", () => {
+  beforeEach(() => resetDatabase({ inventoryAdjustment: [] }));
+
+  it("links each webhook to the adjustment closest to its updated_at", async () => {
+    // Two changes that both ended at 5, a minute apart
+    resetDatabase({
+      inventoryAdjustment: [
+        buildAdjustment("first", 5, at(1)),
+        buildAdjustment("second", 5, at(61)),
+      ],
+    });
+
+    expect(await correlate("event-1", 5, at(0))).toBe("first");
+    expect(await correlate("event-2", 5, at(60))).toBe("second");
+    expect(linkedEvent("first")).toBe("event-1");
+    expect(linkedEvent("second")).toBe("event-2");
+  });
+
+  it("leaves the event uncorrelated when two adjustments match equally well", async () => {
+    resetDatabase({
+      inventoryAdjustment: [
+        buildAdjustment("first", 5, at(10)),
+        buildAdjustment("second", 5, at(11)),
+      ],
+    });
+
+    expect(await correlate("event-1", 5, at(10))).toBeNull();
+    expect(linkedEvent("first")).toBeNull();
+    expect(linkedEvent("second")).toBeNull();
+  });
+
+  it("ignores adjustments that ended at another quantity or are already linked", async () => {
+    resetDatabase({
+      inventoryAdjustment: [
+        buildAdjustment("other-quantity", 4, at(0)),
+        { ...buildAdjustment("linked", 5, at(0)), webhookEventId: "event-0" },
+      ],
+    });
+
+    expect(await correlate("event-1", 5, at(0))).toBeNull();
+  });
+});
@@ -0,0 +1,402 @@
+/**
+ * Inventory History Service
+ *
+ * Stock history of one inventory item at one location, rebuilt from the
+ * `available` value of every logged inventory_levels/update webhook
+ * (WebhookEvent). Events are placed at their updated_at; stale events
+ * skipped when they were logged, and events without an available value,
+ * are left out.
+ *
+ * Shopify does not guarantee every webhook arrives, so a nightly snapshot
+ * job reads the current levels through the Admin API and records an
+ * InventorySnapshot wherever they differ from the last known value. History
+ * reads merge both.
+ *
+ * IDs are numeric, as in webhook payloads; GIDs are accepted too.
+ */
+
+import prisma from "../db.server";
+import { getInventoryLevelsPage } from "./inventory.service";
+
+export const HISTORY_SOURCES = {
+  WEBHOOK: "webhook",
+  SNAPSHOT: "snapshot",
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+// Hour (UTC) the nightly snapshot job runs at
+const SNAPSHOT_HOUR_UTC = 2;
+
+// Pages of inventory items one snapshot job reads (50 items each) before
+// handing the rest of the catalog to a follow-up job
+const SNAPSHOT_PAGES_PER_RUN = 10;
+
+/**
+ * Parse a history date range from URL search params (`from` and `to` as
+ * YYYY-MM-DD, both inclusive)
+ * Missing or malformed values fall back to the last 30 days; ranges are
+ * capped at a year, ending at `to`.
+ *
+ * @param {URLSearchParams} searchParams - Request search params
+ * @param {Date} [now] - Current time
+ * @returns {Object} { from: Date, to: Date }
+ */
+export function parseHistoryRange(searchParams, now = new Date()) {
+  const date = (name, endOfDay) => {
+    const value = searchParams.get(name)?.trim();
+    if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    const parsed = new Date(`${value}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z`);
+    return isNaN(parsed.getTime()) ? null : parsed;
+  };
+
+  const to = date("to", true) || now;
+  let from = date("from", false) || new Date(startOfDay(to).getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+  if (from > to) {
+    from = startOfDay(to);
+  }
+  if (to.getTime() - from.getTime() > MAX_RANGE_DAYS * DAY_MS) {
+    from = new Date(startOfDay(to).getTime() - (MAX_RANGE_DAYS - 1) * DAY_MS);
+  }
+
+  return { from, to };
+}
+
+/**
+ * Get the quantity of an item at a location at a point in time
+ *
+ * @param {Object} params
+ * @param {string} params.shop - Shop domain
+ * @param {string} params.inventoryItemId - Inventory item ID
+ * @param {string} params.locationId - Location ID
+ * @param {Date} params.at - Point in time
+ * @returns {Promise<Object|null>} { quantity, at, source } of the last known value, or null if none is known yet
+ */
+export async function getQuantityAt({ shop, inventoryItemId, locationId, at }) {
+  const point = await getLastPoint(toKey({ shop, inventoryItemId, locationId }), at);
+
+  return point
+    ? { quantity: point.available, at: point.at.toISOString(), source: point.source }
+    : null;
+}
+
+/**
+ * Get the history of an item at a location over a date range: every
+ * known value, daily open/min/max/close and the net change
+ *
+ * Days without changes carry the previous close. The net change is taken
+ * from the quantity at `from`, or from the first known value when the
+ * history starts inside the range.
+ *
+ * @param {Object} params
+ * @param {string} params.shop - Shop domain
+ * @param {string} params.inventoryItemId - Inventory item ID
+ * @param {string} params.locationId - Location ID
+ * @param {Date} params.from - Start of the range
+ * @param {Date} params.to - End of the range
+ * @returns {Promise<Object>} { inventoryItemId, locationId, from, to, openingQuantity, closingQuantity, netChange, points, days }
+ */
+export async function getInventoryHistory({ shop, inventoryItemId, locationId, from, to }) {
+  const key = toKey({ shop, inventoryItemId, locationId });
+
+  const [opening, points] = await Promise.all([
+    getLastPoint(key, from),
+    getPointsBetween(key, from, to),
+  ]);
+
+  const closing = points.length > 0 ? points[points.length - 1] : opening;
+  const baseline = opening || points[0] || null;
+
+  return {
+    inventoryItemId: key.inventoryItemId,
+    locationId: key.locationId,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    openingQuantity: opening?.available ?? null,
+    closingQuantity: closing?.available ?? null,
+    netChange: baseline && closing ? closing.available - baseline.available : null,
+    points: points.map(point => ({
+      at: point.at.toISOString(),
+      available: point.available,
+      source: point.source,
+    })),
+    days: buildDailySeries(opening?.available ?? null, points, from, to),
+  };
+}
+
+/**
+ * Get the locations an item has any history at
+ *
+ * @param {Object} params
+ * @param {string} params.shop - Shop domain
+ * @param {string} params.inventoryItemId - Inventory item ID
+ * @returns {Promise<Array<string>>} Numeric location IDs
+ */
+export async function getHistoryLocationIds({ shop, inventoryItemId }) {
+  requireShop(shop);
+  const id = toNumericId(inventoryItemId);
+
+  const [events, snapshots] = await Promise.all([
+    prisma.webhookEvent.findMany({
+      where: { ...eventFilter(shop), inventoryItemId: id },
+      distinct: ["locationId"],
+      select: { locationId: true },
+    }),
+    prisma.inventorySnapshot.findMany({
+      where: { shop, inventoryItemId: id },
+      distinct: ["locationId"],
+      select: { locationId: true },
+    }),
+  ]);
+
+  return [...new Set([...events, ...snapshots].map(row => row.locationId))];
+}
+
+/**
+ * Get when the next nightly snapshot of a shop is due
+ *
+ * @param {Date} [now] - Current time
+ * @returns {Date} Next SNAPSHOT_HOUR_UTC after now
+ */
+export function getNextSnapshotTime(now = new Date()) {
+  const next = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), SNAPSHOT_HOUR_UTC));
+  if (next <= now) {
+    next.setUTCDate(next.getUTCDate() + 1);
+  }
+  return next;
+}
+
+/**
+ * Read the current available quantity of tracked items at every location
+ * and record a snapshot where it differs from the last known value
+ * (webhook or earlier snapshot), or where none is known
+ *
+ * Reads at most `maxPages` pages of the catalog, starting after `after`,
+ * so one call stays within a serverless time limit; the returned cursor
+ * continues the walk. Safe to run more than once: a second run finds
+ * nothing new to record.
+ *
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} shop - Shop domain
+ * @param {Object} [options]
+ * @param {string|null} [options.after] - Cursor to continue from (default the start of the catalog)
+ * @param {number} [options.maxPages] - Pages of inventory items to read
+ * @returns {Promise<Object>} { levels, recorded, after } with `after` null once the catalog is done
+ */
+export async function snapshotInventoryLevels(admin, shop, { after = null, maxPages = SNAPSHOT_PAGES_PER_RUN } = {}) {
+  const counts = { levels: 0, recorded: 0 };
+
+  for (let page = 0; page < maxPages; page++) {
+    const takenAt = new Date();
+    const { levels, pageInfo } = await getInventoryLevelsPage(admin, { after });
+
+    counts.levels += levels.length;
+    counts.recorded += await recordMissedChanges(shop, levels.map(level => ({
+      inventoryItemId: toNumericId(level.inventoryItemId),
+      locationId: toNumericId(level.locationId),
+      available: level.available,
+    })), takenAt);
+
+    after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+    if (!after) break;
+  }
+
+  console.log(`📸 Inventory snapshot for ${shop}: ${counts.recorded} of ${counts.levels} levels recorded${after ? ", more to read" : ""}`);
+
+  return { ...counts, after };
+}
+
+/**
+ * Record a snapshot for each level whose quantity isn't the last known one
+ *
+ * @param {string} shop - Shop domain
+ * @param {Array<Object>} levels - { inventoryItemId, locationId, available } with numeric IDs
+ * @param {Date} takenAt - When the levels were read
+ * @returns {Promise<number>} Snapshots recorded
+ */
+async function recordMissedChanges(shop, levels, takenAt) {
+  if (levels.length === 0) {
+    return 0;
+  }
+
+  const inventoryItemIds = [...new Set(levels.map(level => level.inventoryItemId))];
+
+  // InventoryLevelState holds the newest webhook of each level
+  const [states, snapshots] = await Promise.all([
+    prisma.inventoryLevelState.findMany({
+      where: { shop, inventoryItemId: { in: inventoryItemIds } },
+    }),
+    prisma.inventorySnapshot.findMany({
+      where: { shop, inventoryItemId: { in: inventoryItemIds } },
+      orderBy: { takenAt: "desc" },
+      distinct: ["inventoryItemId", "locationId"],
+    }),
+  ]);
+
+  const lastKnown = new Map();
+  for (const state of states) {
+    lastKnown.set(`${state.inventoryItemId}|${state.locationId}`, { available: state.available, at: state.sourceUpdatedAt });
+  }
+  for (const snapshot of snapshots) {
+    const levelKey = `${snapshot.inventoryItemId}|${snapshot.locationId}`;
+    const known = lastKnown.get(levelKey);
+    if (!known || known.at < snapshot.takenAt) {
+      lastKnown.set(levelKey, { available: snapshot.available, at: snapshot.takenAt });
+    }
+  }
+
+  const missed = levels.filter(level =>
+    lastKnown.get(`${level.inventoryItemId}|${level.locationId}`)?.available !== level.available
+  );
+
+  if (missed.length === 0) {
+    return 0;
+  }
+
+  const { count } = await prisma.inventorySnapshot.createMany({
+    data: missed.map(level => ({ shop, ...level, takenAt })),
+  });
+
+  return count;
+}
+
+/**
+ * Get the last known value at or before a point in time
+ *
+ * @param {Object} key - From toKey
+ * @param {Date} at - Point in time
+ * @returns {Promise<Object|null>} { at, available, source }
+ */
+async function getLastPoint(key, at) {
+  const [event, snapshot] = await Promise.all([
+    prisma.webhookEvent.findFirst({
+      where: { ...eventFilter(key.shop), inventoryItemId: key.inventoryItemId, locationId: key.locationId, sourceUpdatedAt: { lte: at } },
+      orderBy: { sourceUpdatedAt: "desc" },
+      select: { available: true, sourceUpdatedAt: true },
+    }),
+    prisma.inventorySnapshot.findFirst({
+      where: { shop: key.shop, inventoryItemId: key.inventoryItemId, locationId: key.locationId, takenAt: { lte: at } },
+      orderBy: { takenAt: "desc" },
+      select: { available: true, takenAt: true },
+    }),
+  ]);
+
+  const points = [
+    ...(event ? [fromEvent(event)] : []),
+    ...(snapshot ? [fromSnapshot(snapshot)] : []),
+  ].sort(byTime);
+
+  return points.length > 0 ? points[points.length - 1] : null;
+}
+
+/**
+ * Get every known value after `from` up to and including `to`, oldest first
+ *
+ * @param {Object} key - From toKey
+ * @param {Date} from - Start of the range (exclusive)
+ * @param {Date} to - End of the range (inclusive)
+ * @returns {Promise<Array<Object>>} { at, available, source }
+ */
+async function getPointsBetween(key, from, to) {
+  const [events, snapshots] = await Promise.all([
+    prisma.webhookEvent.findMany({
+      where: { ...eventFilter(key.shop), inventoryItemId: key.inventoryItemId, locationId: key.locationId, sourceUpdatedAt: { gt: from, lte: to } },
+      orderBy: { sourceUpdatedAt: "asc" },
+      select: { available: true, sourceUpdatedAt: true },
+    }),
+    prisma.inventorySnapshot.findMany({
+      where: { shop: key.shop, inventoryItemId: key.inventoryItemId, locationId: key.locationId, takenAt: { gt: from, lte: to } },
+      orderBy: { takenAt: "asc" },
+      select: { available: true, takenAt: true },
+    }),
+  ]);
+
+  return [...events.map(fromEvent), ...snapshots.map(fromSnapshot)].sort(byTime);
+}
+
+/**
+ * Build one row per UTC day of the range
+ *
+ * @param {number|null} opening - Quantity at the start of the range
+ * @param {Array<Object>} points - Values in the range, oldest first
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @returns {Array<Object>} { date, open, min, max, close, changes }; null quantities before anything is known
+ */
+function buildDailySeries(opening, points, from, to) {
+  const days = [];
+  let carry = opening;
+  let index = 0;
+
+  for (let day = startOfDay(from); day <= to; day = new Date(day.getTime() + DAY_MS)) {
+    const dayEnd = new Date(day.getTime() + DAY_MS);
+    const open = carry;
+    const values = open === null ? [] : [open];
+    let changes = 0;
+
+    while (index < points.length && points[index].at < dayEnd) {
+      values.push(points[index].available);
+      carry = points[index].available;
+      changes++;
+      index++;
+    }
+
+    days.push({
+      date: day.toISOString().slice(0, 10),
+      open,
+      min: values.length > 0 ? Math.min(...values) : null,
+      max: values.length > 0 ? Math.max(...values) : null,
+      close: carry,
+      changes,
+    });
+  }
+
+  return days;
+}
+
+// Logged inventory webhooks that changed the known state. Events without
+// an available quantity are left out rather than read as zero stock.
+function eventFilter(shop) {
+  return {
+    shop,
+    topic: "inventory_levels/update",
+    skipReason: null,
+    sourceUpdatedAt: { not: null },
+    available: { not: null },
+  };
+}
+
+function fromEvent(event) {
+  return { at: event.sourceUpdatedAt, available: event.available, source: HISTORY_SOURCES.WEBHOOK };
+}
+
+function fromSnapshot(snapshot) {
+  return { at: snapshot.takenAt, available: snapshot.available, source: HISTORY_SOURCES.SNAPSHOT };
+}
+
+function byTime(a, b) {
+  return a.at - b.at;
+}
+
+function toKey({ shop, inventoryItemId, locationId }) {
+  return { shop: requireShop(shop), inventoryItemId: toNumericId(inventoryItemId), locationId: toNumericId(locationId) };
+}
+
+// Every read is scoped to one shop; a missing shop would read them all
+function requireShop(shop) {
+  if (!shop) {
+    throw new Error("A shop is required to read stock history");
+  }
+  return shop;
+}
+
+function toNumericId(value) {
+  return String(value || "").split("/").pop();
+}
+
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
@@ -0,0 +1,102 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { resetDatabase } from "../db.server";
+import {
+  HISTORY_SOURCES,
+  getHistoryLocationIds,
+  getInventoryHistory,
+  getQuantityAt,
+} from "./inventory-history.service";
+
+vi.mock("../db.server");
+
+const SHOP_A = "shop-a.myshopify.com";
+const SHOP_B = "shop-b.myshopify.com";
+
+const at = (day, hour = 12) => new Date(Date.UTC(2026, 9, day, hour));
+
+const buildEvent = (shop, id, available, sourceUpdatedAt, locationId = "222") => ({
+  id,
+  shop,
+  topic: "inventory_levels/update",
+  // Both shops use the same item ID on purpose
+  inventoryItemId: "111",
+  locationId,
+  available,
+  skipReason: null,
+  sourceUpdatedAt,
+});
+
+describe("shop scoping of stock history", () => {
+  beforeEach(() => resetDatabase({
+    webhookEvent: [
+      buildEvent(SHOP_A, "a-1", 10, at(2)),
+      buildEvent(SHOP_A, "a-2", 7, at(3)),
+      buildEvent(SHOP_B, "b-1", 500, at(2, 18)),
+      buildEvent(SHOP_B, "b-2", 400, at(4), "333"),
+    ],
+    inventorySnapshot: [
+      { id: "b-snapshot", shop: SHOP_B, inventoryItemId: "111", locationId: "222", available: 999, takenAt: at(3, 18) },
+    ],
+  }));
+
+  it("builds the history from the shop's own events and snapshots", async () => {
+    const history = await getInventoryHistory({
+      shop: SHOP_A,
+      inventoryItemId: "gid://shopify/InventoryItem/111",
+      locationId: "222",
+      from: at(1, 0),
+      to: at(4, 23),
+    });
+
+    expect(history.points.map(point => point.available)).toEqual([10, 7]);
+    expect(history.days.map(day => day.close)).toEqual([null, 10, 7, 7]);
+    expect(history.netChange).toBe(-3);
+  });
+
+  it("answers the quantity at a time from the shop's own records", async () => {
+    expect(await getQuantityAt({ shop: SHOP_A, inventoryItemId: "111", locationId: "222", at: at(3, 23) }))
+      .toEqual({ quantity: 7, at: at(3).toISOString(), source: HISTORY_SOURCES.WEBHOOK });
+  });
+
+  it("lists only the locations the shop has history at", async () => {
+    expect(await getHistoryLocationIds({ shop: SHOP_A, inventoryItemId: "111" })).toEqual(["222"]);
+  });
+
+  it("rejects reads without a shop", async () => {
+    await expect(getQuantityAt({ inventoryItemId: "111", locationId: "222", at: at(3) }))
+      .rejects.toThrow("A shop is required");
+    await expect(getHistoryLocationIds({ shop: "", inventoryItemId: "111" }))
+      .rejects.toThrow("A shop is required");
+  });
+});
+
+describe("events without an available quantity", () => {
+  beforeEach(() => resetDatabase({
+    webhookEvent: [
+      buildEvent(SHOP_A, "a-1", 10, at(2)),
+      buildEvent(SHOP_A, "a-unknown", null, at(3)),
+      buildEvent(SHOP_A, "a-2", 7, at(4)),
+    ],
+    inventorySnapshot: [],
+  }));
+
+  const history = () => getInventoryHistory({
+    shop: SHOP_A,
+    inventoryItemId: "111",
+    locationId: "222",
+    from: at(1, 0),
+    to: at(4, 23),
+  });
+
+  it("leaves them out of the history instead of reading them as zero stock", async () => {
+    const { points, days } = await history();
+
+    expect(points.map(point => point.available)).toEqual([10, 7]);
+    expect(days.map(day => [day.min, day.close])).toEqual([[null, null], [10, 10], [10, 10], [7, 7]]);
+  });
+
+  it("answers the quantity at a time with the last known value", async () => {
+    expect(await getQuantityAt({ shop: SHOP_A, inventoryItemId: "111", locationId: "222", at: at(3, 23) }))
+      .toEqual({ quantity: 10, at: at(2).toISOString(), source: HISTORY_SOURCES.WEBHOOK });
+  });
+});
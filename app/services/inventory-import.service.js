@@ -0,0 +1,405 @@
+/**
+ * Inventory Import Service
+ *
+ * Parses cycle-count CSV files, builds a dry-run preview against current
+ * Shopify stock and applies the rows through the inventory service.
+ *
+ * Expected CSV columns (header row required, any order):
+ *   sku | variant_id  - Variant to adjust (one of the two per row)
+ *   location          - Location ID or name
+ *   delta | quantity  - Relative change or absolute quantity (one of the two per row)
+ */
+
+import {
+  getVariantsInventory,
+  setInventoryQuantities,
+  toGid,
+} from "./inventory.service";
+
+// Guard against accidentally uploading a full catalog export
+const MAX_IMPORT_ROWS = 2000;
+
+const REPORT_COLUMNS = [
+  "line",
+  "sku",
+  "variant_id",
+  "location",
+  "current_quantity",
+  "proposed_quantity",
+  "status",
+  "message",
+];
+
+/**
+ * Parse CSV text into an array of records
+ * Supports quoted fields, escaped quotes ("") and CRLF line endings.
+ *
+ * @param {string} text - Raw CSV text
+ * @returns {Array<Object>} Parsed records with the 1-based line they start on and their fields
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        // Quoted fields may span lines
+        if (char === "\n" || (char === "\r" && text[i + 1] !== "\n")) {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      record.push(field);
+      records.push({ line: recordLine, fields: record });
+      record = [];
+      field = "";
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, fields: record });
+  }
+
+  return records;
+}
+
+/**
+ * Parse an inventory import CSV into rows
+ *
+ * @param {string} text - Raw CSV text
+ * @returns {Object} Parse result with isValid, rows and error
+ */
+export function parseInventoryCsv(text) {
+  // Blank lines are dropped, but every row keeps the line it was on
+  const records = parseCsv(String(text || "").replace(/^\uFEFF/, ""))
+    .filter(record => record.fields.some(value => value.trim() !== ""));
+
+  if (records.length < 2) {
+    return { isValid: false, error: "CSV must have a header row and at least one data row" };
+  }
+
+  const header = records[0].fields.map(name => name.trim().toLowerCase());
+  const column = (name) => header.indexOf(name);
+
+  if (column("sku") === -1 && column("variant_id") === -1) {
+    return { isValid: false, error: "CSV needs a sku or variant_id column" };
+  }
+  if (column("location") === -1) {
+    return { isValid: false, error: "CSV needs a location column" };
+  }
+  if (column("delta") === -1 && column("quantity") === -1) {
+    return { isValid: false, error: "CSV needs a delta or quantity column" };
+  }
+  if (records.length - 1 > MAX_IMPORT_ROWS) {
+    return { isValid: false, error: `CSV has more than ${MAX_IMPORT_ROWS} rows` };
+  }
+
+  const value = (record, name) => {
+    const index = column(name);
+    return index === -1 ? "" : (record.fields[index] || "").trim();
+  };
+
+  const rows = records.slice(1).map(record => ({
+    // Line numbers match the file, blank lines included
+    line: record.line,
+    sku: value(record, "sku"),
+    variantId: value(record, "variant_id"),
+    location: value(record, "location"),
+    delta: value(record, "delta"),
+    quantity: value(record, "quantity"),
+  }));
+
+  return { isValid: true, rows };
+}
+
+/**
+ * Find the inventory level a row refers to by location ID or name
+ *
+ * @param {Object} variant - Variant with levels
+ * @param {string} location - Location ID (numeric or GID) or name
+ * @returns {Object|undefined} Matching level
+ */
+function findLevel(variant, location) {
+  const locationGid = /^(\d+|gid:\/\/.+)$/.test(location) ? toGid("Location", location) : null;
+  const name = location.toLowerCase();
+
+  return variant.levels.find(level =>
+    level.locationId === locationGid || level.locationName.toLowerCase() === name
+  );
+}
+
+/**
+ * Build a dry-run preview of an import: resolve every row against current
+ * stock and compute the proposed quantity without changing anything
+ *
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Array<Object>} rows - Rows from parseInventoryCsv
+ * @returns {Promise<Array<Object>>} Preview rows with current/proposed quantities, warnings and error
+ */
+export async function buildImportPreview(admin, rows) {
+  const variants = await getVariantsInventory(admin, {
+    variantIds: rows.filter(row => row.variantId).map(row => row.variantId),
+    skus: rows.filter(row => !row.variantId && row.sku).map(row => row.sku),
+  });
+
+  const seenTargets = new Set();
+
+  return rows.map(row => {
+    const preview = {
+      ...row,
+      productId: null,
+      productTitle: null,
+      resolvedVariantId: null,
+      variantTitle: null,
+      inventoryItemId: null,
+      locationId: null,
+      locationName: null,
+      currentQuantity: null,
+      proposedQuantity: null,
+      warnings: [],
+      error: null,
+    };
+
+    const fail = (error) => ({ ...preview, error });
+
+    if (!row.variantId && !row.sku) {
+      return fail("Row needs a sku or variant_id");
+    }
+    if (!row.location) {
+      return fail("Row needs a location");
+    }
+    if (row.delta !== "" && row.quantity !== "") {
+      return fail("Use either delta or quantity, not both");
+    }
+    if (row.delta === "" && row.quantity === "") {
+      return fail("Row needs a delta or quantity");
+    }
+
+    const amount = row.delta !== "" ? row.delta : row.quantity;
+    if (!/^[+-]?\d+$/.test(amount)) {
+      return fail(`"${amount}" is not a whole number`);
+    }
+
+    let variant;
+    if (row.variantId) {
+      const variantGid = toGid("ProductVariant", row.variantId);
+      variant = variants.find(v => v.variantId === variantGid);
+      if (!variant) {
+        return fail(`Variant ${row.variantId} not found`);
+      }
+    } else {
+      const matches = variants.filter(v => v.sku === row.sku);
+      if (matches.length === 0) {
+        return fail(`No variant with SKU ${row.sku}`);
+      }
+      if (matches.length > 1) {
+        return fail(`SKU ${row.sku} matches more than one variant; use variant_id`);
+      }
+      variant = matches[0];
+    }
+
+    preview.productId = variant.productId;
+    preview.productTitle = variant.productTitle;
+    preview.resolvedVariantId = variant.variantId;
+    preview.variantTitle = variant.variantTitle;
+    preview.sku = variant.sku || row.sku;
+    preview.inventoryItemId = variant.inventoryItemId;
+
+    if (!variant.tracked) {
+      return fail("Inventory is not tracked for this variant");
+    }
+
+    const level = findLevel(variant, row.location);
+    if (!level) {
+      return fail(`Variant is not stocked at location ${row.location}`);
+    }
+
+    preview.locationId = level.locationId;
+    preview.locationName = level.locationName;
+    preview.currentQuantity = level.available;
+
+    // inventorySetQuantities rejects the same item/location twice in one call
+    const targetKey = `${variant.inventoryItemId}|${level.locationId}`;
+    if (seenTargets.has(targetKey)) {
+      return fail("Duplicate of an earlier row for the same variant and location");
+    }
+    seenTargets.add(targetKey);
+
+    let proposed = row.delta !== ""
+      ? level.available + parseInt(row.delta)
+      : parseInt(row.quantity);
+
+    if (proposed < 0) {
+      preview.warnings.push(`Would go negative (${proposed}); clamped to 0`);
+      proposed = 0;
+    }
+    if (proposed === level.available) {
+      preview.warnings.push("No change");
+    }
+
+    preview.proposedQuantity = proposed;
+    return preview;
+  });
+}
+
+/**
+ * Read preview rows posted back for applying (as JSON), so the exact
+ * quantities the user reviewed are applied rather than re-resolving the
+ * CSV against stock that may have moved since
+ *
+ * @param {string} json - JSON array of rows from buildImportPreview
+ * @returns {Object} Read result with isValid, rows and error
+ */
+export function readPreviewRows(json) {
+  let rows;
+  try {
+    rows = JSON.parse(String(json || ""));
+  } catch {
+    return { isValid: false, error: "Preview could not be read; preview the file again" };
+  }
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return { isValid: false, error: "Preview has no rows; preview the file again" };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { isValid: false, error: `Preview has more than ${MAX_IMPORT_ROWS} rows` };
+  }
+
+  const isQuantity = (value) => Number.isInteger(value) && value >= 0;
+  const isGid = (value, type) => typeof value === "string" && new RegExp(`^gid://shopify/${type}/\\d+$`).test(value);
+  const text = (value) => (typeof value === "string" ? value : null);
+  const lines = new Set();
+
+  for (const row of rows) {
+    if (!Number.isInteger(row?.line) || lines.has(row.line)) {
+      return { isValid: false, error: "Preview rows are malformed; preview the file again" };
+    }
+    lines.add(row.line);
+
+    if (!row.error && !(
+      isGid(row.inventoryItemId, "InventoryItem")
+      && isGid(row.locationId, "Location")
+      && isQuantity(row.currentQuantity)
+      && isQuantity(row.proposedQuantity)
+    )) {
+      return { isValid: false, error: `Preview row on line ${row.line} is malformed; preview the file again` };
+    }
+  }
+
+  return {
+    isValid: true,
+    rows: rows.map(row => ({
+      line: row.line,
+      sku: text(row.sku),
+      variantId: text(row.variantId),
+      location: text(row.location),
+      productId: text(row.productId),
+      productTitle: text(row.productTitle),
+      resolvedVariantId: text(row.resolvedVariantId),
+      variantTitle: text(row.variantTitle),
+      inventoryItemId: row.error ? null : row.inventoryItemId,
+      locationId: row.error ? null : row.locationId,
+      locationName: text(row.locationName),
+      currentQuantity: row.error ? null : row.currentQuantity,
+      proposedQuantity: row.error ? null : row.proposedQuantity,
+      warnings: Array.isArray(row.warnings) ? row.warnings.filter(warning => typeof warning === "string") : [],
+      error: row.error ? String(row.error) : null,
+    })),
+  };
+}
+
+/**
+ * Apply a previewed import. Rows with errors or no change are skipped;
+ * everything else is sent through batched inventorySetQuantities calls,
+ * compared against the quantity the preview showed: a row whose stock
+ * changed since fails instead of applying a value nobody reviewed.
+ *
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Array<Object>} previewRows - Rows from buildImportPreview
+ * @returns {Promise<Array<Object>>} Report rows with status (applied/failed/skipped) and message
+ */
+export async function applyImport(admin, previewRows) {
+  const applicable = previewRows.filter(
+    row => !row.error && row.proposedQuantity !== row.currentQuantity
+  );
+
+  const results = await setInventoryQuantities(admin, applicable.map(row => ({
+    inventoryItemId: row.inventoryItemId,
+    locationId: row.locationId,
+    quantity: row.proposedQuantity,
+    compareQuantity: row.currentQuantity,
+  })));
+
+  const resultsByLine = new Map(applicable.map((row, i) => [row.line, results[i]]));
+
+  return previewRows.map(row => {
+    if (row.error) {
+      return { ...row, status: "skipped", message: row.error };
+    }
+
+    const result = resultsByLine.get(row.line);
+    if (!result) {
+      return { ...row, status: "skipped", message: "No change" };
+    }
+
+    if (result.code === "COMPARE_QUANTITY_STALE") {
+      return { ...row, status: "failed", message: "Stock changed since the preview; preview the file again" };
+    }
+
+    return result.success
+      ? { ...row, status: "applied", message: row.warnings.join("; "), adjustmentGroupId: result.adjustmentGroupId }
+      : { ...row, status: "failed", message: result.error };
+  });
+}
+
+/**
+ * Serialize an import report as CSV for download
+ *
+ * @param {Array<Object>} reportRows - Rows from applyImport
+ * @returns {string} CSV text
+ */
+export function buildImportReportCsv(reportRows) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = reportRows.map(row => [
+    row.line,
+    row.sku,
+    row.variantId,
+    row.locationName || row.location,
+    row.currentQuantity,
+    row.proposedQuantity,
+    row.status,
+    row.message,
+  ].map(escape).join(","));
+
+  return [REPORT_COLUMNS.join(","), ...lines].join("\n");
+}
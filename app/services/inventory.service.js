@@ -5,37 +5,404 @@
  * This service is used by both admin routes and app proxy endpoints.
  */
 
+// Page sizes are kept small so the nested variants × levels query stays
+// well under the Admin API query cost limit.
+const VARIANTS_PAGE_SIZE = 25;
+const LEVELS_PAGE_SIZE = 10;
+
+// Maximum number of quantities sent in one inventorySetQuantities call
+const SET_QUANTITIES_BATCH_SIZE = 100;
+
+// Variant search (pickers and storefront typeahead)
+const SEARCH_PAGE_SIZE = 10;
+export const SEARCH_MIN_LENGTH = 2;
+
+/**
+ * Inventory states a stock change can apply to. Only `available` can be
+ * set directly; units are moved between `available` and the others.
+ */
+export const INVENTORY_QUANTITY_NAMES = ["available", "damaged", "safety_stock", "quality_control"];
+
+/**
+ * Reasons accepted by Shopify's inventory mutations for manual changes
+ * (transfers are recorded under TRANSFER_REASON; the reservation_* reasons
+ * belong to Shopify's own order flows)
+ */
+export const INVENTORY_ADJUSTMENT_REASONS = [
+  "correction",
+  "cycle_count_available",
+  "damaged",
+  "quality_control",
+  "received",
+  "restock",
+  "safety_stock",
+  "shrinkage",
+  "promotion",
+  "other",
+];
+
+// Reason recorded for stock transfers between locations. It is not one
+// of INVENTORY_ADJUSTMENT_REASONS: it can't be picked for a manual change,
+// only transferInventory records it.
+export const TRANSFER_REASON = "movement_created";
+
+// Quantities fetched for every inventory level, as a GraphQL list literal
+const LEVEL_QUANTITY_NAMES = JSON.stringify(INVENTORY_QUANTITY_NAMES);
+
+/**
+ * Quantities shown in the inventory grid. Only `available` is editable;
+ * the others are maintained by Shopify (orders, transfers, purchase orders).
+ */
+export const GRID_QUANTITY_NAMES = ["available", "committed", "on_hand", "incoming"];
+
+// Variants per inventory grid page
+const GRID_PAGE_SIZE = 20;
+
+// Inventory items per page of the nightly snapshot read
+const SNAPSHOT_PAGE_SIZE = 50;
+
+// Attempts of a relative change before a compare-and-set conflict is
+// reported (see applyInventoryDelta)
+const MAX_CONFLICT_ATTEMPTS = 3;
+
+// Namespace of the ledger and reference document URIs Shopify requires
+// when moving units out of `available`, and of the reference that ties
+// the two sides of a transfer together
+const DOCUMENT_URI_BASE = "gid://inventory-manager";
+
+const INVENTORY_SET_QUANTITIES_MUTATION = `#graphql
+  mutation InventorySetQuantities($input: InventorySetQuantitiesInput!) {
+    inventorySetQuantities(input: $input) {
+      inventoryAdjustmentGroup {
+        id
+        createdAt
+        reason
+        changes {
+          name
+          delta
+          quantityAfterChange
+          location {
+            id
+          }
+        }
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+const INVENTORY_ADJUST_QUANTITIES_MUTATION = `#graphql
+  mutation InventoryAdjustQuantities($input: InventoryAdjustQuantitiesInput!) {
+    inventoryAdjustQuantities(input: $input) {
+      inventoryAdjustmentGroup {
+        id
+        createdAt
+        reason
+        referenceDocumentUri
+        changes {
+          name
+          delta
+          quantityAfterChange
+          location {
+            id
+          }
+        }
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+const INVENTORY_MOVE_QUANTITIES_MUTATION = `#graphql
+  mutation InventoryMoveQuantities($input: InventoryMoveQuantitiesInput!) {
+    inventoryMoveQuantities(input: $input) {
+      inventoryAdjustmentGroup {
+        id
+        createdAt
+        reason
+        changes {
+          name
+          delta
+          quantityAfterChange
+        }
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+export const INVENTORY_ERROR_CODES = {
+  INVALID_INPUT: "INVALID_INPUT",
+  AMBIGUOUS_TARGET: "AMBIGUOUS_TARGET",
+  INVENTORY_NOT_TRACKED: "INVENTORY_NOT_TRACKED",
+  NOT_FOUND: "NOT_FOUND",
+  INSUFFICIENT_STOCK: "INSUFFICIENT_STOCK",
+  INVENTORY_CONFLICT: "INVENTORY_CONFLICT",
+  SHOPIFY_USER_ERROR: "SHOPIFY_USER_ERROR",
+  SHOPIFY_API_ERROR: "SHOPIFY_API_ERROR",
+};
+
+// HTTP status and whether retrying the same request may succeed, per code
+const ERROR_CODE_DETAILS = {
+  [INVENTORY_ERROR_CODES.INVALID_INPUT]: { status: 400, retryable: false },
+  [INVENTORY_ERROR_CODES.AMBIGUOUS_TARGET]: { status: 400, retryable: false },
+  [INVENTORY_ERROR_CODES.INVENTORY_NOT_TRACKED]: { status: 400, retryable: false },
+  [INVENTORY_ERROR_CODES.NOT_FOUND]: { status: 404, retryable: false },
+  [INVENTORY_ERROR_CODES.INSUFFICIENT_STOCK]: { status: 409, retryable: false },
+  [INVENTORY_ERROR_CODES.INVENTORY_CONFLICT]: { status: 409, retryable: true },
+  [INVENTORY_ERROR_CODES.SHOPIFY_USER_ERROR]: { status: 502, retryable: false },
+  [INVENTORY_ERROR_CODES.SHOPIFY_API_ERROR]: { status: 502, retryable: true },
+};
+
+/**
+ * Typed inventory failure. `code` (one of INVENTORY_ERROR_CODES), `status`,
+ * `field` and `retryable` let routes answer with a consistent error
+ * envelope and the storefront widget pick a message.
+ */
+export class InventoryError extends Error {
+  /**
+   * @param {string} code - One of INVENTORY_ERROR_CODES
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {string} [details.field] - Input field the error relates to
+   */
+  constructor(code, message, { field = null } = {}) {
+    super(message);
+    this.name = "InventoryError";
+    this.code = code;
+    this.field = field;
+    this.status = ERROR_CODE_DETAILS[code].status;
+    this.retryable = ERROR_CODE_DETAILS[code].retryable;
+  }
+}
+
+/**
+ * Thrown when a compare-and-set update found a different quantity than
+ * expected: someone else changed the stock in the meantime.
+ */
+export class InventoryConflictError extends InventoryError {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {number} [details.attempts] - Attempts made before giving up
+   */
+  constructor(message, { attempts = 1 } = {}) {
+    super(INVENTORY_ERROR_CODES.INVENTORY_CONFLICT, message, { field: "quantityChange" });
+    this.name = "InventoryConflictError";
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Build the error for top-level GraphQL errors (throttling, invalid
+ * queries, outages)
+ *
+ * @param {Array<Object>} errors - `errors` of the GraphQL response
+ * @returns {InventoryError}
+ */
+function shopifyApiError(errors) {
+  return new InventoryError(INVENTORY_ERROR_CODES.SHOPIFY_API_ERROR, errors[0].message);
+}
+
+/**
+ * Build the error for a mutation's userErrors (Shopify rejected the change)
+ *
+ * @param {Object} userError - First entry of `userErrors`
+ * @returns {InventoryError}
+ */
+function shopifyUserError(userError) {
+  const field = Array.isArray(userError.field) ? userError.field.join(".") : userError.field || null;
+  return new InventoryError(
+    INVENTORY_ERROR_CODES.SHOPIFY_USER_ERROR,
+    field ? `${field}: ${userError.message}` : userError.message,
+    { field }
+  );
+}
+
+/**
+ * Convert a numeric ID to a Shopify GID (GIDs are returned unchanged)
+ *
+ * @param {string} type - GID resource type (e.g. "Product", "Location")
+ * @param {string|number} id - Numeric ID or GID
+ * @returns {string|null} GID or null if no ID was given
+ */
+export function toGid(type, id) {
+  if (id === null || id === undefined || id === "") {
+    return null;
+  }
+
+  const value = String(id).trim();
+  return value.startsWith("gid://") ? value : `gid://shopify/${type}/${value}`;
+}
+
+/**
+ * Map an inventory level node to the shape used by routes
+ *
+ * @param {Object} node - InventoryLevel node
+ * @param {Array<string>} [names] - Quantity names fetched for the node
+ * @returns {Object} Location level with available quantity and every quantity by name
+ */
+function mapInventoryLevel(node, names = INVENTORY_QUANTITY_NAMES) {
+  const quantities = Object.fromEntries(names.map(name => [
+    name,
+    node.quantities.find(q => q.name === name)?.quantity || 0,
+  ]));
+
+  return {
+    locationId: node.location.id,
+    locationName: node.location.name,
+    available: quantities.available,
+    quantities,
+  };
+}
+
+/**
+ * Fetch the remaining inventory levels of an inventory item
+ * when they don't fit in the first page of the product query
+ *
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} inventoryItemId - Inventory item GID
+ * @param {string} after - Cursor of the last level already fetched
+ * @param {Array<string>} [names] - Quantity names to fetch
+ * @returns {Promise<Array>} Remaining location levels
+ */
+async function getRemainingInventoryLevels(admin, inventoryItemId, after, names = INVENTORY_QUANTITY_NAMES) {
+  const query = `#graphql
+    query GetInventoryLevels($inventoryItemId: ID!, $first: Int!, $after: String) {
+      inventoryItem(id: $inventoryItemId) {
+        inventoryLevels(first: $first, after: $after) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            location {
+              id
+              name
+            }
+            quantities(names: ${JSON.stringify(names)}) {
+              name
+              quantity
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const levels = [];
+  let cursor = after;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const response = await admin.graphql(query, {
+      variables: { inventoryItemId, first: LEVELS_PAGE_SIZE, after: cursor },
+    });
+
+    const data = await response.json();
+
+    if (data.errors) {
+      throw shopifyApiError(data.errors);
+    }
+
+    const connection = data.data?.inventoryItem?.inventoryLevels;
+    if (!connection) {
+      break;
+    }
+
+    levels.push(...connection.nodes.map(node => mapInventoryLevel(node, names)));
+    hasNextPage = connection.pageInfo.hasNextPage;
+    cursor = connection.pageInfo.endCursor;
+  }
+
+  return levels;
+}
+
+/**
+ * Map a variant node (with its first page of inventory levels) to the
+ * shape used by routes, fetching any remaining levels
+ *
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Object} variant - ProductVariant node
+ * @returns {Promise<Object>} Variant with per-location levels
+ */
+async function mapVariantInventory(admin, variant) {
+  const levelsConnection = variant.inventoryItem.inventoryLevels;
+  const levels = levelsConnection.nodes.map(node => mapInventoryLevel(node));
+
+  if (levelsConnection.pageInfo.hasNextPage) {
+    levels.push(...await getRemainingInventoryLevels(
+      admin,
+      variant.inventoryItem.id,
+      levelsConnection.pageInfo.endCursor
+    ));
+  }
+
+  return {
+    variantId: variant.id,
+    variantTitle: variant.title,
+    sku: variant.sku || null,
+    productId: variant.product?.id,
+    productTitle: variant.product?.title,
+    inventoryItemId: variant.inventoryItem.id,
+    tracked: variant.inventoryItem.tracked,
+    levels,
+  };
+}
+
 /**
  * Fetch product inventory data via GraphQL
  *
+ * Pages through every variant of the product and every location the
+ * variant is stocked at.
+ *
  * @param {Object} admin - Shopify Admin API client
  * @param {string} productId - Product ID (numeric or GID format)
- * @returns {Promise<Object|null>} Product inventory data or null if not found
+ * @returns {Promise<Object|null>} Product with variants and per-location levels, or null if not found
  */
 export async function getProductInventoryData(admin, productId) {
   const query = `#graphql
-    query GetProductInventory($productId: ID!) {
+    query GetProductInventory($productId: ID!, $variantsFirst: Int!, $levelsFirst: Int!, $after: String) {
       product(id: $productId) {
         id
         title
-        variants(first: 1) {
-          edges {
-            node {
+        variants(first: $variantsFirst, after: $after) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            id
+            title
+            sku
+            inventoryItem {
               id
-              inventoryItem {
-                id
-                inventoryLevels(first: 1) {
-                  edges {
-                    node {
-                      location {
-                        id
-                        name
-                      }
-                      quantities(names: "available") {
-                        name
-                        quantity
-                      }
-                    }
+              tracked
+              inventoryLevels(first: $levelsFirst) {
+                pageInfo {
+                  hasNextPage
+                  endCursor
+                }
+                nodes {
+                  location {
+                    id
+                    name
+                  }
+                  quantities(names: ${LEVEL_QUANTITY_NAMES}) {
+                    name
+                    quantity
                   }
                 }
               }
@@ -46,141 +413,1207 @@ export async function getProductInventoryData(admin, productId) {
     }
   `;
 
-  // Ensure product ID is in GraphQL format
-  const gid = productId.startsWith("gid://")
-    ? productId
-    : `gid://shopify/Product/${productId}`;
+  const gid = toGid("Product", productId);
+
+  let product = null;
+  const variants = [];
+  let after = null;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const response = await admin.graphql(query, {
+      variables: {
+        productId: gid,
+        variantsFirst: VARIANTS_PAGE_SIZE,
+        levelsFirst: LEVELS_PAGE_SIZE,
+        after,
+      },
+    });
+
+    const data = await response.json();
+
+    // Handle GraphQL errors
+    if (data.errors) {
+      throw shopifyApiError(data.errors);
+    }
+
+    product = data.data?.product;
+    if (!product) {
+      return null;
+    }
+
+    for (const variant of product.variants.nodes) {
+      if (!variant.inventoryItem) {
+        continue;
+      }
+
+      variants.push(await mapVariantInventory(admin, variant));
+    }
+
+    hasNextPage = product.variants.pageInfo.hasNextPage;
+    after = product.variants.pageInfo.endCursor;
+  }
+
+  if (variants.length === 0) {
+    return null;
+  }
+
+  return {
+    productId: product.id,
+    productTitle: product.title,
+    variants,
+  };
+}
+
+/**
+ * Fetch inventory data for many variants at once, looked up by ID and/or SKU
+ *
+ * Used by bulk operations (e.g. CSV import) so hundreds of rows don't
+ * each cost a product query.
+ *
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Object} lookup - Variants to fetch
+ * @param {Array<string>} [lookup.variantIds] - Variant IDs (numeric or GID format)
+ * @param {Array<string>} [lookup.skus] - Variant SKUs
+ * @returns {Promise<Array>} Variants with per-location levels (unknown IDs/SKUs are omitted)
+ */
+export async function getVariantsInventory(admin, { variantIds = [], skus = [] }) {
+  const variantFields = `
+    id
+    title
+    sku
+    product {
+      id
+      title
+    }
+    inventoryItem {
+      id
+      tracked
+      inventoryLevels(first: $levelsFirst) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          location {
+            id
+            name
+          }
+          quantities(names: ${LEVEL_QUANTITY_NAMES}) {
+            name
+            quantity
+          }
+        }
+      }
+    }
+  `;
+
+  const byIdQuery = `#graphql
+    query GetVariantsInventoryById($ids: [ID!]!, $levelsFirst: Int!) {
+      nodes(ids: $ids) {
+        ... on ProductVariant {
+          ${variantFields}
+        }
+      }
+    }
+  `;
+
+  const bySkuQuery = `#graphql
+    query GetVariantsInventoryBySku($query: String!, $first: Int!, $levelsFirst: Int!) {
+      productVariants(first: $first, query: $query) {
+        nodes {
+          ${variantFields}
+        }
+      }
+    }
+  `;
+
+  const variantNodes = [];
+
+  const ids = [...new Set(variantIds.map(id => toGid("ProductVariant", id)))];
+  for (const chunk of chunkArray(ids, VARIANTS_PAGE_SIZE)) {
+    const response = await admin.graphql(byIdQuery, {
+      variables: { ids: chunk, levelsFirst: LEVELS_PAGE_SIZE },
+    });
+    const data = await response.json();
+
+    if (data.errors) {
+      throw shopifyApiError(data.errors);
+    }
+
+    variantNodes.push(...data.data.nodes.filter(node => node?.inventoryItem));
+  }
+
+  const uniqueSkus = [...new Set(skus.map(sku => String(sku).trim()))];
+  for (const chunk of chunkArray(uniqueSkus, VARIANTS_PAGE_SIZE)) {
+    const query = chunk.map(sku => `sku:"${sku.replace(/"/g, '\\"')}"`).join(" OR ");
+    const response = await admin.graphql(bySkuQuery, {
+      // SKUs aren't unique, so allow a few duplicates per chunk
+      variables: { query, first: VARIANTS_PAGE_SIZE * 2, levelsFirst: LEVELS_PAGE_SIZE },
+    });
+    const data = await response.json();
+
+    if (data.errors) {
+      throw shopifyApiError(data.errors);
+    }
+
+    // The search is fuzzy, so keep exact SKU matches only
+    variantNodes.push(...data.data.productVariants.nodes.filter(
+      node => node.inventoryItem && chunk.includes(node.sku)
+    ));
+  }
+
+  const variants = new Map();
+  for (const node of variantNodes) {
+    if (!variants.has(node.id)) {
+      variants.set(node.id, await mapVariantInventory(admin, node));
+    }
+  }
+
+  return [...variants.values()];
+}
+
+/**
+ * Search variants by product title, SKU or barcode, for pickers and
+ * typeahead
+ *
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} term - What the user typed
+ * @param {Object} [options]
+ * @param {number} [options.first] - Maximum variants to return
+ * @returns {Promise<Array>} Matching variants with barcode and per-location levels
+ * @throws {InventoryError} INVALID_INPUT when the term is shorter than SEARCH_MIN_LENGTH
+ */
+export async function searchVariants(admin, term, { first = SEARCH_PAGE_SIZE } = {}) {
+  const cleaned = cleanSearchTerm(term);
+
+  if (cleaned.length < SEARCH_MIN_LENGTH) {
+    throw new InventoryError(
+      INVENTORY_ERROR_CODES.INVALID_INPUT,
+      `Enter at least ${SEARCH_MIN_LENGTH} characters to search`,
+      { field: "q" }
+    );
+  }
+
+  const query = `#graphql
+    query SearchVariantsInventory($query: String!, $first: Int!, $levelsFirst: Int!) {
+      productVariants(first: $first, query: $query, sortKey: RELEVANCE) {
+        nodes {
+          id
+          title
+          sku
+          barcode
+          product {
+            id
+            title
+          }
+          inventoryItem {
+            id
+            tracked
+            inventoryLevels(first: $levelsFirst) {
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+              nodes {
+                location {
+                  id
+                  name
+                }
+                quantities(names: ${LEVEL_QUANTITY_NAMES}) {
+                  name
+                  quantity
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
 
   const response = await admin.graphql(query, {
-    variables: { productId: gid },
+    variables: {
+      query: buildVariantSearchQuery(cleaned),
+      first: Math.min(first, SEARCH_PAGE_SIZE),
+      levelsFirst: LEVELS_PAGE_SIZE,
+    },
   });
-
   const data = await response.json();
 
-  // Handle GraphQL errors
   if (data.errors) {
-    throw new Error(data.errors[0].message);
+    throw shopifyApiError(data.errors);
   }
 
-  const product = data.data?.product;
-  if (!product) {
-    return null;
+  const variants = [];
+  for (const node of data.data.productVariants.nodes.filter(n => n.inventoryItem)) {
+    variants.push({ ...await mapVariantInventory(admin, node), barcode: node.barcode || null });
   }
 
-  const variant = product.variants.edges[0]?.node;
-  if (!variant || !variant.inventoryItem) {
-    return null;
+  return variants;
+}
+
+/**
+ * Fetch one page of the inventory grid: a row per variant and location
+ * with the GRID_QUANTITY_NAMES quantities
+ *
+ * Pages are cursor-based over variants (ordered by product and variant
+ * title, or by relevance when searching), so every location of a variant
+ * is on the same page. Variants not stocked anywhere get a single row
+ * without a location.
+ *
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Object} [options]
+ * @param {string} [options.query] - Product title, SKU or barcode to search for
+ * @param {string} [options.after] - Cursor: the page after it
+ * @param {string} [options.before] - Cursor: the page before it
+ * @returns {Promise<Object>} { rows, pageInfo: { hasNextPage, hasPreviousPage, startCursor, endCursor } }
+ */
+export async function getInventoryGrid(admin, { query, after, before } = {}) {
+  const cleaned = cleanSearchTerm(query);
+  const backwards = Boolean(before);
+
+  const gridQuery = `#graphql
+    query GetInventoryGrid($first: Int, $last: Int, $after: String, $before: String, $query: String, $sortKey: ProductVariantSortKeys!, $levelsFirst: Int!) {
+      productVariants(first: $first, last: $last, after: $after, before: $before, query: $query, sortKey: $sortKey) {
+        pageInfo {
+          hasNextPage
+          hasPreviousPage
+          startCursor
+          endCursor
+        }
+        nodes {
+          id
+          title
+          sku
+          product {
+            id
+            title
+          }
+          inventoryItem {
+            id
+            tracked
+            inventoryLevels(first: $levelsFirst) {
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+              nodes {
+                location {
+                  id
+                  name
+                }
+                quantities(names: ${JSON.stringify(GRID_QUANTITY_NAMES)}) {
+                  name
+                  quantity
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const response = await admin.graphql(gridQuery, {
+    variables: {
+      ...(backwards
+        ? { last: GRID_PAGE_SIZE, before }
+        : { first: GRID_PAGE_SIZE, after: after || null }),
+      query: cleaned ? buildVariantSearchQuery(cleaned) : null,
+      // RELEVANCE is only valid with a search query
+      sortKey: cleaned ? "RELEVANCE" : "FULL_TITLE",
+      levelsFirst: LEVELS_PAGE_SIZE,
+    },
+  });
+  const data = await response.json();
+
+  if (data.errors) {
+    throw shopifyApiError(data.errors);
   }
 
-  const inventoryLevel = variant.inventoryItem.inventoryLevels.edges[0]?.node;
-  if (!inventoryLevel) {
-    return {
-      productTitle: product.title,
-      inventoryItemId: variant.inventoryItem.id,
-      locationId: null,
-      currentQuantity: 0,
+  const { nodes, pageInfo } = data.data.productVariants;
+  const rows = [];
+
+  for (const node of nodes.filter(n => n.inventoryItem)) {
+    const levelsConnection = node.inventoryItem.inventoryLevels;
+    const levels = levelsConnection.nodes.map(level => mapInventoryLevel(level, GRID_QUANTITY_NAMES));
+
+    if (levelsConnection.pageInfo.hasNextPage) {
+      levels.push(...await getRemainingInventoryLevels(
+        admin,
+        node.inventoryItem.id,
+        levelsConnection.pageInfo.endCursor,
+        GRID_QUANTITY_NAMES
+      ));
+    }
+
+    const variant = {
+      productId: node.product.id,
+      productTitle: node.product.title,
+      variantId: node.id,
+      variantTitle: node.title,
+      sku: node.sku || null,
+      inventoryItemId: node.inventoryItem.id,
+      tracked: node.inventoryItem.tracked,
     };
+
+    if (levels.length === 0) {
+      rows.push({ ...variant, locationId: null, locationName: null, quantities: null });
+    }
+
+    for (const level of levels) {
+      rows.push({
+        ...variant,
+        locationId: level.locationId,
+        locationName: level.locationName,
+        quantities: level.quantities,
+      });
+    }
   }
 
-  const availableQty = inventoryLevel.quantities.find(q => q.name === "available");
+  return { rows, pageInfo };
+}
+
+/**
+ * Fetch the available quantity at every location of one inventory item,
+ * with the variant it belongs to
+ *
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} inventoryItemId - Inventory item ID (numeric or GID format)
+ * @returns {Promise<Object|null>} Item with variant/product titles, SKU and per-location levels, or null if not found
+ */
+export async function getInventoryItemLevels(admin, inventoryItemId) {
+  const query = `#graphql
+    query GetInventoryItemLevels($id: ID!, $levelsFirst: Int!) {
+      inventoryItem(id: $id) {
+        id
+        tracked
+        sku
+        variant {
+          id
+          title
+          product {
+            id
+            title
+          }
+        }
+        inventoryLevels(first: $levelsFirst) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            location {
+              id
+              name
+            }
+            quantities(names: ${LEVEL_QUANTITY_NAMES}) {
+              name
+              quantity
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const response = await admin.graphql(query, {
+    variables: { id: toGid("InventoryItem", inventoryItemId), levelsFirst: LEVELS_PAGE_SIZE },
+  });
+  const data = await response.json();
+
+  if (data.errors) {
+    throw shopifyApiError(data.errors);
+  }
+
+  const item = data.data.inventoryItem;
+  if (!item) {
+    return null;
+  }
+
+  const levels = item.inventoryLevels.nodes.map(node => mapInventoryLevel(node));
+  if (item.inventoryLevels.pageInfo.hasNextPage) {
+    levels.push(...await getRemainingInventoryLevels(admin, item.id, item.inventoryLevels.pageInfo.endCursor));
+  }
 
   return {
-    productTitle: product.title,
-    inventoryItemId: variant.inventoryItem.id,
-    locationId: inventoryLevel.location.id,
-    currentQuantity: availableQty?.quantity || 0,
-    locationName: inventoryLevel.location.name,
+    inventoryItemId: item.id,
+    tracked: item.tracked,
+    sku: item.sku || null,
+    variantId: item.variant?.id || null,
+    variantTitle: item.variant?.title || null,
+    productId: item.variant?.product.id || null,
+    productTitle: item.variant?.product.title || null,
+    levels,
   };
 }
 
 /**
- * Update inventory using GraphQL inventorySetQuantities mutation
+ * Fetch one page of the available quantity of every tracked inventory
+ * item at every location, for snapshots of the whole shop
  *
  * @param {Object} admin - Shopify Admin API client
- * @param {Object} params - Inventory update parameters
- * @param {string} params.inventoryItemId - Inventory item GID
- * @param {string} params.locationId - Location GID
- * @param {number} params.newQuantity - New quantity to set
- * @param {number} params.currentQuantity - Current quantity for compare-and-set
- * @returns {Promise<Object>} Updated inventory data with newQuantity and delta
+ * @param {Object} [options]
+ * @param {string} [options.after] - Cursor of the previous page
+ * @returns {Promise<Object>} { levels: [{ inventoryItemId, locationId, available }], pageInfo: { hasNextPage, endCursor } }
  */
-export async function updateInventory(admin, { inventoryItemId, locationId, newQuantity, currentQuantity }) {
-  const mutation = `#graphql
-    mutation InventorySetQuantities($input: InventorySetQuantitiesInput!) {
-      inventorySetQuantities(input: $input) {
-        inventoryAdjustmentGroup {
+export async function getInventoryLevelsPage(admin, { after } = {}) {
+  const query = `#graphql
+    query GetInventoryLevelsPage($first: Int!, $after: String, $levelsFirst: Int!) {
+      inventoryItems(first: $first, after: $after) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
           id
-          createdAt
-          reason
-          changes {
-            name
-            delta
-            quantityAfterChange
+          tracked
+          inventoryLevels(first: $levelsFirst) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+            nodes {
+              location {
+                id
+                name
+              }
+              quantities(names: ["available"]) {
+                name
+                quantity
+              }
+            }
           }
         }
-        userErrors {
-          field
-          message
-        }
       }
     }
   `;
 
-  const variables = {
-    input: {
-      name: "available",
-      reason: "correction",
-      quantities: [{
-        inventoryItemId,
-        locationId,
-        quantity: newQuantity,
-        compareQuantity: currentQuantity, // Prevents race conditions
-      }],
+  const response = await admin.graphql(query, {
+    variables: { first: SNAPSHOT_PAGE_SIZE, after: after || null, levelsFirst: LEVELS_PAGE_SIZE },
+  });
+  const data = await response.json();
+
+  if (data.errors) {
+    throw shopifyApiError(data.errors);
+  }
+
+  const { nodes, pageInfo } = data.data.inventoryItems;
+  const levels = [];
+
+  for (const item of nodes.filter(node => node.tracked)) {
+    const itemLevels = item.inventoryLevels.nodes.map(node => mapInventoryLevel(node, ["available"]));
+
+    if (item.inventoryLevels.pageInfo.hasNextPage) {
+      itemLevels.push(...await getRemainingInventoryLevels(
+        admin,
+        item.id,
+        item.inventoryLevels.pageInfo.endCursor,
+        ["available"]
+      ));
+    }
+
+    levels.push(...itemLevels.map(level => ({
+      inventoryItemId: item.id,
+      locationId: level.locationId,
+      available: level.available,
+    })));
+  }
+
+  return { levels, pageInfo };
+}
+
+/**
+ * Strip search syntax characters, which would change the meaning of the
+ * query, from what the user typed
+ *
+ * @param {string} term - Raw search term
+ * @returns {string} Cleaned term (may be empty)
+ */
+function cleanSearchTerm(term) {
+  return String(term || "").replace(/["'():\\*]/g, " ").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Build the productVariants search query for a cleaned term: free text
+ * matches the product title; SKUs and barcodes have no spaces
+ *
+ * @param {string} cleaned - Term from cleanSearchTerm
+ * @returns {string} Search query
+ */
+function buildVariantSearchQuery(cleaned) {
+  const clauses = [`${cleaned}*`];
+  if (!cleaned.includes(" ")) {
+    clauses.push(`sku:${cleaned}*`, `barcode:${cleaned}`);
+  }
+  return clauses.join(" OR ");
+}
+
+/**
+ * Split an array into chunks of at most `size` items
+ *
+ * @param {Array} items - Items to split
+ * @param {number} size - Maximum chunk size
+ * @returns {Array<Array>} Chunks
+ */
+function chunkArray(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Resolve which variant and location an adjustment applies to
+ *
+ * A variant (by ID or SKU) and a location must be given explicitly unless
+ * the product has exactly one variant or the variant is stocked at exactly
+ * one location. Guessing is never done: an ambiguous target is an error.
+ *
+ * @param {Object} productData - Result of getProductInventoryData
+ * @param {Object} target - Requested target
+ * @param {string} [target.variantId] - Variant ID (numeric or GID format)
+ * @param {string} [target.sku] - Variant SKU
+ * @param {string} [target.locationId] - Location ID (numeric or GID format)
+ * @returns {Object} Resolution result with isValid and either target, or error with its code and field
+ */
+export function resolveInventoryTarget(productData, { variantId, sku, locationId } = {}) {
+  const { variants } = productData;
+  let variant;
+
+  if (variantId) {
+    const variantGid = toGid("ProductVariant", variantId);
+    variant = variants.find(v => v.variantId === variantGid);
+    if (!variant) {
+      return { isValid: false, code: INVENTORY_ERROR_CODES.NOT_FOUND, field: "variantId", error: `Variant ${variantId} not found on this product` };
+    }
+  } else if (sku) {
+    const matches = variants.filter(v => v.sku === String(sku).trim());
+    if (matches.length === 0) {
+      return { isValid: false, code: INVENTORY_ERROR_CODES.NOT_FOUND, field: "sku", error: `No variant with SKU ${sku} on this product` };
+    }
+    if (matches.length > 1) {
+      return ambiguousTarget(productData, "variantId", `SKU ${sku} matches more than one variant; choose a variant ID`);
+    }
+    variant = matches[0];
+  } else if (variants.length === 1) {
+    variant = variants[0];
+  } else {
+    return ambiguousTarget(productData, "variantId", "Product has multiple variants; choose a variant");
+  }
+
+  if (!variant.tracked) {
+    return { isValid: false, code: INVENTORY_ERROR_CODES.INVENTORY_NOT_TRACKED, field: "variantId", error: "Product inventory is not tracked" };
+  }
+
+  let level;
+
+  if (locationId) {
+    const locationGid = toGid("Location", locationId);
+    level = variant.levels.find(l => l.locationId === locationGid);
+    if (!level) {
+      return { isValid: false, code: INVENTORY_ERROR_CODES.NOT_FOUND, field: "locationId", error: `Variant is not stocked at location ${locationId}` };
+    }
+  } else if (variant.levels.length === 1) {
+    level = variant.levels[0];
+  } else if (variant.levels.length === 0) {
+    return { isValid: false, code: INVENTORY_ERROR_CODES.NOT_FOUND, field: "locationId", error: "Variant is not stocked at any location" };
+  } else {
+    return ambiguousTarget(productData, "locationId", "Variant is stocked at multiple locations; choose a location");
+  }
+
+  return {
+    isValid: true,
+    target: {
+      variantId: variant.variantId,
+      variantTitle: variant.variantTitle,
+      sku: variant.sku,
+      inventoryItemId: variant.inventoryItemId,
+      locationId: level.locationId,
+      locationName: level.locationName,
+      currentQuantity: level.available,
+      quantities: level.quantities,
     },
   };
+}
+
+/**
+ * Build the "ambiguous target" result, listing the candidates to choose from
+ *
+ * @param {Object} productData - Result of getProductInventoryData
+ * @param {string} field - Input that has to be given to resolve it
+ * @param {string} reason - Why the target could not be resolved
+ * @returns {Object} Failed resolution result
+ */
+function ambiguousTarget(productData, field, reason) {
+  return {
+    isValid: false,
+    ambiguous: true,
+    code: INVENTORY_ERROR_CODES.AMBIGUOUS_TARGET,
+    field,
+    error: `Ambiguous target: ${reason}`,
+    candidates: productData.variants.map(v => ({
+      variantId: v.variantId,
+      variantTitle: v.variantTitle,
+      sku: v.sku,
+      levels: v.levels,
+    })),
+  };
+}
+
+/**
+ * Update inventory using GraphQL inventorySetQuantities mutation
+ *
+ * `available` is set with compare-and-set. Any other quantity name is
+ * changed by moving the difference between it and `available` with
+ * inventoryMoveQuantities (e.g. +3 damaged moves 3 units out of available).
+ *
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Object} params - Inventory update parameters
+ * @param {string} params.inventoryItemId - Inventory item GID of the resolved variant
+ * @param {string} params.locationId - Location GID
+ * @param {number} params.newQuantity - New quantity to set
+ * @param {number} params.currentQuantity - Current quantity for compare-and-set
+ * @param {string} [params.name] - Quantity name, one of INVENTORY_QUANTITY_NAMES (default "available")
+ * @param {string} [params.reason] - One of INVENTORY_ADJUSTMENT_REASONS (default "correction")
+ * @param {string} [params.requestId] - ID of the change, reused when it is retried; names the
+ *   reference document of a move (default a new UUID)
+ * @returns {Promise<Object>} Updated inventory data with newQuantity, delta and adjustmentGroupId
+ * @throws {InventoryConflictError} When currentQuantity no longer matches Shopify
+ * @throws {InventoryError} When the input is invalid or Shopify rejects the change
+ */
+export async function updateInventory(admin, {
+  inventoryItemId,
+  locationId,
+  newQuantity,
+  currentQuantity,
+  name = "available",
+  reason = "correction",
+  requestId = crypto.randomUUID(),
+}) {
+  if (!inventoryItemId || !locationId) {
+    throw new InventoryError(
+      INVENTORY_ERROR_CODES.INVALID_INPUT,
+      "An explicit variant inventory item and location are required",
+      { field: inventoryItemId ? "locationId" : "variantId" }
+    );
+  }
+
+  if (!INVENTORY_QUANTITY_NAMES.includes(name)) {
+    throw new InventoryError(INVENTORY_ERROR_CODES.INVALID_INPUT, `Unsupported quantity name: ${name}`, { field: "quantityName" });
+  }
+
+  if (!INVENTORY_ADJUSTMENT_REASONS.includes(reason)) {
+    throw new InventoryError(INVENTORY_ERROR_CODES.INVALID_INPUT, `Unsupported adjustment reason: ${reason}`, { field: "reason" });
+  }
+
+  // Nothing to change (Shopify rejects a move of zero units)
+  if (newQuantity === currentQuantity) {
+    return { newQuantity, delta: 0, adjustmentGroupId: null };
+  }
+
+  const { mutation, field, variables } = name === "available"
+    ? {
+      mutation: INVENTORY_SET_QUANTITIES_MUTATION,
+      field: "inventorySetQuantities",
+      variables: {
+        input: {
+          name,
+          reason,
+          quantities: [{
+            inventoryItemId,
+            locationId,
+            quantity: newQuantity,
+            compareQuantity: currentQuantity, // Prevents race conditions
+          }],
+        },
+      },
+    }
+    : {
+      mutation: INVENTORY_MOVE_QUANTITIES_MUTATION,
+      field: "inventoryMoveQuantities",
+      variables: { input: buildMoveInput({ inventoryItemId, locationId, name, reason, delta: newQuantity - currentQuantity, requestId }) },
+    };
 
   const response = await admin.graphql(mutation, { variables });
   const result = await response.json();
 
   // Check for user errors
-  if (result.data?.inventorySetQuantities?.userErrors?.length > 0) {
-    const error = result.data.inventorySetQuantities.userErrors[0];
-    throw new Error(`${error.field}: ${error.message}`);
+  if (result.data?.[field]?.userErrors?.length > 0) {
+    const error = result.data[field].userErrors[0];
+    if (error.code === "COMPARE_QUANTITY_STALE") {
+      throw new InventoryConflictError(`${error.field}: ${error.message}`);
+    }
+    throw shopifyUserError(error);
   }
 
   // Check for GraphQL errors
   if (result.errors) {
-    throw new Error(result.errors[0].message);
+    throw shopifyApiError(result.errors);
   }
 
-  const change = result.data.inventorySetQuantities.inventoryAdjustmentGroup.changes.find(
-    c => c.name === "available"
+  const adjustmentGroup = result.data[field].inventoryAdjustmentGroup;
+  const change = adjustmentGroup?.changes.find(
+    c => c.name === name
   );
 
   // Calculate the new quantity from the old quantity and delta
   const calculatedNewQuantity = currentQuantity + (change?.delta || 0);
 
   return {
-    newQuantity: change?.quantityAfterChange || calculatedNewQuantity,
+    newQuantity: change?.quantityAfterChange ?? calculatedNewQuantity,
     delta: change?.delta || 0,
+    adjustmentGroupId: adjustmentGroup?.id || null,
   };
 }
 
+/**
+ * Build the inventoryMoveQuantities input that changes a non-available
+ * quantity by `delta`, taking the units from (or returning them to)
+ * `available` at the same location
+ *
+ * @param {Object} params
+ * @param {string} params.inventoryItemId - Inventory item GID
+ * @param {string} params.locationId - Location GID
+ * @param {string} params.name - Quantity name other than "available"
+ * @param {string} params.reason - Adjustment reason
+ * @param {number} params.delta - Change of the named quantity
+ * @param {string} params.requestId - ID of the change, the same on every retry
+ * @returns {Object} InventoryMoveQuantitiesInput
+ */
+function buildMoveInput({ inventoryItemId, locationId, name, reason, delta, requestId }) {
+  const available = { locationId, name: "available" };
+  // Quantities other than available must name the ledger document holding them
+  const named = { locationId, name, ledgerDocumentUri: `${DOCUMENT_URI_BASE}/InventoryLedger/${name}` };
+
+  return {
+    reason,
+    referenceDocumentUri: `${DOCUMENT_URI_BASE}/StockAdjustment/${requestId}`,
+    changes: [{
+      inventoryItemId,
+      quantity: Math.abs(delta),
+      from: delta > 0 ? available : named,
+      to: delta > 0 ? named : available,
+    }],
+  };
+}
+
+/**
+ * Apply a relative change (e.g. +5 or -2) to a resolved target
+ *
+ * On a compare-and-set conflict the level is re-read through
+ * getProductInventoryData and the delta re-applied to the fresh quantity,
+ * up to MAX_CONFLICT_ATTEMPTS times. Inventory never goes below 0.
+ *
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Object} params
+ * @param {string} params.productId - Product of the target, for re-reading it
+ * @param {Object} params.target - Target from resolveInventoryTarget
+ * @param {number} params.quantityDelta - Change to apply
+ * @param {string} [params.name] - Quantity name (default "available")
+ * @param {string} [params.reason] - Adjustment reason (default "correction")
+ * @param {string} [params.requestId] - ID of the change, shared by its attempts (default a new UUID)
+ * @returns {Promise<Object>} Result with oldQuantity, newQuantity, delta, adjustmentGroupId and attempts
+ * @throws {InventoryConflictError} When the stock kept changing on every attempt
+ */
+export async function applyInventoryDelta(admin, {
+  productId,
+  target,
+  quantityDelta,
+  name = "available",
+  reason = "correction",
+  requestId = crypto.randomUUID(),
+}) {
+  let currentQuantity = target.quantities[name];
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await updateInventory(admin, {
+        inventoryItemId: target.inventoryItemId,
+        locationId: target.locationId,
+        newQuantity: Math.max(0, currentQuantity + quantityDelta),
+        currentQuantity,
+        name,
+        reason,
+        requestId,
+      });
+
+      return { ...result, oldQuantity: currentQuantity, attempts: attempt };
+    } catch (error) {
+      if (!(error instanceof InventoryConflictError)) {
+        throw error;
+      }
+
+      if (attempt >= MAX_CONFLICT_ATTEMPTS) {
+        throw new InventoryConflictError(
+          `Someone else changed this stock while it was being updated (${attempt} attempts); check the current quantity and try again`,
+          { attempts: attempt }
+        );
+      }
+
+      [currentQuantity] = await getCurrentQuantities(admin, productId, [target], name);
+    }
+  }
+}
+
+/**
+ * Re-read the current quantities of resolved targets of one product
+ *
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} productId - Product ID
+ * @param {Array<Object>} targets - Targets from resolveInventoryTarget
+ * @param {string} name - Quantity name
+ * @returns {Promise<Array<number>>} Current quantity of each target, in order
+ */
+async function getCurrentQuantities(admin, productId, targets, name) {
+  const productData = await getProductInventoryData(admin, productId);
+
+  return targets.map(target => {
+    const level = productData?.variants
+      .find(v => v.variantId === target.variantId)?.levels
+      .find(l => l.locationId === target.locationId);
+
+    if (!level) {
+      throw new InventoryError(
+        INVENTORY_ERROR_CODES.NOT_FOUND,
+        `Variant is no longer stocked at ${target.locationName || "this location"}`,
+        { field: "locationId" }
+      );
+    }
+
+    return level.quantities[name];
+  });
+}
+
+/**
+ * Move available stock of one variant from one location to another
+ *
+ * Both sides are adjusted in a single inventoryAdjustQuantities call as a
+ * -quantity/+quantity pair under TRANSFER_REASON and one reference
+ * document, so Shopify's history shows one movement rather than two
+ * unrelated changes. Each side is compared against the quantity read
+ * before (changeFromQuantity), so they succeed or fail together and never
+ * build on a concurrent change. On a conflict both levels are re-read and
+ * the transfer retried, up to MAX_CONFLICT_ATTEMPTS times. The source must
+ * hold at least `quantity` available units.
+ *
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Object} params
+ * @param {string} params.productId - Product of the targets, for re-reading them
+ * @param {Object} params.source - Target from resolveInventoryTarget at the source location
+ * @param {Object} params.destination - Target from resolveInventoryTarget at the destination location
+ * @param {number} params.quantity - Units to move (positive)
+ * @param {string} [params.requestId] - ID of the transfer, shared by its attempts; names its
+ *   reference document (default a new UUID)
+ * @returns {Promise<Object>} Result with adjustmentGroupId, attempts and from/to old and new quantities
+ * @throws {InventoryConflictError} When the stock kept changing on every attempt
+ * @throws {InventoryError} When the targets don't match, stock is short or Shopify rejects the move
+ */
+export async function transferInventory(admin, {
+  productId,
+  source,
+  destination,
+  quantity,
+  requestId = crypto.randomUUID(),
+}) {
+  if (source.inventoryItemId !== destination.inventoryItemId) {
+    throw new InventoryError(
+      INVENTORY_ERROR_CODES.INVALID_INPUT,
+      "Source and destination must be the same variant",
+      { field: "variantId" }
+    );
+  }
+
+  if (source.locationId === destination.locationId) {
+    throw new InventoryError(
+      INVENTORY_ERROR_CODES.INVALID_INPUT,
+      "Source and destination locations must differ",
+      { field: "toLocationId" }
+    );
+  }
+
+  let fromQuantity = source.currentQuantity;
+  let toQuantity = destination.currentQuantity;
+
+  for (let attempt = 1; ; attempt++) {
+    if (fromQuantity < quantity) {
+      throw new InventoryError(
+        INVENTORY_ERROR_CODES.INSUFFICIENT_STOCK,
+        `Only ${fromQuantity} available at ${source.locationName}; cannot transfer ${quantity}`,
+        { field: "quantity" }
+      );
+    }
+
+    try {
+      const adjustmentGroup = await adjustTransferQuantities(admin, requestId, [
+        { target: source, delta: -quantity, changeFromQuantity: fromQuantity },
+        { target: destination, delta: quantity, changeFromQuantity: toQuantity },
+      ]);
+
+      const quantityAfter = (target, fallback) => adjustmentGroup?.changes.find(
+        c => c.name === "available" && c.location?.id === target.locationId
+      )?.quantityAfterChange ?? fallback;
+
+      return {
+        adjustmentGroupId: adjustmentGroup?.id || null,
+        attempts: attempt,
+        from: {
+          locationId: source.locationId,
+          locationName: source.locationName,
+          oldQuantity: fromQuantity,
+          newQuantity: quantityAfter(source, fromQuantity - quantity),
+        },
+        to: {
+          locationId: destination.locationId,
+          locationName: destination.locationName,
+          oldQuantity: toQuantity,
+          newQuantity: quantityAfter(destination, toQuantity + quantity),
+        },
+      };
+    } catch (error) {
+      if (!(error instanceof InventoryConflictError)) {
+        throw error;
+      }
+
+      if (attempt >= MAX_CONFLICT_ATTEMPTS) {
+        throw new InventoryConflictError(
+          `Someone else changed this stock while it was being transferred (${attempt} attempts); check the current quantities and try again`,
+          { attempts: attempt }
+        );
+      }
+
+      [fromQuantity, toQuantity] = await getCurrentQuantities(admin, productId, [source, destination], "available");
+    }
+  }
+}
+
+/**
+ * Adjust the available quantities of a transfer, each side compared
+ * against the quantity it is expected to change from
+ *
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} requestId - ID of the transfer, naming its reference document
+ * @param {Array<Object>} sides - Target, delta and expected current quantity per location
+ * @returns {Promise<Object|null>} The inventory adjustment group
+ * @throws {InventoryConflictError} When either level no longer matches its changeFromQuantity
+ */
+async function adjustTransferQuantities(admin, requestId, sides) {
+  const variables = {
+    input: {
+      name: "available",
+      reason: TRANSFER_REASON,
+      referenceDocumentUri: `${DOCUMENT_URI_BASE}/StockTransfer/${requestId}`,
+      changes: sides.map(({ target, delta, changeFromQuantity }) => ({
+        inventoryItemId: target.inventoryItemId,
+        locationId: target.locationId,
+        delta,
+        changeFromQuantity,
+      })),
+    },
+  };
+
+  const response = await admin.graphql(INVENTORY_ADJUST_QUANTITIES_MUTATION, { variables });
+  const result = await response.json();
+
+  // Check for user errors
+  const userErrors = result.data?.inventoryAdjustQuantities?.userErrors || [];
+  if (userErrors.length > 0) {
+    const stale = userErrors.find(error => error.code === "CHANGE_FROM_QUANTITY_STALE");
+    if (stale) {
+      throw new InventoryConflictError(`${stale.field}: ${stale.message}`);
+    }
+    throw shopifyUserError(userErrors[0]);
+  }
+
+  // Check for GraphQL errors
+  if (result.errors) {
+    throw shopifyApiError(result.errors);
+  }
+
+  return result.data.inventoryAdjustQuantities.inventoryAdjustmentGroup;
+}
+
+/**
+ * Set many inventory quantities in batched inventorySetQuantities calls
+ *
+ * Each batch is applied atomically by Shopify. When a batch is rejected,
+ * the entries named by its userErrors are marked as failed and the rest
+ * of the batch is retried once without them.
+ *
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Array<Object>} quantities - Entries to set
+ * @param {string} quantities[].inventoryItemId - Inventory item GID
+ * @param {string} quantities[].locationId - Location GID
+ * @param {number} quantities[].quantity - New quantity to set
+ * @param {number} quantities[].compareQuantity - Current quantity for compare-and-set
+ * @returns {Promise<Array<Object>>} Per-entry results in input order with success, adjustmentGroupId, error and the userError code
+ */
+export async function setInventoryQuantities(admin, quantities) {
+  const results = new Array(quantities.length);
+
+  for (let start = 0; start < quantities.length; start += SET_QUANTITIES_BATCH_SIZE) {
+    let pending = quantities
+      .slice(start, start + SET_QUANTITIES_BATCH_SIZE)
+      .map((entry, offset) => ({ entry, index: start + offset }));
+
+    for (let attempt = 0; attempt < 2 && pending.length > 0; attempt++) {
+      const variables = {
+        input: {
+          name: "available",
+          reason: "correction",
+          quantities: pending.map(({ entry }) => ({
+            inventoryItemId: entry.inventoryItemId,
+            locationId: entry.locationId,
+            quantity: entry.quantity,
+            compareQuantity: entry.compareQuantity,
+          })),
+        },
+      };
+
+      const response = await admin.graphql(INVENTORY_SET_QUANTITIES_MUTATION, { variables });
+      const result = await response.json();
+
+      if (result.errors) {
+        const message = result.errors[0].message;
+        pending.forEach(({ index }) => {
+          results[index] = { success: false, error: message };
+        });
+        pending = [];
+        break;
+      }
+
+      const payload = result.data.inventorySetQuantities;
+
+      if (payload.userErrors.length === 0) {
+        pending.forEach(({ index }) => {
+          results[index] = { success: true, adjustmentGroupId: payload.inventoryAdjustmentGroup?.id };
+        });
+        pending = [];
+        break;
+      }
+
+      // Field paths look like ["input", "quantities", "3", "compareQuantity"]
+      const failedPositions = new Map();
+      let batchFailure = null;
+      for (const error of payload.userErrors) {
+        const position = error.field?.[1] === "quantities" ? parseInt(error.field[2]) : NaN;
+        const failure = {
+          success: false,
+          error: error.field ? `${error.field.join(".")}: ${error.message}` : error.message,
+          code: error.code || null,
+        };
+
+        if (isNaN(position) || !pending[position]) {
+          batchFailure = batchFailure || failure;
+        } else {
+          failedPositions.set(position, failure);
+        }
+      }
+
+      if (batchFailure) {
+        // Not attributable to a single entry: fail what's left of the batch,
+        // keeping the entry's own error where there is one
+        pending.forEach(({ index }, position) => {
+          results[index] = failedPositions.get(position) || batchFailure;
+        });
+        pending = [];
+        break;
+      }
+
+      failedPositions.forEach((failure, position) => {
+        results[pending[position].index] = failure;
+      });
+      pending = pending.filter((_, position) => !failedPositions.has(position));
+    }
+
+    pending.forEach(({ index }) => {
+      results[index] = { success: false, error: "Batch was rejected by Shopify" };
+    });
+  }
+
+  return results;
+}
+
 /**
  * Validate inventory update input
  *
  * @param {string} productId - Product ID
  * @param {string} quantityChange - Quantity change value
- * @returns {Object} Validation result with isValid and error
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Adjustment reason (default "correction")
+ * @param {string} [options.quantityName] - Quantity name (default "available")
+ * @returns {Object} Validation result with isValid and error (with its code and field), or quantityDelta, reason and quantityName
  */
-export function validateInventoryInput(productId, quantityChange) {
+export function validateInventoryInput(productId, quantityChange, { reason, quantityName } = {}) {
   if (!productId) {
-    return { isValid: false, error: "Product ID is required" };
+    return { isValid: false, code: INVENTORY_ERROR_CODES.INVALID_INPUT, field: "productId", error: "Product ID is required" };
   }
 
   if (!quantityChange || isNaN(parseInt(quantityChange))) {
-    return { isValid: false, error: "Valid quantity change is required" };
+    return { isValid: false, code: INVENTORY_ERROR_CODES.INVALID_INPUT, field: "quantityChange", error: "Valid quantity change is required" };
+  }
+
+  const adjustmentReason = reason || "correction";
+  if (!INVENTORY_ADJUSTMENT_REASONS.includes(adjustmentReason)) {
+    return {
+      isValid: false,
+      code: INVENTORY_ERROR_CODES.INVALID_INPUT,
+      field: "reason",
+      error: `Invalid reason "${reason}"; use one of ${INVENTORY_ADJUSTMENT_REASONS.join(", ")}`,
+    };
+  }
+
+  const name = quantityName || "available";
+  if (!INVENTORY_QUANTITY_NAMES.includes(name)) {
+    return {
+      isValid: false,
+      code: INVENTORY_ERROR_CODES.INVALID_INPUT,
+      field: "quantityName",
+      error: `Invalid quantity name "${quantityName}"; use one of ${INVENTORY_QUANTITY_NAMES.join(", ")}`,
+    };
+  }
+
+  return {
+    isValid: true,
+    quantityDelta: parseInt(quantityChange),
+    reason: adjustmentReason,
+    quantityName: name,
+  };
+}
+
+/**
+ * Validate stock transfer input
+ *
+ * @param {Object} input
+ * @param {string} input.productId - Product ID
+ * @param {string} input.fromLocationId - Source location ID
+ * @param {string} input.toLocationId - Destination location ID
+ * @param {string} input.quantity - Units to move
+ * @returns {Object} Validation result with isValid and error (with its code and field), or quantity
+ */
+export function validateTransferInput({ productId, fromLocationId, toLocationId, quantity }) {
+  if (!productId) {
+    return { isValid: false, code: INVENTORY_ERROR_CODES.INVALID_INPUT, field: "productId", error: "Product ID is required" };
+  }
+
+  if (!fromLocationId || !toLocationId) {
+    return {
+      isValid: false,
+      code: INVENTORY_ERROR_CODES.INVALID_INPUT,
+      field: fromLocationId ? "toLocationId" : "fromLocationId",
+      error: "Source and destination locations are required",
+    };
+  }
+
+  if (toGid("Location", fromLocationId) === toGid("Location", toLocationId)) {
+    return { isValid: false, code: INVENTORY_ERROR_CODES.INVALID_INPUT, field: "toLocationId", error: "Source and destination locations must differ" };
+  }
+
+  if (!/^\d+$/.test(String(quantity ?? "").trim()) || parseInt(quantity) <= 0) {
+    return { isValid: false, code: INVENTORY_ERROR_CODES.INVALID_INPUT, field: "quantity", error: "Quantity to transfer must be a positive whole number" };
   }
 
-  return { isValid: true, quantityDelta: parseInt(quantityChange) };
+  return { isValid: true, quantity: parseInt(quantity) };
 }
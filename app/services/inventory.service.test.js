@@ -0,0 +1,251 @@
+import { describe, expect, it } from "vitest";
+import {
+  INVENTORY_ERROR_CODES,
+  InventoryConflictError,
+  TRANSFER_REASON,
+  applyInventoryDelta,
+  transferInventory,
+  updateInventory,
+} from "./inventory.service";
+
+const ITEM = "gid://shopify/InventoryItem/111";
+const VARIANT = "gid://shopify/ProductVariant/11";
+const FROM = "gid://shopify/Location/1";
+const TO = "gid://shopify/Location/2";
+
+const buildTarget = (locationId, locationName, currentQuantity) => ({
+  variantId: VARIANT,
+  inventoryItemId: ITEM,
+  locationId,
+  locationName,
+  currentQuantity,
+  quantities: { available: currentQuantity },
+});
+
+const buildProduct = (levels) => ({
+  data: {
+    product: {
+      id: "gid://shopify/Product/1",
+      title: "Widget",
+      variants: {
+        pageInfo: { hasNextPage: false, endCursor: null },
+        nodes: [{
+          id: VARIANT,
+          title: "Default",
+          sku: "W-1",
+          inventoryItem: {
+            id: ITEM,
+            tracked: true,
+            inventoryLevels: {
+              pageInfo: { hasNextPage: false, endCursor: null },
+              nodes: levels.map(([id, name, available]) => ({
+                location: { id, name },
+                quantities: [{ name: "available", quantity: available }],
+              })),
+            },
+          },
+        }],
+      },
+    },
+  },
+});
+
+const STALE = {
+  data: {
+    inventoryAdjustQuantities: {
+      inventoryAdjustmentGroup: null,
+      userErrors: [{ field: ["input", "changes", "0", "changeFromQuantity"], message: "Stale", code: "CHANGE_FROM_QUANTITY_STALE" }],
+    },
+  },
+};
+
+/**
+ * Admin client answering each call with the next canned response and
+ * recording the variables it was called with
+ */
+const fakeAdmin = (responses) => {
+  const calls = [];
+  return {
+    calls,
+    graphql: async (query, { variables }) => {
+      calls.push({ query, variables });
+      return { json: async () => responses.shift() };
+    },
+  };
+};
+
+const applied = (fromAfter, toAfter) => ({
+  data: {
+    inventoryAdjustQuantities: {
+      inventoryAdjustmentGroup: {
+        id: "gid://shopify/InventoryAdjustmentGroup/9",
+        changes: [
+          { name: "available", delta: -3, quantityAfterChange: fromAfter, location: { id: FROM } },
+          { name: "available", delta: 3, quantityAfterChange: toAfter, location: { id: TO } },
+        ],
+      },
+      userErrors: [],
+    },
+  },
+});
+
+describe("transferInventory", () => {
+  it("adjusts both locations as one paired movement and retries on the re-read quantities", async () => {
+    const admin = fakeAdmin([
+      STALE,
+      buildProduct([[FROM, "Warehouse", 8], [TO, "Store", 4]]),
+      applied(5, 7),
+    ]);
+
+    const result = await transferInventory(admin, {
+      productId: "1",
+      source: buildTarget(FROM, "Warehouse", 10),
+      destination: buildTarget(TO, "Store", 2),
+      quantity: 3,
+      requestId: "transfer-1",
+    });
+
+    const adjusts = admin.calls.filter(call => call.query.includes("inventoryAdjustQuantities"));
+    expect(adjusts.map(call => call.variables.input.changes.map(c => [c.locationId, c.delta, c.changeFromQuantity]))).toEqual([
+      [[FROM, -3, 10], [TO, 3, 2]],
+      [[FROM, -3, 8], [TO, 3, 4]],
+    ]);
+    for (const { variables } of adjusts) {
+      expect(variables.input).toMatchObject({
+        name: "available",
+        reason: TRANSFER_REASON,
+        referenceDocumentUri: "gid://inventory-manager/StockTransfer/transfer-1",
+      });
+    }
+    expect(result).toMatchObject({
+      attempts: 2,
+      from: { oldQuantity: 8, newQuantity: 5 },
+      to: { oldQuantity: 4, newQuantity: 7 },
+    });
+  });
+
+  it("reports short stock found when re-reading after a conflict", async () => {
+    const admin = fakeAdmin([
+      STALE,
+      buildProduct([[FROM, "Warehouse", 1], [TO, "Store", 2]]),
+    ]);
+
+    await expect(transferInventory(admin, {
+      productId: "1",
+      source: buildTarget(FROM, "Warehouse", 10),
+      destination: buildTarget(TO, "Store", 2),
+      quantity: 3,
+    })).rejects.toMatchObject({ code: INVENTORY_ERROR_CODES.INSUFFICIENT_STOCK, field: "quantity" });
+  });
+});
+
+describe("updateInventory", () => {
+  const update = (admin, params) => updateInventory(admin, {
+    inventoryItemId: ITEM,
+    locationId: FROM,
+    reason: "damaged",
+    requestId: "request-1",
+    ...params,
+  });
+
+  it("moves units between available and another quantity under one reference document", async () => {
+    const admin = fakeAdmin([{
+      data: {
+        inventoryMoveQuantities: {
+          inventoryAdjustmentGroup: {
+            id: "gid://shopify/InventoryAdjustmentGroup/9",
+            changes: [{ name: "damaged", delta: 3, quantityAfterChange: 5 }],
+          },
+          userErrors: [],
+        },
+      },
+    }]);
+
+    const result = await update(admin, { name: "damaged", currentQuantity: 2, newQuantity: 5 });
+
+    expect(admin.calls[0].variables.input).toEqual({
+      reason: "damaged",
+      referenceDocumentUri: "gid://inventory-manager/StockAdjustment/request-1",
+      changes: [{
+        inventoryItemId: ITEM,
+        quantity: 3,
+        from: { locationId: FROM, name: "available" },
+        to: { locationId: FROM, name: "damaged", ledgerDocumentUri: "gid://inventory-manager/InventoryLedger/damaged" },
+      }],
+    });
+    expect(result).toEqual({ newQuantity: 5, delta: 3, adjustmentGroupId: "gid://shopify/InventoryAdjustmentGroup/9" });
+  });
+
+  it("does not call Shopify when the quantity doesn't change", async () => {
+    const admin = fakeAdmin([]);
+
+    const result = await update(admin, { name: "damaged", currentQuantity: 4, newQuantity: 4 });
+
+    expect(admin.calls).toEqual([]);
+    expect(result).toEqual({ newQuantity: 4, delta: 0, adjustmentGroupId: null });
+  });
+});
+
+describe("applyInventoryDelta", () => {
+  const SET_STALE = {
+    data: {
+      inventorySetQuantities: {
+        inventoryAdjustmentGroup: null,
+        userErrors: [{ field: ["input", "quantities", "0", "compareQuantity"], message: "Stale", code: "COMPARE_QUANTITY_STALE" }],
+      },
+    },
+  };
+
+  const set = (delta, quantityAfterChange) => ({
+    data: {
+      inventorySetQuantities: {
+        inventoryAdjustmentGroup: {
+          id: "gid://shopify/InventoryAdjustmentGroup/9",
+          changes: [{ name: "available", delta, quantityAfterChange, location: { id: FROM } }],
+        },
+        userErrors: [],
+      },
+    },
+  });
+
+  const compared = (admin) => admin.calls
+    .filter(call => call.query.includes("inventorySetQuantities"))
+    .map(call => call.variables.input.quantities.map(q => [q.quantity, q.compareQuantity])[0]);
+
+  it("re-reads the level after a stale compare and applies the delta to the fresh quantity", async () => {
+    const admin = fakeAdmin([
+      SET_STALE,
+      buildProduct([[FROM, "Warehouse", 7]]),
+      set(-2, 5),
+    ]);
+
+    const result = await applyInventoryDelta(admin, {
+      productId: "1",
+      target: buildTarget(FROM, "Warehouse", 10),
+      quantityDelta: -2,
+    });
+
+    expect(compared(admin)).toEqual([[8, 10], [5, 7]]);
+    expect(result).toMatchObject({ oldQuantity: 7, newQuantity: 5, delta: -2, attempts: 2 });
+  });
+
+  it("gives up with a conflict after three stale compares", async () => {
+    const admin = fakeAdmin([
+      SET_STALE,
+      buildProduct([[FROM, "Warehouse", 7]]),
+      SET_STALE,
+      buildProduct([[FROM, "Warehouse", 4]]),
+      SET_STALE,
+    ]);
+
+    const error = await applyInventoryDelta(admin, {
+      productId: "1",
+      target: buildTarget(FROM, "Warehouse", 10),
+      quantityDelta: 1,
+    }).catch(error => error);
+
+    expect(error).toBeInstanceOf(InventoryConflictError);
+    expect(error).toMatchObject({ code: INVENTORY_ERROR_CODES.INVENTORY_CONFLICT, attempts: 3, field: "quantityChange", retryable: true });
+    expect(compared(admin)).toEqual([[11, 10], [8, 7], [5, 4]]);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Job Handlers
+ *
+ * Maps each persisted job type to the function that processes it.
+ * Handlers must be safe to run more than once for the same job: a job is
+ * retried when its handler throws or its worker dies mid-run.
+ */
+
+import { logInventoryWebhook } from "./webhook-logger.service";
+import { deliverPimMessage } from "./pim-delivery.service";
+import { deliverLowStockAlert, evaluateLowStock } from "./low-stock.service";
+import { purgeShopData } from "./shop-data.service";
+import { snapshotInventoryLevels } from "./inventory-history.service";
+import { enqueueJob } from "./job-queue.service";
+import prisma from "../db.server";
+
+export const JOB_TYPES = {
+  INVENTORY_LEVELS_UPDATE: "inventory_levels_update",
+  PURGE_SHOP_DATA: "purge_shop_data",
+  INVENTORY_SNAPSHOT: "inventory_snapshot",
+};
+
+/**
+ * Process a raw inventory_levels/update webhook
+ * Logs the event (dropping duplicates and stale events), raises or resolves
+ * its low-stock alert, and attempts the first PIM/ERP and alert deliveries.
+ * Later delivery retries are driven by the worker.
+ *
+ * @param {Object} payload - Job payload as persisted by the webhook route
+ * @param {string} payload.topic - Webhook topic
+ * @param {string} payload.shop - Shop domain
+ * @param {Object} payload.payload - Webhook body
+ * @param {string} payload.receivedAt - ISO timestamp
+ * @param {string} [payload.webhookId] - X-Shopify-Webhook-Id
+ */
+async function processInventoryLevelsUpdate({ topic, shop, payload, receivedAt, webhookId }) {
+  console.log("📦 Inventory Change:", {
+    inventoryItemId: payload.inventory_item_id,
+    locationId: payload.location_id,
+    available: payload.available,
+    updatedAt: payload.updated_at,
+  });
+
+  const { deliveryId, skipReason } = await logInventoryWebhook({
+    shop,
+    topic,
+    payload,
+    receivedAt,
+    webhookId,
+  });
+
+  // Evaluated even for skipped events: it reads the latest known state,
+  // so a retried job still raises the alert its first run missed
+  const { raised } = await evaluateLowStock({
+    shop,
+    inventoryItemId: String(payload.inventory_item_id || ""),
+    locationId: String(payload.location_id || ""),
+  });
+
+  let alertDeliveryStatus;
+  if (raised?.deliveryStatus) {
+    const alert = await deliverLowStockAlert(raised.id);
+    alertDeliveryStatus = alert?.deliveryStatus;
+    console.log(`📤 Low stock alert delivery ${raised.id}: ${alertDeliveryStatus}`);
+  }
+
+  if (!deliveryId) {
+    console.log(`⏭️ Not forwarding to PIM/ERP: ${skipReason}`);
+    return { skipReason, alertId: raised?.id, alertDeliveryStatus };
+  }
+
+  const delivery = await deliverPimMessage(deliveryId);
+  console.log(`📤 PIM/ERP delivery ${deliveryId}: ${delivery?.status}`);
+
+  return { deliveryId, deliveryStatus: delivery?.status, alertId: raised?.id, alertDeliveryStatus };
+}
+
+/**
+ * Purge an uninstalled shop's data once its retention period has passed
+ * Skipped when the shop uninstalled again later: the purge scheduled for
+ * that uninstall (keyed `purge:<shop>`) decides when the data goes.
+ *
+ * @param {Object} payload - Job payload as persisted by the app/uninstalled webhook
+ * @param {string} payload.shop - Shop domain
+ * @param {string} payload.uninstalledAt - ISO timestamp of the uninstall
+ * @param {Object} job - The purge job, kept so its completion can be recorded
+ */
+async function processPurgeShopData({ shop, uninstalledAt }, job) {
+  const latest = await prisma.job.findUnique({ where: { dedupeKey: `purge:${shop}` } });
+  if (latest && latest.id !== job.id && latest.payload.uninstalledAt > uninstalledAt) {
+    console.log(`⏭️ Not purging ${shop}: it was uninstalled again at ${latest.payload.uninstalledAt}`);
+    return { skipped: true };
+  }
+
+  return purgeShopData(shop, { keepJobId: job.id });
+}
+
+/**
+ * Record one part of the nightly inventory snapshot of a shop, filling in
+ * changes whose webhooks never arrived
+ * Each job reads a few pages of the catalog and queues the next part, so
+ * no single run has to walk a large catalog. Skipped once the app is
+ * uninstalled (there is no offline token left).
+ *
+ * @param {Object} payload - Job payload as persisted by scheduleInventorySnapshots or the previous part
+ * @param {string} payload.shop - Shop domain
+ * @param {string} [payload.after] - Catalog cursor the previous part stopped at
+ * @param {number} [payload.part] - Part number, 1 for the scheduled job
+ * @param {string} [payload.snapshotKey] - Dedupe key of the scheduled job, shared by its parts
+ * @param {Object} job - The snapshot job, whose dedupe key names the parts that follow it
+ */
+async function processInventorySnapshot({ shop, after = null, part = 1, snapshotKey }, job) {
+  const sessions = await prisma.session.count({ where: { shop, isOnline: false } });
+  if (sessions === 0) {
+    console.log(`⏭️ Not snapshotting ${shop}: the app is not installed`);
+    return { skipped: true };
+  }
+
+  // Loaded here so workers without the app credentials still run the
+  // other job types (shopify.server validates them on import)
+  const { unauthenticated } = await import("../shopify.server");
+  const { admin } = await unauthenticated.admin(shop);
+
+  const result = await snapshotInventoryLevels(admin, shop, { after });
+
+  if (result.after) {
+    // Keyed by part, so a retry of this job doesn't queue the next one twice
+    const key = snapshotKey || job.dedupeKey || `inventory-snapshot:${shop}:${job.id}`;
+    await enqueueJob({
+      type: JOB_TYPES.INVENTORY_SNAPSHOT,
+      shop,
+      dedupeKey: `${key}:part-${part + 1}`,
+      payload: { shop, after: result.after, part: part + 1, snapshotKey: key },
+    });
+  }
+
+  return result;
+}
+
+export const JOB_HANDLERS = {
+  [JOB_TYPES.INVENTORY_LEVELS_UPDATE]: processInventoryLevelsUpdate,
+  [JOB_TYPES.PURGE_SHOP_DATA]: processPurgeShopData,
+  [JOB_TYPES.INVENTORY_SNAPSHOT]: processInventorySnapshot,
+};
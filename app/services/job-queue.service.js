@@ -0,0 +1,374 @@
+/**
+ * Job Queue Service
+ *
+ * Small persisted job runner backed by the Postgres "Job" table.
+ * Work is enqueued as a row first, so nothing is lost when a request ends
+ * early (serverless) or the process restarts. Workers claim due jobs with
+ * SELECT … FOR UPDATE SKIP LOCKED, so any number of them can run side by side.
+ *
+ * Status lifecycle:
+ *   queued → running → completed
+ *                    → queued (retry scheduled with backoff)
+ *                    → failed (max attempts reached)
+ *
+ * Completed jobs are deleted after a week and failed ones after a month,
+ * which also frees their dedupe keys.
+ *
+ * Entry points:
+ * - runWorker(): long-running loop (`npm run worker`)
+ * - drainJobs(): process everything that is due and return (tests, cron)
+ */
+
+import { randomUUID } from "node:crypto";
+import prisma from "../db.server";
+import { JOB_HANDLERS, JOB_TYPES } from "./job-handlers.service";
+import { processDuePimDeliveries } from "./pim-delivery.service";
+import { processDueLowStockAlertDeliveries } from "./low-stock.service";
+import { getNextSnapshotTime } from "./inventory-history.service";
+
+export const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+};
+
+const RETRY_BASE_MS = 10 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+// A job "running" longer than this is assumed to belong to a dead worker
+const RUNNING_LEASE_MS = 5 * 60 * 1000;
+
+// How often the worker loop schedules nightly jobs and purges finished ones
+const SCHEDULE_INTERVAL_MS = 10 * 60 * 1000;
+
+// How long finished jobs are kept; failed ones longer, for inspection
+const COMPLETED_JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const FAILED_JOB_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Finished jobs deleted per statement, so one purge never holds a long lock
+const PURGE_BATCH_SIZE = 1000;
+
+/**
+ * Persist a job
+ *
+ * @param {Object} job - Job data
+ * @param {string} job.type - One of JOB_TYPES
+ * @param {Object} job.payload - JSON payload passed to the handler
+ * @param {string} [job.shop] - Shop domain, for filtering
+ * @param {string} [job.dedupeKey] - Jobs with the dedupeKey of a job still on record are dropped
+ * @param {number} [job.maxAttempts] - Attempts before the job is marked failed
+ * @param {Date} [job.runAt] - Earliest time to run the job
+ * @returns {Promise<Object>} Result with jobId and duplicate flag
+ */
+export async function enqueueJob({ type, payload, shop, dedupeKey, maxAttempts, runAt }) {
+  try {
+    const job = await prisma.job.create({
+      data: {
+        type,
+        payload,
+        shop: shop || null,
+        dedupeKey: dedupeKey || null,
+        ...(maxAttempts ? { maxAttempts } : {}),
+        ...(runAt ? { runAt } : {}),
+      },
+    });
+
+    return { jobId: job.id, duplicate: false };
+  } catch (error) {
+    if (dedupeKey && error.code === "P2002") {
+      const existing = await prisma.job.findUnique({ where: { dedupeKey } });
+      return { jobId: existing?.id, duplicate: true };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Persist a job under a dedupe key, replacing the one on record
+ * Unlike enqueueJob, a job already queued or finished under the key is
+ * given the new payload and run time and queued again with fresh attempts,
+ * so the latest request decides when it runs.
+ *
+ * @param {Object} job - Job data
+ * @param {string} job.type - One of JOB_TYPES
+ * @param {Object} job.payload - JSON payload passed to the handler
+ * @param {string} job.dedupeKey - Key of the job to replace
+ * @param {string} [job.shop] - Shop domain, for filtering
+ * @param {Date} [job.runAt] - Earliest time to run the job
+ * @returns {Promise<Object>} Result with jobId
+ */
+export async function replaceJob({ type, payload, dedupeKey, shop, runAt = new Date() }) {
+  const job = await prisma.job.upsert({
+    where: { dedupeKey },
+    create: { type, payload, shop: shop || null, dedupeKey, runAt },
+    update: {
+      type,
+      payload,
+      runAt,
+      status: JOB_STATUS.QUEUED,
+      attempts: 0,
+      lastError: null,
+      completedAt: null,
+      lockedAt: null,
+      lockedBy: null,
+    },
+  });
+
+  return { jobId: job.id };
+}
+
+/**
+ * Claim up to `limit` due jobs for a worker
+ * Also reclaims jobs whose worker died while running them.
+ *
+ * @param {string} workerId - Identifier of the claiming worker
+ * @param {number} limit - Maximum jobs to claim
+ * @returns {Promise<Array<Object>>} Claimed jobs (status running)
+ */
+export async function claimJobs(workerId, limit = 10) {
+  const now = new Date();
+  const leaseExpiredBefore = new Date(now.getTime() - RUNNING_LEASE_MS);
+
+  return prisma.$queryRaw`
+    UPDATE "Job"
+    SET "status" = ${JOB_STATUS.RUNNING},
+        "lockedAt" = ${now},
+        "lockedBy" = ${workerId},
+        "attempts" = "attempts" + 1,
+        "updatedAt" = ${now}
+    WHERE "id" IN (
+      SELECT "id" FROM "Job"
+      WHERE ("status" = ${JOB_STATUS.QUEUED} AND "runAt" <= ${now})
+         OR ("status" = ${JOB_STATUS.RUNNING} AND "lockedAt" < ${leaseExpiredBefore})
+      ORDER BY "runAt" ASC
+      LIMIT ${limit}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `;
+}
+
+/**
+ * Compute the delay before retrying a failed job (exponential backoff)
+ *
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function computeRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Run one claimed job and record completion or failure
+ *
+ * @param {Object} job - Claimed job row
+ * @param {Object} [handlers] - Job type → handler map
+ * @returns {Promise<string>} Resulting job status
+ */
+export async function runJob(job, handlers = JOB_HANDLERS) {
+  const handler = handlers[job.type];
+
+  if (!handler) {
+    await prisma.job.update({
+      where: { id: job.id },
+      data: {
+        status: JOB_STATUS.FAILED,
+        lastError: `No handler for job type "${job.type}"`,
+        lockedAt: null,
+        lockedBy: null,
+      },
+    });
+    return JOB_STATUS.FAILED;
+  }
+
+  try {
+    await handler(job.payload, job);
+
+    await prisma.job.update({
+      where: { id: job.id },
+      data: {
+        status: JOB_STATUS.COMPLETED,
+        completedAt: new Date(),
+        lastError: null,
+        lockedAt: null,
+        lockedBy: null,
+      },
+    });
+    return JOB_STATUS.COMPLETED;
+  } catch (error) {
+    const exhausted = job.attempts >= job.maxAttempts;
+    console.error(`❌ Job ${job.id} (${job.type}) failed on attempt ${job.attempts}:`, error);
+
+    await prisma.job.update({
+      where: { id: job.id },
+      data: {
+        status: exhausted ? JOB_STATUS.FAILED : JOB_STATUS.QUEUED,
+        lastError: error.message || String(error),
+        runAt: exhausted ? job.runAt : new Date(Date.now() + computeRetryDelay(job.attempts)),
+        lockedAt: null,
+        lockedBy: null,
+      },
+    });
+    return exhausted ? JOB_STATUS.FAILED : JOB_STATUS.QUEUED;
+  }
+}
+
+/**
+ * Make sure every installed shop has its next nightly inventory snapshot
+ * queued (see inventory-history.service.js)
+ * The dedupe key names the night, so calling this often is harmless.
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<number>} Snapshot jobs enqueued
+ */
+export async function scheduleInventorySnapshots({ now = new Date() } = {}) {
+  const runAt = getNextSnapshotTime(now);
+  const night = runAt.toISOString().slice(0, 10);
+
+  const sessions = await prisma.session.findMany({
+    where: { isOnline: false },
+    distinct: ["shop"],
+    select: { shop: true },
+  });
+
+  const dedupeKey = (shop) => `inventory-snapshot:${shop}:${night}`;
+  const scheduled = new Set((await prisma.job.findMany({
+    where: { dedupeKey: { in: sessions.map(({ shop }) => dedupeKey(shop)) } },
+    select: { dedupeKey: true },
+  })).map(job => job.dedupeKey));
+
+  let enqueued = 0;
+  for (const { shop } of sessions) {
+    if (scheduled.has(dedupeKey(shop))) continue;
+
+    const { duplicate } = await enqueueJob({
+      type: JOB_TYPES.INVENTORY_SNAPSHOT,
+      shop,
+      dedupeKey: dedupeKey(shop),
+      payload: { shop },
+      runAt,
+    });
+    if (!duplicate) enqueued++;
+  }
+
+  return enqueued;
+}
+
+/**
+ * Delete completed and failed jobs past their retention period
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<number>} Jobs deleted
+ */
+export async function purgeFinishedJobs({ now = new Date() } = {}) {
+  const completedBefore = new Date(now.getTime() - COMPLETED_JOB_RETENTION_MS);
+  const failedBefore = new Date(now.getTime() - FAILED_JOB_RETENTION_MS);
+  let deleted = 0;
+
+  for (;;) {
+    const count = await prisma.$executeRaw`
+      DELETE FROM "Job"
+      WHERE "id" IN (
+        SELECT "id" FROM "Job"
+        WHERE ("status" = ${JOB_STATUS.COMPLETED} AND "updatedAt" < ${completedBefore})
+           OR ("status" = ${JOB_STATUS.FAILED} AND "updatedAt" < ${failedBefore})
+        LIMIT ${PURGE_BATCH_SIZE}
+      )
+    `;
+    deleted += count;
+
+    if (count < PURGE_BATCH_SIZE) {
+      return deleted;
+    }
+  }
+}
+
+/**
+ * Process every job that is currently due, then return
+ * Also delivers due PIM/ERP outbox messages and low-stock alerts,
+ * schedules the nightly inventory snapshots and purges finished jobs.
+ * Intended for tests (run the work a request enqueued, inline) and for
+ * cron-style invocations.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxJobs] - Stop after this many jobs
+ * @param {number} [options.batchSize] - Jobs claimed per round trip
+ * @param {Object} [options.handlers] - Job type → handler map
+ * @returns {Promise<Object>} Counts by resulting status plus pim and alert delivery, scheduled snapshot and purged job counts
+ */
+export async function drainJobs({ maxJobs = 1000, batchSize = 10, handlers = JOB_HANDLERS } = {}) {
+  const workerId = `drain-${randomUUID()}`;
+  const counts = { processed: 0 };
+
+  counts.snapshotsScheduled = await scheduleInventorySnapshots();
+  counts.jobsPurged = await purgeFinishedJobs();
+
+  while (counts.processed < maxJobs) {
+    const jobs = await claimJobs(workerId, Math.min(batchSize, maxJobs - counts.processed));
+    if (jobs.length === 0) {
+      break;
+    }
+
+    for (const job of jobs) {
+      const status = await runJob(job, handlers);
+      counts.processed++;
+      counts[status] = (counts[status] || 0) + 1;
+    }
+  }
+
+  counts.pimDeliveries = await processDuePimDeliveries();
+  counts.alertDeliveries = await processDueLowStockAlertDeliveries();
+
+  return counts;
+}
+
+/**
+ * Run the worker loop until the signal is aborted
+ *
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the loop after the current batch
+ * @param {number} [options.pollIntervalMs] - Sleep between polls when idle
+ * @param {number} [options.batchSize] - Jobs claimed per poll
+ * @param {string} [options.workerId] - Identifier recorded on claimed jobs
+ */
+export async function runWorker({
+  signal,
+  pollIntervalMs = 1000,
+  batchSize = 10,
+  workerId = `worker-${randomUUID()}`,
+} = {}) {
+  console.log(`🛠️ Job worker ${workerId} started`);
+  let lastScheduledAt = 0;
+
+  while (!signal?.aborted) {
+    let didWork = false;
+
+    try {
+      if (Date.now() - lastScheduledAt >= SCHEDULE_INTERVAL_MS) {
+        await scheduleInventorySnapshots();
+        await purgeFinishedJobs();
+        lastScheduledAt = Date.now();
+      }
+
+      const jobs = await claimJobs(workerId, batchSize);
+      for (const job of jobs) {
+        await runJob(job);
+      }
+
+      const deliveries = await processDuePimDeliveries({ limit: batchSize });
+      const alertDeliveries = await processDueLowStockAlertDeliveries({ limit: batchSize });
+      didWork = jobs.length > 0 || deliveries.processed > 0 || alertDeliveries.processed > 0;
+    } catch (error) {
+      console.error("❌ Job worker poll failed:", error);
+    }
+
+    if (!didWork) {
+      await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+    }
+  }
+
+  console.log(`🛠️ Job worker ${workerId} stopped`);
+}
@@ -0,0 +1,288 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { getRows, resetDatabase } from "../db.server";
+import { JOB_HANDLERS, JOB_TYPES } from "./job-handlers.service";
+import { JOB_STATUS, drainJobs, enqueueJob, replaceJob, scheduleInventorySnapshots } from "./job-queue.service";
+import { loader as runJobsLoader } from "../routes/jobs.run";
+import { action as appUninstalledAction } from "../routes/webhooks.app.uninstalled";
+
+vi.mock("../db.server");
+
+const graphql = vi.fn();
+const authenticateWebhook = vi.fn();
+vi.mock("../shopify.server", () => ({
+  unauthenticated: { admin: async () => ({ admin: { graphql } }) },
+  authenticate: { webhook: (request) => authenticateWebhook(request) },
+}));
+
+const SHOP = "shop-a.myshopify.com";
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const jobs = () => getRows("job");
+
+describe("drainJobs", () => {
+  beforeEach(() => resetDatabase({ job: [], session: [] }));
+
+  afterEach(() => vi.restoreAllMocks());
+
+  it("claims due jobs, runs them and marks them completed", async () => {
+    const handler = vi.fn();
+    await enqueueJob({ type: "test", payload: { n: 1 } });
+    await enqueueJob({ type: "test", payload: { n: 2 }, runAt: new Date(Date.now() + MINUTE) });
+
+    const counts = await drainJobs({ handlers: { test: handler } });
+
+    expect(counts).toMatchObject({ processed: 1, [JOB_STATUS.COMPLETED]: 1 });
+    expect(handler).toHaveBeenCalledWith({ n: 1 }, expect.objectContaining({ attempts: 1 }));
+    expect(jobs().map(job => job.status)).toEqual([JOB_STATUS.COMPLETED, JOB_STATUS.QUEUED]);
+    expect(jobs()[0]).toMatchObject({ lockedAt: null, lockedBy: null });
+  });
+
+  it("requeues a failed job with backoff and fails it after its last attempt", async () => {
+    const handler = vi.fn().mockRejectedValue(new Error("PIM timeout"));
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    await enqueueJob({ type: "test", payload: {}, maxAttempts: 2 });
+
+    const before = Date.now();
+    expect(await drainJobs({ handlers: { test: handler } })).toMatchObject({ processed: 1, [JOB_STATUS.QUEUED]: 1 });
+    expect(jobs()[0]).toMatchObject({ status: JOB_STATUS.QUEUED, attempts: 1, lastError: "PIM timeout" });
+    expect(jobs()[0].runAt.getTime()).toBeGreaterThanOrEqual(before + 10 * 1000);
+
+    // Not due yet
+    expect(await drainJobs({ handlers: { test: handler } })).toMatchObject({ processed: 0 });
+
+    jobs()[0].runAt = new Date(Date.now() - 1);
+    expect(await drainJobs({ handlers: { test: handler } })).toMatchObject({ processed: 1, [JOB_STATUS.FAILED]: 1 });
+    expect(jobs()[0]).toMatchObject({ status: JOB_STATUS.FAILED, attempts: 2 });
+  });
+
+  it("reclaims a job whose worker's lease expired, but not one still leased", async () => {
+    resetDatabase({
+      session: [],
+      job: [
+        { id: "abandoned", type: "test", payload: {}, status: JOB_STATUS.RUNNING, attempts: 1, maxAttempts: 5, runAt: new Date(Date.now() - 20 * MINUTE), lockedAt: new Date(Date.now() - 10 * MINUTE), lockedBy: "dead-worker" },
+        { id: "leased", type: "test", payload: {}, status: JOB_STATUS.RUNNING, attempts: 1, maxAttempts: 5, runAt: new Date(Date.now() - 20 * MINUTE), lockedAt: new Date(Date.now() - MINUTE), lockedBy: "live-worker" },
+      ],
+    });
+    const handler = vi.fn();
+
+    expect(await drainJobs({ handlers: { test: handler } })).toMatchObject({ processed: 1, [JOB_STATUS.COMPLETED]: 1 });
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(jobs().find(job => job.id === "abandoned")).toMatchObject({ status: JOB_STATUS.COMPLETED, attempts: 2 });
+    expect(jobs().find(job => job.id === "leased")).toMatchObject({ status: JOB_STATUS.RUNNING, lockedBy: "live-worker" });
+  });
+
+  it("stops after maxJobs", async () => {
+    for (let n = 0; n < 3; n++) {
+      await enqueueJob({ type: "test", payload: { n } });
+    }
+
+    expect(await drainJobs({ maxJobs: 2, batchSize: 1, handlers: { test: vi.fn() } })).toMatchObject({ processed: 2 });
+    expect(jobs().filter(job => job.status === JOB_STATUS.QUEUED)).toHaveLength(1);
+  });
+
+  it("fails jobs without a handler", async () => {
+    await enqueueJob({ type: "unknown", payload: {} });
+
+    expect(await drainJobs({ handlers: {} })).toMatchObject({ [JOB_STATUS.FAILED]: 1 });
+    expect(jobs()[0].lastError).toBe('No handler for job type "unknown"');
+  });
+});
+
+describe("inventory snapshot jobs", () => {
+  beforeEach(() => {
+    resetDatabase({
+      job: [],
+      session: [{ id: "offline_shop-a", shop: SHOP, isOnline: false }],
+      inventoryLevelState: [],
+      inventorySnapshot: [],
+    });
+    graphql.mockReset();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => vi.restoreAllMocks());
+
+  // Catalog of `pages` empty pages of inventory items
+  const catalog = (pages) => graphql.mockImplementation(async (query, { variables }) => {
+    const page = variables.after ? Number(variables.after.slice("page-".length)) + 1 : 1;
+    return {
+      json: async () => ({
+        data: {
+          inventoryItems: {
+            nodes: [],
+            pageInfo: { hasNextPage: page < pages, endCursor: `page-${page}` },
+          },
+        },
+      }),
+    };
+  });
+
+  it("schedules one snapshot per installed shop and night", async () => {
+    const now = new Date(Date.UTC(2026, 9, 19, 12));
+
+    expect(await scheduleInventorySnapshots({ now })).toBe(1);
+    expect(await scheduleInventorySnapshots({ now })).toBe(0);
+    expect(jobs()).toEqual([expect.objectContaining({
+      type: JOB_TYPES.INVENTORY_SNAPSHOT,
+      dedupeKey: `inventory-snapshot:${SHOP}:2026-10-20`,
+      runAt: new Date(Date.UTC(2026, 9, 20, 2)),
+    })]);
+  });
+
+  it("reads a large catalog in parts, each queued by the one before", async () => {
+    catalog(25);
+    await enqueueJob({
+      type: JOB_TYPES.INVENTORY_SNAPSHOT,
+      shop: SHOP,
+      dedupeKey: `inventory-snapshot:${SHOP}:2026-10-20`,
+      payload: { shop: SHOP },
+    });
+
+    await drainJobs({ handlers: JOB_HANDLERS });
+
+    expect(jobs().map(job => [job.dedupeKey, job.status, job.payload.after ?? null])).toEqual([
+      [`inventory-snapshot:${SHOP}:2026-10-20`, JOB_STATUS.COMPLETED, null],
+      [`inventory-snapshot:${SHOP}:2026-10-20:part-2`, JOB_STATUS.COMPLETED, "page-10"],
+      [`inventory-snapshot:${SHOP}:2026-10-20:part-3`, JOB_STATUS.COMPLETED, "page-20"],
+    ]);
+    expect(graphql).toHaveBeenCalledTimes(25);
+  });
+
+  it("does not queue the next part twice when a part is retried", async () => {
+    catalog(15);
+    const { jobId } = await enqueueJob({ type: JOB_TYPES.INVENTORY_SNAPSHOT, shop: SHOP, dedupeKey: "snapshot", payload: { shop: SHOP } });
+    const job = { ...jobs().find(row => row.id === jobId) };
+
+    await JOB_HANDLERS[JOB_TYPES.INVENTORY_SNAPSHOT](job.payload, job);
+    await JOB_HANDLERS[JOB_TYPES.INVENTORY_SNAPSHOT](job.payload, job);
+
+    expect(jobs().map(row => row.dedupeKey)).toEqual(["snapshot", "snapshot:part-2"]);
+  });
+});
+
+describe("/jobs/run", () => {
+  beforeEach(() => {
+    resetDatabase({ job: [], session: [] });
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+  });
+
+  const run = (authorization) => runJobsLoader({
+    request: new Request("https://app.example.com/jobs/run", {
+      headers: authorization ? { Authorization: authorization } : {},
+    }),
+  });
+
+  it("refuses calls without the cron secret", async () => {
+    vi.stubEnv("CRON_SECRET", "s3cret");
+
+    expect((await run()).status).toBe(401);
+    expect((await run("Bearer wrong")).status).toBe(401);
+  });
+
+  it("refuses every call when no secret is configured", async () => {
+    vi.stubEnv("CRON_SECRET", "");
+
+    expect((await run("Bearer ")).status).toBe(401);
+  });
+
+  it("drains the queue and returns the counts", async () => {
+    vi.stubEnv("CRON_SECRET", "s3cret");
+    await enqueueJob({ type: JOB_TYPES.PURGE_SHOP_DATA, shop: SHOP, payload: { shop: SHOP } });
+    getRows("session").push({ id: "offline_shop-a", shop: SHOP, isOnline: false });
+
+    const response = await run("Bearer s3cret");
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ processed: 1, [JOB_STATUS.COMPLETED]: 1, snapshotsScheduled: 1 });
+  });
+});
+
+describe("replaceJob", () => {
+  beforeEach(() => resetDatabase({ job: [] }));
+
+  it("moves the job on record to the new payload and run time, with fresh attempts", async () => {
+    const first = await replaceJob({ type: "test", dedupeKey: "key", payload: { n: 1 }, runAt: new Date(Date.UTC(2026, 10, 1)) });
+    Object.assign(jobs()[0], { status: JOB_STATUS.COMPLETED, attempts: 2, completedAt: new Date() });
+
+    const second = await replaceJob({ type: "test", dedupeKey: "key", payload: { n: 2 }, runAt: new Date(Date.UTC(2026, 10, 5)) });
+
+    expect(second.jobId).toBe(first.jobId);
+    expect(jobs()).toEqual([expect.objectContaining({
+      payload: { n: 2 },
+      runAt: new Date(Date.UTC(2026, 10, 5)),
+      status: JOB_STATUS.QUEUED,
+      attempts: 0,
+      completedAt: null,
+    })]);
+  });
+});
+
+describe("shop data purge after uninstall", () => {
+  beforeEach(() => {
+    resetDatabase({
+      job: [],
+      session: [],
+      webhookEvent: [{ id: "event-1", shop: SHOP }],
+    });
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(new Date(Date.UTC(2026, 9, 1)));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  const uninstall = async (webhookId) => {
+    authenticateWebhook.mockResolvedValue({ shop: SHOP, session: null, topic: "APP_UNINSTALLED", webhookId });
+    await appUninstalledAction({ request: new Request("https://app.example.com/webhooks/app/uninstalled", { method: "POST" }) });
+  };
+
+  it("keeps one purge per shop, moved to the latest uninstall", async () => {
+    await uninstall("webhook-1");
+
+    // Reinstalled on day 10, uninstalled again on day 20
+    vi.setSystemTime(new Date(Date.UTC(2026, 9, 21)));
+    await uninstall("webhook-2");
+
+    expect(jobs()).toEqual([expect.objectContaining({
+      dedupeKey: `purge:${SHOP}`,
+      runAt: new Date(Date.UTC(2026, 9, 21) + 30 * DAY),
+      payload: { shop: SHOP, uninstalledAt: "2026-10-21T00:00:00.000Z" },
+    })]);
+
+    // Not due on the date the first uninstall scheduled
+    vi.setSystemTime(new Date(Date.UTC(2026, 9, 31, 1)));
+    expect(await drainJobs()).toMatchObject({ processed: 0 });
+    expect(getRows("webhookEvent")).toHaveLength(1);
+
+    vi.setSystemTime(new Date(Date.UTC(2026, 10, 20, 1)));
+    expect(await drainJobs()).toMatchObject({ processed: 1, [JOB_STATUS.COMPLETED]: 1 });
+    expect(getRows("webhookEvent")).toEqual([]);
+  });
+
+  it("skips a purge scheduled before the shop's latest uninstall", async () => {
+    getRows("job").push({
+      id: "earlier-purge",
+      type: JOB_TYPES.PURGE_SHOP_DATA,
+      shop: SHOP,
+      dedupeKey: "uninstall:webhook-0",
+      payload: { shop: SHOP, uninstalledAt: "2026-09-01T00:00:00.000Z" },
+      status: JOB_STATUS.QUEUED,
+      attempts: 0,
+      maxAttempts: 5,
+      runAt: new Date(Date.UTC(2026, 9, 1)),
+    });
+    await uninstall("webhook-1");
+
+    expect(await drainJobs()).toMatchObject({ processed: 1, [JOB_STATUS.COMPLETED]: 1 });
+    expect(getRows("webhookEvent")).toHaveLength(1);
+  });
+});
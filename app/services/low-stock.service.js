@@ -0,0 +1,673 @@
+/**
+ * Low Stock Service
+ *
+ * Per-shop and per-variant/location low-stock thresholds, the alerts raised
+ * when an inventory_levels/update webhook drops available stock below
+ * them, and delivery of those alerts to the shop's outbound webhook URL.
+ *
+ * An item/location has at most one unresolved alert (enforced by the
+ * unique activeKey, which is cleared on resolve). It stays unresolved, and
+ * no new alert fires, until stock rises above the threshold again.
+ *
+ * Alert lifecycle:
+ *   open → acknowledged → resolved
+ *        → snoozed (until snoozedUntil, then open again) → resolved
+ *
+ * Delivery lifecycle (deliveryStatus, null when no URL is configured):
+ *   pending → delivering → delivered
+ *                        → failed (retry scheduled) → delivering → ...
+ *                        → dead_lettered (max attempts reached)
+ */
+
+import prisma from "../db.server";
+import { toGid } from "./inventory.service";
+import { computeBackoffDelay } from "./pim-delivery.service";
+import { checkOutboundUrl } from "./outbound-url.service";
+
+export const ALERT_STATUS = {
+  OPEN: "open",
+  ACKNOWLEDGED: "acknowledged",
+  SNOOZED: "snoozed",
+  RESOLVED: "resolved",
+};
+
+export const ALERT_DELIVERY_STATUS = {
+  PENDING: "pending",
+  DELIVERING: "delivering",
+  DELIVERED: "delivered",
+  FAILED: "failed",
+  DEAD_LETTERED: "dead_lettered",
+};
+
+const ACTIVE_STATUSES = [ALERT_STATUS.OPEN, ALERT_STATUS.ACKNOWLEDGED, ALERT_STATUS.SNOOZED];
+
+const MAX_DELIVERY_ATTEMPTS = 8;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+// An alert stuck in "delivering" longer than this is considered abandoned
+const DELIVERING_LEASE_MS = 5 * 60 * 1000;
+
+const MAX_SNOOZE_HOURS = 30 * 24;
+const MAX_THRESHOLD = 1000000;
+const DEFAULT_ALERTS_LIMIT = 100;
+
+/**
+ * Get the low-stock settings of a shop
+ *
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} Settings (defaults when none are saved)
+ */
+export async function getLowStockSettings(shop) {
+  const settings = await prisma.lowStockSettings.findUnique({ where: { shop } });
+
+  return settings || {
+    shop,
+    defaultThreshold: null,
+    webhookUrl: null,
+    webhookAuthToken: null,
+    enabled: true,
+  };
+}
+
+/**
+ * Validate low-stock settings submitted from the admin
+ * A webhook URL must be https and resolve to a public host.
+ *
+ * @param {Object} settings - Raw settings
+ * @param {number|null} settings.defaultThreshold - Shop-wide threshold (null for none)
+ * @param {string} [settings.webhookUrl] - Outbound alert URL (empty for none)
+ * @returns {Promise<Object>} Validation result with isValid and error
+ */
+export async function validateLowStockSettings({ defaultThreshold, webhookUrl }) {
+  if (defaultThreshold !== null) {
+    const thresholdValidation = validateThreshold(defaultThreshold);
+    if (!thresholdValidation.isValid) {
+      return thresholdValidation;
+    }
+  }
+
+  if (webhookUrl) {
+    const destination = await checkOutboundUrl(webhookUrl, "Alert webhook URL");
+    if (!destination.isValid) {
+      return { isValid: false, error: destination.error };
+    }
+  }
+
+  return { isValid: true };
+}
+
+/**
+ * Validate a threshold value
+ *
+ * @param {number} threshold - Parsed threshold
+ * @returns {Object} Validation result with isValid and error
+ */
+export function validateThreshold(threshold) {
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > MAX_THRESHOLD) {
+    return { isValid: false, error: `Threshold must be a whole number between 1 and ${MAX_THRESHOLD}` };
+  }
+
+  return { isValid: true };
+}
+
+/**
+ * Create or update the low-stock settings of a shop
+ *
+ * @param {string} shop - Shop domain
+ * @param {Object} settings - Validated settings
+ * @param {number|null} settings.defaultThreshold - Shop-wide threshold (null for none)
+ * @param {string|null} settings.webhookUrl - Outbound alert URL
+ * @param {string|null} settings.webhookAuthToken - Optional bearer token
+ * @param {boolean} settings.enabled - Whether new alerts are raised
+ * @returns {Promise<Object>} Saved settings
+ */
+export async function saveLowStockSettings(shop, { defaultThreshold, webhookUrl, webhookAuthToken, enabled }) {
+  const data = {
+    defaultThreshold,
+    webhookUrl: webhookUrl || null,
+    webhookAuthToken: webhookAuthToken || null,
+    enabled,
+  };
+
+  return prisma.lowStockSettings.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+}
+
+/**
+ * Get the per-variant/location thresholds of a shop
+ *
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Array<Object>>} Thresholds, most recently changed first
+ */
+export async function getLowStockThresholds(shop) {
+  return prisma.lowStockThreshold.findMany({
+    where: { shop },
+    orderBy: { updatedAt: "desc" },
+  });
+}
+
+/**
+ * Create or update the threshold of one variant at one location
+ *
+ * @param {string} shop - Shop domain
+ * @param {Object} variant - Variant from getVariantsInventory
+ * @param {Object} level - The variant's level at the location
+ * @param {number} threshold - Validated threshold
+ * @returns {Promise<Object>} Saved threshold
+ */
+export async function saveLowStockThreshold(shop, variant, level, threshold) {
+  const data = {
+    threshold,
+    variantId: variant.variantId,
+    variantTitle: [variant.productTitle, variant.variantTitle].filter(Boolean).join(" – "),
+    sku: variant.sku,
+    locationName: level.locationName,
+  };
+
+  return prisma.lowStockThreshold.upsert({
+    where: {
+      shop_inventoryItemId_locationId: {
+        shop,
+        inventoryItemId: variant.inventoryItemId,
+        locationId: level.locationId,
+      },
+    },
+    create: {
+      shop,
+      inventoryItemId: variant.inventoryItemId,
+      locationId: level.locationId,
+      ...data,
+    },
+    update: data,
+  });
+}
+
+/**
+ * Delete a per-variant/location threshold
+ * The item/location falls back to the shop default on its next webhook.
+ *
+ * @param {string} shop - Shop domain
+ * @param {string} thresholdId - LowStockThreshold ID
+ * @returns {Promise<boolean>} Whether a threshold was deleted
+ */
+export async function deleteLowStockThreshold(shop, thresholdId) {
+  const { count } = await prisma.lowStockThreshold.deleteMany({
+    where: { id: thresholdId, shop },
+  });
+
+  return count > 0;
+}
+
+/**
+ * Raise or resolve the low-stock alert of an item/location after an
+ * inventory webhook
+ *
+ * Reads the last known state rather than the webhook payload, so stale
+ * and duplicate deliveries (and retried jobs) are harmless: evaluating the
+ * same state twice never raises a second alert.
+ *
+ * @param {Object} level
+ * @param {string} level.shop - Shop domain
+ * @param {string} level.inventoryItemId - Numeric inventory item ID from the payload
+ * @param {string} level.locationId - Numeric location ID from the payload
+ * @returns {Promise<Object>} Result with raised (new alert or null) and resolved count
+ */
+export async function evaluateLowStock({ shop, inventoryItemId, locationId }) {
+  if (!inventoryItemId || !locationId) {
+    return { raised: null, resolved: 0 };
+  }
+
+  const state = await prisma.inventoryLevelState.findUnique({
+    where: { shop_inventoryItemId_locationId: { shop, inventoryItemId, locationId } },
+  });
+
+  if (!state || state.available === null) {
+    return { raised: null, resolved: 0 };
+  }
+
+  const itemGid = toGid("InventoryItem", inventoryItemId);
+  const locationGid = toGid("Location", locationId);
+
+  const [settings, override] = await Promise.all([
+    getLowStockSettings(shop),
+    prisma.lowStockThreshold.findUnique({
+      where: { shop_inventoryItemId_locationId: { shop, inventoryItemId: itemGid, locationId: locationGid } },
+    }),
+  ]);
+
+  const threshold = override?.threshold ?? settings.defaultThreshold;
+
+  // Recovered (or no longer watched): close the active alert, which arms
+  // the item/location again
+  if (threshold === null || state.available > threshold) {
+    const { count } = await prisma.lowStockAlert.updateMany({
+      where: { shop, inventoryItemId: itemGid, locationId: locationGid, resolvedAt: null },
+      data: { status: ALERT_STATUS.RESOLVED, resolvedAt: new Date(), activeKey: null },
+    });
+
+    if (count > 0) {
+      console.log(`✅ Low stock resolved for item ${inventoryItemId} at location ${locationId} (${state.available} available)`);
+    }
+    return { raised: null, resolved: count };
+  }
+
+  if (!settings.enabled || state.available >= threshold) {
+    return { raised: null, resolved: 0 };
+  }
+
+  try {
+    const alert = await prisma.lowStockAlert.create({
+      data: {
+        shop,
+        inventoryItemId: itemGid,
+        locationId: locationGid,
+        activeKey: activeAlertKey(shop, itemGid, locationGid),
+        available: state.available,
+        threshold,
+        variantTitle: override?.variantTitle || null,
+        sku: override?.sku || null,
+        locationName: override?.locationName || null,
+        webhookEventId: state.webhookEventId,
+        ...(settings.webhookUrl ? {
+          deliveryStatus: ALERT_DELIVERY_STATUS.PENDING,
+          nextDeliveryAt: new Date(),
+        } : {}),
+      },
+    });
+
+    console.log(`🔻 Low stock alert ${alert.id}: item ${inventoryItemId} at location ${locationId} has ${state.available} (threshold ${threshold})`);
+    return { raised: alert, resolved: 0 };
+  } catch (error) {
+    // Already alerted and not yet recovered
+    if (error.code === "P2002") {
+      return { raised: null, resolved: 0 };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Build the JSON body POSTed to the alert webhook URL
+ *
+ * @param {Object} alert - LowStockAlert row
+ * @returns {Object} Alert payload
+ */
+export function buildLowStockAlertPayload(alert) {
+  return {
+    type: "low_stock",
+    alertId: alert.id,
+    shop: alert.shop,
+    inventoryItemId: alert.inventoryItemId,
+    locationId: alert.locationId,
+    variantTitle: alert.variantTitle,
+    sku: alert.sku,
+    locationName: alert.locationName,
+    available: alert.available,
+    threshold: alert.threshold,
+    triggeredAt: alert.createdAt.toISOString(),
+  };
+}
+
+/**
+ * POST an alert to the shop's webhook URL
+ *
+ * @param {Object} settings - Low-stock settings with webhookUrl
+ * @param {Object} alert - LowStockAlert row
+ * @returns {Promise<Object>} Result with ok and error
+ */
+async function postAlert(settings, alert) {
+  const headers = {
+    "Content-Type": "application/json",
+    "Idempotency-Key": alert.id,
+  };
+  if (settings.webhookAuthToken) {
+    headers.Authorization = `Bearer ${settings.webhookAuthToken}`;
+  }
+
+  // Re-checked per request: the host may resolve elsewhere since it was saved
+  const destination = await checkOutboundUrl(settings.webhookUrl, "Alert webhook URL");
+  if (!destination.isValid) {
+    return { ok: false, error: destination.error };
+  }
+
+  try {
+    const response = await fetch(settings.webhookUrl, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(buildLowStockAlertPayload(alert)),
+      // A redirect could lead to a host that was never checked
+      redirect: "manual",
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+
+    if (response.ok) {
+      return { ok: true };
+    }
+
+    const body = await response.text().catch(() => "");
+    return { ok: false, error: `HTTP ${response.status}${body ? `: ${body.slice(0, 500)}` : ""}` };
+  } catch (error) {
+    return { ok: false, error: error.message || String(error) };
+  }
+}
+
+/**
+ * Attempt delivery of one alert to the shop's webhook URL
+ * The alert is claimed atomically first, so concurrent workers never
+ * deliver it twice.
+ *
+ * @param {string} alertId - LowStockAlert ID
+ * @returns {Promise<Object|null>} Updated alert, or null if it was not claimable
+ */
+export async function deliverLowStockAlert(alertId) {
+  const leaseExpiredBefore = new Date(Date.now() - DELIVERING_LEASE_MS);
+
+  const claimed = await prisma.lowStockAlert.updateMany({
+    where: {
+      id: alertId,
+      OR: [
+        { deliveryStatus: { in: [ALERT_DELIVERY_STATUS.PENDING, ALERT_DELIVERY_STATUS.FAILED] } },
+        { deliveryStatus: ALERT_DELIVERY_STATUS.DELIVERING, updatedAt: { lt: leaseExpiredBefore } },
+      ],
+    },
+    data: {
+      deliveryStatus: ALERT_DELIVERY_STATUS.DELIVERING,
+      deliveryAttempts: { increment: 1 },
+    },
+  });
+
+  if (claimed.count === 0) {
+    return null;
+  }
+
+  const alert = await prisma.lowStockAlert.findUnique({ where: { id: alertId } });
+  const settings = await getLowStockSettings(alert.shop);
+
+  if (!settings.webhookUrl) {
+    // The URL was removed after the alert was raised: nothing to send to
+    return prisma.lowStockAlert.update({
+      where: { id: alert.id },
+      data: {
+        deliveryStatus: null,
+        deliveryAttempts: alert.deliveryAttempts - 1,
+        lastDeliveryError: "No alert webhook URL configured",
+        nextDeliveryAt: null,
+      },
+    });
+  }
+
+  const result = await postAlert(settings, alert);
+
+  if (result.ok) {
+    console.log(`✅ Delivered low stock alert ${alert.id} (attempt ${alert.deliveryAttempts})`);
+    return prisma.lowStockAlert.update({
+      where: { id: alert.id },
+      data: {
+        deliveryStatus: ALERT_DELIVERY_STATUS.DELIVERED,
+        lastDeliveryError: null,
+        nextDeliveryAt: null,
+        deliveredAt: new Date(),
+      },
+    });
+  }
+
+  if (alert.deliveryAttempts >= MAX_DELIVERY_ATTEMPTS) {
+    console.error(`❌ Dead-lettered low stock alert ${alert.id} after ${alert.deliveryAttempts} attempts: ${result.error}`);
+    return prisma.lowStockAlert.update({
+      where: { id: alert.id },
+      data: {
+        deliveryStatus: ALERT_DELIVERY_STATUS.DEAD_LETTERED,
+        lastDeliveryError: result.error,
+        nextDeliveryAt: null,
+      },
+    });
+  }
+
+  console.warn(`⚠️ Low stock alert delivery ${alert.id} failed (attempt ${alert.deliveryAttempts}): ${result.error}`);
+  return prisma.lowStockAlert.update({
+    where: { id: alert.id },
+    data: {
+      deliveryStatus: ALERT_DELIVERY_STATUS.FAILED,
+      lastDeliveryError: result.error,
+      nextDeliveryAt: new Date(Date.now() + computeBackoffDelay(alert.deliveryAttempts)),
+    },
+  });
+}
+
+/**
+ * Deliver every alert that is due (new, retry scheduled, or abandoned
+ * mid-delivery)
+ *
+ * @param {Object} [options]
+ * @param {string} [options.shop] - Only process this shop's alerts
+ * @param {number} [options.limit] - Maximum number of alerts to process
+ * @returns {Promise<Object>} Counts of processed alerts by resulting delivery status
+ */
+export async function processDueLowStockAlertDeliveries({ shop, limit = 50 } = {}) {
+  const now = new Date();
+  const leaseExpiredBefore = new Date(now.getTime() - DELIVERING_LEASE_MS);
+
+  const due = await prisma.lowStockAlert.findMany({
+    where: {
+      ...(shop ? { shop } : {}),
+      OR: [
+        {
+          deliveryStatus: { in: [ALERT_DELIVERY_STATUS.PENDING, ALERT_DELIVERY_STATUS.FAILED] },
+          nextDeliveryAt: { lte: now },
+        },
+        { deliveryStatus: ALERT_DELIVERY_STATUS.DELIVERING, updatedAt: { lt: leaseExpiredBefore } },
+      ],
+    },
+    orderBy: { nextDeliveryAt: "asc" },
+    take: limit,
+    select: { id: true },
+  });
+
+  const counts = { processed: 0 };
+
+  for (const { id } of due) {
+    const alert = await deliverLowStockAlert(id);
+    if (alert) {
+      counts.processed++;
+      counts[alert.deliveryStatus] = (counts[alert.deliveryStatus] || 0) + 1;
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Parse the alert list filter from URL search params
+ *
+ * @param {URLSearchParams} searchParams
+ * @returns {Object} Filters with status ("active" by default, or one of ALERT_STATUS)
+ */
+export function parseLowStockAlertFilters(searchParams) {
+  const status = searchParams.get("status");
+
+  return {
+    status: Object.values(ALERT_STATUS).includes(status) ? status : "active",
+  };
+}
+
+/**
+ * Get a shop's alerts, newest first
+ * A snoozed alert whose snooze has ended is reported as open.
+ *
+ * @param {Object} options
+ * @param {string} options.shop - Shop domain
+ * @param {Object} [options.filters] - From parseLowStockAlertFilters
+ * @param {number} [options.limit] - Maximum alerts to return
+ * @returns {Promise<Array<Object>>} Alerts with ISO dates
+ */
+export async function getLowStockAlerts({ shop, filters = {}, limit = DEFAULT_ALERTS_LIMIT }) {
+  const now = new Date();
+  let where;
+
+  switch (filters.status) {
+    case ALERT_STATUS.OPEN:
+      where = {
+        resolvedAt: null,
+        OR: [
+          { status: ALERT_STATUS.OPEN },
+          { status: ALERT_STATUS.SNOOZED, snoozedUntil: { lte: now } },
+        ],
+      };
+      break;
+    case ALERT_STATUS.SNOOZED:
+      where = { resolvedAt: null, status: ALERT_STATUS.SNOOZED, snoozedUntil: { gt: now } };
+      break;
+    case ALERT_STATUS.ACKNOWLEDGED:
+    case ALERT_STATUS.RESOLVED:
+      where = { status: filters.status };
+      break;
+    default:
+      where = { resolvedAt: null, status: { in: ACTIVE_STATUSES } };
+  }
+
+  const alerts = await prisma.lowStockAlert.findMany({
+    where: { shop, ...where },
+    orderBy: { createdAt: "desc" },
+    take: limit,
+  });
+
+  return alerts.map(alert => ({
+    ...alert,
+    status: alert.status === ALERT_STATUS.SNOOZED && alert.snoozedUntil <= now
+      ? ALERT_STATUS.OPEN
+      : alert.status,
+    snoozedUntil: alert.snoozedUntil?.toISOString() || null,
+    acknowledgedAt: alert.acknowledgedAt?.toISOString() || null,
+    resolvedAt: alert.resolvedAt?.toISOString() || null,
+    deliveredAt: alert.deliveredAt?.toISOString() || null,
+    nextDeliveryAt: alert.nextDeliveryAt?.toISOString() || null,
+    createdAt: alert.createdAt.toISOString(),
+    updatedAt: alert.updatedAt.toISOString(),
+  }));
+}
+
+/**
+ * Fill in variant and location names of alerts raised by the shop default
+ * threshold (only per-variant thresholds store them)
+ *
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Array<Object>} alerts - From getLowStockAlerts
+ * @returns {Promise<Array<Object>>} Alerts with variantTitle, sku and locationName where Shopify knows them
+ */
+export async function labelLowStockAlerts(admin, alerts) {
+  const ids = [...new Set(alerts
+    .filter(alert => !alert.variantTitle || !alert.locationName)
+    .flatMap(alert => [alert.inventoryItemId, alert.locationId]))];
+
+  if (ids.length === 0) {
+    return alerts;
+  }
+
+  const response = await admin.graphql(`#graphql
+    query GetLowStockAlertLabels($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on InventoryItem {
+          id
+          sku
+          variant {
+            title
+            product {
+              title
+            }
+          }
+        }
+        ... on Location {
+          id
+          name
+        }
+      }
+    }
+  `, { variables: { ids } });
+  const data = await response.json();
+
+  if (data.errors) {
+    throw new Error(data.errors[0].message);
+  }
+
+  const nodes = new Map(data.data.nodes.filter(Boolean).map(node => [node.id, node]));
+
+  return alerts.map(alert => {
+    const item = nodes.get(alert.inventoryItemId);
+    const location = nodes.get(alert.locationId);
+
+    return {
+      ...alert,
+      variantTitle: alert.variantTitle || (item?.variant
+        ? [item.variant.product?.title, item.variant.title].filter(Boolean).join(" – ")
+        : null),
+      sku: alert.sku || item?.sku || null,
+      locationName: alert.locationName || location?.name || null,
+    };
+  });
+}
+
+/**
+ * Acknowledge an unresolved alert
+ * It stays unresolved, so no new alert fires until stock recovers.
+ *
+ * @param {string} shop - Shop domain
+ * @param {string} alertId - LowStockAlert ID
+ * @param {Object} staff - Result of getStaffMember
+ * @returns {Promise<boolean>} Whether an alert was acknowledged
+ */
+export async function acknowledgeLowStockAlert(shop, alertId, staff) {
+  const { count } = await prisma.lowStockAlert.updateMany({
+    where: { id: alertId, shop, resolvedAt: null },
+    data: {
+      status: ALERT_STATUS.ACKNOWLEDGED,
+      snoozedUntil: null,
+      acknowledgedBy: staff.name,
+      acknowledgedAt: new Date(),
+    },
+  });
+
+  return count > 0;
+}
+
+/**
+ * Snooze an unresolved alert
+ * It is hidden from the open alerts until the snooze ends.
+ *
+ * @param {string} shop - Shop domain
+ * @param {string} alertId - LowStockAlert ID
+ * @param {number} hours - Snooze duration
+ * @returns {Promise<Object>} Result with success, or error
+ */
+export async function snoozeLowStockAlert(shop, alertId, hours) {
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_SNOOZE_HOURS) {
+    return { success: false, error: `Snooze must be between 1 and ${MAX_SNOOZE_HOURS} hours` };
+  }
+
+  const snoozedUntil = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+  const { count } = await prisma.lowStockAlert.updateMany({
+    where: { id: alertId, shop, resolvedAt: null },
+    data: { status: ALERT_STATUS.SNOOZED, snoozedUntil },
+  });
+
+  if (count === 0) {
+    return { success: false, error: "Alert not found or already resolved" };
+  }
+
+  return { success: true, snoozedUntil: snoozedUntil.toISOString() };
+}
+
+/**
+ * Key held by the unresolved alert of an item/location
+ *
+ * @param {string} shop - Shop domain
+ * @param {string} inventoryItemId - Inventory item GID
+ * @param {string} locationId - Location GID
+ * @returns {string} Active alert key
+ */
+function activeAlertKey(shop, inventoryItemId, locationId) {
+  return `${shop}|${inventoryItemId}|${locationId}`;
+}
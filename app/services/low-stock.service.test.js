@@ -0,0 +1,180 @@
+import { createServer } from "node:http";
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+import { getRows, resetDatabase } from "../db.server";
+import {
+  ALERT_DELIVERY_STATUS,
+  ALERT_STATUS,
+  deliverLowStockAlert,
+  evaluateLowStock,
+} from "./low-stock.service";
+
+vi.mock("../db.server");
+
+const SHOP = "shop-a.myshopify.com";
+const LEVEL = { shop: SHOP, inventoryItemId: "111", locationId: "222" };
+
+const seed = ({ available, defaultThreshold = 5, webhookUrl = null }) => resetDatabase({
+  inventoryLevelState: [{ ...LEVEL, available, sourceUpdatedAt: new Date(), webhookEventId: "event-1" }],
+  lowStockSettings: [{ shop: SHOP, defaultThreshold, webhookUrl, webhookAuthToken: "secret", enabled: true }],
+  lowStockThreshold: [],
+  lowStockAlert: [],
+});
+
+const setAvailable = (available) => {
+  getRows("inventoryLevelState")[0].available = available;
+};
+
+const alerts = () => getRows("lowStockAlert");
+
+describe("evaluateLowStock", () => {
+  it("raises one alert when stock drops below the threshold", async () => {
+    seed({ available: 3 });
+
+    const { raised } = await evaluateLowStock(LEVEL);
+
+    expect(raised).toMatchObject({
+      shop: SHOP,
+      inventoryItemId: "gid://shopify/InventoryItem/111",
+      locationId: "gid://shopify/Location/222",
+      available: 3,
+      threshold: 5,
+      status: ALERT_STATUS.OPEN,
+      deliveryStatus: null,
+    });
+    expect(alerts()).toHaveLength(1);
+  });
+
+  it("does not fire again while stock stays below the threshold", async () => {
+    seed({ available: 3 });
+    await evaluateLowStock(LEVEL);
+
+    setAvailable(1);
+    const again = await evaluateLowStock(LEVEL);
+    const retried = await evaluateLowStock(LEVEL);
+
+    expect(again).toEqual({ raised: null, resolved: 0 });
+    expect(retried).toEqual({ raised: null, resolved: 0 });
+    expect(alerts()).toHaveLength(1);
+  });
+
+  it("resolves the alert when stock rises above the threshold, and arms the level again", async () => {
+    seed({ available: 3 });
+    await evaluateLowStock(LEVEL);
+
+    setAvailable(6);
+    expect(await evaluateLowStock(LEVEL)).toEqual({ raised: null, resolved: 1 });
+    expect(alerts()[0]).toMatchObject({ status: ALERT_STATUS.RESOLVED, activeKey: null });
+    expect(alerts()[0].resolvedAt).toBeInstanceOf(Date);
+
+    setAvailable(2);
+    const { raised } = await evaluateLowStock(LEVEL);
+    expect(raised.available).toBe(2);
+    expect(alerts().map(alert => alert.status)).toEqual([ALERT_STATUS.RESOLVED, ALERT_STATUS.OPEN]);
+  });
+
+  it("resolves the alert when the threshold is cleared", async () => {
+    seed({ available: 3 });
+    await evaluateLowStock(LEVEL);
+
+    getRows("lowStockSettings")[0].defaultThreshold = null;
+
+    expect(await evaluateLowStock(LEVEL)).toEqual({ raised: null, resolved: 1 });
+    expect(alerts()[0].status).toBe(ALERT_STATUS.RESOLVED);
+  });
+
+  it("uses the level's own threshold over the shop default", async () => {
+    seed({ available: 8 });
+    getRows("lowStockThreshold").push({
+      id: "threshold-1",
+      shop: SHOP,
+      inventoryItemId: "gid://shopify/InventoryItem/111",
+      locationId: "gid://shopify/Location/222",
+      threshold: 10,
+      sku: "W-1",
+    });
+
+    const { raised } = await evaluateLowStock(LEVEL);
+
+    expect(raised).toMatchObject({ threshold: 10, sku: "W-1" });
+  });
+});
+
+describe("deliverLowStockAlert", () => {
+  let server;
+  let received;
+  let respondWith;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = createServer((request, response) => {
+      let body = "";
+      request.on("data", chunk => { body += chunk; });
+      request.on("end", () => {
+        received.push({ headers: request.headers, body: JSON.parse(body) });
+        response.writeHead(respondWith.status, respondWith.headers);
+        response.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    received = [];
+    respondWith = { status: 200, headers: {} };
+    vi.stubEnv("ALLOW_PRIVATE_OUTBOUND_URLS", "true");
+  });
+
+  afterEach(() => vi.unstubAllEnvs());
+
+  const raiseAlert = async () => {
+    seed({ available: 3, webhookUrl: `${baseUrl}/low-stock` });
+    const { raised } = await evaluateLowStock(LEVEL);
+    return raised;
+  };
+
+  it("POSTs the alert to the stub endpoint and marks it delivered", async () => {
+    const raised = await raiseAlert();
+    expect(raised.deliveryStatus).toBe(ALERT_DELIVERY_STATUS.PENDING);
+
+    const alert = await deliverLowStockAlert(raised.id);
+
+    expect(alert).toMatchObject({ deliveryStatus: ALERT_DELIVERY_STATUS.DELIVERED, deliveryAttempts: 1 });
+    expect(received).toHaveLength(1);
+    expect(received[0].headers).toMatchObject({ authorization: "Bearer secret", "idempotency-key": raised.id });
+    expect(received[0].body).toMatchObject({ available: 3, threshold: 5 });
+  });
+
+  it("schedules a retry when the endpoint fails", async () => {
+    const raised = await raiseAlert();
+    respondWith = { status: 503, headers: {} };
+
+    const alert = await deliverLowStockAlert(raised.id);
+
+    expect(alert).toMatchObject({ deliveryStatus: ALERT_DELIVERY_STATUS.FAILED, lastDeliveryError: "HTTP 503" });
+    expect(alert.nextDeliveryAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it("does not follow redirects", async () => {
+    const raised = await raiseAlert();
+    respondWith = { status: 302, headers: { location: "http://169.254.169.254/" } };
+
+    const alert = await deliverLowStockAlert(raised.id);
+
+    expect(alert).toMatchObject({ deliveryStatus: ALERT_DELIVERY_STATUS.FAILED, lastDeliveryError: "HTTP 302" });
+    expect(received).toHaveLength(1);
+  });
+
+  it("refuses a localhost URL unless private outbound URLs are allowed", async () => {
+    const raised = await raiseAlert();
+    vi.stubEnv("ALLOW_PRIVATE_OUTBOUND_URLS", "");
+
+    const alert = await deliverLowStockAlert(raised.id);
+
+    expect(alert.deliveryStatus).toBe(ALERT_DELIVERY_STATUS.FAILED);
+    expect(alert.lastDeliveryError).toMatch(/must use https/);
+    expect(received).toEqual([]);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Outbound URL Service
+ *
+ * Guards the URLs merchants configure for server-side delivery (the PIM
+ * endpoint, the low-stock alert webhook) so they cannot be pointed at the
+ * app's own network: only https to hosts that resolve to public addresses
+ * is allowed. URLs are checked when saved and again before every request,
+ * since DNS can change in between.
+ *
+ * Local development against the PIM stub server (http://localhost) needs
+ * ALLOW_PRIVATE_OUTBOUND_URLS=true; never set it in production.
+ */
+
+import { lookup } from "node:dns/promises";
+import { BlockList, isIP } from "node:net";
+
+// Loopback, private, link-local, shared, documentation, multicast and
+// other reserved ranges (IPv4-mapped IPv6 is checked as IPv4)
+const BLOCKED_ADDRESSES = new BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.88.99.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["100::", 64],
+  ["2001::", 23],
+  ["2001:db8::", 32],
+  ["2002::", 16],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["fec0::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6"));
+
+// Names that never resolve to a public host
+const BLOCKED_HOST_SUFFIXES = [".localhost", ".local", ".internal", ".home.arpa"];
+
+/**
+ * Check whether an IP address is in a private or reserved range
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if requests to it must not be made
+ */
+export function isBlockedAddress(address) {
+  const family = isIP(address);
+  if (family === 0) return true;
+  if (family === 4) return BLOCKED_ADDRESSES.check(address, "ipv4");
+
+  const mapped = mappedIpv4(address);
+  return mapped ? BLOCKED_ADDRESSES.check(mapped, "ipv4") : BLOCKED_ADDRESSES.check(address, "ipv6");
+}
+
+/**
+ * Validate an outbound URL without network access: it must be https and
+ * must not name a private or reserved host
+ *
+ * @param {string} value - URL to check
+ * @param {string} label - Field name used in error messages
+ * @returns {Object} Validation result with isValid, error and the parsed url
+ */
+export function validateOutboundUrl(value, label) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return { isValid: false, error: `${label} is not a valid URL` };
+  }
+
+  if (allowPrivateHosts()) {
+    return ["http:", "https:"].includes(url.protocol)
+      ? { isValid: true, url }
+      : { isValid: false, error: `${label} must use http or https` };
+  }
+
+  if (url.protocol !== "https:") {
+    return { isValid: false, error: `${label} must use https` };
+  }
+  if (url.username || url.password) {
+    return { isValid: false, error: `${label} must not contain credentials` };
+  }
+
+  const host = hostnameOf(url);
+  if (
+    host === "localhost"
+    || BLOCKED_HOST_SUFFIXES.some(suffix => host.endsWith(suffix))
+    || (isIP(host) !== 0 && isBlockedAddress(host))
+  ) {
+    return { isValid: false, error: `${label} must point to a public host` };
+  }
+
+  return { isValid: true, url };
+}
+
+/**
+ * Validate an outbound URL and resolve its host: every address it resolves
+ * to must be public. Use before saving and before each request.
+ *
+ * @param {string} value - URL to check
+ * @param {string} label - Field name used in error messages
+ * @returns {Promise<Object>} Validation result with isValid and error
+ */
+export async function checkOutboundUrl(value, label) {
+  const validation = validateOutboundUrl(value, label);
+  if (!validation.isValid || allowPrivateHosts()) {
+    return validation;
+  }
+
+  const host = hostnameOf(validation.url);
+  if (isIP(host) !== 0) {
+    return validation;
+  }
+
+  let addresses;
+  try {
+    addresses = await lookup(host, { all: true, verbatim: true });
+  } catch {
+    return { isValid: false, error: `${label} host ${host} could not be resolved` };
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    return { isValid: false, error: `${label} must point to a public host` };
+  }
+
+  return validation;
+}
+
+function allowPrivateHosts() {
+  // eslint-disable-next-line no-undef
+  return process.env.ALLOW_PRIVATE_OUTBOUND_URLS === "true";
+}
+
+// Lower-cased hostname without IPv6 brackets or a trailing dot
+function hostnameOf(url) {
+  return url.hostname.toLowerCase().replace(/^\[|\]$/g, "").replace(/\.$/, "");
+}
+
+// The IPv4 address inside an IPv4-mapped IPv6 address (::ffff:a.b.c.d or
+// ::ffff:xxxx:xxxx), or null
+function mappedIpv4(address) {
+  const match = /^(?:0{0,4}:){0,5}:?ffff:(.+)$/i.exec(address);
+  if (!match) return null;
+  if (isIP(match[1]) === 4) return match[1];
+
+  const words = /^([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(match[1]);
+  if (!words) return null;
+  const high = parseInt(words[1], 16);
+  const low = parseInt(words[2], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join(".");
+}
@@ -0,0 +1,299 @@
+/**
+ * Payment Customization Service
+ *
+ * Admin API access for the cc-payment-eligibility payment customization
+ * function: finding the function, listing/creating/updating its payment
+ * customizations, and reading/writing the rule configuration the function
+ * reads from the customization's metafield.
+ */
+
+import {
+  DEFAULT_CONFIGURATION,
+  RULES,
+  parseConfiguration,
+} from "../../extensions/cc-payment-eligibility/src/configuration";
+import { WEIGHT_UNITS } from "../../extensions/cc-payment-eligibility/src/weight";
+
+// Must match the metafield in the function's input query
+const CONFIGURATION_METAFIELD = {
+  namespace: "$app:cc-payment-eligibility",
+  key: "function-configuration",
+};
+
+const FUNCTION_TITLE = "cc-payment-eligibility";
+
+const PAYMENT_CUSTOMIZATION_FIELDS = `#graphql
+  fragment PaymentCustomizationFields on PaymentCustomization {
+    id
+    title
+    enabled
+    functionId
+    metafield(namespace: "${CONFIGURATION_METAFIELD.namespace}", key: "${CONFIGURATION_METAFIELD.key}") {
+      jsonValue
+    }
+  }
+`;
+
+/**
+ * Map a PaymentCustomization node to the shape used by routes
+ *
+ * @param {Object} node - PaymentCustomization node
+ * @returns {Object} Customization with its effective configuration
+ */
+function mapPaymentCustomization(node) {
+  return {
+    id: node.id,
+    title: node.title,
+    enabled: node.enabled,
+    functionId: node.functionId,
+    configuration: parseConfiguration(node.metafield?.jsonValue),
+  };
+}
+
+/**
+ * Get the settings for a new payment customization
+ *
+ * @returns {Object} Customization defaults with the function's default configuration
+ */
+export function getNewPaymentCustomization() {
+  return {
+    id: null,
+    title: "Credit card eligibility",
+    enabled: true,
+    configuration: DEFAULT_CONFIGURATION,
+  };
+}
+
+/**
+ * Find the deployed cc-payment-eligibility function
+ *
+ * @param {Object} admin - Shopify Admin API client
+ * @returns {Promise<Object|null>} Function with id and title, or null if not deployed
+ */
+export async function getPaymentFunction(admin) {
+  const response = await admin.graphql(`#graphql
+    query GetPaymentFunctions {
+      shopifyFunctions(first: 25, apiType: "payment_customization") {
+        nodes {
+          id
+          title
+        }
+      }
+    }
+  `);
+
+  const data = await response.json();
+
+  if (data.errors) {
+    throw new Error(data.errors[0].message);
+  }
+
+  return data.data.shopifyFunctions.nodes.find(fn => fn.title === FUNCTION_TITLE) || null;
+}
+
+/**
+ * List the payment customizations that run the given function
+ *
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} functionId - Shopify function ID
+ * @returns {Promise<Array>} Payment customizations
+ */
+export async function listPaymentCustomizations(admin, functionId) {
+  const response = await admin.graphql(`#graphql
+    ${PAYMENT_CUSTOMIZATION_FIELDS}
+    query ListPaymentCustomizations {
+      paymentCustomizations(first: 50) {
+        nodes {
+          ...PaymentCustomizationFields
+        }
+      }
+    }
+  `);
+
+  const data = await response.json();
+
+  if (data.errors) {
+    throw new Error(data.errors[0].message);
+  }
+
+  return data.data.paymentCustomizations.nodes
+    .filter(node => node.functionId === functionId)
+    .map(mapPaymentCustomization);
+}
+
+/**
+ * Get one payment customization
+ *
+ * @param {Object} admin - Shopify Admin API client
+ * @param {string} id - PaymentCustomization GID
+ * @returns {Promise<Object|null>} Payment customization or null if not found
+ */
+export async function getPaymentCustomization(admin, id) {
+  const response = await admin.graphql(`#graphql
+    ${PAYMENT_CUSTOMIZATION_FIELDS}
+    query GetPaymentCustomization($id: ID!) {
+      paymentCustomization(id: $id) {
+        ...PaymentCustomizationFields
+      }
+    }
+  `, {
+    variables: { id },
+  });
+
+  const data = await response.json();
+
+  if (data.errors) {
+    throw new Error(data.errors[0].message);
+  }
+
+  const node = data.data.paymentCustomization;
+  return node ? mapPaymentCustomization(node) : null;
+}
+
+/**
+ * Split a textarea value into a list (one entry per line or comma)
+ *
+ * @param {FormDataEntryValue|null} value
+ * @returns {string[]}
+ */
+function parseList(value) {
+  return String(value || "")
+    .split(/[\n,]/)
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Validate the payment customization form
+ *
+ * @param {FormData} formData - Submitted form
+ * @returns {Object} Validation result with isValid, error and the customization input
+ */
+export function validatePaymentCustomizationForm(formData) {
+  const title = String(formData.get("title") || "").trim();
+  const weightThreshold = parseFloat(formData.get("weightThreshold"));
+  const weightUnit = String(formData.get("weightUnit") || "");
+  const allowedDeliveryMethods = parseList(formData.get("allowedDeliveryMethods"));
+  const gatewayPatterns = parseList(formData.get("gatewayPatterns"));
+  const gatewayExcludePatterns = parseList(formData.get("gatewayExcludePatterns"));
+
+  if (!title) {
+    return { isValid: false, error: "Title is required" };
+  }
+
+  if (isNaN(weightThreshold) || weightThreshold <= 0) {
+    return { isValid: false, error: "Weight threshold must be a positive number" };
+  }
+
+  if (!Object.values(WEIGHT_UNITS).includes(weightUnit)) {
+    return { isValid: false, error: "Select a weight unit" };
+  }
+
+  if (allowedDeliveryMethods.length === 0) {
+    return { isValid: false, error: "Enter at least one allowed shipping method" };
+  }
+
+  if (gatewayPatterns.length === 0) {
+    return { isValid: false, error: "Enter at least one gateway pattern" };
+  }
+
+  const rules = Object.fromEntries(
+    Object.values(RULES).map(rule => [rule, formData.get(`rules.${rule}`) === "true"])
+  );
+
+  // Per-rule operations are edited as one object; parseConfiguration drops invalid values
+  let operations;
+  try {
+    operations = JSON.parse(String(formData.get("operations") || "{}"));
+  } catch {
+    return { isValid: false, error: "Invalid checkout operations" };
+  }
+
+  return {
+    isValid: true,
+    customization: {
+      title,
+      enabled: formData.get("enabled") === "true",
+      configuration: parseConfiguration({
+        weightThreshold,
+        weightUnit,
+        allowedDeliveryMethods,
+        gatewayPatterns,
+        gatewayExcludePatterns,
+        rules,
+        operations,
+        verboseLogging: formData.get("verboseLogging") === "true",
+      }),
+    },
+  };
+}
+
+/**
+ * Create or update a payment customization with its configuration
+ *
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Object} customization - Customization data
+ * @param {string} [customization.id] - PaymentCustomization GID; omitted to create
+ * @param {string} [customization.functionId] - Function to run (required to create)
+ * @param {string} customization.title - Title shown in the admin
+ * @param {boolean} customization.enabled - Whether the customization runs at checkout
+ * @param {Object} customization.configuration - Rule configuration
+ * @returns {Promise<Object>} Saved payment customization
+ */
+export async function savePaymentCustomization(admin, { id, functionId, title, enabled, configuration }) {
+  const input = {
+    title,
+    enabled,
+    metafields: [{
+      ...CONFIGURATION_METAFIELD,
+      type: "json",
+      value: JSON.stringify(configuration),
+    }],
+  };
+
+  const response = id
+    ? await admin.graphql(`#graphql
+        ${PAYMENT_CUSTOMIZATION_FIELDS}
+        mutation UpdatePaymentCustomization($id: ID!, $input: PaymentCustomizationInput!) {
+          result: paymentCustomizationUpdate(id: $id, paymentCustomization: $input) {
+            paymentCustomization {
+              ...PaymentCustomizationFields
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `, {
+        variables: { id, input },
+      })
+    : await admin.graphql(`#graphql
+        ${PAYMENT_CUSTOMIZATION_FIELDS}
+        mutation CreatePaymentCustomization($input: PaymentCustomizationInput!) {
+          result: paymentCustomizationCreate(paymentCustomization: $input) {
+            paymentCustomization {
+              ...PaymentCustomizationFields
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `, {
+        variables: { input: { ...input, functionId } },
+      });
+
+  const data = await response.json();
+
+  if (data.errors) {
+    throw new Error(data.errors[0].message);
+  }
+
+  if (data.data.result.userErrors.length > 0) {
+    throw new Error(data.data.result.userErrors[0].message);
+  }
+
+  return mapPaymentCustomization(data.data.result.paymentCustomization);
+}
@@ -0,0 +1,345 @@
+/**
+ * PIM Delivery Service
+ *
+ * Durable outbound delivery of inventory changes to the external PIM/ERP.
+ * Messages are written to the PimOutbox table first and then POSTed to the
+ * shop's configured endpoint, with exponential-backoff retries.
+ *
+ * Status lifecycle (mirrored on WebhookEvent.pimStatus):
+ *   pending → delivering → delivered
+ *                        → failed (retry scheduled) → delivering → ...
+ *                        → dead_lettered (max attempts reached)
+ */
+
+import prisma from "../db.server";
+import { checkOutboundUrl } from "./outbound-url.service";
+
+export const PIM_STATUS = {
+  PENDING: "pending",
+  DELIVERING: "delivering",
+  DELIVERED: "delivered",
+  FAILED: "failed",
+  DEAD_LETTERED: "dead_lettered",
+};
+
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+
+// A message stuck in "delivering" longer than this (e.g. the process died
+// mid-request) is considered abandoned and becomes due again.
+const DELIVERING_LEASE_MS = 5 * 60 * 1000;
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Get the PIM endpoint configuration for a shop
+ * Falls back to the PIM_ENDPOINT_URL environment variable when the shop has
+ * no endpoint of its own. Either URL must pass checkOutboundUrl to be used.
+ *
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object|null>} Endpoint config or null if none is configured
+ */
+export async function getPimEndpoint(shop) {
+  const endpoint = await prisma.pimEndpoint.findUnique({ where: { shop } });
+  if (endpoint) {
+    return endpoint;
+  }
+
+  // eslint-disable-next-line no-undef
+  const fallbackUrl = process.env.PIM_ENDPOINT_URL;
+  if (!fallbackUrl) {
+    return null;
+  }
+
+  return {
+    shop,
+    url: fallbackUrl,
+    // eslint-disable-next-line no-undef
+    authToken: process.env.PIM_AUTH_TOKEN || null,
+    enabled: true,
+    maxAttempts: DEFAULT_MAX_ATTEMPTS,
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+  };
+}
+
+/**
+ * Create or update the PIM endpoint configuration for a shop
+ *
+ * @param {string} shop - Shop domain
+ * @param {Object} settings - Endpoint settings
+ * @param {string} settings.url - Public https URL to POST inventory changes to
+ * @param {string} [settings.authToken] - Optional bearer token
+ * @param {boolean} [settings.enabled] - Whether deliveries are sent
+ * @param {number} [settings.maxAttempts] - Attempts before dead-lettering
+ * @param {number} [settings.timeoutMs] - Request timeout
+ * @returns {Promise<Object>} Saved endpoint config
+ */
+export async function savePimEndpoint(shop, { url, authToken, enabled = true, maxAttempts, timeoutMs }) {
+  const data = {
+    url,
+    authToken: authToken || null,
+    enabled,
+    maxAttempts: maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    timeoutMs: timeoutMs || DEFAULT_TIMEOUT_MS,
+  };
+
+  const endpoint = await prisma.pimEndpoint.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+
+  // Messages parked while no endpoint was configured become due right away
+  await prisma.pimOutbox.updateMany({
+    where: { shop, status: PIM_STATUS.PENDING },
+    data: { nextAttemptAt: new Date() },
+  });
+
+  return endpoint;
+}
+
+/**
+ * Validate PIM endpoint settings submitted from the admin
+ * The URL must be https and resolve to a public host.
+ *
+ * @param {Object} settings - Raw settings
+ * @returns {Promise<Object>} Validation result with isValid and error
+ */
+export async function validatePimEndpoint({ url, maxAttempts, timeoutMs }) {
+  if (maxAttempts !== undefined && (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > 20)) {
+    return { isValid: false, error: "Max attempts must be between 1 and 20" };
+  }
+
+  if (timeoutMs !== undefined && (!Number.isInteger(timeoutMs) || timeoutMs < 1000 || timeoutMs > 60000)) {
+    return { isValid: false, error: "Timeout must be between 1000 and 60000 ms" };
+  }
+
+  return checkOutboundUrl(url, "Endpoint URL");
+}
+
+/**
+ * Compute the delay before the next attempt (exponential backoff with jitter)
+ *
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoffDelay(attempts) {
+  const exponential = Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+  // ±20% jitter so retries from many shops don't line up
+  const jitter = exponential * 0.2 * (Math.random() * 2 - 1);
+  return Math.round(exponential + jitter);
+}
+
+/**
+ * Update an outbox row and mirror its status on the linked webhook event
+ */
+async function setDeliveryStatus(delivery, data) {
+  const updated = await prisma.pimOutbox.update({
+    where: { id: delivery.id },
+    data,
+  });
+
+  if (delivery.webhookEventId && data.status) {
+    await prisma.webhookEvent.update({
+      where: { id: delivery.webhookEventId },
+      data: { pimStatus: data.status },
+    });
+  }
+
+  return updated;
+}
+
+/**
+ * POST a payload to the PIM endpoint
+ *
+ * @param {Object} endpoint - Endpoint config
+ * @param {Object} payload - JSON body
+ * @param {string} deliveryId - Outbox ID, sent as an idempotency key
+ * @returns {Promise<Object>} Result with ok, statusCode and error
+ */
+async function postToPim(endpoint, payload, deliveryId) {
+  const headers = {
+    "Content-Type": "application/json",
+    "Idempotency-Key": deliveryId,
+  };
+  if (endpoint.authToken) {
+    headers.Authorization = `Bearer ${endpoint.authToken}`;
+  }
+
+  // Re-checked per request: the host may resolve elsewhere since it was saved
+  const destination = await checkOutboundUrl(endpoint.url, "Endpoint URL");
+  if (!destination.isValid) {
+    return { ok: false, statusCode: null, error: destination.error };
+  }
+
+  try {
+    const response = await fetch(endpoint.url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(payload),
+      // A redirect could lead to a host that was never checked
+      redirect: "manual",
+      signal: AbortSignal.timeout(endpoint.timeoutMs || DEFAULT_TIMEOUT_MS),
+    });
+
+    if (response.ok) {
+      return { ok: true, statusCode: response.status };
+    }
+
+    const body = await response.text().catch(() => "");
+    return {
+      ok: false,
+      statusCode: response.status,
+      error: `HTTP ${response.status}${body ? `: ${body.slice(0, 500)}` : ""}`,
+    };
+  } catch (error) {
+    return { ok: false, statusCode: null, error: error.message || String(error) };
+  }
+}
+
+/**
+ * Attempt delivery of one outbox message
+ *
+ * The message is claimed atomically first, so concurrent workers never
+ * deliver the same message twice.
+ *
+ * @param {string} deliveryId - PimOutbox ID
+ * @returns {Promise<Object|null>} Updated outbox row, or null if it was not claimable
+ */
+export async function deliverPimMessage(deliveryId) {
+  const leaseExpiredBefore = new Date(Date.now() - DELIVERING_LEASE_MS);
+
+  const claimed = await prisma.pimOutbox.updateMany({
+    where: {
+      id: deliveryId,
+      OR: [
+        { status: { in: [PIM_STATUS.PENDING, PIM_STATUS.FAILED] } },
+        { status: PIM_STATUS.DELIVERING, updatedAt: { lt: leaseExpiredBefore } },
+      ],
+    },
+    data: {
+      status: PIM_STATUS.DELIVERING,
+      attempts: { increment: 1 },
+    },
+  });
+
+  if (claimed.count === 0) {
+    return null;
+  }
+
+  const delivery = await prisma.pimOutbox.findUnique({ where: { id: deliveryId } });
+
+  if (delivery.webhookEventId) {
+    await prisma.webhookEvent.update({
+      where: { id: delivery.webhookEventId },
+      data: { pimStatus: PIM_STATUS.DELIVERING },
+    });
+  }
+
+  const endpoint = await getPimEndpoint(delivery.shop);
+
+  if (!endpoint || !endpoint.enabled) {
+    // Nothing to deliver to yet: park the message without burning an
+    // attempt. Saving an endpoint makes parked messages due again.
+    return setDeliveryStatus(delivery, {
+      status: PIM_STATUS.PENDING,
+      attempts: delivery.attempts - 1,
+      lastError: endpoint ? "PIM endpoint is disabled" : "No PIM endpoint configured",
+      nextAttemptAt: new Date(Date.now() + BACKOFF_MAX_MS),
+    });
+  }
+
+  const result = await postToPim(endpoint, delivery.payload, delivery.id);
+
+  if (result.ok) {
+    console.log(`✅ Delivered PIM message ${delivery.id} (attempt ${delivery.attempts})`);
+    return setDeliveryStatus(delivery, {
+      status: PIM_STATUS.DELIVERED,
+      lastStatusCode: result.statusCode,
+      lastError: null,
+      deliveredAt: new Date(),
+    });
+  }
+
+  const maxAttempts = endpoint.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+
+  if (delivery.attempts >= maxAttempts) {
+    console.error(`❌ Dead-lettered PIM message ${delivery.id} after ${delivery.attempts} attempts: ${result.error}`);
+    return setDeliveryStatus(delivery, {
+      status: PIM_STATUS.DEAD_LETTERED,
+      lastStatusCode: result.statusCode,
+      lastError: result.error,
+    });
+  }
+
+  console.warn(`⚠️ PIM delivery ${delivery.id} failed (attempt ${delivery.attempts}): ${result.error}`);
+  return setDeliveryStatus(delivery, {
+    status: PIM_STATUS.FAILED,
+    lastStatusCode: result.statusCode,
+    lastError: result.error,
+    nextAttemptAt: new Date(Date.now() + computeBackoffDelay(delivery.attempts)),
+  });
+}
+
+/**
+ * Deliver every outbox message that is due (new, retry scheduled, or
+ * abandoned mid-delivery)
+ *
+ * @param {Object} [options]
+ * @param {string} [options.shop] - Only process this shop's messages
+ * @param {number} [options.limit] - Maximum number of messages to process
+ * @returns {Promise<Object>} Counts of processed messages by resulting status
+ */
+export async function processDuePimDeliveries({ shop, limit = 50 } = {}) {
+  const now = new Date();
+  const leaseExpiredBefore = new Date(now.getTime() - DELIVERING_LEASE_MS);
+
+  const due = await prisma.pimOutbox.findMany({
+    where: {
+      ...(shop ? { shop } : {}),
+      OR: [
+        { status: { in: [PIM_STATUS.PENDING, PIM_STATUS.FAILED] }, nextAttemptAt: { lte: now } },
+        { status: PIM_STATUS.DELIVERING, updatedAt: { lt: leaseExpiredBefore } },
+      ],
+    },
+    orderBy: { nextAttemptAt: "asc" },
+    take: limit,
+    select: { id: true },
+  });
+
+  const counts = { processed: 0 };
+
+  for (const { id } of due) {
+    const delivery = await deliverPimMessage(id);
+    if (delivery) {
+      counts.processed++;
+      counts[delivery.status] = (counts[delivery.status] || 0) + 1;
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Count a shop's outbox messages by status
+ *
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} Map of status → count (every status present)
+ */
+export async function getPimOutboxCounts(shop) {
+  const grouped = await prisma.pimOutbox.groupBy({
+    by: ["status"],
+    where: { shop },
+    _count: { _all: true },
+  });
+
+  const counts = Object.fromEntries(
+    Object.values(PIM_STATUS).map(status => [status, 0])
+  );
+  grouped.forEach(group => {
+    counts[group.status] = group._count._all;
+  });
+
+  return counts;
+}
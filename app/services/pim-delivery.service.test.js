@@ -0,0 +1,142 @@
+import { createServer } from "node:http";
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+import { getRows, resetDatabase } from "../db.server";
+import { PIM_STATUS, computeBackoffDelay, deliverPimMessage } from "./pim-delivery.service";
+
+vi.mock("../db.server");
+
+const SHOP = "shop-a.myshopify.com";
+const SECOND = 1000;
+
+describe("computeBackoffDelay", () => {
+  it("doubles from 30 seconds with ±20% jitter, capped at 6 hours", () => {
+    const range = (attempts) => Array.from({ length: 50 }, () => computeBackoffDelay(attempts));
+
+    expect(Math.min(...range(1))).toBeGreaterThanOrEqual(24 * SECOND);
+    expect(Math.max(...range(1))).toBeLessThanOrEqual(36 * SECOND);
+    expect(Math.min(...range(3))).toBeGreaterThanOrEqual(96 * SECOND);
+    expect(Math.max(...range(3))).toBeLessThanOrEqual(144 * SECOND);
+    expect(Math.max(...range(30))).toBeLessThanOrEqual(6 * 60 * 60 * SECOND * 1.2);
+  });
+});
+
+describe("deliverPimMessage", () => {
+  let server;
+  let received;
+  let respondWith;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = createServer((request, response) => {
+      let body = "";
+      request.on("data", chunk => { body += chunk; });
+      request.on("end", () => {
+        received.push({ path: request.url, headers: request.headers, body: JSON.parse(body) });
+        response.writeHead(respondWith.status, respondWith.headers);
+        response.end(respondWith.body);
+      });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    received = [];
+    respondWith = { status: 200, headers: {}, body: "" };
+    vi.stubEnv("ALLOW_PRIVATE_OUTBOUND_URLS", "true");
+    vi.stubEnv("PIM_ENDPOINT_URL", "");
+    resetDatabase({
+      pimEndpoint: [{ shop: SHOP, url: `${baseUrl}/inventory`, authToken: "secret", enabled: true, maxAttempts: 2, timeoutMs: 5000 }],
+      webhookEvent: [{ id: "event-1", shop: SHOP, pimStatus: PIM_STATUS.PENDING }],
+      pimOutbox: [{
+        id: "delivery-1",
+        shop: SHOP,
+        webhookEventId: "event-1",
+        payload: { inventoryItemId: "111", available: 4 },
+        status: PIM_STATUS.PENDING,
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        updatedAt: new Date(),
+      }],
+    });
+  });
+
+  afterEach(() => vi.unstubAllEnvs());
+
+  const eventStatus = () => getRows("webhookEvent")[0].pimStatus;
+
+  it("POSTs the payload to the stub endpoint and marks a 2xx delivered", async () => {
+    respondWith = { status: 202, headers: {}, body: "" };
+
+    const delivery = await deliverPimMessage("delivery-1");
+
+    expect(delivery).toMatchObject({ status: PIM_STATUS.DELIVERED, attempts: 1, lastStatusCode: 202, lastError: null });
+    expect(eventStatus()).toBe(PIM_STATUS.DELIVERED);
+    expect(received).toEqual([{
+      path: "/inventory",
+      headers: expect.objectContaining({ authorization: "Bearer secret", "idempotency-key": "delivery-1" }),
+      body: { inventoryItemId: "111", available: 4 },
+    }]);
+  });
+
+  it("schedules a retry with backoff on a 5xx", async () => {
+    respondWith = { status: 500, headers: {}, body: "down for maintenance" };
+    const before = Date.now();
+
+    const delivery = await deliverPimMessage("delivery-1");
+
+    expect(delivery).toMatchObject({
+      status: PIM_STATUS.FAILED,
+      attempts: 1,
+      lastStatusCode: 500,
+      lastError: "HTTP 500: down for maintenance",
+    });
+    expect(delivery.nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(24 * SECOND);
+    expect(delivery.nextAttemptAt.getTime() - before).toBeLessThanOrEqual(36 * SECOND + 1000);
+    expect(eventStatus()).toBe(PIM_STATUS.FAILED);
+  });
+
+  it("dead-letters the message after the endpoint's max attempts", async () => {
+    respondWith = { status: 503, headers: {}, body: "" };
+
+    await deliverPimMessage("delivery-1");
+    const delivery = await deliverPimMessage("delivery-1");
+
+    expect(delivery).toMatchObject({ status: PIM_STATUS.DEAD_LETTERED, attempts: 2, lastError: "HTTP 503" });
+    expect(eventStatus()).toBe(PIM_STATUS.DEAD_LETTERED);
+    expect(await deliverPimMessage("delivery-1")).toBeNull();
+    expect(received).toHaveLength(2);
+  });
+
+  it("rejects a 3xx instead of following the redirect", async () => {
+    respondWith = { status: 307, headers: { location: "http://169.254.169.254/latest/meta-data" }, body: "" };
+
+    const delivery = await deliverPimMessage("delivery-1");
+
+    expect(delivery).toMatchObject({ status: PIM_STATUS.FAILED, lastStatusCode: 307, lastError: "HTTP 307" });
+    expect(received).toHaveLength(1);
+  });
+
+  it("parks the message without using an attempt when no endpoint is configured", async () => {
+    resetDatabase({ pimEndpoint: [], webhookEvent: getRows("webhookEvent"), pimOutbox: getRows("pimOutbox") });
+    const before = Date.now();
+
+    const delivery = await deliverPimMessage("delivery-1");
+
+    expect(delivery).toMatchObject({ status: PIM_STATUS.PENDING, attempts: 0, lastError: "No PIM endpoint configured" });
+    expect(delivery.nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(6 * 60 * 60 * SECOND);
+    expect(received).toEqual([]);
+  });
+
+  it("refuses a localhost endpoint unless private outbound URLs are allowed", async () => {
+    vi.stubEnv("ALLOW_PRIVATE_OUTBOUND_URLS", "");
+
+    const delivery = await deliverPimMessage("delivery-1");
+
+    expect(delivery.status).toBe(PIM_STATUS.FAILED);
+    expect(delivery.lastError).toMatch(/must use https/);
+    expect(received).toEqual([]);
+  });
+});
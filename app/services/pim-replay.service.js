@@ -0,0 +1,243 @@
+/**
+ * PIM Replay Service
+ *
+ * Re-sends logged inventory webhook events to the PIM/ERP, e.g. after the
+ * external system was down. Every replay is a new PimOutbox delivery linked
+ * to the original WebhookEvent and stamped with the staff member who
+ * requested it, so the delivery history shows what was replayed and when.
+ *
+ * Only the latest state of each inventory item and location is ever sent:
+ * replaying an older event would overwrite a newer quantity in the PIM/ERP.
+ * When a replay of one chosen event sends a newer one instead, the result
+ * names the event that was sent.
+ * Events whose delivery is still queued or retrying are left alone, since
+ * the outbox will deliver them anyway.
+ */
+
+import prisma from "../db.server";
+import { buildPimPayload } from "./webhook-logger.service";
+import { PIM_STATUS, deliverPimMessage } from "./pim-delivery.service";
+
+export const REPLAY_SCOPES = {
+  EVENT: "event",
+  FAILED: "failed",
+  RANGE: "range",
+};
+
+// Upper bound for one bulk replay request; narrow the range for more
+const MAX_REPLAY_EVENTS = 1000;
+
+// Outbox statuses that will still be delivered without a replay
+const IN_FLIGHT_STATUSES = [PIM_STATUS.PENDING, PIM_STATUS.DELIVERING, PIM_STATUS.FAILED];
+
+/**
+ * Build the WebhookEvent filter for a replay request
+ * Events skipped as duplicates/stale are never replayed: forwarding them
+ * would overwrite newer quantities in the PIM/ERP. Neither are events with
+ * a delivery still in flight (e.g. failed with a retry scheduled).
+ *
+ * @param {Object} request - Replay request
+ * @returns {Object} Validation result with isValid, where and error
+ */
+function buildReplayWhere({ scope, eventId, from, to, shop }) {
+  if (!shop) {
+    return { isValid: false, error: "A shop is required" };
+  }
+
+  const base = {
+    shop,
+    skipReason: null,
+    pimDeliveries: { none: { status: { in: IN_FLIGHT_STATUSES } } },
+  };
+
+  switch (scope) {
+    case REPLAY_SCOPES.EVENT:
+      if (!eventId) {
+        return { isValid: false, error: "Event ID is required" };
+      }
+      return { isValid: true, where: { ...base, id: eventId } };
+
+    case REPLAY_SCOPES.FAILED:
+      // Failed deliveries with a retry scheduled are in flight, so this
+      // comes down to dead-lettered ones
+      return {
+        isValid: true,
+        where: { ...base, pimStatus: { in: [PIM_STATUS.FAILED, PIM_STATUS.DEAD_LETTERED] } },
+      };
+
+    case REPLAY_SCOPES.RANGE:
+      if (!(from instanceof Date) || !(to instanceof Date) || isNaN(from) || isNaN(to)) {
+        return { isValid: false, error: "A valid start and end time are required" };
+      }
+      if (from > to) {
+        return { isValid: false, error: "Start time must be before end time" };
+      }
+      return { isValid: true, where: { ...base, timestamp: { gte: from, lte: to } } };
+
+    default:
+      return { isValid: false, error: `Unknown replay scope "${scope}"` };
+  }
+}
+
+/**
+ * Replace each event by the latest logged event of its inventory item and
+ * location (the one the last known state came from), once per pair
+ *
+ * @param {string} shop - Shop domain
+ * @param {Array<Object>} events - Matched events with id, inventoryItemId and locationId
+ * @returns {Promise<Object>} IDs of the events to replay and how many matched events were superseded
+ */
+async function resolveLatestEvents(shop, events) {
+  const states = await prisma.inventoryLevelState.findMany({
+    where: {
+      shop,
+      OR: events.map(({ inventoryItemId, locationId }) => ({ inventoryItemId, locationId })),
+    },
+    select: { inventoryItemId: true, locationId: true, webhookEventId: true },
+  });
+
+  const latestByKey = new Map(states.map(state => [
+    `${state.inventoryItemId}|${state.locationId}`,
+    state.webhookEventId,
+  ]));
+
+  const eventIds = new Set();
+  let superseded = 0;
+  for (const event of events) {
+    // Events without a recorded state (no updated_at) stand for themselves
+    const latestId = latestByKey.get(`${event.inventoryItemId}|${event.locationId}`) || event.id;
+    if (latestId !== event.id) {
+      superseded++;
+    }
+    eventIds.add(latestId);
+  }
+
+  return { eventIds: [...eventIds], superseded };
+}
+
+/**
+ * Replay webhook events to the PIM/ERP
+ *
+ * Each matched event is replaced by the latest event of its inventory item
+ * and location, so the PIM/ERP ends up with the current quantities. A
+ * single-event replay is delivered right away and reports the event it
+ * sent (replayedEventId), which differs from the requested one when a newer
+ * event superseded it; bulk replays are queued in the outbox and delivered
+ * by the job worker.
+ *
+ * @param {Object} request - What to replay
+ * @param {string} request.scope - One of REPLAY_SCOPES
+ * @param {string} [request.eventId] - Event to replay (scope "event")
+ * @param {Date} [request.from] - Range start (scope "range")
+ * @param {Date} [request.to] - Range end (scope "range")
+ * @param {string} request.shop - Shop whose events are replayed
+ * @param {Object} staff - Staff member requesting the replay (see staff.service.js)
+ * @returns {Promise<Object>} Result with success, replayed and superseded counts and error, plus
+ *   replayedEventId and deliveryStatus for a single-event replay
+ */
+export async function replayWebhookEvents(request, staff) {
+  const query = buildReplayWhere(request);
+  if (!query.isValid) {
+    return { success: false, error: query.error };
+  }
+
+  const matched = await prisma.webhookEvent.findMany({
+    where: query.where,
+    orderBy: { timestamp: "asc" },
+    take: MAX_REPLAY_EVENTS + 1,
+    select: { id: true, inventoryItemId: true, locationId: true },
+  });
+
+  if (matched.length === 0) {
+    return {
+      success: false,
+      error: request.scope === REPLAY_SCOPES.EVENT
+        ? "Event not found, skipped, or already queued for delivery"
+        : "No events to replay",
+    };
+  }
+
+  if (matched.length > MAX_REPLAY_EVENTS) {
+    return {
+      success: false,
+      error: `More than ${MAX_REPLAY_EVENTS} events match; narrow the time range`,
+    };
+  }
+
+  const { eventIds, superseded } = await resolveLatestEvents(request.shop, matched);
+
+  const events = await prisma.webhookEvent.findMany({
+    where: {
+      id: { in: eventIds },
+      shop: request.shop,
+      pimDeliveries: { none: { status: { in: IN_FLIGHT_STATUSES } } },
+    },
+    orderBy: { timestamp: "asc" },
+    select: { id: true, shop: true, payload: true },
+  });
+
+  if (events.length === 0) {
+    return {
+      success: false,
+      error: "The latest state is already queued for delivery",
+    };
+  }
+
+  const deliveries = await prisma.$transaction(async (tx) => {
+    const created = await tx.pimOutbox.createManyAndReturn({
+      data: events.map(event => ({
+        shop: event.shop,
+        webhookEventId: event.id,
+        payload: { ...buildPimPayload(event), source: "replay" },
+        status: PIM_STATUS.PENDING,
+        replayedBy: staff.name,
+        replayedByUserId: staff.userId,
+      })),
+      select: { id: true },
+    });
+
+    await tx.webhookEvent.updateMany({
+      where: { id: { in: events.map(event => event.id) } },
+      data: { pimStatus: PIM_STATUS.PENDING },
+    });
+
+    return created;
+  });
+
+  console.log(`🔁 ${staff.name} replayed ${deliveries.length} event(s) to PIM/ERP (${request.scope}, ${superseded} superseded)`);
+
+  if (request.scope === REPLAY_SCOPES.EVENT) {
+    const delivery = await deliverPimMessage(deliveries[0].id);
+    return { success: true, replayed: 1, superseded, replayedEventId: events[0].id, deliveryStatus: delivery?.status };
+  }
+
+  return { success: true, replayed: deliveries.length, superseded };
+}
+
+/**
+ * Get the most recent replays
+ *
+ * @param {Object} options
+ * @param {string} options.shop - Shop domain
+ * @param {number} [options.limit] - Number of replays to return
+ * @returns {Promise<Array>} Replay deliveries, newest first
+ */
+export async function getRecentReplays({ shop, limit = 20 }) {
+  const replays = await prisma.pimOutbox.findMany({
+    where: {
+      shop,
+      replayedBy: { not: null },
+    },
+    orderBy: { createdAt: "desc" },
+    take: limit,
+  });
+
+  return replays.map(replay => ({
+    id: replay.id,
+    webhookEventId: replay.webhookEventId,
+    status: replay.status,
+    attempts: replay.attempts,
+    replayedBy: replay.replayedBy,
+    createdAt: replay.createdAt.toISOString(),
+  }));
+}
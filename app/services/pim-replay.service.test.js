@@ -0,0 +1,117 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { getRows, resetDatabase } from "../db.server";
+import { REPLAY_SCOPES, getRecentReplays, replayWebhookEvents } from "./pim-replay.service";
+
+vi.mock("../db.server");
+vi.mock("./pim-delivery.service", async (importOriginal) => ({
+  ...(await importOriginal()),
+  deliverPimMessage: vi.fn(async () => ({ status: "delivered" })),
+}));
+
+const SHOP_A = "shop-a.myshopify.com";
+const SHOP_B = "shop-b.myshopify.com";
+const STAFF = { name: "Alex", userId: "1" };
+
+const buildEvent = (shop, index, overrides = {}) => ({
+  id: `${shop}-event-${index}`,
+  timestamp: new Date(Date.UTC(2026, 9, 1, 12, index)),
+  topic: "inventory_levels/update",
+  shop,
+  inventoryItemId: String(100 + index),
+  locationId: "222",
+  available: index,
+  pimStatus: "dead_lettered",
+  payload: { inventory_item_id: 100 + index, location_id: 222, available: index },
+  skipReason: null,
+  ...overrides,
+});
+
+describe("shop scoping of PIM replays", () => {
+  beforeEach(() => resetDatabase({
+    webhookEvent: [
+      buildEvent(SHOP_A, 1),
+      buildEvent(SHOP_B, 1),
+      buildEvent(SHOP_B, 2),
+    ],
+    pimOutbox: [
+      { id: "replay-b", shop: SHOP_B, webhookEventId: `${SHOP_B}-event-2`, status: "dead_lettered", replayedBy: "Sam", attempts: 8, createdAt: new Date() },
+    ],
+    inventoryLevelState: [],
+  }));
+
+  const queuedReplays = () => getRows("pimOutbox").filter(delivery => delivery.replayedBy === STAFF.name);
+
+  it("does not replay another shop's event by ID", async () => {
+    const result = await replayWebhookEvents({
+      scope: REPLAY_SCOPES.EVENT,
+      eventId: `${SHOP_B}-event-1`,
+      shop: SHOP_A,
+    }, STAFF);
+
+    expect(result.success).toBe(false);
+    expect(queuedReplays()).toEqual([]);
+  });
+
+  it("replays only the shop's failed events", async () => {
+    const result = await replayWebhookEvents({ scope: REPLAY_SCOPES.FAILED, shop: SHOP_A }, STAFF);
+
+    expect(result).toMatchObject({ success: true, replayed: 1 });
+    expect(queuedReplays().map(delivery => [delivery.shop, delivery.webhookEventId])).toEqual([
+      [SHOP_A, `${SHOP_A}-event-1`],
+    ]);
+  });
+
+  it("replays only the shop's events in a time range", async () => {
+    const result = await replayWebhookEvents({
+      scope: REPLAY_SCOPES.RANGE,
+      shop: SHOP_A,
+      from: new Date(Date.UTC(2026, 9, 1)),
+      to: new Date(Date.UTC(2026, 9, 2)),
+    }, STAFF);
+
+    expect(result.replayed).toBe(1);
+    expect(queuedReplays().every(delivery => delivery.shop === SHOP_A)).toBe(true);
+  });
+
+  it("refuses to replay without a shop", async () => {
+    const result = await replayWebhookEvents({ scope: REPLAY_SCOPES.FAILED }, STAFF);
+
+    expect(result).toEqual({ success: false, error: "A shop is required" });
+    expect(queuedReplays()).toEqual([]);
+  });
+
+  it("lists only the shop's replays", async () => {
+    await replayWebhookEvents({ scope: REPLAY_SCOPES.FAILED, shop: SHOP_A }, STAFF);
+
+    const replays = await getRecentReplays({ shop: SHOP_A });
+
+    expect(replays.map(replay => replay.webhookEventId)).toEqual([`${SHOP_A}-event-1`]);
+  });
+});
+
+describe("replaying one chosen event", () => {
+  // Two events of the same item and location; the second is the last known state
+  const older = buildEvent(SHOP_A, 1, { inventoryItemId: "111" });
+  const newer = buildEvent(SHOP_A, 2, { inventoryItemId: "111" });
+
+  beforeEach(() => resetDatabase({
+    webhookEvent: [older, newer],
+    pimOutbox: [],
+    inventoryLevelState: [{ shop: SHOP_A, inventoryItemId: "111", locationId: "222", webhookEventId: newer.id }],
+  }));
+
+  const replay = (eventId) => replayWebhookEvents({ scope: REPLAY_SCOPES.EVENT, eventId, shop: SHOP_A }, STAFF);
+
+  it("reports the event it sent when a newer one superseded the chosen event", async () => {
+    const result = await replay(older.id);
+
+    expect(result).toEqual({ success: true, replayed: 1, superseded: 1, replayedEventId: newer.id, deliveryStatus: "delivered" });
+    expect(getRows("pimOutbox").map(delivery => delivery.webhookEventId)).toEqual([newer.id]);
+  });
+
+  it("sends the chosen event itself when it is the latest", async () => {
+    const result = await replay(newer.id);
+
+    expect(result).toMatchObject({ superseded: 0, replayedEventId: newer.id });
+  });
+});
@@ -0,0 +1,432 @@
+/**
+ * Proxy Guard Service
+ *
+ * Access control for stock changes made through the storefront app proxy.
+ * A request must come from a logged-in customer (Shopify signs
+ * `logged_in_customer_id` into proxied requests) who is on the shop's
+ * allow-list, stay within the per-request delta cap, and stay under the
+ * per-customer and per-IP rate limits. Every rejection is logged.
+ * Variant searches (the widget's typeahead) pass the same checks against
+ * their own, higher rate limit.
+ *
+ * Rate limits are fixed windows counted in the ProxyRateLimit table, so
+ * they hold across serverless instances.
+ */
+
+import { isIP } from "node:net";
+import prisma from "../db.server";
+import { toGid } from "./inventory.service";
+
+export const PROXY_REJECTION_REASONS = {
+  LOGIN_REQUIRED: "login_required",
+  NOT_ALLOWED: "not_allowed",
+  DELTA_TOO_LARGE: "delta_too_large",
+  CUSTOMER_RATE_LIMITED: "customer_rate_limited",
+  IP_RATE_LIMITED: "ip_rate_limited",
+};
+
+export const PROXY_REQUEST_KINDS = {
+  UPDATE: "update",
+  SEARCH: "search",
+};
+
+const REJECTION_MESSAGES = {
+  [PROXY_REJECTION_REASONS.LOGIN_REQUIRED]: "Log in to update stock",
+  [PROXY_REJECTION_REASONS.NOT_ALLOWED]: "Your account is not allowed to update stock",
+  [PROXY_REJECTION_REASONS.DELTA_TOO_LARGE]: "Quantity change is larger than allowed",
+  [PROXY_REJECTION_REASONS.CUSTOMER_RATE_LIMITED]: "Too many stock updates, please wait and try again",
+  [PROXY_REJECTION_REASONS.IP_RATE_LIMITED]: "Too many stock updates, please wait and try again",
+};
+
+// HTTP status, related input field and whether retrying later may succeed
+const REJECTION_DETAILS = {
+  [PROXY_REJECTION_REASONS.LOGIN_REQUIRED]: { status: 401, field: null, retryable: false },
+  [PROXY_REJECTION_REASONS.NOT_ALLOWED]: { status: 403, field: null, retryable: false },
+  [PROXY_REJECTION_REASONS.DELTA_TOO_LARGE]: { status: 400, field: "quantityChange", retryable: false },
+  [PROXY_REJECTION_REASONS.CUSTOMER_RATE_LIMITED]: { status: 429, field: null, retryable: true },
+  [PROXY_REJECTION_REASONS.IP_RATE_LIMITED]: { status: 429, field: null, retryable: true },
+};
+
+const DEFAULT_SETTINGS = {
+  allowedCustomerIds: [],
+  allowedCustomerTag: null,
+  allowedMetafield: null,
+  maxDeltaPerRequest: 50,
+  customerRateLimit: 10,
+  ipRateLimit: 30,
+  searchRateLimit: 120,
+  rateLimitWindowSeconds: 60,
+};
+
+const MAX_REJECTIONS_LIMIT = 200;
+
+// Shopify's app proxy, then the hosting platform's edge (see getClientIp)
+const DEFAULT_TRUSTED_PROXY_HOPS = 2;
+
+/**
+ * Thrown when the proxy guard rejects a request. Carries the same `code`,
+ * `status`, `field` and `retryable` as InventoryError, so the route answers
+ * both with one error envelope.
+ */
+export class ProxyAccessError extends Error {
+  /**
+   * @param {string} reason - One of PROXY_REJECTION_REASONS
+   * @param {Object} [details]
+   * @param {number} [details.retryAfterSeconds] - When a rate-limited caller may retry
+   */
+  constructor(reason, { retryAfterSeconds = null } = {}) {
+    super(REJECTION_MESSAGES[reason]);
+    this.name = "ProxyAccessError";
+    this.code = `PROXY_${reason.toUpperCase()}`;
+    this.reason = reason;
+    this.status = REJECTION_DETAILS[reason].status;
+    this.field = REJECTION_DETAILS[reason].field;
+    this.retryable = REJECTION_DETAILS[reason].retryable;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/**
+ * Get the proxy access settings of a shop
+ *
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} Settings (defaults when none are saved)
+ */
+export async function getProxySettings(shop) {
+  const settings = await prisma.proxySettings.findUnique({ where: { shop } });
+  return settings || { shop, ...DEFAULT_SETTINGS };
+}
+
+/**
+ * Validate proxy access settings submitted from the admin
+ *
+ * @param {Object} settings - Parsed settings
+ * @returns {Object} Validation result with isValid and error
+ */
+export function validateProxySettings({
+  allowedCustomerIds,
+  allowedMetafield,
+  maxDeltaPerRequest,
+  customerRateLimit,
+  ipRateLimit,
+  searchRateLimit,
+  rateLimitWindowSeconds,
+}) {
+  const invalidId = allowedCustomerIds.find(id => !/^(\d+|gid:\/\/shopify\/Customer\/\d+)$/.test(id));
+  if (invalidId) {
+    return { isValid: false, error: `"${invalidId}" is not a customer ID` };
+  }
+
+  if (allowedMetafield && !/^[\w-]+\.[\w-]+$/.test(allowedMetafield)) {
+    return { isValid: false, error: "Metafield must be written as namespace.key" };
+  }
+
+  const limits = [
+    [maxDeltaPerRequest, "Max quantity change", 1, 100000],
+    [customerRateLimit, "Requests per customer", 1, 10000],
+    [ipRateLimit, "Requests per IP", 1, 10000],
+    [searchRateLimit, "Searches per customer and IP", 1, 10000],
+    [rateLimitWindowSeconds, "Rate limit window", 1, 86400],
+  ];
+
+  for (const [value, label, min, max] of limits) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { isValid: false, error: `${label} must be between ${min} and ${max}` };
+    }
+  }
+
+  return { isValid: true };
+}
+
+/**
+ * Create or update the proxy access settings of a shop
+ *
+ * @param {string} shop - Shop domain
+ * @param {Object} settings - Validated settings
+ * @returns {Promise<Object>} Saved settings
+ */
+export async function saveProxySettings(shop, settings) {
+  const data = {
+    allowedCustomerIds: [...new Set(settings.allowedCustomerIds.map(id => toGid("Customer", id)))],
+    allowedCustomerTag: settings.allowedCustomerTag || null,
+    allowedMetafield: settings.allowedMetafield || null,
+    maxDeltaPerRequest: settings.maxDeltaPerRequest,
+    customerRateLimit: settings.customerRateLimit,
+    ipRateLimit: settings.ipRateLimit,
+    searchRateLimit: settings.searchRateLimit,
+    rateLimitWindowSeconds: settings.rateLimitWindowSeconds,
+  };
+
+  return prisma.proxySettings.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+}
+
+/**
+ * Get the IP address of the storefront visitor behind a proxied request
+ *
+ * Entries at the start of X-Forwarded-For are whatever the client sent, so
+ * the address is counted from the right, past the proxies in front of the
+ * app: TRUSTED_PROXY_HOPS, default 2. Shopify's app proxy appends the
+ * shopper's address and the hosting edge then appends Shopify's, so the
+ * shopper is the second entry from the right.
+ *
+ * @param {Request} request - App proxy request
+ * @returns {string|null} Client IP, or null if the request carries no usable one
+ */
+export function getClientIp(request) {
+  const hops = (request.headers.get("x-forwarded-for") || "")
+    .split(",")
+    .map(hop => hop.trim())
+    .filter(Boolean);
+
+  const ip = hops[hops.length - trustedProxyHops()];
+  return ip && isIP(ip) ? ip : null;
+}
+
+/**
+ * Count a request against a fixed-window rate limit
+ *
+ * @param {Object} limit
+ * @param {string} limit.shop - Shop domain
+ * @param {string} limit.key - Counter key (shop, scope and subject)
+ * @param {number} limit.max - Requests allowed per window
+ * @param {number} limit.windowSeconds - Window length
+ * @returns {Promise<Object>} Result with allowed, count and retryAfterSeconds
+ */
+export async function consumeRateLimit({ shop, key, max, windowSeconds }) {
+  const windowMs = windowSeconds * 1000;
+  const now = Date.now();
+  const windowStart = new Date(Math.floor(now / windowMs) * windowMs);
+
+  const [{ count }] = await prisma.$queryRaw`
+    INSERT INTO "ProxyRateLimit" ("key", "windowStart", "shop", "count")
+    VALUES (${key}, ${windowStart}, ${shop}, 1)
+    ON CONFLICT ("key", "windowStart") DO UPDATE
+    SET "count" = "ProxyRateLimit"."count" + 1
+    RETURNING "count"
+  `;
+
+  if (count === 1) {
+    // First request of a new window: earlier windows of this key are spent
+    await prisma.proxyRateLimit.deleteMany({
+      where: { key, windowStart: { lt: windowStart } },
+    });
+  }
+
+  return {
+    allowed: count <= max,
+    count,
+    retryAfterSeconds: Math.ceil((windowStart.getTime() + windowMs - now) / 1000),
+  };
+}
+
+/**
+ * Check whether a customer may update stock through the proxy
+ * Allowed when listed by ID, tagged with the configured tag, or when the
+ * configured metafield is "true". Nothing configured allows nobody.
+ *
+ * @param {Object} admin - Shopify Admin API client
+ * @param {Object} settings - From getProxySettings
+ * @param {string} customerId - Customer GID
+ * @returns {Promise<boolean>} Whether the customer is allowed
+ */
+export async function isCustomerAllowed(admin, settings, customerId) {
+  if (settings.allowedCustomerIds.includes(customerId)) {
+    return true;
+  }
+
+  if (!settings.allowedCustomerTag && !settings.allowedMetafield) {
+    return false;
+  }
+
+  const [namespace, key] = (settings.allowedMetafield || ".").split(".");
+
+  const response = await admin.graphql(`#graphql
+    query GetProxyCustomerAccess($id: ID!, $withMetafield: Boolean!, $namespace: String!, $key: String!) {
+      customer(id: $id) {
+        tags
+        metafield(namespace: $namespace, key: $key) @include(if: $withMetafield) {
+          value
+        }
+      }
+    }
+  `, {
+    variables: {
+      id: customerId,
+      withMetafield: Boolean(settings.allowedMetafield),
+      namespace: namespace || "",
+      key: key || "",
+    },
+  });
+  const data = await response.json();
+
+  if (data.errors) {
+    throw new Error(data.errors[0].message);
+  }
+
+  const customer = data.data.customer;
+  if (!customer) {
+    return false;
+  }
+
+  const tag = settings.allowedCustomerTag?.toLowerCase();
+  if (tag && customer.tags.some(t => t.toLowerCase() === tag)) {
+    return true;
+  }
+
+  return customer.metafield?.value === "true";
+}
+
+/**
+ * Log a rejected proxy request
+ * A failure here is logged rather than masking the rejection.
+ *
+ * @param {Object} rejection
+ * @returns {Promise<void>}
+ */
+async function recordProxyRejection({ shop, kind, reason, customerId, ip, productId, quantityChange, userAgent }) {
+  try {
+    await prisma.proxyRejection.create({
+      data: {
+        shop,
+        kind,
+        reason,
+        customerId: customerId || null,
+        ip: ip || null,
+        productId: productId ? String(productId) : null,
+        quantityChange: Number.isInteger(quantityChange) ? quantityChange : null,
+        userAgent: userAgent ? userAgent.slice(0, 500) : null,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Failed to record proxy rejection:", error);
+  }
+}
+
+/**
+ * Authorize a stock change or variant search requested through the
+ * storefront proxy
+ *
+ * Checks, in order: the per-IP rate limit when the request has a client
+ * IP (so anonymous floods are counted too), a logged-in customer, the per-customer rate limit, the
+ * allow-list and the delta cap. Searches are counted separately, against
+ * searchRateLimit for both the IP and the customer.
+ *
+ * @param {Object} context
+ * @param {Object} context.admin - Shopify Admin API client
+ * @param {string} context.shop - Shop domain
+ * @param {Request} context.request - App proxy request (already signature-checked)
+ * @param {Object} attempt - What the caller asked for, for the log
+ * @param {string} [attempt.productId]
+ * @param {number} [attempt.quantityChange]
+ * @param {Object} [options]
+ * @param {string} [options.kind] - One of PROXY_REQUEST_KINDS (default update)
+ * @returns {Promise<Object>} The allowed customer's GID as customerId
+ * @throws {ProxyAccessError} When the request is rejected
+ */
+export async function authorizeProxyRequest(
+  { admin, shop, request },
+  { productId, quantityChange } = {},
+  { kind = PROXY_REQUEST_KINDS.UPDATE } = {}
+) {
+  const settings = await getProxySettings(shop);
+  const loggedInCustomerId = new URL(request.url).searchParams.get("logged_in_customer_id");
+  const customerId = loggedInCustomerId ? toGid("Customer", loggedInCustomerId) : null;
+  const ip = getClientIp(request);
+  const delta = parseInt(quantityChange);
+  const isSearch = kind === PROXY_REQUEST_KINDS.SEARCH;
+  const keySuffix = isSearch ? ":search" : "";
+
+  const reject = async (reason, details) => {
+    await recordProxyRejection({
+      shop,
+      kind,
+      reason,
+      customerId,
+      ip,
+      productId,
+      quantityChange: delta,
+      userAgent: request.headers.get("user-agent"),
+    });
+    console.warn(`🚫 Rejected proxy ${kind} from ${customerId || "guest"} (${ip || "unknown IP"}): ${reason}`);
+    throw new ProxyAccessError(reason, details);
+  };
+
+  // Without a usable IP only the per-customer limit applies: one shared
+  // bucket would let a single noisy client lock out every guest
+  if (ip) {
+    const ipLimit = await consumeRateLimit({
+      shop,
+      key: `${shop}:ip:${ip}${keySuffix}`,
+      max: isSearch ? settings.searchRateLimit : settings.ipRateLimit,
+      windowSeconds: settings.rateLimitWindowSeconds,
+    });
+    if (!ipLimit.allowed) {
+      await reject(PROXY_REJECTION_REASONS.IP_RATE_LIMITED, { retryAfterSeconds: ipLimit.retryAfterSeconds });
+    }
+  }
+
+  if (!customerId) {
+    await reject(PROXY_REJECTION_REASONS.LOGIN_REQUIRED);
+  }
+
+  const customerLimit = await consumeRateLimit({
+    shop,
+    key: `${shop}:customer:${customerId}${keySuffix}`,
+    max: isSearch ? settings.searchRateLimit : settings.customerRateLimit,
+    windowSeconds: settings.rateLimitWindowSeconds,
+  });
+  if (!customerLimit.allowed) {
+    await reject(PROXY_REJECTION_REASONS.CUSTOMER_RATE_LIMITED, { retryAfterSeconds: customerLimit.retryAfterSeconds });
+  }
+
+  if (!await isCustomerAllowed(admin, settings, customerId)) {
+    await reject(PROXY_REJECTION_REASONS.NOT_ALLOWED);
+  }
+
+  if (Number.isInteger(delta) && Math.abs(delta) > settings.maxDeltaPerRequest) {
+    await reject(PROXY_REJECTION_REASONS.DELTA_TOO_LARGE);
+  }
+
+  return { customerId };
+}
+
+/**
+ * Get the most recent rejected proxy requests of a shop, newest first
+ *
+ * @param {Object} options
+ * @param {string} options.shop - Shop domain
+ * @param {string} [options.reason] - Only this reason (one of PROXY_REJECTION_REASONS)
+ * @param {number} [options.limit] - Maximum rejections to return
+ * @returns {Promise<Array<Object>>} Rejections with ISO dates
+ */
+export async function getProxyRejections({ shop, reason, limit = 100 }) {
+  const rejections = await prisma.proxyRejection.findMany({
+    where: {
+      shop,
+      ...(Object.values(PROXY_REJECTION_REASONS).includes(reason) ? { reason } : {}),
+    },
+    orderBy: { createdAt: "desc" },
+    take: Math.min(limit, MAX_REJECTIONS_LIMIT),
+  });
+
+  return rejections.map(rejection => ({
+    ...rejection,
+    createdAt: rejection.createdAt.toISOString(),
+  }));
+}
+
+/**
+ * Number of proxies in front of the app that append to X-Forwarded-For,
+ * Shopify's app proxy included
+ *
+ * @returns {number} Trusted proxy hops (at least 1)
+ */
+function trustedProxyHops() {
+  // eslint-disable-next-line no-undef
+  const hops = parseInt(process.env.TRUSTED_PROXY_HOPS);
+  return Number.isInteger(hops) && hops > 0 ? hops : DEFAULT_TRUSTED_PROXY_HOPS;
+}
@@ -0,0 +1,181 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { getRows, resetDatabase } from "../db.server";
+import {
+  PROXY_REJECTION_REASONS,
+  PROXY_REQUEST_KINDS,
+  authorizeProxyRequest,
+  consumeRateLimit,
+  getClientIp,
+} from "./proxy-guard.service";
+
+vi.mock("../db.server");
+
+const SHOP = "shop-a.myshopify.com";
+const ALLOWED_CUSTOMER = "7";
+const OTHER_CUSTOMER = "8";
+const SHOPIFY_PROXY = "23.227.38.1";
+
+const SETTINGS = {
+  shop: SHOP,
+  allowedCustomerIds: [`gid://shopify/Customer/${ALLOWED_CUSTOMER}`],
+  allowedCustomerTag: null,
+  allowedMetafield: null,
+  maxDeltaPerRequest: 5,
+  customerRateLimit: 2,
+  ipRateLimit: 3,
+  searchRateLimit: 10,
+  rateLimitWindowSeconds: 60,
+};
+
+// X-Forwarded-For as it reaches the app: whatever the client sent, the
+// shopper's address added by Shopify's app proxy, then Shopify's own
+// address added by the hosting edge
+const proxiedRequest = ({ customerId, shopperIp = "203.0.113.7" } = {}) => new Request(
+  `https://app.example.com/api/proxy${customerId ? `?logged_in_customer_id=${customerId}` : ""}`,
+  { headers: shopperIp ? { "x-forwarded-for": `1.2.3.4, ${shopperIp}, ${SHOPIFY_PROXY}` } : {} }
+);
+
+const authorize = (request, attempt = {}, options) =>
+  authorizeProxyRequest({ admin: null, shop: SHOP, request }, attempt, options);
+
+const rejectionOf = (promise) => promise.then(
+  () => null,
+  error => error.reason
+);
+
+describe("getClientIp", () => {
+  afterEach(() => vi.unstubAllEnvs());
+
+  it("uses the address Shopify's app proxy added, not the one the client sent", () => {
+    expect(getClientIp(proxiedRequest())).toBe("203.0.113.7");
+  });
+
+  it("skips the extra proxies counted by TRUSTED_PROXY_HOPS", () => {
+    vi.stubEnv("TRUSTED_PROXY_HOPS", "3");
+
+    expect(getClientIp(new Request("https://app.example.com/", {
+      headers: { "x-forwarded-for": `1.2.3.4, 203.0.113.7, ${SHOPIFY_PROXY}, 10.0.0.5` },
+    }))).toBe("203.0.113.7");
+  });
+
+  it("returns null when there is no usable address", () => {
+    expect(getClientIp(proxiedRequest({ shopperIp: null }))).toBeNull();
+    expect(getClientIp(new Request("https://app.example.com/", {
+      headers: { "x-forwarded-for": `not-an-ip, ${SHOPIFY_PROXY}` },
+    }))).toBeNull();
+    expect(getClientIp(new Request("https://app.example.com/", {
+      headers: { "x-forwarded-for": SHOPIFY_PROXY },
+    }))).toBeNull();
+  });
+});
+
+describe("consumeRateLimit", () => {
+  beforeEach(() => {
+    resetDatabase({ proxyRateLimit: [] });
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(new Date(Date.UTC(2026, 9, 1, 12, 0, 15)));
+  });
+
+  afterEach(() => vi.useRealTimers());
+
+  const consume = () => consumeRateLimit({ shop: SHOP, key: "k", max: 2, windowSeconds: 60 });
+
+  it("allows up to max requests per fixed window", async () => {
+    expect(await consume()).toEqual({ allowed: true, count: 1, retryAfterSeconds: 45 });
+    expect(await consume()).toMatchObject({ allowed: true, count: 2 });
+    expect(await consume()).toMatchObject({ allowed: false, count: 3, retryAfterSeconds: 45 });
+  });
+
+  it("starts counting again in the next window and drops the spent one", async () => {
+    await consume();
+    await consume();
+    await consume();
+
+    vi.setSystemTime(new Date(Date.UTC(2026, 9, 1, 12, 1, 0)));
+
+    expect(await consume()).toMatchObject({ allowed: true, count: 1, retryAfterSeconds: 60 });
+    expect(getRows("proxyRateLimit").map(row => row.windowStart)).toEqual([
+      new Date(Date.UTC(2026, 9, 1, 12, 1)),
+    ]);
+  });
+});
+
+describe("authorizeProxyRequest", () => {
+  beforeEach(() => resetDatabase({ proxySettings: [SETTINGS], proxyRateLimit: [], proxyRejection: [] }));
+
+  it("allows a listed customer within the limits and the delta cap", async () => {
+    const result = await authorize(proxiedRequest({ customerId: ALLOWED_CUSTOMER }), { quantityChange: 5 });
+
+    expect(result).toEqual({ customerId: `gid://shopify/Customer/${ALLOWED_CUSTOMER}` });
+  });
+
+  it("counts the IP limit first, so anonymous floods are limited before the login check", async () => {
+    const reasons = [];
+    for (let i = 0; i < 4; i++) {
+      reasons.push(await rejectionOf(authorize(proxiedRequest())));
+    }
+
+    expect(reasons).toEqual([
+      PROXY_REJECTION_REASONS.LOGIN_REQUIRED,
+      PROXY_REJECTION_REASONS.LOGIN_REQUIRED,
+      PROXY_REJECTION_REASONS.LOGIN_REQUIRED,
+      PROXY_REJECTION_REASONS.IP_RATE_LIMITED,
+    ]);
+    expect(getRows("proxyRejection").at(-1)).toMatchObject({ reason: PROXY_REJECTION_REASONS.IP_RATE_LIMITED, ip: "203.0.113.7" });
+  });
+
+  it("keeps separate IP buckets per shopper behind the same Shopify proxy", async () => {
+    for (let i = 0; i < 3; i++) {
+      await rejectionOf(authorize(proxiedRequest({ shopperIp: "203.0.113.7" })));
+    }
+
+    expect(await rejectionOf(authorize(proxiedRequest({ shopperIp: "198.51.100.9" }))))
+      .toBe(PROXY_REJECTION_REASONS.LOGIN_REQUIRED);
+  });
+
+  it("skips the IP limit for requests without a usable IP", async () => {
+    for (let i = 0; i < 5; i++) {
+      expect(await rejectionOf(authorize(proxiedRequest({ shopperIp: null }))))
+        .toBe(PROXY_REJECTION_REASONS.LOGIN_REQUIRED);
+    }
+    expect(getRows("proxyRateLimit")).toEqual([]);
+  });
+
+  it("limits each customer across IPs", async () => {
+    const reasons = [];
+    for (const shopperIp of ["203.0.113.1", "203.0.113.2", "203.0.113.3"]) {
+      reasons.push(await rejectionOf(authorize(proxiedRequest({ customerId: ALLOWED_CUSTOMER, shopperIp }))));
+    }
+
+    expect(reasons).toEqual([null, null, PROXY_REJECTION_REASONS.CUSTOMER_RATE_LIMITED]);
+  });
+
+  it("counts searches against their own limit", async () => {
+    for (let i = 0; i < 2; i++) {
+      await authorize(proxiedRequest({ customerId: ALLOWED_CUSTOMER }));
+    }
+
+    const result = await authorize(proxiedRequest({ customerId: ALLOWED_CUSTOMER }), {}, { kind: PROXY_REQUEST_KINDS.SEARCH });
+    expect(result.customerId).toBe(`gid://shopify/Customer/${ALLOWED_CUSTOMER}`);
+  });
+
+  it("rejects customers who are not on the allow-list", async () => {
+    expect(await rejectionOf(authorize(proxiedRequest({ customerId: OTHER_CUSTOMER }), { quantityChange: 1 })))
+      .toBe(PROXY_REJECTION_REASONS.NOT_ALLOWED);
+  });
+
+  it("rejects changes above the per-request delta cap", async () => {
+    expect(await rejectionOf(authorize(proxiedRequest({ customerId: ALLOWED_CUSTOMER }), { quantityChange: -6 })))
+      .toBe(PROXY_REJECTION_REASONS.DELTA_TOO_LARGE);
+  });
+
+  it("checks the customer limit before the allow-list, and the allow-list before the delta cap", async () => {
+    expect(await rejectionOf(authorize(proxiedRequest({ customerId: OTHER_CUSTOMER }), { quantityChange: 50 })))
+      .toBe(PROXY_REJECTION_REASONS.NOT_ALLOWED);
+
+    await rejectionOf(authorize(proxiedRequest({ customerId: OTHER_CUSTOMER })));
+
+    expect(await rejectionOf(authorize(proxiedRequest({ customerId: OTHER_CUSTOMER }), { quantityChange: 50 })))
+      .toBe(PROXY_REJECTION_REASONS.CUSTOMER_RATE_LIMITED);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Shop Data Service
+ *
+ * Lifecycle of the data stored per shop after the app is uninstalled.
+ * Webhook events, PIM/ERP deliveries, inventory state and stock history are
+ * kept for a retention period (so a quick reinstall loses nothing) and then
+ * purged.
+ *
+ * Retention is configured with SHOP_DATA_RETENTION_DAYS (default 30, 0
+ * purges as soon as the worker picks the job up).
+ */
+
+import prisma from "../db.server";
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Get the configured retention period after uninstall
+ *
+ * @returns {number} Retention in days
+ */
+function getShopDataRetentionDays() {
+  // eslint-disable-next-line no-undef
+  const days = parseInt(process.env.SHOP_DATA_RETENTION_DAYS);
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Get when a shop's data should be purged
+ *
+ * @param {Date} uninstalledAt - When the app was uninstalled
+ * @returns {Date} Purge time
+ */
+export function getShopDataPurgeDate(uninstalledAt) {
+  return new Date(uninstalledAt.getTime() + getShopDataRetentionDays() * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Delete everything stored for a shop
+ * Skipped when the shop has reinstalled the app since the purge was scheduled.
+ *
+ * @param {string} shop - Shop domain
+ * @param {Object} [options]
+ * @param {string} [options.keepJobId] - Job to keep (the purge job itself)
+ * @returns {Promise<Object>} Deleted row counts, or { skipped: true }
+ */
+export async function purgeShopData(shop, { keepJobId } = {}) {
+  const sessions = await prisma.session.count({ where: { shop } });
+  if (sessions > 0) {
+    console.log(`⏭️ Not purging ${shop}: the app was reinstalled`);
+    return { skipped: true };
+  }
+
+  const [adjustments, lowStockAlerts, lowStockThresholds, lowStockSettings, proxyRejections, proxyRateLimits, proxySettings, pimDeliveries, webhookEvents, inventoryLevels, inventorySnapshots, pimEndpoints, jobs] = await prisma.$transaction([
+    prisma.inventoryAdjustment.deleteMany({ where: { shop } }),
+    prisma.lowStockAlert.deleteMany({ where: { shop } }),
+    prisma.lowStockThreshold.deleteMany({ where: { shop } }),
+    prisma.lowStockSettings.deleteMany({ where: { shop } }),
+    prisma.proxyRejection.deleteMany({ where: { shop } }),
+    prisma.proxyRateLimit.deleteMany({ where: { shop } }),
+    prisma.proxySettings.deleteMany({ where: { shop } }),
+    prisma.pimOutbox.deleteMany({ where: { shop } }),
+    prisma.webhookEvent.deleteMany({ where: { shop } }),
+    prisma.inventoryLevelState.deleteMany({ where: { shop } }),
+    prisma.inventorySnapshot.deleteMany({ where: { shop } }),
+    prisma.pimEndpoint.deleteMany({ where: { shop } }),
+    prisma.job.deleteMany({
+      where: { shop, ...(keepJobId ? { id: { not: keepJobId } } : {}) },
+    }),
+  ]);
+
+  const counts = {
+    adjustments: adjustments.count,
+    lowStockAlerts: lowStockAlerts.count,
+    lowStockThresholds: lowStockThresholds.count,
+    lowStockSettings: lowStockSettings.count,
+    proxyRejections: proxyRejections.count,
+    proxyRateLimits: proxyRateLimits.count,
+    proxySettings: proxySettings.count,
+    pimDeliveries: pimDeliveries.count,
+    webhookEvents: webhookEvents.count,
+    inventoryLevels: inventoryLevels.count,
+    inventorySnapshots: inventorySnapshots.count,
+    pimEndpoints: pimEndpoints.count,
+    jobs: jobs.count,
+  };
+
+  console.log(`🧹 Purged data for ${shop}:`, counts);
+
+  return counts;
+}
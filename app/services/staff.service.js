@@ -0,0 +1,31 @@
+/**
+ * Staff Service
+ *
+ * Identifies the staff member behind an authenticated admin request, for
+ * audit records (replays, adjustments, ...).
+ */
+
+/**
+ * Get the staff member from an authenticate.admin() context
+ * Online sessions carry the associated user; with offline sessions the
+ * user ID still comes from the session token's `sub` claim.
+ *
+ * @param {Object} context - Result of authenticate.admin(request)
+ * @param {Object} context.session - Shopify session
+ * @param {Object} [context.sessionToken] - Decoded session token (embedded apps)
+ * @returns {Object} Staff member with userId (string or null) and display name
+ */
+export function getStaffMember({ session, sessionToken }) {
+  const user = session?.onlineAccessInfo?.associated_user;
+
+  if (user) {
+    const name = [user.first_name, user.last_name].filter(Boolean).join(" ");
+    return { userId: String(user.id), name: name || user.email || `Staff ${user.id}` };
+  }
+
+  if (sessionToken?.sub) {
+    return { userId: String(sessionToken.sub), name: `Staff ${sessionToken.sub}` };
+  }
+
+  return { userId: null, name: "Unknown staff member" };
+}
@@ -1,107 +1,513 @@
 /**
  * Webhook Logger Service
  *
- * Logs webhook events to PostgreSQL database to emulate PIM/ERP system notifications.
- * In production, this would be replaced with actual API calls to external systems.
+ * Logs webhook events to PostgreSQL database and queues the matching
+ * PIM/ERP notification in the outbox (see pim-delivery.service.js).
  */
 
-import { PrismaClient } from '@prisma/client';
+import { randomUUID } from 'node:crypto';
+import prisma from '../db.server';
+import { PIM_STATUS } from './pim-delivery.service';
+import { correlateWebhookEvent } from './inventory-audit.service';
 
-const prisma = new PrismaClient();
+// pimStatus of events that are recorded but never forwarded
+const SKIPPED_PIM_STATUS = 'skipped';
 
 /**
  * Log inventory webhook event to database
- * Emulates sending notification to PIM/ERP system
+ * The PIM/ERP notification is queued in the same transaction, so an event
+ * is never recorded without its outbound delivery (or vice versa).
+ *
+ * Shopify retries deliveries and may deliver them out of order:
+ * - A repeat of an already logged X-Shopify-Webhook-Id is dropped; the
+ *   original event's duplicateCount is bumped for auditing.
+ * - An event whose updated_at is older than the last known state of its
+ *   (inventoryItemId, locationId) is recorded with a skipReason but is
+ *   never forwarded to the PIM/ERP.
+ *
+ * An event caused by a stock change made through the app is linked to
+ * its InventoryAdjustment (see inventory-audit.service.js).
  *
  * @param {Object} event - Webhook event data
  * @param {string} event.shop - Shop domain
  * @param {string} event.topic - Webhook topic
  * @param {Object} event.payload - Webhook payload
  * @param {string} event.receivedAt - ISO timestamp
+ * @param {string} [event.webhookId] - X-Shopify-Webhook-Id header value
+ * @returns {Promise<Object>} Result with eventId, deliveryId (null when skipped), adjustmentId and skipReason
  */
 export async function logInventoryWebhook(event) {
   const timestamp = new Date();
+  const webhookId = event.webhookId || null;
+  const inventoryItemId = String(event.payload.inventory_item_id || '');
+  const locationId = String(event.payload.location_id || '');
+  const sourceUpdatedAt = event.payload.updated_at ? new Date(event.payload.updated_at) : null;
 
   try {
-    const webhookEvent = await prisma.webhookEvent.create({
-      data: {
-        timestamp,
-        topic: event.topic,
+    return await prisma.$transaction(async (tx) => {
+      if (webhookId) {
+        const duplicate = await recordDuplicate(tx, webhookId);
+        if (duplicate) {
+          return duplicate;
+        }
+      }
+
+      const eventId = randomUUID();
+      let skipReason = null;
+
+      if (sourceUpdatedAt && inventoryItemId && locationId) {
+        // Compare-and-set on the last known state: only advances when this
+        // event is at least as new as what was already forwarded.
+        const advanced = await tx.$queryRaw`
+          INSERT INTO "InventoryLevelState" ("shop", "inventoryItemId", "locationId", "available", "sourceUpdatedAt", "webhookEventId", "updatedAt")
+          VALUES (${event.shop}, ${inventoryItemId}, ${locationId}, ${event.payload.available ?? null}, ${sourceUpdatedAt}, ${eventId}, ${timestamp})
+          ON CONFLICT ("shop", "inventoryItemId", "locationId") DO UPDATE
+          SET "available" = EXCLUDED."available",
+              "sourceUpdatedAt" = EXCLUDED."sourceUpdatedAt",
+              "webhookEventId" = EXCLUDED."webhookEventId",
+              "updatedAt" = EXCLUDED."updatedAt"
+          WHERE "InventoryLevelState"."sourceUpdatedAt" <= EXCLUDED."sourceUpdatedAt"
+          RETURNING "webhookEventId"
+        `;
+
+        if (advanced.length === 0) {
+          const state = await tx.inventoryLevelState.findUnique({
+            where: { shop_inventoryItemId_locationId: { shop: event.shop, inventoryItemId, locationId } },
+          });
+          skipReason = `stale: updated_at ${sourceUpdatedAt.toISOString()} is older than ` +
+            `${state.sourceUpdatedAt.toISOString()} (event ${state.webhookEventId})`;
+        }
+      }
+
+      const webhookEvent = await tx.webhookEvent.create({
+        data: {
+          id: eventId,
+          timestamp,
+          topic: event.topic,
+          shop: event.shop,
+          inventoryItemId,
+          locationId,
+          // Null when Shopify sent none (e.g. untracked items): not a stock-out
+          available: event.payload.available ?? null,
+          pimStatus: skipReason ? SKIPPED_PIM_STATUS : PIM_STATUS.PENDING,
+          payload: event.payload,
+          webhookId,
+          sourceUpdatedAt,
+          skipReason,
+          ...(skipReason ? {} : {
+            pimDeliveries: {
+              create: {
+                shop: event.shop,
+                status: PIM_STATUS.PENDING,
+                payload: buildPimPayload(event),
+              },
+            },
+          }),
+        },
+        include: {
+          pimDeliveries: { select: { id: true } },
+        },
+      });
+
+      // Tie the event to the app adjustment that caused it, if any
+      const adjustmentId = await correlateWebhookEvent(tx, {
+        id: eventId,
         shop: event.shop,
-        inventoryItemId: String(event.payload.inventory_item_id || ''),
-        locationId: String(event.payload.location_id || ''),
-        available: event.payload.available || 0,
-        pimStatus: 'sent',
-        payload: event.payload,
-      },
-    });
+        inventoryItemId,
+        locationId,
+        available: event.payload.available ?? null,
+        changedAt: sourceUpdatedAt || new Date(event.receivedAt || timestamp),
+      });
 
-    console.log(`✅ Logged inventory webhook to database: ${webhookEvent.id}`);
-    return { success: true, eventId: webhookEvent.id };
+      if (skipReason) {
+        console.log(`⏭️ Skipped inventory webhook ${webhookEvent.id}: ${skipReason}`);
+      } else {
+        console.log(`✅ Logged inventory webhook to database: ${webhookEvent.id}`);
+      }
+
+      return {
+        success: true,
+        eventId: webhookEvent.id,
+        deliveryId: webhookEvent.pimDeliveries[0]?.id || null,
+        adjustmentId,
+        skipReason,
+      };
+    });
   } catch (error) {
+    // Two concurrent deliveries of the same webhook: the loser hits the
+    // unique constraint on webhookId
+    if (webhookId && error.code === 'P2002') {
+      return recordDuplicate(prisma, webhookId);
+    }
+
     console.error('❌ Failed to write webhook log:', error);
     throw error;
   }
 }
 
+/**
+ * Bump the duplicate counter of an already logged webhook delivery
+ *
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} webhookId - X-Shopify-Webhook-Id
+ * @returns {Promise<Object|null>} Skipped result, or null if the webhook is new
+ */
+async function recordDuplicate(client, webhookId) {
+  const { count } = await client.webhookEvent.updateMany({
+    where: { webhookId },
+    data: {
+      duplicateCount: { increment: 1 },
+      lastDuplicateAt: new Date(),
+    },
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  const original = await client.webhookEvent.findUnique({
+    where: { webhookId },
+    select: { id: true },
+  });
+
+  console.log(`⏭️ Dropped duplicate webhook delivery ${webhookId} (event ${original.id})`);
+  return {
+    success: true,
+    eventId: original.id,
+    deliveryId: null,
+    skipReason: 'duplicate',
+  };
+}
+
+/**
+ * Build the JSON body sent to the PIM/ERP for an inventory webhook
+ *
+ * @param {Object} event - Webhook event data
+ * @returns {Object} PIM payload
+ */
+export function buildPimPayload(event) {
+  return {
+    shop: event.shop,
+    inventoryItemId: event.payload.inventory_item_id,
+    locationId: event.payload.location_id,
+    newQuantity: event.payload.available,
+    updatedAt: event.payload.updated_at,
+    source: 'shopify_webhook',
+  };
+}
+
+// Page size limits for the event explorer
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Transform a WebhookEvent row (with its latest PIM delivery) to the
+ * shape used by the webhook logs page
+ *
+ * @param {Object} event - WebhookEvent row including pimDeliveries
+ * @returns {Object} Log entry
+ */
+function toWebhookLogEntry(event) {
+  const delivery = event.pimDeliveries[0];
+
+  return {
+    id: event.id,
+    timestamp: event.timestamp.toISOString(),
+    shop: event.shop,
+    topic: event.topic,
+    receivedAt: event.timestamp.toISOString(),
+    webhookId: event.webhookId,
+    skipReason: event.skipReason,
+    duplicateCount: event.duplicateCount,
+    inventoryChange: {
+      inventoryItemId: event.inventoryItemId,
+      locationId: event.locationId,
+      available: event.available,
+      updatedAt: event.createdAt.toISOString(),
+    },
+    pimNotification: {
+      status: event.pimStatus,
+      attempts: delivery?.attempts || 0,
+      lastError: delivery?.lastError || null,
+      nextAttemptAt: delivery?.nextAttemptAt?.toISOString() || null,
+      sentAt: delivery?.deliveredAt?.toISOString() || null,
+    },
+  };
+}
+
+/**
+ * Guard for read queries: every read is scoped to the authenticated shop,
+ * so a missing shop is a bug rather than "all shops"
+ */
+function requireShop(shop) {
+  if (!shop) {
+    throw new Error('A shop is required to read webhook events');
+  }
+  return shop;
+}
+
 /**
  * Get recent webhook events from database
  *
+ * @param {string} shop - Shop domain to read events for
  * @param {number} limit - Number of recent events to retrieve
  * @returns {Promise<Array>} Recent webhook events
  */
-export async function getRecentWebhookEvents(limit = 50) {
+export async function getRecentWebhookEvents(shop, limit = 50) {
+  requireShop(shop);
+
   try {
     const events = await prisma.webhookEvent.findMany({
+      where: { shop },
       take: limit,
       orderBy: {
         timestamp: 'desc',
       },
+      include: {
+        pimDeliveries: {
+          orderBy: { createdAt: 'desc' },
+          take: 1,
+        },
+      },
     });
 
-    // Transform to match the old format for backward compatibility
-    return events.map(event => ({
-      timestamp: event.timestamp.toISOString(),
-      shop: event.shop,
-      topic: event.topic,
-      receivedAt: event.timestamp.toISOString(),
-      inventoryChange: {
-        inventoryItemId: event.inventoryItemId,
-        locationId: event.locationId,
-        available: event.available,
-        updatedAt: event.createdAt.toISOString(),
-      },
-      pimNotification: {
-        status: event.pimStatus,
-        endpoint: 'https://pim.example.com/api/inventory/sync',
-        method: 'POST',
-        sentAt: event.timestamp.toISOString(),
-      },
-    }));
+    return events.map(toWebhookLogEntry);
   } catch (error) {
     console.error('Error reading webhook logs:', error);
     return [];
   }
 }
 
+/**
+ * Parse event explorer filters from URL search params
+ * Unknown or malformed values are ignored rather than rejected, so a
+ * shared link never breaks the page.
+ *
+ * @param {URLSearchParams} searchParams - Request search params
+ * @returns {Object} Filters for findWebhookEvents
+ */
+export function parseWebhookEventFilters(searchParams) {
+  const text = (name) => searchParams.get(name)?.trim() || undefined;
+  const date = (name, endOfDay) => {
+    const value = text(name);
+    if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return undefined;
+    const parsed = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+    return isNaN(parsed.getTime()) ? undefined : parsed;
+  };
+
+  return {
+    topic: text('topic'),
+    inventoryItemId: text('inventoryItemId'),
+    locationId: text('locationId'),
+    pimStatus: text('pimStatus'),
+    from: date('from', false),
+    to: date('to', true),
+  };
+}
+
+/**
+ * Encode a pagination cursor from an event's sort key (timestamp, id)
+ */
+function encodeCursor(event) {
+  return `${event.timestamp.getTime()}_${event.id}`;
+}
+
+/**
+ * Decode a pagination cursor; returns null for malformed cursors
+ */
+function decodeCursor(cursor) {
+  const match = /^(\d+)_(.+)$/.exec(cursor);
+  return match ? { timestamp: new Date(Number(match[1])), id: match[2] } : null;
+}
+
+/**
+ * Find webhook events with filters and cursor-based pagination
+ * Events are ordered newest first by (timestamp, id); every filter maps
+ * onto a WebhookEvent index.
+ *
+ * @param {Object} options
+ * @param {string} options.shop - Shop domain to read events for
+ * @param {Object} [options.filters] - Filters from parseWebhookEventFilters
+ * @param {string} [options.after] - Cursor: return the page of older events after it
+ * @param {string} [options.before] - Cursor: return the page of newer events before it
+ * @param {number} [options.limit] - Page size
+ * @returns {Promise<Object>} { events, pageInfo: { hasNextPage, hasPreviousPage, startCursor, endCursor } }
+ */
+export async function findWebhookEvents({ shop, filters = {}, after, before, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const take = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const where = {
+    shop: requireShop(shop),
+    ...(filters.topic ? { topic: filters.topic } : {}),
+    ...(filters.inventoryItemId ? { inventoryItemId: filters.inventoryItemId } : {}),
+    ...(filters.locationId ? { locationId: filters.locationId } : {}),
+    ...(filters.pimStatus ? { pimStatus: filters.pimStatus } : {}),
+    ...(filters.from || filters.to ? {
+      timestamp: {
+        ...(filters.from ? { gte: filters.from } : {}),
+        ...(filters.to ? { lte: filters.to } : {}),
+      },
+    } : {}),
+  };
+
+  const cursor = decodeCursor(after || before || '');
+  const backwards = Boolean(before && cursor);
+
+  if (cursor) {
+    const op = backwards ? 'gt' : 'lt';
+    where.AND = [{
+      OR: [
+        { timestamp: { [op]: cursor.timestamp } },
+        { timestamp: cursor.timestamp, id: { [op]: cursor.id } },
+      ],
+    }];
+  }
+
+  const direction = backwards ? 'asc' : 'desc';
+
+  // Fetch one extra row to know whether another page exists
+  const rows = await prisma.webhookEvent.findMany({
+    where,
+    orderBy: [{ timestamp: direction }, { id: direction }],
+    take: take + 1,
+    include: {
+      pimDeliveries: {
+        orderBy: { createdAt: 'desc' },
+        take: 1,
+      },
+    },
+  });
+
+  const hasMore = rows.length > take;
+  const page = rows.slice(0, take);
+  if (backwards) {
+    page.reverse();
+  }
+
+  return {
+    events: page.map(toWebhookLogEntry),
+    pageInfo: {
+      hasNextPage: backwards ? true : hasMore,
+      hasPreviousPage: backwards ? hasMore : Boolean(cursor),
+      startCursor: page.length > 0 ? encodeCursor(page[0]) : null,
+      endCursor: page.length > 0 ? encodeCursor(page[page.length - 1]) : null,
+    },
+  };
+}
+
+/**
+ * Get a single webhook event with its raw payload and full delivery history
+ *
+ * @param {string} id - WebhookEvent ID
+ * @param {string} shop - Shop domain the event must belong to
+ * @returns {Promise<Object|null>} Event detail or null if not found
+ */
+export async function getWebhookEventDetail(id, shop) {
+  const event = await prisma.webhookEvent.findFirst({
+    where: { id, shop: requireShop(shop) },
+    include: {
+      pimDeliveries: {
+        orderBy: { createdAt: 'desc' },
+      },
+      adjustments: true,
+    },
+  });
+
+  if (!event) {
+    return null;
+  }
+
+  return {
+    ...toWebhookLogEntry(event),
+    sourceUpdatedAt: event.sourceUpdatedAt?.toISOString() || null,
+    lastDuplicateAt: event.lastDuplicateAt?.toISOString() || null,
+    payload: event.payload,
+    deliveries: event.pimDeliveries.map(delivery => ({
+      id: delivery.id,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      lastError: delivery.lastError,
+      lastStatusCode: delivery.lastStatusCode,
+      payload: delivery.payload,
+      createdAt: delivery.createdAt.toISOString(),
+      updatedAt: delivery.updatedAt.toISOString(),
+      nextAttemptAt: delivery.nextAttemptAt?.toISOString() || null,
+      deliveredAt: delivery.deliveredAt?.toISOString() || null,
+      replayedBy: delivery.replayedBy,
+    })),
+    adjustments: event.adjustments.map(adjustment => ({
+      id: adjustment.id,
+      actorName: adjustment.actorName,
+      actorId: adjustment.actorId,
+      sourceChannel: adjustment.sourceChannel,
+      reason: adjustment.reason,
+      oldQuantity: adjustment.oldQuantity,
+      newQuantity: adjustment.newQuantity,
+      delta: adjustment.delta,
+      createdAt: adjustment.createdAt.toISOString(),
+    })),
+  };
+}
+
+/**
+ * Find the inventory level changes recorded after a point in time, for
+ * refreshing views of the given inventory items
+ * Stale (skipped) events are left out: they never changed the known state.
+ * So are events without an available quantity, which say nothing about it.
+ *
+ * @param {Object} options
+ * @param {string} options.shop - Shop domain
+ * @param {Date} options.since - Only events recorded after this
+ * @param {Array<string>} options.inventoryItemIds - Numeric inventory item IDs, as in webhook payloads
+ * @returns {Promise<Array<Object>>} { inventoryItemId, locationId, available, recordedAt }, oldest first
+ */
+export async function findInventoryLevelUpdatesSince({ shop, since, inventoryItemIds }) {
+  if (inventoryItemIds.length === 0) {
+    return [];
+  }
+
+  const events = await prisma.webhookEvent.findMany({
+    where: {
+      shop: requireShop(shop),
+      topic: 'inventory_levels/update',
+      timestamp: { gt: since },
+      inventoryItemId: { in: inventoryItemIds },
+      skipReason: null,
+      available: { not: null },
+    },
+    orderBy: { timestamp: 'asc' },
+    select: { inventoryItemId: true, locationId: true, available: true, timestamp: true },
+  });
+
+  return events.map(event => ({
+    inventoryItemId: event.inventoryItemId,
+    locationId: event.locationId,
+    available: event.available,
+    recordedAt: event.timestamp.toISOString(),
+  }));
+}
+
 /**
  * Create summary report of webhook events
  *
+ * @param {string} shop - Shop domain to summarize
  * @param {Date} startDate - Start date for report
  * @param {Date} endDate - End date for report
  * @returns {Promise<Object>} Summary statistics
  */
-export async function createWebhookSummary(startDate, endDate) {
+export async function createWebhookSummary(shop, startDate, endDate) {
+  requireShop(shop);
+
   try {
     const events = await prisma.webhookEvent.findMany({
       where: {
+        shop,
         timestamp: {
           gte: startDate,
           lte: endDate,
         },
       },
       select: {
-        shop: true,
         inventoryItemId: true,
         locationId: true,
       },
@@ -109,9 +515,8 @@ export async function createWebhookSummary(startDate, endDate) {
 
     const summary = {
       totalEvents: events.length,
-      uniqueShops: new Set(events.map(e => e.shop)).size,
       uniqueItems: new Set(events.map(e => e.inventoryItemId)).size,
-      byShop: {},
+      uniqueLocations: new Set(events.map(e => e.locationId)).size,
       byLocation: {},
       dateRange: {
         start: startDate.toISOString(),
@@ -119,11 +524,6 @@ export async function createWebhookSummary(startDate, endDate) {
       },
     };
 
-    // Count by shop
-    events.forEach(e => {
-      summary.byShop[e.shop] = (summary.byShop[e.shop] || 0) + 1;
-    });
-
     // Count by location
     events.forEach(e => {
       const locId = e.locationId;
@@ -135,9 +535,8 @@ export async function createWebhookSummary(startDate, endDate) {
     console.error('Error creating webhook summary:', error);
     return {
       totalEvents: 0,
-      uniqueShops: 0,
       uniqueItems: 0,
-      byShop: {},
+      uniqueLocations: 0,
       byLocation: {},
       dateRange: {
         start: startDate.toISOString(),
@@ -146,30 +545,3 @@ export async function createWebhookSummary(startDate, endDate) {
     };
   }
 }
-
-/**
- * Emulate sending webhook data to external PIM/ERP system
- *
- * @param {Object} inventoryData - Inventory change data
- * @returns {Promise<Object>} Mock response from PIM/ERP
- */
-export async function notifyExternalPIM(inventoryData) {
-  await new Promise(resolve => setTimeout(resolve, 100));
-
-  // Log the notification
-  console.log('Sending to PIM/ERP:', {
-    endpoint: 'https://pim.example.com/api/inventory/sync',
-    method: 'POST',
-    data: inventoryData,
-  });
-
-  return {
-    success: true,
-    pimResponse: {
-      id: `pim-${Date.now()}`,
-      status: 'received',
-      message: 'Inventory sync queued in PIM',
-      timestamp: new Date().toISOString(),
-    },
-  };
-}
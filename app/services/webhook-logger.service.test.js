@@ -0,0 +1,164 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { getRows, resetDatabase } from "../db.server";
+import {
+  createWebhookSummary,
+  findInventoryLevelUpdatesSince,
+  findWebhookEvents,
+  getRecentWebhookEvents,
+  getWebhookEventDetail,
+  logInventoryWebhook,
+} from "./webhook-logger.service";
+
+vi.mock("../db.server");
+
+const SHOP_A = "shop-a.myshopify.com";
+const SHOP_B = "shop-b.myshopify.com";
+
+const buildEvent = (shop, index, overrides = {}) => {
+  const timestamp = new Date(Date.UTC(2026, 9, 1, 12, index));
+  return {
+    id: `${shop}-event-${index}`,
+    timestamp,
+    createdAt: timestamp,
+    topic: "inventory_levels/update",
+    shop,
+    // Both shops use the same item and location IDs on purpose
+    inventoryItemId: "111",
+    locationId: "222",
+    available: index,
+    pimStatus: "delivered",
+    payload: { inventory_item_id: 111, location_id: 222, available: index },
+    webhookId: `${shop}-webhook-${index}`,
+    sourceUpdatedAt: timestamp,
+    skipReason: null,
+    duplicateCount: 0,
+    lastDuplicateAt: null,
+    ...overrides,
+  };
+};
+
+const seed = () => resetDatabase({
+  webhookEvent: [
+    ...[1, 2, 3].map(index => buildEvent(SHOP_A, index)),
+    ...[1, 2, 3, 4].map(index => buildEvent(SHOP_B, index)),
+    buildEvent(SHOP_B, 5, { inventoryItemId: "999", pimStatus: "failed" }),
+  ],
+  pimOutbox: [
+    { id: "delivery-b", shop: SHOP_B, webhookEventId: `${SHOP_B}-event-1`, status: "delivered", attempts: 1, createdAt: new Date() },
+  ],
+  inventoryAdjustment: [
+    { id: "adjustment-b", shop: SHOP_B, webhookEventId: `${SHOP_B}-event-1`, createdAt: new Date() },
+  ],
+});
+
+describe("shop scoping of webhook event reads", () => {
+  beforeEach(seed);
+
+  it("finds only the authenticated shop's events", async () => {
+    const { events } = await findWebhookEvents({ shop: SHOP_A });
+
+    expect(events.map(event => event.id)).toEqual([
+      `${SHOP_A}-event-3`,
+      `${SHOP_A}-event-2`,
+      `${SHOP_A}-event-1`,
+    ]);
+  });
+
+  it("returns nothing for filters that only match another shop", async () => {
+    const byItem = await findWebhookEvents({ shop: SHOP_A, filters: { inventoryItemId: "999" } });
+    const byStatus = await findWebhookEvents({ shop: SHOP_A, filters: { pimStatus: "failed" } });
+
+    expect(byItem.events).toEqual([]);
+    expect(byStatus.events).toEqual([]);
+  });
+
+  it("keeps paging within the shop when given another shop's cursor", async () => {
+    const other = await findWebhookEvents({ shop: SHOP_B, limit: 1 });
+    const { events } = await findWebhookEvents({ shop: SHOP_A, after: other.pageInfo.endCursor });
+
+    expect(events.every(event => event.shop === SHOP_A)).toBe(true);
+  });
+
+  it("does not return another shop's event detail, deliveries or adjustments", async () => {
+    expect(await getWebhookEventDetail(`${SHOP_B}-event-1`, SHOP_A)).toBeNull();
+
+    const own = await getWebhookEventDetail(`${SHOP_A}-event-1`, SHOP_A);
+    expect(own.shop).toBe(SHOP_A);
+    expect(own.deliveries).toEqual([]);
+    expect(own.adjustments).toEqual([]);
+  });
+
+  it("lists and summarizes only the shop's events", async () => {
+    const recent = await getRecentWebhookEvents(SHOP_A);
+    const summary = await createWebhookSummary(SHOP_A, new Date(Date.UTC(2026, 9, 1)), new Date(Date.UTC(2026, 9, 2)));
+
+    expect(recent.map(event => event.shop)).toEqual([SHOP_A, SHOP_A, SHOP_A]);
+    expect(summary.totalEvents).toBe(3);
+    expect(summary.uniqueItems).toBe(1);
+  });
+
+  it("reports only the shop's inventory level updates", async () => {
+    const updates = await findInventoryLevelUpdatesSince({
+      shop: SHOP_A,
+      since: new Date(Date.UTC(2026, 9, 1)),
+      inventoryItemIds: ["111", "999"],
+    });
+
+    expect(updates.map(update => update.available)).toEqual([1, 2, 3]);
+  });
+});
+
+describe("requireShop", () => {
+  beforeEach(seed);
+
+  it("rejects reads without a shop instead of reading every shop", async () => {
+    await expect(findWebhookEvents({})).rejects.toThrow("A shop is required");
+    await expect(getWebhookEventDetail(`${SHOP_B}-event-1`, undefined)).rejects.toThrow("A shop is required");
+    await expect(getRecentWebhookEvents(undefined)).rejects.toThrow("A shop is required");
+    await expect(createWebhookSummary(null, new Date(0), new Date())).rejects.toThrow("A shop is required");
+    await expect(findInventoryLevelUpdatesSince({
+      shop: "",
+      since: new Date(0),
+      inventoryItemIds: ["111"],
+    })).rejects.toThrow("A shop is required");
+  });
+});
+
+describe("logInventoryWebhook", () => {
+  beforeEach(() => {
+    resetDatabase({ webhookEvent: [], pimOutbox: [], inventoryAdjustment: [] });
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => vi.restoreAllMocks());
+
+  it("stores a missing available quantity as unknown, not zero", async () => {
+    await logInventoryWebhook({
+      shop: SHOP_A,
+      topic: "inventory_levels/update",
+      payload: { inventory_item_id: 111, location_id: 222, available: null },
+      receivedAt: new Date().toISOString(),
+      webhookId: "webhook-null",
+    });
+
+    expect(getRows("webhookEvent")[0].available).toBeNull();
+    expect(getRows("pimOutbox")).toHaveLength(1);
+  });
+
+  it("leaves events without an available quantity out of level updates", async () => {
+    resetDatabase({
+      webhookEvent: [
+        buildEvent(SHOP_A, 1),
+        buildEvent(SHOP_A, 2, { available: null }),
+      ],
+    });
+
+    const updates = await findInventoryLevelUpdatesSince({
+      shop: SHOP_A,
+      since: new Date(Date.UTC(2026, 9, 1)),
+      inventoryItemIds: ["111"],
+    });
+
+    expect(updates.map(update => update.available)).toEqual([1]);
+  });
+});
@@ -0,0 +1,162 @@
+/* eslint-env node */
+/**
+ * Fixture Recorder
+ *
+ * Turns a function run log into a regression fixture under tests/fixtures,
+ * so a production issue can be replayed by `npm test`.
+ *
+ * Usage:
+ *   npm run fixture:record -- <log-file> --name <fixture-name> [options]
+ *
+ * Accepted logs:
+ *   - A function run log entry (.shopify/logs, `shopify app logs --json`, or
+ *     the Partner Dashboard download): JSON or JSON lines with a `payload`
+ *     holding `input` and `output`. With JSON lines the last run is used,
+ *     or the one at --index.
+ *   - The result of `shopify app function run --json`, together with the
+ *     input it was run with (--input <input.json>).
+ *
+ * Options:
+ *   --name <name>        Fixture file name, without .json (required)
+ *   --input <file>       Function input, for `shopify app function run` results
+ *   --index <n>          Which run of a JSON lines log to record (default: last)
+ *   --expect-output <file>  Expected output to record instead of the logged one,
+ *                        e.g. when the fixture captures a bug being fixed
+ *   --force              Overwrite an existing fixture
+ *
+ * Logged inputs contain real customer and company IDs; review the fixture
+ * before committing it.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const DEFAULT_EXPORT = "cart-payment-methods-transform-run";
+const DEFAULT_TARGET = "cart.payment-methods.transform.run";
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "tests", "fixtures");
+
+/**
+ * Parse command line arguments into the log path and options
+ */
+function parseArgs(argv) {
+  const options = { force: false };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--force") {
+      options.force = true;
+    } else if (arg.startsWith("--")) {
+      options[arg.slice(2).replace(/-(\w)/g, (_, c) => c.toUpperCase())] = argv[++i];
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { logFile: positional[0], ...options };
+}
+
+/**
+ * Parse a value that may be JSON-encoded a second time (log streams
+ * serialize payload, input and output as strings)
+ */
+function parseNested(value) {
+  return typeof value === "string" ? JSON.parse(value) : value;
+}
+
+/**
+ * Read the log file as a list of entries (JSON document or JSON lines)
+ */
+function readEntries(file) {
+  const text = fs.readFileSync(file, "utf8").trim();
+
+  try {
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch {
+    return text.split("\n").filter(Boolean).map(line => JSON.parse(line));
+  }
+}
+
+/**
+ * Extract the fixture payload from a log entry
+ */
+function toFixturePayload(entry, { input }) {
+  const payload = parseNested(entry.payload);
+
+  if (payload) {
+    if (!payload.input || payload.output === undefined) {
+      throw new Error("Log payload has no input/output; was input logging enabled for this run?");
+    }
+
+    return {
+      export: payload.export || DEFAULT_EXPORT,
+      target: payload.target || DEFAULT_TARGET,
+      input: parseNested(payload.input),
+      output: parseNested(payload.output),
+    };
+  }
+
+  // `shopify app function run --json` result: the input is not part of it
+  if (entry.output !== undefined) {
+    if (!input) {
+      throw new Error("This looks like a `shopify app function run` result; pass the input with --input <file>");
+    }
+
+    return {
+      export: DEFAULT_EXPORT,
+      target: DEFAULT_TARGET,
+      input: JSON.parse(fs.readFileSync(input, "utf8")),
+      output: parseNested(entry.output),
+    };
+  }
+
+  throw new Error("Unrecognized log format: expected a `payload` or an `output`");
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.logFile || !options.name) {
+    console.error("Usage: npm run fixture:record -- <log-file> --name <fixture-name> [--input <file>] [--index <n>] [--expect-output <file>] [--force]");
+    process.exitCode = 1;
+    return;
+  }
+
+  const entries = readEntries(options.logFile)
+    .filter(entry => entry.payload || entry.output !== undefined);
+
+  if (entries.length === 0) {
+    throw new Error(`No function runs found in ${options.logFile}`);
+  }
+
+  const index = options.index === undefined ? entries.length - 1 : Number(options.index);
+  if (!entries[index]) {
+    throw new Error(`No run at index ${options.index} (found ${entries.length})`);
+  }
+
+  const payload = toFixturePayload(entries[index], options);
+
+  if (options.expectOutput) {
+    payload.output = JSON.parse(fs.readFileSync(options.expectOutput, "utf8"));
+  }
+
+  const fixtureFile = path.join(fixturesDir, `${options.name.replace(/\.json$/, "")}.json`);
+
+  if (fs.existsSync(fixtureFile) && !options.force) {
+    throw new Error(`${path.relative(process.cwd(), fixtureFile)} already exists; use --force to overwrite`);
+  }
+
+  fs.writeFileSync(fixtureFile, `${JSON.stringify({ payload }, null, 2)}\n`);
+
+  console.log(`Recorded ${path.relative(process.cwd(), fixtureFile)} (${payload.output.operations?.length ?? 0} operations)`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -1,4 +1,4 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi, afterEach } from 'vitest';
 import { cartPaymentMethodsTransformRun } from './cart_payment_methods_transform_run';
 
 /**
@@ -16,4 +16,210 @@ describe('payment customization function', () => {
 
     expect(result).toEqual(expected);
   });
-});
\ No newline at end of file
+
+  describe('with configuration', () => {
+    const ccHidden = { operations: [{ paymentMethodHide: { paymentMethodId: 'gid://shopify/PaymentCustomizationPaymentMethod/1' } }] };
+
+    const buildInput = ({ configuration = null, weight = 10, weightUnit = 'POUNDS', deliveryTitle = 'FedEx Home Delivery®', paymentName = 'Credit Card' } = {}) => ({
+      paymentCustomization: {
+        metafield: configuration ? { jsonValue: configuration } : null,
+      },
+      paymentMethods: [
+        { id: 'gid://shopify/PaymentCustomizationPaymentMethod/1', name: paymentName },
+      ],
+      cart: {
+        buyerIdentity: {
+          customer: { id: 'gid://shopify/Customer/1', ccPilotEligible: { value: 'true' } },
+          purchasingCompany: null,
+        },
+        lines: [{
+          id: 'gid://shopify/CartLine/1',
+          quantity: 1,
+          merchandise: {
+            __typename: 'ProductVariant',
+            id: 'gid://shopify/ProductVariant/1',
+            weight,
+            weightUnit,
+            product: { id: 'gid://shopify/Product/1', isParcelEligible: null, requiresLtl: null },
+          },
+        }],
+        deliveryGroups: [{
+          cartLines: [{ id: 'gid://shopify/CartLine/1' }],
+          selectedDeliveryOption: { handle: 'fedex-home', title: deliveryTitle, deliveryMethodType: 'SHIPPING' },
+        }],
+      },
+    });
+
+    it('uses the default rules without a metafield', () => {
+      expect(cartPaymentMethodsTransformRun(buildInput())).toEqual({ operations: [] });
+      expect(cartPaymentMethodsTransformRun(buildInput({ weight: 151 }))).toEqual(ccHidden);
+    });
+
+    it('applies the configured weight threshold and unit', () => {
+      const configuration = { weightThreshold: 50, weightUnit: 'KILOGRAMS' };
+
+      // 50 kg is about 110 lbs
+      expect(cartPaymentMethodsTransformRun(buildInput({ configuration, weight: 100 }))).toEqual({ operations: [] });
+      expect(cartPaymentMethodsTransformRun(buildInput({ configuration, weight: 120 }))).toEqual(ccHidden);
+    });
+
+    it('normalizes variant weights to the threshold unit', () => {
+      // 70 kg is about 154 lbs, 2,000 g about 4.4 lbs
+      expect(cartPaymentMethodsTransformRun(buildInput({ weight: 70, weightUnit: 'KILOGRAMS' }))).toEqual(ccHidden);
+      expect(cartPaymentMethodsTransformRun(buildInput({ weight: 2000, weightUnit: 'GRAMS' }))).toEqual({ operations: [] });
+    });
+
+    it('matches allowed delivery methods on title or handle', () => {
+      const byTitle = { allowedDeliveryMethods: ['ground'] };
+      expect(cartPaymentMethodsTransformRun(buildInput({ configuration: byTitle }))).toEqual(ccHidden);
+      expect(cartPaymentMethodsTransformRun(buildInput({ configuration: byTitle, deliveryTitle: 'FedEx Ground' }))).toEqual({ operations: [] });
+
+      const byHandle = { allowedDeliveryMethods: ['fedex-home'] };
+      expect(cartPaymentMethodsTransformRun(buildInput({ configuration: byHandle, deliveryTitle: 'Anything' }))).toEqual({ operations: [] });
+    });
+
+    it('matches gateways on the configured patterns', () => {
+      const configuration = { gatewayPatterns: ['adyen'] };
+
+      expect(cartPaymentMethodsTransformRun(buildInput({ configuration, weight: 151 }))).toEqual({ operations: [] });
+      expect(cartPaymentMethodsTransformRun(buildInput({ configuration, weight: 151, paymentName: 'Adyen Cards' }))).toEqual(ccHidden);
+    });
+
+    it('skips disabled rules', () => {
+      const configuration = { rules: { parcelWeight: false } };
+
+      expect(cartPaymentMethodsTransformRun(buildInput({ configuration, weight: 500 }))).toEqual({ operations: [] });
+    });
+  });
+
+  describe('decision log', () => {
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    const input = {
+      paymentCustomization: { metafield: null },
+      paymentMethods: [{ id: 'gid://shopify/PaymentCustomizationPaymentMethod/1', name: 'Credit Card' }],
+      cart: { buyerIdentity: { customer: null, purchasingCompany: null }, lines: [], deliveryGroups: [] },
+    };
+
+    it('logs one compact decision record', () => {
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      cartPaymentMethodsTransformRun(input);
+
+      expect(log).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(log.mock.calls[0][0])).toEqual({
+        decision: 'hide',
+        paymentMethodIds: ['gid://shopify/PaymentCustomizationPaymentMethod/1'],
+        rule: 'customerPilot',
+        reason: 'no_customer',
+        affectedPaymentMethodIds: ['gid://shopify/PaymentCustomizationPaymentMethod/1'],
+      });
+    });
+
+    it('records only the methods hidden when the rule hides the first one', () => {
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      cartPaymentMethodsTransformRun({
+        ...input,
+        paymentCustomization: { metafield: { jsonValue: { operations: { customerPilot: { hide: 'first' } } } } },
+        paymentMethods: [
+          { id: 'gid://shopify/PaymentCustomizationPaymentMethod/1', name: 'Credit Card' },
+          { id: 'gid://shopify/PaymentCustomizationPaymentMethod/2', name: 'Stripe' },
+        ],
+      });
+
+      expect(JSON.parse(log.mock.calls[0][0])).toMatchObject({
+        decision: 'hide',
+        paymentMethodIds: [
+          'gid://shopify/PaymentCustomizationPaymentMethod/1',
+          'gid://shopify/PaymentCustomizationPaymentMethod/2',
+        ],
+        affectedPaymentMethodIds: ['gid://shopify/PaymentCustomizationPaymentMethod/1'],
+      });
+    });
+
+    it('adds the checks and input with verbose logging', () => {
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      cartPaymentMethodsTransformRun({
+        ...input,
+        paymentCustomization: { metafield: { jsonValue: { verboseLogging: true } } },
+      });
+
+      expect(log).toHaveBeenCalledTimes(1);
+      const record = JSON.parse(log.mock.calls[0][0]);
+      expect(record.checks).toEqual([{ rule: 'customerPilot', passed: false, reason: 'no_customer' }]);
+      expect(record.input.paymentMethods).toHaveLength(1);
+    });
+  });
+
+  describe('operations', () => {
+    const CC_1 = 'gid://shopify/PaymentCustomizationPaymentMethod/1';
+    const CC_2 = 'gid://shopify/PaymentCustomizationPaymentMethod/2';
+
+    const buildInput = ({ operations, ccPilotEligible = 'true', purchasingCompany = null } = {}) => ({
+      paymentCustomization: {
+        metafield: operations ? { jsonValue: { operations } } : null,
+      },
+      paymentMethods: [
+        { id: 'gid://shopify/PaymentCustomizationPaymentMethod/0', name: 'Bank Deposit' },
+        { id: CC_1, name: 'Credit Card' },
+        { id: CC_2, name: 'Stripe' },
+      ],
+      cart: {
+        buyerIdentity: {
+          customer: { id: 'gid://shopify/Customer/1', ccPilotEligible: { value: ccPilotEligible } },
+          purchasingCompany,
+        },
+        lines: [],
+        deliveryGroups: [],
+      },
+    });
+
+    const b2bIneligible = {
+      company: { id: 'gid://shopify/Company/1', name: 'Acme' },
+      location: { id: 'gid://shopify/CompanyLocation/1', name: 'Warehouse', ccLocationEligible: { value: 'false' } },
+    };
+
+    it('hides every credit card gateway for ineligible B2B buyers', () => {
+      expect(cartPaymentMethodsTransformRun(buildInput({ purchasingCompany: b2bIneligible }))).toEqual({
+        operations: [
+          { paymentMethodHide: { paymentMethodId: CC_1 } },
+          { paymentMethodHide: { paymentMethodId: CC_2 } },
+        ],
+      });
+    });
+
+    it('hides only the first gateway when the rule is configured so', () => {
+      const operations = { companyLocation: { hide: 'first' } };
+
+      expect(cartPaymentMethodsTransformRun(buildInput({ operations, purchasingCompany: b2bIneligible }))).toEqual({
+        operations: [{ paymentMethodHide: { paymentMethodId: CC_1 } }],
+      });
+    });
+
+    it('moves and renames credit card for pilot customers', () => {
+      const operations = { customerPilot: { moveToIndex: 0, rename: 'Credit Card (Pilot)' } };
+
+      expect(cartPaymentMethodsTransformRun(buildInput({ operations }))).toEqual({
+        operations: [
+          { paymentMethodMove: { paymentMethodId: CC_1, index: 0 } },
+          { paymentMethodRename: { paymentMethodId: CC_1, name: 'Credit Card (Pilot)' } },
+        ],
+      });
+    });
+
+    it('does not move or rename a hidden method', () => {
+      const operations = { customerPilot: { moveToIndex: 0, rename: 'Credit Card (Pilot)' } };
+
+      expect(cartPaymentMethodsTransformRun(buildInput({ operations, ccPilotEligible: 'false' }))).toEqual({
+        operations: [
+          { paymentMethodHide: { paymentMethodId: CC_1 } },
+          { paymentMethodHide: { paymentMethodId: CC_2 } },
+        ],
+      });
+    });
+  });
+});
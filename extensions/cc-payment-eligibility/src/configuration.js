@@ -0,0 +1,154 @@
+// @ts-check
+
+import { WEIGHT_UNITS, isWeightUnit } from "./weight";
+
+/**
+ * Eligibility rules stored as JSON in the payment customization's
+ * `$app:cc-payment-eligibility.function-configuration` metafield.
+ *
+ * @typedef {object} Configuration
+ * @property {number} weightThreshold - Heaviest parcel-eligible shipment, in weightUnit
+ * @property {string} weightUnit - One of WEIGHT_UNITS
+ * @property {string[]} allowedDeliveryMethods - Delivery option handles/titles (substring, case-insensitive) that allow CC
+ * @property {string[]} gatewayPatterns - Payment method names (substring, case-insensitive) treated as credit card
+ * @property {string[]} gatewayExcludePatterns - Payment method names never treated as credit card
+ * @property {Record<string, boolean>} rules - Per-rule enable flags, keyed by RULES
+ * @property {Record<string, RuleOperations>} operations - Per-rule checkout operations, keyed by RULES
+ * @property {boolean} verboseLogging - Log every rule evaluated and the full input, not only the decision
+ *
+ * @typedef {object} RuleOperations
+ * @property {string} hide - When the rule fails: hide "all" credit card methods or only the "first"
+ * @property {number|null} moveToIndex - When CC is shown and the rule passed: move the credit card method to this position
+ * @property {string|null} rename - When CC is shown and the rule passed: rename the credit card method
+ */
+
+export const RULES = {
+  CUSTOMER_PILOT: "customerPilot",
+  COMPANY_LOCATION: "companyLocation",
+  PARCEL_WEIGHT: "parcelWeight",
+  DELIVERY_METHOD: "deliveryMethod",
+};
+
+export const HIDE_SCOPES = {
+  ALL: "all",
+  FIRST: "first",
+};
+
+/** @type {RuleOperations} */
+const DEFAULT_RULE_OPERATIONS = {
+  hide: HIDE_SCOPES.ALL,
+  moveToIndex: null,
+  rename: null,
+};
+
+/**
+ * Rules used when the metafield is missing, and for any setting it leaves
+ * out or sets to an invalid value (MVP values: 150 lbs, FedEx Home
+ * Delivery / Express Saver, test and Stripe gateways)
+ * @type {Configuration}
+ */
+export const DEFAULT_CONFIGURATION = {
+  weightThreshold: 150,
+  weightUnit: WEIGHT_UNITS.POUNDS,
+  allowedDeliveryMethods: ["home delivery", "express saver"],
+  gatewayPatterns: ["credit", "bogus", "stripe"],
+  gatewayExcludePatterns: ["gift"],
+  rules: {
+    [RULES.CUSTOMER_PILOT]: true,
+    [RULES.COMPANY_LOCATION]: true,
+    [RULES.PARCEL_WEIGHT]: true,
+    [RULES.DELIVERY_METHOD]: true,
+  },
+  operations: {
+    [RULES.CUSTOMER_PILOT]: DEFAULT_RULE_OPERATIONS,
+    [RULES.COMPANY_LOCATION]: DEFAULT_RULE_OPERATIONS,
+    [RULES.PARCEL_WEIGHT]: DEFAULT_RULE_OPERATIONS,
+    [RULES.DELIVERY_METHOD]: DEFAULT_RULE_OPERATIONS,
+  },
+  verboseLogging: false,
+};
+
+/**
+ * Check for a non-empty list of non-empty strings
+ * @param {unknown} value
+ * @returns {value is string[]}
+ */
+function isPatternList(value) {
+  return Array.isArray(value)
+    && value.length > 0
+    && value.every(item => typeof item === "string" && item.trim() !== "");
+}
+
+/**
+ * Read one rule's operations, keeping the default for each invalid setting
+ * @param {unknown} value
+ * @returns {RuleOperations}
+ */
+function parseRuleOperations(value) {
+  if (!value || typeof value !== "object") {
+    return DEFAULT_RULE_OPERATIONS;
+  }
+
+  const operations = /** @type {Record<string, any>} */ (value);
+
+  return {
+    hide: Object.values(HIDE_SCOPES).includes(operations.hide) ? operations.hide : DEFAULT_RULE_OPERATIONS.hide,
+    moveToIndex: Number.isInteger(operations.moveToIndex) && operations.moveToIndex >= 0
+      ? operations.moveToIndex
+      : DEFAULT_RULE_OPERATIONS.moveToIndex,
+    rename: typeof operations.rename === "string" && operations.rename.trim() !== ""
+      ? operations.rename.trim()
+      : DEFAULT_RULE_OPERATIONS.rename,
+  };
+}
+
+/**
+ * Read the configuration from the metafield's JSON value
+ * Settings are validated one by one, so a single bad value does not
+ * discard the rest of the configuration.
+ *
+ * @param {unknown} jsonValue - Metafield jsonValue (null when not set)
+ * @returns {Configuration}
+ */
+export function parseConfiguration(jsonValue) {
+  if (!jsonValue || typeof jsonValue !== "object" || Array.isArray(jsonValue)) {
+    return DEFAULT_CONFIGURATION;
+  }
+
+  const value = /** @type {Record<string, any>} */ (jsonValue);
+  const defaults = DEFAULT_CONFIGURATION;
+
+  const rules = { ...defaults.rules };
+  if (value.rules && typeof value.rules === "object") {
+    for (const rule of Object.values(RULES)) {
+      if (typeof value.rules[rule] === "boolean") {
+        rules[rule] = value.rules[rule];
+      }
+    }
+  }
+
+  const operations = Object.fromEntries(
+    Object.values(RULES).map(rule => [rule, parseRuleOperations(value.operations?.[rule])])
+  );
+
+  return {
+    weightThreshold: typeof value.weightThreshold === "number" && value.weightThreshold > 0
+      ? value.weightThreshold
+      : defaults.weightThreshold,
+    weightUnit: isWeightUnit(value.weightUnit) ? value.weightUnit : defaults.weightUnit,
+    allowedDeliveryMethods: isPatternList(value.allowedDeliveryMethods)
+      ? value.allowedDeliveryMethods.map(method => method.trim().toLowerCase())
+      : defaults.allowedDeliveryMethods,
+    gatewayPatterns: isPatternList(value.gatewayPatterns)
+      ? value.gatewayPatterns.map(pattern => pattern.trim().toLowerCase())
+      : defaults.gatewayPatterns,
+    // An empty list is valid here: exclude nothing
+    gatewayExcludePatterns: Array.isArray(value.gatewayExcludePatterns)
+      && value.gatewayExcludePatterns.every(item => typeof item === "string")
+      ? value.gatewayExcludePatterns.filter(Boolean).map(pattern => pattern.trim().toLowerCase())
+      : defaults.gatewayExcludePatterns,
+    rules,
+    operations,
+    verboseLogging: typeof value.verboseLogging === "boolean" ? value.verboseLogging : defaults.verboseLogging,
+  };
+}
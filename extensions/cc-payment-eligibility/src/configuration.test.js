@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_CONFIGURATION, parseConfiguration } from './configuration';
+
+describe('parseConfiguration', () => {
+  it('falls back to the defaults without a metafield', () => {
+    expect(parseConfiguration(null)).toEqual(DEFAULT_CONFIGURATION);
+    expect(parseConfiguration(undefined)).toEqual(DEFAULT_CONFIGURATION);
+    expect(parseConfiguration([])).toEqual(DEFAULT_CONFIGURATION);
+  });
+
+  it('reads every setting', () => {
+    const configuration = parseConfiguration({
+      weightThreshold: 70,
+      weightUnit: 'KILOGRAMS',
+      allowedDeliveryMethods: ['Ground'],
+      gatewayPatterns: [' Adyen '],
+      gatewayExcludePatterns: [],
+      rules: { deliveryMethod: false },
+      operations: { customerPilot: { hide: 'first', moveToIndex: 0, rename: ' Credit Card (Pilot) ' } },
+      verboseLogging: true,
+    });
+
+    expect(configuration).toEqual({
+      weightThreshold: 70,
+      weightUnit: 'KILOGRAMS',
+      allowedDeliveryMethods: ['ground'],
+      gatewayPatterns: ['adyen'],
+      gatewayExcludePatterns: [],
+      rules: {
+        customerPilot: true,
+        companyLocation: true,
+        parcelWeight: true,
+        deliveryMethod: false,
+      },
+      operations: {
+        customerPilot: { hide: 'first', moveToIndex: 0, rename: 'Credit Card (Pilot)' },
+        companyLocation: DEFAULT_CONFIGURATION.operations.companyLocation,
+        parcelWeight: DEFAULT_CONFIGURATION.operations.parcelWeight,
+        deliveryMethod: DEFAULT_CONFIGURATION.operations.deliveryMethod,
+      },
+      verboseLogging: true,
+    });
+  });
+
+  it('keeps the default for each invalid setting', () => {
+    const configuration = parseConfiguration({
+      weightThreshold: -1,
+      weightUnit: 'STONES',
+      allowedDeliveryMethods: [],
+      gatewayPatterns: 'stripe',
+      gatewayExcludePatterns: [1],
+      rules: { customerPilot: 'no', unknownRule: false },
+      operations: { customerPilot: { hide: 'some', moveToIndex: -1, rename: '' }, parcelWeight: 'hide' },
+      verboseLogging: 'yes',
+    });
+
+    expect(configuration).toEqual(DEFAULT_CONFIGURATION);
+  });
+});
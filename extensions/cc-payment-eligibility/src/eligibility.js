@@ -0,0 +1,331 @@
+// @ts-check
+
+import { RULES } from "./configuration";
+import { toPounds } from "./weight";
+
+/**
+ * @typedef {import("../generated/api").CartPaymentMethodsTransformRunInput} CartPaymentMethodsTransformRunInput
+ * @typedef {import("./configuration").Configuration} Configuration
+ *
+ * @typedef {object} CheckResult
+ * @property {boolean} passed
+ * @property {string} reason - Machine-readable reason code
+ * @property {Record<string, unknown>} [values] - Input values the check evaluated
+ *
+ * @typedef {object} RuleResult
+ * @property {string} rule - One of RULES
+ * @property {boolean} passed
+ * @property {string} reason
+ * @property {Record<string, unknown>} [values]
+ *
+ * @typedef {object} Decision
+ * @property {"show"|"hide"|"none"} decision - "none" when no credit card method is offered
+ * @property {string[]} paymentMethodIds - Credit card payment methods the decision applies to, in checkout order
+ * @property {string|null} rule - Rule that hid credit card, if any
+ * @property {string} reason - Reason code of the deciding rule
+ * @property {Record<string, unknown>} [values] - Values the deciding rule evaluated
+ * @property {RuleResult[]} checks - Every rule evaluated, in order
+ */
+
+/**
+ * Find the Credit Card payment methods among the available payment methods
+ * @param {Array} paymentMethods
+ * @param {Configuration} configuration
+ * @returns {Array<object>}
+ */
+function findCreditCardPaymentMethods(paymentMethods, configuration) {
+  if (!paymentMethods) return [];
+
+  return paymentMethods.filter(method => {
+    if (!method.name) return false;
+
+    const nameLower = method.name.toLowerCase();
+
+    // Match credit card gateways but exclude e.g. gift cards
+    if (configuration.gatewayExcludePatterns.some(pattern => nameLower.includes(pattern))) {
+      return false;
+    }
+
+    return configuration.gatewayPatterns.some(pattern => nameLower.includes(pattern));
+  });
+}
+
+/**
+ * Check if a customer is eligible for credit card payment
+ * Based on US-1 AC2 and FR-1 1.2.2:
+ * - Customer must be in CC pilot (cc_pilot_eligible = true)
+ *
+ * @param {object|null} customer
+ * @returns {CheckResult}
+ */
+function checkCustomer(customer) {
+  if (!customer) {
+    return { passed: false, reason: "no_customer" };
+  }
+
+  const ccPilotEligible = customer.ccPilotEligible?.value ?? null;
+
+  // FR-1 1.2.2: Check pilot eligibility (must be explicitly set to "true")
+  if (ccPilotEligible !== "true") {
+    return { passed: false, reason: "customer_not_pilot", values: { customerId: customer.id, ccPilotEligible } };
+  }
+
+  return { passed: true, reason: "customer_pilot", values: { customerId: customer.id } };
+}
+
+/**
+ * Check if the B2B company location is eligible for credit card payment
+ * Based on US-1 AC2 and FR-1 1.2.3:
+ * - Location must be flagged as CC eligible (cc_location_eligible = true)
+ * - This check only applies to B2B customers with purchasingCompany
+ * - B2C customers (no purchasingCompany) pass this check automatically
+ *
+ * @param {object|null} purchasingCompany
+ * @returns {CheckResult}
+ */
+function checkCompanyLocation(purchasingCompany) {
+  // B2C customers (no purchasingCompany) are eligible - this check only applies to B2B
+  if (!purchasingCompany) {
+    return { passed: true, reason: "b2c" };
+  }
+
+  const location = purchasingCompany.location;
+  if (!location) {
+    return { passed: false, reason: "no_company_location", values: { companyId: purchasingCompany.company?.id } };
+  }
+
+  const ccLocationEligible = location.ccLocationEligible?.value ?? null;
+
+  // FR-1 1.2.3: Check location eligibility (must be explicitly set to "true")
+  if (ccLocationEligible !== "true") {
+    return { passed: false, reason: "location_not_eligible", values: { locationId: location.id, ccLocationEligible } };
+  }
+
+  return { passed: true, reason: "location_eligible", values: { locationId: location.id } };
+}
+
+/**
+ * Get the shipments of a cart: the lines of each delivery group, or the
+ * whole cart as one shipment before delivery groups are known
+ *
+ * @param {Array} cartLines
+ * @param {Array} deliveryGroups
+ * @returns {Array<Array>} Cart lines per shipment
+ */
+function getShipments(cartLines, deliveryGroups) {
+  const groups = (deliveryGroups || []).filter(group => group.cartLines?.length > 0);
+
+  if (groups.length === 0) {
+    return [cartLines];
+  }
+
+  return groups.map(group => {
+    const lineIds = new Set(group.cartLines.map(line => line.id));
+    return cartLines.filter(line => lineIds.has(line.id));
+  });
+}
+
+/**
+ * Check if all cart items are parcel-eligible
+ * Based on US-1 and FR-1, evaluated per product in this order:
+ * 1. requires_ltl = true → non-parcel → hide CC (always wins)
+ * 2. is_parcel_eligible = true/false → parcel/non-parcel, weight is not checked
+ * 3. No metafield set, fall back to weight:
+ *    - If product has NO weight set → non-parcel → hide CC
+ *    - If a shipment weighs more than the configured threshold (default
+ *      150 lbs) → non-parcel → hide CC. The carrier limit applies per
+ *      shipment, so line quantities count and weights are normalized from
+ *      the variant's unit.
+ *
+ * @param {Array} cartLines
+ * @param {Array} deliveryGroups
+ * @param {number} thresholdLbs - Shipment weight threshold in pounds
+ * @returns {CheckResult}
+ */
+function checkParcel(cartLines, deliveryGroups, thresholdLbs) {
+  if (!cartLines || cartLines.length === 0) {
+    return { passed: true, reason: "empty_cart" };
+  }
+
+  // Weight of each line that relies on the weight heuristic, in pounds
+  const lineWeightsLbs = new Map();
+
+  for (const line of cartLines) {
+    // Non-product merchandise (e.g., custom products) cannot be classified
+    if (line.merchandise.__typename !== "ProductVariant") {
+      return { passed: false, reason: "non_product_merchandise", values: { lineId: line.id, type: line.merchandise.__typename } };
+    }
+
+    const product = line.merchandise.product;
+    const weight = line.merchandise.weight;
+    const requiresLtl = product.requiresLtl?.value;
+    const isParcelEligible = product.isParcelEligible?.value;
+
+    // Freight-only products can never ship as parcel
+    if (requiresLtl === "true") {
+      return { passed: false, reason: "requires_ltl", values: { productId: product.id } };
+    }
+
+    // An explicit parcel flag overrides the weight heuristic either way
+    if (isParcelEligible === "false") {
+      return { passed: false, reason: "flagged_non_parcel", values: { productId: product.id } };
+    }
+
+    if (isParcelEligible === "true") {
+      continue;
+    }
+
+    // US-1 AC3: If product has no weight (and no parcel flag), it's non-parcel
+    if (weight === null || weight === undefined || weight === 0) {
+      return { passed: false, reason: "missing_weight", values: { productId: product.id } };
+    }
+
+    lineWeightsLbs.set(line.id, toPounds(weight, line.merchandise.weightUnit) * line.quantity);
+  }
+
+  let heaviestShipmentLbs = 0;
+
+  for (const shipment of getShipments(cartLines, deliveryGroups)) {
+    const shipmentWeightLbs = shipment.reduce((total, line) => total + (lineWeightsLbs.get(line.id) || 0), 0);
+
+    if (shipmentWeightLbs > thresholdLbs) {
+      return {
+        passed: false,
+        reason: "shipment_overweight",
+        values: { shipmentWeightLbs: round(shipmentWeightLbs), thresholdLbs: round(thresholdLbs) },
+      };
+    }
+
+    heaviestShipmentLbs = Math.max(heaviestShipmentLbs, shipmentWeightLbs);
+  }
+
+  return {
+    passed: true,
+    reason: "parcel",
+    values: { heaviestShipmentLbs: round(heaviestShipmentLbs), thresholdLbs: round(thresholdLbs) },
+  };
+}
+
+/**
+ * Check if selected shipping method allows credit card payment
+ * Based on US-1 AC5:
+ * - Allow CC only for the configured methods (default: "FedEx Home Delivery®"
+ *   and "FedEx Express Saver®"), matched on title or handle
+ * - Hide CC for all other shipping methods
+ *
+ * @param {Array} deliveryGroups
+ * @param {string[]} allowedMethods - Lowercase title/handle fragments
+ * @returns {CheckResult}
+ */
+function checkDeliveryMethod(deliveryGroups, allowedMethods) {
+  if (!deliveryGroups || deliveryGroups.length === 0) {
+    return { passed: true, reason: "no_delivery_groups" };
+  }
+
+  const selected = [];
+
+  for (const group of deliveryGroups) {
+    const selectedOption = group.selectedDeliveryOption;
+
+    // No shipping method selected yet for this group
+    if (!selectedOption) {
+      continue;
+    }
+
+    const title = selectedOption.title?.toLowerCase() || "";
+    const handle = selectedOption.handle?.toLowerCase() || "";
+
+    // Check if it's an allowed method by checking title and handle
+    const isAllowed = allowedMethods.some(method => title.includes(method) || handle.includes(method));
+
+    if (!isAllowed) {
+      return {
+        passed: false,
+        reason: "delivery_method_not_allowed",
+        values: { title: selectedOption.title, handle: selectedOption.handle },
+      };
+    }
+
+    selected.push(selectedOption.title);
+  }
+
+  return {
+    passed: true,
+    reason: selected.length > 0 ? "delivery_method_allowed" : "no_delivery_method_selected",
+    values: selected.length > 0 ? { titles: selected } : undefined,
+  };
+}
+
+/**
+ * Round a weight for the decision record
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Decide whether credit card payment is shown
+ * Pure: no logging, so the reasons can be unit-tested. Rules run in order
+ * (customer, company location, parcel, delivery method) and the first
+ * failing rule decides.
+ *
+ * @param {CartPaymentMethodsTransformRunInput} input
+ * @param {Configuration} configuration
+ * @returns {Decision}
+ */
+export function evaluateEligibility(input, configuration) {
+  const paymentMethodIds = findCreditCardPaymentMethods(input.paymentMethods, configuration)
+    .map(method => method.id);
+
+  if (paymentMethodIds.length === 0) {
+    return { decision: "none", paymentMethodIds, rule: null, reason: "no_credit_card_method", checks: [] };
+  }
+
+  const cart = input.cart;
+  const thresholdLbs = toPounds(configuration.weightThreshold, configuration.weightUnit);
+
+  /** @type {Array<[string, () => CheckResult]>} */
+  const rules = [
+    // US-1 AC2, FR-1 1.2.2 - pilot eligibility
+    [RULES.CUSTOMER_PILOT, () => checkCustomer(cart?.buyerIdentity?.customer)],
+    // US-1 AC2, FR-1 1.2.3 - selected locations
+    [RULES.COMPANY_LOCATION, () => checkCompanyLocation(cart?.buyerIdentity?.purchasingCompany)],
+    // US-1 AC3, AC4 - parcel eligibility
+    [RULES.PARCEL_WEIGHT, () => checkParcel(cart?.lines || [], cart?.deliveryGroups, thresholdLbs)],
+    // US-1 AC5 - shipping method eligibility
+    [RULES.DELIVERY_METHOD, () => checkDeliveryMethod(cart?.deliveryGroups || [], configuration.allowedDeliveryMethods)],
+  ];
+
+  /** @type {RuleResult[]} */
+  const checks = [];
+
+  for (const [rule, check] of rules) {
+    if (!configuration.rules[rule]) {
+      continue;
+    }
+
+    const result = { rule, ...check() };
+    checks.push(result);
+
+    if (!result.passed) {
+      return {
+        decision: "hide",
+        paymentMethodIds,
+        rule,
+        reason: result.reason,
+        values: result.values,
+        checks,
+      };
+    }
+  }
+
+  return {
+    decision: "show",
+    paymentMethodIds,
+    rule: null,
+    reason: "all_rules_passed",
+    checks,
+  };
+}
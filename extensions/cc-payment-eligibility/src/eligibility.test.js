@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateEligibility } from './eligibility';
+import { DEFAULT_CONFIGURATION, parseConfiguration } from './configuration';
+
+const CC_METHOD_ID = 'gid://shopify/PaymentCustomizationPaymentMethod/1';
+
+const buildInput = ({
+  customer = { id: 'gid://shopify/Customer/1', ccPilotEligible: { value: 'true' } },
+  purchasingCompany = null,
+  lines = [{ weight: 10 }],
+  delivery = { handle: 'fedex-home', title: 'FedEx Home Delivery®' },
+  paymentName = 'Credit Card',
+} = {}) => {
+  const cartLines = lines.map(({ weight, weightUnit = 'POUNDS', quantity = 1, isParcelEligible = null, requiresLtl = null, type = 'ProductVariant' }, index) => ({
+    id: `gid://shopify/CartLine/${index + 1}`,
+    quantity,
+    merchandise: type === 'ProductVariant'
+      ? {
+        __typename: type,
+        id: `gid://shopify/ProductVariant/${index + 1}`,
+        weight,
+        weightUnit,
+        product: {
+          id: `gid://shopify/Product/${index + 1}`,
+          isParcelEligible: isParcelEligible === null ? null : { value: isParcelEligible },
+          requiresLtl: requiresLtl === null ? null : { value: requiresLtl },
+        },
+      }
+      : { __typename: type },
+  }));
+
+  return {
+    paymentMethods: [{ id: CC_METHOD_ID, name: paymentName }],
+    cart: {
+      buyerIdentity: { customer, purchasingCompany },
+      lines: cartLines,
+      deliveryGroups: [{
+        cartLines: cartLines.map(({ id }) => ({ id })),
+        selectedDeliveryOption: delivery && { ...delivery, deliveryMethodType: 'SHIPPING' },
+      }],
+    },
+  };
+};
+
+const decide = (options, configuration) => evaluateEligibility(buildInput(options), parseConfiguration(configuration));
+
+describe('evaluateEligibility', () => {
+  it('shows credit card when every rule passes', () => {
+    const result = decide();
+
+    expect(result.decision).toBe('show');
+    expect(result.reason).toBe('all_rules_passed');
+    expect(result.checks.map(check => check.rule)).toEqual(['customerPilot', 'companyLocation', 'parcelWeight', 'deliveryMethod']);
+  });
+
+  it('makes no decision without a credit card method', () => {
+    const result = decide({ paymentName: 'Gift card' });
+
+    expect(result).toMatchObject({ decision: 'none', paymentMethodIds: [], reason: 'no_credit_card_method' });
+  });
+
+  it('reports the customer rule', () => {
+    expect(decide({ customer: null })).toMatchObject({ decision: 'hide', rule: 'customerPilot', reason: 'no_customer' });
+    expect(decide({ customer: { id: 'gid://shopify/Customer/2', ccPilotEligible: null } })).toMatchObject({
+      rule: 'customerPilot',
+      reason: 'customer_not_pilot',
+      values: { customerId: 'gid://shopify/Customer/2', ccPilotEligible: null },
+    });
+  });
+
+  it('reports the company location rule', () => {
+    const company = { id: 'gid://shopify/Company/1', name: 'Acme' };
+
+    expect(decide({ purchasingCompany: { company, location: null } })).toMatchObject({
+      rule: 'companyLocation',
+      reason: 'no_company_location',
+    });
+    expect(decide({
+      purchasingCompany: { company, location: { id: 'gid://shopify/CompanyLocation/1', ccLocationEligible: { value: 'false' } } },
+    })).toMatchObject({
+      rule: 'companyLocation',
+      reason: 'location_not_eligible',
+      values: { locationId: 'gid://shopify/CompanyLocation/1', ccLocationEligible: 'false' },
+    });
+  });
+
+  it('reports the parcel rule', () => {
+    expect(decide({ lines: [{ type: 'CustomProduct' }] })).toMatchObject({ rule: 'parcelWeight', reason: 'non_product_merchandise' });
+    expect(decide({ lines: [{ weight: 10, requiresLtl: 'true' }] })).toMatchObject({ reason: 'requires_ltl' });
+    expect(decide({ lines: [{ weight: 10, isParcelEligible: 'false' }] })).toMatchObject({ reason: 'flagged_non_parcel' });
+    expect(decide({ lines: [{ weight: null }] })).toMatchObject({ reason: 'missing_weight' });
+    expect(decide({ lines: [{ weight: 40, quantity: 4 }] })).toMatchObject({
+      reason: 'shipment_overweight',
+      values: { shipmentWeightLbs: 160, thresholdLbs: 150 },
+    });
+  });
+
+  it('reports the delivery method rule', () => {
+    expect(decide({ delivery: { handle: 'ground', title: 'FedEx Ground' } })).toMatchObject({
+      rule: 'deliveryMethod',
+      reason: 'delivery_method_not_allowed',
+      values: { title: 'FedEx Ground', handle: 'ground' },
+    });
+    expect(decide({ delivery: null })).toMatchObject({ decision: 'show' });
+  });
+
+  it('skips disabled rules', () => {
+    const result = decide({ customer: null }, { ...DEFAULT_CONFIGURATION, rules: { customerPilot: false } });
+
+    expect(result.decision).toBe('show');
+    expect(result.checks.map(check => check.rule)).not.toContain('customerPilot');
+  });
+});
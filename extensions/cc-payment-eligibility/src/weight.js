@@ -0,0 +1,39 @@
+// @ts-check
+
+/**
+ * Weight units as returned by the Functions API (`WeightUnit` enum)
+ */
+export const WEIGHT_UNITS = {
+  GRAMS: "GRAMS",
+  KILOGRAMS: "KILOGRAMS",
+  OUNCES: "OUNCES",
+  POUNDS: "POUNDS",
+};
+
+// How many pounds one of each unit weighs
+const POUNDS_PER_UNIT = {
+  [WEIGHT_UNITS.GRAMS]: 0.00220462262,
+  [WEIGHT_UNITS.KILOGRAMS]: 2.20462262,
+  [WEIGHT_UNITS.OUNCES]: 0.0625,
+  [WEIGHT_UNITS.POUNDS]: 1,
+};
+
+/**
+ * Check whether a value is a known weight unit
+ * @param {unknown} unit
+ * @returns {boolean}
+ */
+export function isWeightUnit(unit) {
+  return typeof unit === "string" && unit in POUNDS_PER_UNIT;
+}
+
+/**
+ * Convert a weight to pounds
+ * A missing or unknown unit is treated as pounds, as before units were read.
+ * @param {number} weight
+ * @param {string} unit - One of WEIGHT_UNITS
+ * @returns {number}
+ */
+export function toPounds(weight, unit) {
+  return weight * (POUNDS_PER_UNIT[unit] ?? 1);
+}
@@ -0,0 +1,43 @@
+-- CreateTable
+CREATE TABLE "PimEndpoint" (
+    "shop" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "authToken" TEXT,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 8,
+    "timeoutMs" INTEGER NOT NULL DEFAULT 10000,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PimEndpoint_pkey" PRIMARY KEY ("shop")
+);
+
+-- CreateTable
+CREATE TABLE "PimOutbox" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "webhookEventId" TEXT,
+    "payload" JSONB NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "lastStatusCode" INTEGER,
+    "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "deliveredAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PimOutbox_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PimOutbox_status_nextAttemptAt_idx" ON "PimOutbox"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "PimOutbox_shop_idx" ON "PimOutbox"("shop");
+
+-- CreateIndex
+CREATE INDEX "PimOutbox_webhookEventId_idx" ON "PimOutbox"("webhookEventId");
+
+-- AddForeignKey
+ALTER TABLE "PimOutbox" ADD CONSTRAINT "PimOutbox_webhookEventId_fkey" FOREIGN KEY ("webhookEventId") REFERENCES "WebhookEvent"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "WebhookEvent" ADD COLUMN     "duplicateCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lastDuplicateAt" TIMESTAMP(3),
+ADD COLUMN     "skipReason" TEXT,
+ADD COLUMN     "sourceUpdatedAt" TIMESTAMP(3),
+ADD COLUMN     "webhookId" TEXT;
+
+-- CreateTable
+CREATE TABLE "InventoryLevelState" (
+    "shop" TEXT NOT NULL,
+    "inventoryItemId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "available" INTEGER,
+    "sourceUpdatedAt" TIMESTAMP(3) NOT NULL,
+    "webhookEventId" TEXT,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InventoryLevelState_pkey" PRIMARY KEY ("shop","inventoryItemId","locationId")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WebhookEvent_webhookId_key" ON "WebhookEvent"("webhookId");
@@ -0,0 +1,8 @@
+-- CreateIndex
+CREATE INDEX "WebhookEvent_shop_timestamp_idx" ON "WebhookEvent"("shop", "timestamp");
+
+-- CreateIndex
+CREATE INDEX "WebhookEvent_inventoryItemId_locationId_idx" ON "WebhookEvent"("inventoryItemId", "locationId");
+
+-- CreateIndex
+CREATE INDEX "WebhookEvent_pimStatus_idx" ON "WebhookEvent"("pimStatus");
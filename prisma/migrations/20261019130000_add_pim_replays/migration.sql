@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "PimOutbox" ADD COLUMN     "replayedBy" TEXT,
+ADD COLUMN     "replayedByUserId" TEXT;
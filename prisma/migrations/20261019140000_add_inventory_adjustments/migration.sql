@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE "InventoryAdjustment" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "actorType" TEXT NOT NULL,
+    "actorId" TEXT,
+    "actorName" TEXT NOT NULL,
+    "productId" TEXT,
+    "productTitle" TEXT,
+    "variantId" TEXT NOT NULL,
+    "variantTitle" TEXT,
+    "inventoryItemId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "locationName" TEXT,
+    "oldQuantity" INTEGER NOT NULL,
+    "newQuantity" INTEGER NOT NULL,
+    "delta" INTEGER NOT NULL,
+    "reason" TEXT NOT NULL,
+    "sourceChannel" TEXT NOT NULL,
+    "adjustmentGroupId" TEXT,
+    "webhookEventId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InventoryAdjustment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "InventoryAdjustment_shop_createdAt_idx" ON "InventoryAdjustment"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "InventoryAdjustment_shop_inventoryItemId_locationId_idx" ON "InventoryAdjustment"("shop", "inventoryItemId", "locationId");
+
+-- CreateIndex
+CREATE INDEX "InventoryAdjustment_adjustmentGroupId_idx" ON "InventoryAdjustment"("adjustmentGroupId");
+
+-- CreateIndex
+CREATE INDEX "InventoryAdjustment_webhookEventId_idx" ON "InventoryAdjustment"("webhookEventId");
+
+-- AddForeignKey
+ALTER TABLE "InventoryAdjustment" ADD CONSTRAINT "InventoryAdjustment_webhookEventId_fkey" FOREIGN KEY ("webhookEventId") REFERENCES "WebhookEvent"("id") ON DELETE SET NULL ON UPDATE CASCADE;
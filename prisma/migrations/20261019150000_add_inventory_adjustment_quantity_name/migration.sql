@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "InventoryAdjustment" ADD COLUMN     "quantityName" TEXT NOT NULL DEFAULT 'available';
@@ -0,0 +1,72 @@
+-- CreateTable
+CREATE TABLE "LowStockSettings" (
+    "shop" TEXT NOT NULL,
+    "defaultThreshold" INTEGER,
+    "webhookUrl" TEXT,
+    "webhookAuthToken" TEXT,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LowStockSettings_pkey" PRIMARY KEY ("shop")
+);
+
+-- CreateTable
+CREATE TABLE "LowStockThreshold" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "inventoryItemId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "threshold" INTEGER NOT NULL,
+    "variantId" TEXT,
+    "variantTitle" TEXT,
+    "sku" TEXT,
+    "locationName" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LowStockThreshold_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LowStockAlert" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "inventoryItemId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "available" INTEGER NOT NULL,
+    "threshold" INTEGER NOT NULL,
+    "variantTitle" TEXT,
+    "sku" TEXT,
+    "locationName" TEXT,
+    "webhookEventId" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "snoozedUntil" TIMESTAMP(3),
+    "acknowledgedBy" TEXT,
+    "acknowledgedAt" TIMESTAMP(3),
+    "resolvedAt" TIMESTAMP(3),
+    "deliveryStatus" TEXT,
+    "deliveryAttempts" INTEGER NOT NULL DEFAULT 0,
+    "lastDeliveryError" TEXT,
+    "nextDeliveryAt" TIMESTAMP(3),
+    "deliveredAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LowStockAlert_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LowStockThreshold_shop_inventoryItemId_locationId_key" ON "LowStockThreshold"("shop", "inventoryItemId", "locationId");
+
+-- CreateIndex
+CREATE INDEX "LowStockAlert_shop_status_idx" ON "LowStockAlert"("shop", "status");
+
+-- CreateIndex
+CREATE INDEX "LowStockAlert_shop_inventoryItemId_locationId_idx" ON "LowStockAlert"("shop", "inventoryItemId", "locationId");
+
+-- CreateIndex
+CREATE INDEX "LowStockAlert_deliveryStatus_nextDeliveryAt_idx" ON "LowStockAlert"("deliveryStatus", "nextDeliveryAt");
+
+-- CreateIndex (one unresolved alert per item/location; not expressible in schema.prisma)
+CREATE UNIQUE INDEX "LowStockAlert_active_key" ON "LowStockAlert"("shop", "inventoryItemId", "locationId") WHERE "resolvedAt" IS NULL;
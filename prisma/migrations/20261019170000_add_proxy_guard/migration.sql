@@ -0,0 +1,46 @@
+-- CreateTable
+CREATE TABLE "ProxySettings" (
+    "shop" TEXT NOT NULL,
+    "allowedCustomerIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "allowedCustomerTag" TEXT,
+    "allowedMetafield" TEXT,
+    "maxDeltaPerRequest" INTEGER NOT NULL DEFAULT 50,
+    "customerRateLimit" INTEGER NOT NULL DEFAULT 10,
+    "ipRateLimit" INTEGER NOT NULL DEFAULT 30,
+    "rateLimitWindowSeconds" INTEGER NOT NULL DEFAULT 60,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ProxySettings_pkey" PRIMARY KEY ("shop")
+);
+
+-- CreateTable
+CREATE TABLE "ProxyRateLimit" (
+    "key" TEXT NOT NULL,
+    "windowStart" TIMESTAMP(3) NOT NULL,
+    "shop" TEXT NOT NULL,
+    "count" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "ProxyRateLimit_pkey" PRIMARY KEY ("key","windowStart")
+);
+
+-- CreateTable
+CREATE TABLE "ProxyRejection" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "customerId" TEXT,
+    "ip" TEXT,
+    "productId" TEXT,
+    "quantityChange" INTEGER,
+    "userAgent" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ProxyRejection_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ProxyRateLimit_shop_idx" ON "ProxyRateLimit"("shop");
+
+-- CreateIndex
+CREATE INDEX "ProxyRejection_shop_createdAt_idx" ON "ProxyRejection"("shop", "createdAt");
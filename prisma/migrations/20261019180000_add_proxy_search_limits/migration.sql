@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "ProxySettings" ADD COLUMN "searchRateLimit" INTEGER NOT NULL DEFAULT 120;
+
+-- AlterTable
+ALTER TABLE "ProxyRejection" ADD COLUMN "kind" TEXT NOT NULL DEFAULT 'update';
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "InventorySnapshot" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "inventoryItemId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "available" INTEGER NOT NULL,
+    "takenAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InventorySnapshot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "InventorySnapshot_shop_inventoryItemId_locationId_takenAt_idx" ON "InventorySnapshot"("shop", "inventoryItemId", "locationId", "takenAt");
+
+-- CreateIndex
+CREATE INDEX "WebhookEvent_shop_inventoryItemId_locationId_sourceUpdatedAt_idx" ON "WebhookEvent"("shop", "inventoryItemId", "locationId", "sourceUpdatedAt");
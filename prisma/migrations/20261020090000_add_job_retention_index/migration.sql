@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "Job_status_updatedAt_idx" ON "Job"("status", "updatedAt");
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "LowStockAlert" ADD COLUMN "activeKey" TEXT;
+
+-- Backfill the unresolved alerts (unique per item/location under the old index)
+UPDATE "LowStockAlert"
+SET "activeKey" = "shop" || '|' || "inventoryItemId" || '|' || "locationId"
+WHERE "resolvedAt" IS NULL;
+
+-- DropIndex (replaced by the unique activeKey, which the schema can declare)
+DROP INDEX "LowStockAlert_active_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LowStockAlert_activeKey_key" ON "LowStockAlert"("activeKey");
@@ -0,0 +1,7 @@
+-- Events logged without an available quantity were stored as 0, which
+-- reads as a stock-out in the history; store them as unknown instead
+UPDATE "WebhookEvent"
+SET "available" = NULL
+WHERE "topic" = 'inventory_levels/update'
+  AND "available" = 0
+  AND ("payload"->'available' IS NULL OR jsonb_typeof("payload"->'available') = 'null');
@@ -0,0 +1,40 @@
+/* eslint-env node */
+/**
+ * Job Worker
+ *
+ * Runs the persisted job queue outside the web process.
+ *
+ *   npm run worker          - poll for jobs until SIGINT/SIGTERM
+ *   npm run worker -- --once - process everything that is due, then exit
+ */
+
+import { drainJobs, runWorker } from "../app/services/job-queue.service";
+import prisma from "../app/db.server";
+
+async function main() {
+  if (process.argv.includes("--once")) {
+    const counts = await drainJobs();
+    console.log("Drained jobs:", counts);
+    return;
+  }
+
+  const controller = new AbortController();
+  const stop = () => {
+    console.log("Stopping after the current batch...");
+    controller.abort();
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+
+  await runWorker({
+    signal: controller.signal,
+    pollIntervalMs: Number(process.env.JOB_POLL_INTERVAL_MS || 1000),
+  });
+}
+
+main()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
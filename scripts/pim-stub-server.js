@@ -0,0 +1,72 @@
+/* eslint-env node */
+/**
+ * PIM/ERP Stub Server
+ *
+ * Minimal local HTTP endpoint for exercising the PIM delivery outbox.
+ * Point a shop's PIM endpoint (or PIM_ENDPOINT_URL) at http://localhost:4010/
+ * and watch deliveries arrive. It accepts any path, so the low-stock alert
+ * webhook URL can point at it too (e.g. http://localhost:4010/low-stock).
+ * Run the app with ALLOW_PRIVATE_OUTBOUND_URLS=true, or localhost URLs are
+ * rejected (see outbound-url.service.js).
+ *
+ * Environment:
+ *   PIM_STUB_PORT       - Port to listen on (default 4010)
+ *   PIM_STUB_FAIL_RATE  - Fraction of requests answered with HTTP 503 (default 0)
+ *   PIM_STUB_FAIL_FIRST - Answer the first N requests with HTTP 503 (default 0)
+ *   PIM_STUB_DELAY_MS   - Delay before responding, to test timeouts (default 0)
+ */
+
+import http from "node:http";
+
+const port = Number(process.env.PIM_STUB_PORT || 4010);
+const failRate = Number(process.env.PIM_STUB_FAIL_RATE || 0);
+const delayMs = Number(process.env.PIM_STUB_DELAY_MS || 0);
+let failFirst = Number(process.env.PIM_STUB_FAIL_FIRST || 0);
+let received = 0;
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => {
+    body += chunk;
+  });
+
+  req.on("end", () => {
+    received++;
+    const shouldFail = failFirst > 0 || Math.random() < failRate;
+    if (failFirst > 0) failFirst--;
+
+    setTimeout(() => {
+      console.log(`[${new Date().toISOString()}] #${received} ${req.method} ${req.url}`, {
+        idempotencyKey: req.headers["idempotency-key"],
+        authorization: req.headers.authorization ? "present" : "none",
+        body: parseBody(body),
+        response: shouldFail ? 503 : 200,
+      });
+
+      if (shouldFail) {
+        res.writeHead(503, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: "PIM stub: simulated outage" }));
+        return;
+      }
+
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({
+        id: `pim-${Date.now()}`,
+        status: "received",
+        message: "Inventory sync queued in PIM",
+      }));
+    }, delayMs);
+  });
+});
+
+function parseBody(body) {
+  try {
+    return body ? JSON.parse(body) : null;
+  } catch {
+    return body;
+  }
+}
+
+server.listen(port, () => {
+  console.log(`PIM stub listening on http://localhost:${port}/`);
+});
@@ -0,0 +1,7 @@
+// App service tests run without the React Router plugin from vite.config.js;
+// the extensions run their own suites
+export default {
+  test: {
+    include: ["app/**/*.test.js"],
+  },
+};